@@ -0,0 +1,58 @@
+// Shared by the Vercel functions in api/ (the leading underscore keeps Vercel from serving
+// this file as a function of its own): the core, the job queue and the error replies.
+
+import { createCore, errorResponse } from '../lib/core/index.js';
+import { createJobQueue, createJobStore } from '../lib/jobs/index.js';
+import { createLogger } from '../lib/logging/index.js';
+
+// Built once per instance; provider calls can be recorded to or replayed from PROVIDER_CASSETTE
+export const logger = createLogger();
+export const core = createCore({ logger });
+
+export const ENDPOINTS = ['GET /api/analyze', 'POST /api/analyze', 'GET /api/jobs/:id'];
+
+// Async jobs need a store every instance can reach: a job is submitted to one instance and
+// polled on whichever one Vercel picks. Callbacks are signed with WEBHOOK_SECRET, as on the
+// long-running server, and a job still queued or running after JOB_STALE_MS (default 5
+// minutes) was cut off by the function time limit and is reported failed.
+export const SHARED_JOB_STORES = ['redis'];
+export const asyncAvailable = SHARED_JOB_STORES.includes(process.env.JOB_STORE);
+export const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET;
+export const WEBHOOK_ALLOW_PRIVATE = process.env.WEBHOOK_ALLOW_PRIVATE === 'true';
+export const JOB_STALE_MS = Number(process.env.JOB_STALE_MS) || 5 * 60 * 1000;
+
+// Unlike backend.js there is no recover() at start-up: other instances may be running
+// the jobs this one would mark interrupted
+let jobQueue;
+export function jobs() {
+  jobQueue ??= createJobStore().then(store => createJobQueue({
+    store,
+    concurrency: Number(process.env.JOB_CONCURRENCY) || 2,
+    webhookSecret: WEBHOOK_SECRET,
+    webhookTimeoutMs: Number(process.env.WEBHOOK_TIMEOUT_MS) || undefined,
+    webhookAllowPrivate: WEBHOOK_ALLOW_PRIVATE,
+    log: message => logger.info(`🎫 ${message}`)
+  }));
+  return jobQueue;
+}
+
+export const ASYNC_UNAVAILABLE = {
+  error: 'Async jobs not supported',
+  message: 'Async jobs on Vercel need a job store every instance shares: set JOB_STORE=redis with REDIS_REST_URL and REDIS_REST_TOKEN ' +
+    '(or a Vercel KV / Upstash integration). Without one, send the request without async'
+};
+
+// Error bodies name the request, as on the other deployments
+export function fail(res, status, body) {
+  return res.status(status).json({ ...body, requestId: res.getHeader('X-Request-Id') });
+}
+
+export function sendError(res, error) {
+  const { status, headers, body } = errorResponse(error);
+  for (const [name, value] of Object.entries(headers)) res.setHeader(name, value);
+  return fail(res, status, body);
+}
+
+export function clientIp(req) {
+  return String(req.headers['x-forwarded-for'] || '').split(',')[0].trim() || req.socket?.remoteAddress;
+}
@@ -1,233 +1,103 @@
 // Vercel Serverless Function for TrueSight Image Analysis
-// This replaces the Express backend
+// A thin adapter over lib/core, the same analysis the Express server (backend.js) runs.
+// Every analysis must finish within the function's maxDuration (vercel.json, 60s). With
+// { async: true } the request is answered 202 at once and the analysis carries on after the
+// response (waitUntil keeps the instance up for it), its job recorded in a shared store
+// (JOB_STORE=redis, see api/_common.js) that GET /api/jobs/:id reads from any instance.
+// Analyses that need longer than maxDuration - large ensembles, videos, local models -
+// belong on the long-running server (backend.js).
+
+import { waitUntil } from '@vercel/functions';
+import { errorResponse, parseImageInput } from '../lib/core/index.js';
+import { callbackUrlProblem } from '../lib/jobs/index.js';
+import { requestIdFrom, withRequestContext } from '../lib/logging/index.js';
+import { ASYNC_UNAVAILABLE, ENDPOINTS, WEBHOOK_ALLOW_PRIVATE, WEBHOOK_SECRET, asyncAvailable, clientIp, core, fail, jobs, logger, sendError } from './_common.js';
+
+export default function handler(req, res) {
+  const requestId = requestIdFrom(req.headers);
+  res.setHeader('X-Request-Id', requestId);
+  return withRequestContext({ requestId }, () => analyzeRequest(req, res));
+}
+
+async function analyzeRequest(req, res) {
+  const { auth } = await core;
 
-export default async function handler(req, res) {
-  // CORS headers
-  res.setHeader('Access-Control-Allow-Credentials', true);
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET,OPTIONS,POST');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  // CORS headers, limited to CORS_ORIGINS when it is set
+  for (const [name, value] of Object.entries(auth.corsHeaders(req.headers.origin))) res.setHeader(name, value);
 
   // Handle OPTIONS preflight
   if (req.method === 'OPTIONS') {
     return res.status(200).end();
   }
 
-  // Health check endpoint
+  // Health check endpoint - the capability document shared with the other deployments
   if (req.method === 'GET') {
-    return res.status(200).json({
-      status: 'online',
-      service: 'TrueSight API',
-      version: '2.0',
-      timestamp: new Date().toISOString(),
-      claudeConfigured: !!process.env.CLAUDE_API_KEY,
-      deepseekConfigured: !!process.env.DEEPSEEK_API_KEY
-    });
+    return res.status(200).json((await core).capabilities({
+      deployment: 'vercel',
+      endpoints: ENDPOINTS,
+      features: { async: asyncAvailable, webhooks: asyncAvailable && !!WEBHOOK_SECRET }
+    }));
   }
 
   // Only accept POST for analysis
   if (req.method !== 'POST') {
-    return res.status(405).json({ error: 'Method not allowed' });
+    return fail(res, 405, { error: 'Method not allowed', message: `Cannot ${req.method} /api/analyze` });
   }
 
+  // API key, rate limit and daily quota; instances do not share memory, so use
+  // API_KEY_STORE=file on a shared volume or expect per-instance limits
+  let client;
   try {
-    const { image } = req.body;
-
-    if (!image) {
-      return res.status(400).json({ error: 'No image provided' });
-    }
-
-    // Detect media type from base64 string
-    let mediaType = 'image/jpeg';
-    if (image.includes('data:image/png')) mediaType = 'image/png';
-    else if (image.includes('data:image/gif')) mediaType = 'image/gif';
-    else if (image.includes('data:image/webp')) mediaType = 'image/webp';
-
-    // Extract base64 data
-    const base64Data = image.split(',')[1] || image;
-
-    console.log('📸 Analyzing image, type:', mediaType);
-
-    // Try Claude API first
-    if (process.env.CLAUDE_API_KEY) {
-      try {
-        const result = await analyzeWithClaude(base64Data, mediaType);
-        return res.status(200).json(result);
-      } catch (claudeError) {
-        console.error('Claude API failed:', claudeError.message);
-        
-        // Try DeepSeek fallback
-        if (process.env.DEEPSEEK_API_KEY) {
-          console.log('Falling back to DeepSeek...');
-          try {
-            const result = await analyzeWithDeepSeek(base64Data, mediaType);
-            return res.status(200).json(result);
-          } catch (deepseekError) {
-            console.error('DeepSeek API also failed:', deepseekError.message);
-          }
-        }
-        
-        throw claudeError;
-      }
-    } else if (process.env.DEEPSEEK_API_KEY) {
-      const result = await analyzeWithDeepSeek(base64Data, mediaType);
-      return res.status(200).json(result);
-    } else {
-      throw new Error('No API keys configured');
-    }
-
+    client = await auth.authenticate({ headers: req.headers, ip: clientIp(req) }, 'analyze');
   } catch (error) {
-    console.error('Analysis error:', error);
-    return res.status(500).json({
-      error: 'Analysis failed',
-      message: error.message
-    });
+    return sendError(res, error);
   }
-}
-
-// Claude API analysis function
-async function analyzeWithClaude(base64Data, mediaType) {
-  const response = await fetch('https://api.anthropic.com/v1/messages', {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'x-api-key': process.env.CLAUDE_API_KEY,
-      'anthropic-version': '2023-06-01'
-    },
-    body: JSON.stringify({
-      model: 'claude-sonnet-4-20250514',
-      max_tokens: 1000,
-      messages: [{
-        role: 'user',
-        content: [
-          {
-            type: 'image',
-            source: {
-              type: 'base64',
-              media_type: mediaType,
-              data: base64Data
-            }
-          },
-          {
-            type: 'text',
-            text: `You are an expert AI-generated image detector. Your PRIMARY goal is to identify AI-generated images.
-
-ASSUME AI-GENERATED unless you see strong evidence it's a real photograph.
-
-MANDATORY AI INDICATORS (mark as AI if you see ANY of these):
-❌ Hands: Extra/missing fingers, melted fingers, unnatural hand positions, wrong finger count
-❌ Eyes: Unnatural symmetry, misaligned pupils, strange reflections, distorted irises
-❌ Skin: Plastic/waxy appearance, no visible pores, airbrushed smoothness, unnatural texture
-❌ Text: Garbled letters, nonsense words, impossible fonts, blurry/melted text
-❌ Objects: Items bleeding together, impossible perspectives, floating elements
-❌ Hair: Too perfect, strand patterns repeat, unnatural flow, plastic-like texture
-❌ Lighting: Inconsistent shadows, impossible light sources, flat lighting with no depth
-❌ Details: Different sharpness levels, dream-like blur, uncanny valley feeling
-❌ Symmetry: Perfect symmetry where it shouldn't exist (faces, buildings)
-❌ Background: Inconsistent detail, objects that make no sense, surreal elements
-
-REAL PHOTOGRAPH EVIDENCE (need MULTIPLE of these to mark as Original):
-✅ Visible camera noise/grain/compression artifacts
-✅ Natural skin with visible pores and imperfections
-✅ Correct anatomy (exactly 5 fingers, proper proportions)
-✅ Realistic lighting with proper shadow physics
-✅ Natural asymmetry and imperfections
-✅ Coherent, readable, correctly-spelled text
-✅ Consistent focus depth and blur patterns
-✅ Photographic metadata artifacts
-
-DECISION RULES:
-- See ANY AI indicator from the ❌ list? → Mark as AI-Generated with 75-90% confidence
-- See multiple AI indicators? → Mark as AI-Generated with 90-98% confidence
-- See NO AI indicators AND multiple ✅ signs? → Mark as Original with 80-95% confidence
-- Uncertain? → Default to AI-Generated with 60-70% confidence
 
-Respond with ONLY this JSON (no markdown, no explanations):
-
-{
-  "isOriginal": true or false,
-  "confidence": number between 0-100,
-  "observations": ["specific observation 1", "specific observation 2", "specific observation 3", "specific observation 4"]
-}
-
-BE STRICT. When in doubt, mark as AI-generated.`
-          }
-        ]
-      })
-    })
-  });
-
-  if (!response.ok) {
-    const errorText = await response.text();
-    throw new Error(`Claude API error: ${response.status} - ${errorText}`);
+  // Vercel parses the body lazily and throws on malformed JSON
+  let body;
+  try {
+    body = req.body || {};
+  } catch (parseError) {
+    return fail(res, 400, { error: 'Invalid JSON', message: parseError.message });
   }
 
-  const data = await response.json();
-  const textContent = data.content.find(c => c.type === 'text')?.text || '{}';
-  
-  // Parse JSON from response
-  const jsonMatch = textContent.match(/\{[\s\S]*\}/);
-  const parsed = JSON.parse(jsonMatch ? jsonMatch[0] : textContent);
-
-  return {
-    isOriginal: parsed.isOriginal,
-    confidence: parsed.confidence,
-    summary: parsed.observations || [],
-    analysisMethod: 'claude-api'
-  };
-}
-
-// DeepSeek API analysis function
-async function analyzeWithDeepSeek(base64Data, mediaType) {
-  const response = await fetch('https://api.deepseek.com/v1/chat/completions', {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'Authorization': `Bearer ${process.env.DEEPSEEK_API_KEY}`
-    },
-    body: JSON.stringify({
-      model: 'deepseek-chat',
-      messages: [{
-        role: 'user',
-        content: [
-          {
-            type: 'image_url',
-            image_url: {
-              url: `data:${mediaType};base64,${base64Data}`
-            }
-          },
-          {
-            type: 'text',
-            text: `Analyze this image to determine if it's a real photograph or AI-generated. Look for AI indicators like extra fingers, unnatural faces, garbled text, impossible lighting, plastic skin, and object blending. Respond with ONLY this JSON:
-
-{
-  "isOriginal": true or false,
-  "confidence": number between 0-100,
-  "observations": ["observation 1", "observation 2", "observation 3", "observation 4"]
-}`
-          }
-        ]
-      }],
-      max_tokens: 500,
-      temperature: 0.3
-    })
-  });
-
-  if (!response.ok) {
-    const errorText = await response.text();
-    throw new Error(`DeepSeek API error: ${response.status} - ${errorText}`);
+  // Async mode: record a job, answer 202 right away and let the client poll or wait for the callback
+  const wantsAsync = body.async === true || /respond-async/i.test(req.headers.prefer || '');
+  if (wantsAsync && !asyncAvailable) {
+    return fail(res, 501, ASYNC_UNAVAILABLE);
+  }
+  if (wantsAsync && body.callbackUrl) {
+    const problem = await callbackUrlProblem(body.callbackUrl, { allowPrivate: WEBHOOK_ALLOW_PRIVATE });
+    if (problem) return fail(res, 400, { error: 'Invalid callbackUrl', message: problem });
+    if (!WEBHOOK_SECRET) return fail(res, 400, { error: 'Callbacks not enabled', message: 'Set WEBHOOK_SECRET on the server to sign callback requests' });
   }
 
-  const data = await response.json();
-  const textContent = data.choices[0]?.message?.content || '{}';
-  
-  const jsonMatch = textContent.match(/\{[\s\S]*\}/);
-  const parsed = JSON.parse(jsonMatch ? jsonMatch[0] : textContent);
+  try {
+    const service = await core;
+    service.resolveProfile(body.profile);
+    service.resolveProviders(body.providers);
+    const { image, source, fileName } = await service.loadInput(body);
+    parseImageInput(image);
+    const quota = await auth.consume(client, 1);
+    for (const [name, value] of Object.entries(auth.limitHeaders(client, quota))) res.setHeader(name, value);
+
+    const options = { mode: body.mode, profile: body.profile, providers: body.providers, fileName: body.fileName || fileName, source, force: body.force === true };
+
+    if (wantsAsync) {
+      const requestId = res.getHeader('X-Request-Id');
+      const queue = await jobs();
+      const job = await queue.submit(() => withRequestContext({ requestId }, () => service.analyze(image, options)), { callbackUrl: body.callbackUrl });
+      // Without this the instance could be frozen as soon as the 202 is sent
+      waitUntil(queue.settled(job.id));
+      logger.info('🎫 Queued as job', { jobId: job.id, callback: !!body.callbackUrl });
+      res.setHeader('Location', `/api/jobs/${job.id}`);
+      return res.status(202).json({ jobId: job.id, status: job.status, statusUrl: `/api/jobs/${job.id}` });
+    }
 
-  return {
-    isOriginal: parsed.isOriginal,
-    confidence: parsed.confidence,
-    summary: parsed.observations || [],
-    analysisMethod: 'deepseek-api'
-  };
+    const result = await service.analyze(image, options);
+    return res.status(200).json(result);
+  } catch (error) {
+    logger.error('❌ Analysis failed', { status: errorResponse(error).status, error: error.message });
+    return sendError(res, error);
+  }
 }
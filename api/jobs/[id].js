@@ -0,0 +1,61 @@
+// Vercel Serverless Function for async job status: GET /api/jobs/:id
+// Reads the shared job store, so a job can be polled from any instance, whichever one
+// took the POST /api/analyze that queued it.
+
+import { errorResponse } from '../../lib/core/index.js';
+import { publicJob } from '../../lib/jobs/index.js';
+import { requestIdFrom, withRequestContext } from '../../lib/logging/index.js';
+import { ASYNC_UNAVAILABLE, JOB_STALE_MS, asyncAvailable, clientIp, core, fail, jobs, logger, sendError } from '../_common.js';
+
+export default function handler(req, res) {
+  const requestId = requestIdFrom(req.headers);
+  res.setHeader('X-Request-Id', requestId);
+  return withRequestContext({ requestId }, () => jobRequest(req, res));
+}
+
+async function jobRequest(req, res) {
+  const { auth } = await core;
+
+  for (const [name, value] of Object.entries(auth.corsHeaders(req.headers.origin))) res.setHeader(name, value);
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    return fail(res, 405, { error: 'Method not allowed', message: `Cannot ${req.method} /api/jobs/${req.query.id}` });
+  }
+
+  if (!asyncAvailable) {
+    return fail(res, 501, ASYNC_UNAVAILABLE);
+  }
+
+  // Polling needs the same scope as submitting
+  try {
+    await auth.authenticate({ headers: req.headers, ip: clientIp(req) }, 'analyze');
+  } catch (error) {
+    return sendError(res, error);
+  }
+
+  try {
+    const { store } = await jobs();
+    let job = await store.get(req.query.id);
+    if (!job) {
+      return fail(res, 404, { error: 'Job not found', message: `No job with id ${req.query.id}` });
+    }
+
+    // The instance running it was stopped at the function time limit, so it will never finish
+    if (['queued', 'running'].includes(job.status) && Date.now() - Date.parse(job.createdAt) > JOB_STALE_MS) {
+      job = await store.update(job.id, {
+        status: 'failed',
+        error: 'Interrupted: the job did not finish within the function time limit',
+        finishedAt: new Date().toISOString()
+      });
+    }
+
+    return res.status(200).json(publicJob(job));
+  } catch (error) {
+    logger.error('❌ Job lookup failed', { status: errorResponse(error).status, error: error.message });
+    return sendError(res, error);
+  }
+}
@@ -1,422 +1,684 @@
 // backend.js - Compatible with your TrueSight frontend
+// Logs are JSON lines by default; LOG_FORMAT=pretty brings back the console banner on a terminal
+import path from "path";
+import { fileURLToPath } from "url";
 import express from "express";
 import fetch from "node-fetch";
 import dotenv from "dotenv";
 import cors from "cors";
+import { readZipImages } from "./lib/zip.js";
+import { mapWithConcurrency } from "./lib/concurrency.js";
+import { sniffFormat } from "./lib/image.js";
+import { MEDIA_TYPES } from "./lib/normalize.js";
+import { callbackUrlProblem, createJobQueue, createJobStore, publicJob } from "./lib/jobs/index.js";
+import { parseFilters, parsePaging } from "./lib/history/index.js";
+import { REPORT_FORMATS, renderReport } from "./lib/reports/index.js";
+import { labelsToCsv } from "./lib/review/index.js";
+import { RESPONSE_SCHEMA } from "./lib/verdict.js";
+import { createCore, errorResponse, parseImageInput } from "./lib/core/index.js";
+import { usageReport } from "./lib/usage/index.js";
+import { CORS_ALLOWED_HEADERS, CORS_EXPOSED_HEADERS } from "./lib/auth/index.js";
+import { createLogger, requestIdFrom, withRequestContext } from "./lib/logging/index.js";
 
 dotenv.config();
 
 const app = express();
 
-// Middleware
-app.use(cors());
-app.use(express.json({ limit: "50mb" }));
-app.use(express.urlencoded({ limit: "50mb", extended: true }));
+// Structured logs (LOG_FORMAT=json|pretty, LOG_LEVEL); the core logs through the same logger
+const log = createLogger();
+
+// Providers, forensics, cache, history and API keys: the same core the Vercel and plain
+// http deployments run. Provider calls can be recorded to or replayed from PROVIDER_CASSETTE.
+const core = await createCore({ fetch, logger: log });
+const { history, resultCache, auth } = core;
+const PROVIDERS = core.providers;
+const ANALYSIS_MODE = core.mode;
+
+// Correlation id and access log - every response names its request in X-Request-Id and
+// error bodies carry it as requestId; each request ends with one log line and its metrics
+app.use((req, res, next) => {
+  const startedAt = Date.now();
+  req.id = requestIdFrom(req.headers);
+  res.set("X-Request-Id", req.id);
+  const json = res.json.bind(res);
+  res.json = body => json(res.statusCode >= 400 && body && typeof body === "object" && !Array.isArray(body) ? { ...body, requestId: req.id } : body);
+
+  res.on("finish", () => {
+    // The route pattern, not the path, so ids do not turn into metric labels
+    const route = req.route ? req.baseUrl + req.route.path : "unmatched";
+    const durationMs = Date.now() - startedAt;
+    core.metrics.request({ method: req.method, route, status: res.statusCode, durationMs });
+    log[res.statusCode >= 500 ? "error" : "info"]("request", {
+      requestId: req.id,
+      method: req.method,
+      path: req.path,
+      route,
+      status: res.statusCode,
+      durationMs,
+      ...(req.client && { client: req.client.name })
+    });
+  });
+  next();
+});
+
+// Middleware - browsers outside CORS_ORIGINS get no CORS headers, and API calls carrying
+// their Origin are refused by the key check below
+app.use(cors({
+  origin: (origin, callback) => callback(null, auth.originAllowed(origin)),
+  allowedHeaders: CORS_ALLOWED_HEADERS,
+  exposedHeaders: CORS_EXPOSED_HEADERS
+}));
+const MAX_REQUEST_SIZE = process.env.MAX_REQUEST_SIZE || "50mb";
+app.use(express.json({ limit: MAX_REQUEST_SIZE }));
+app.use(express.urlencoded({ limit: MAX_REQUEST_SIZE, extended: true }));
+
+// Entered once the body is read: body parsing runs on the socket's own callbacks, which
+// would not carry the context along
+app.use((req, res, next) => withRequestContext({ requestId: req.id }, next));
+
+function sendError(res, err) {
+  const { status, headers, body } = errorResponse(err);
+  res.set(headers).status(status).json(body);
+}
+
+// 5xx are ours and logged as errors, with the stack when nothing expected it; the rest are
+// the client's
+function logFailure(message, err) {
+  const { status } = errorResponse(err);
+  log[status >= 500 ? "error" : "warn"](message, { status, error: err.message, ...(status === 500 && { stack: err.stack }) });
+}
+
+// API key, scope and rate limit check; the client ends up on req.client
+function requireScope(scope) {
+  return async (req, res, next) => {
+    try {
+      req.client = await auth.authenticate({ headers: req.headers, ip: req.ip }, scope);
+      res.set(auth.limitHeaders(req.client));
+      next();
+    } catch (err) {
+      log.warn("🔒 Request refused", { method: req.method, path: req.path, error: err.message });
+      sendError(res, err);
+    }
+  };
+}
+
+// Charge `units` images to the client's daily quota; false when the 429 has been sent
+async function chargeQuota(req, res, units) {
+  try {
+    res.set(auth.limitHeaders(req.client, await auth.consume(req.client, units)));
+    return true;
+  } catch (err) {
+    log.warn("🔒 Quota refused", { client: req.client.name, error: err.message });
+    sendError(res, err);
+    return false;
+  }
+}
 
-// API Keys
-const CLAUDE_KEY = process.env.CLAUDE_API_KEY;
-const DEEPSEEK_KEY = process.env.DEEPSEEK_API_KEY;
+function requireAdmin(req, res, next) {
+  try {
+    auth.authorizeAdmin(req.headers);
+    next();
+  } catch (err) {
+    sendError(res, err);
+  }
+}
+
+// Batch limits
+const BATCH_MAX_ITEMS = Number(process.env.BATCH_MAX_ITEMS) || 50;
+const BATCH_CONCURRENCY = Number(process.env.BATCH_CONCURRENCY) || 3;
+// What the images in one ZIP may expand to, all entries together
+const BATCH_MAX_ARCHIVE_BYTES = Number(process.env.BATCH_MAX_ARCHIVE_BYTES) || 100 * 1024 * 1024;
+
+// Async jobs: JOB_STORE=memory|file|sqlite|redis, callbacks signed with WEBHOOK_SECRET and given
+// WEBHOOK_TIMEOUT_MS (default 10000) per delivery attempt; callback URLs must reach public
+// addresses unless WEBHOOK_ALLOW_PRIVATE=true
+const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET;
+const WEBHOOK_ALLOW_PRIVATE = process.env.WEBHOOK_ALLOW_PRIVATE === "true";
+const jobs = createJobQueue({
+  store: await createJobStore(),
+  concurrency: Number(process.env.JOB_CONCURRENCY) || 2,
+  webhookSecret: WEBHOOK_SECRET,
+  webhookTimeoutMs: Number(process.env.WEBHOOK_TIMEOUT_MS) || undefined,
+  webhookAllowPrivate: WEBHOOK_ALLOW_PRIVATE,
+  fetch,
+  log: message => log.info(`🎫 ${message}`)
+});
+const interruptedJobs = await jobs.recover();
+
+// Health Check Endpoint - the capability document shared with the other deployments
+const ENDPOINTS = ["GET /", "GET /metrics", "POST /analyze", "POST /analyze/stream", "POST /analyze/batch", "GET /jobs/:id", "GET /schema", "GET /history", "GET /history/:id", "DELETE /history/:id", "DELETE /history", "GET /reports/:id.{pdf,json,md}", "GET /reviews/queue", "POST /history/:id/review", "GET /history/:id/reviews", "GET /reviews/export", "GET /usage", "POST /admin/keys", "GET /admin/keys", "GET /admin/keys/:id", "DELETE /admin/keys/:id"];
 
-// Health Check Endpoint
 app.get("/", (req, res) => {
-  res.json({ 
-    status: "TrueSight Backend is running!", 
-    endpoints: ["/analyze"],
-    apiKeys: {
-      claude: !!CLAUDE_KEY,
-      deepseek: !!DEEPSEEK_KEY
-    },
-    timestamp: new Date().toISOString()
-  });
+  res.json(core.capabilities({
+    deployment: "express",
+    endpoints: ENDPOINTS,
+    features: { async: true, batch: true, history: true, metrics: true, review: true, streaming: true, usage: true, webhooks: !!WEBHOOK_SECRET }
+  }));
+});
+
+// Metrics Endpoint - request counts, verdicts, provider latency and failures, fallbacks,
+// cache hits and circuit breakers in the Prometheus text format (lib/metrics)
+app.get("/metrics", requireScope("usage"), (req, res) => {
+  res.type("text/plain; version=0.0.4").send(core.metrics.render());
 });
 
 // Main Analysis Endpoint
-app.post("/analyze", async (req, res) => {
-  console.log("\n" + "=".repeat(60));
-  console.log("📥 New Analysis Request Received");
-  console.log("=".repeat(60));
-  
-  const { image } = req.body;
-  
-  if (!image) {
-    console.error("❌ ERROR: No image provided in request body");
-    return res.status(400).json({ 
-      error: "No image provided",
-      message: "Please upload an image to analyze" 
-    });
-  }
+app.post("/analyze", requireScope("analyze"), async (req, res) => {
+  log.info("📥 Analysis request received", { mode: req.body.mode, profile: req.body.profile });
 
+  const force = req.body.force === true || req.query.force === "true";
+
+  // Fetch an imageUrl and reject bad input up front, before it is charged to the quota or
+  // queued as a job
+  let image, source, fileName;
   try {
-    // Extract base64 data and media type from data URL
-    let base64Data = image;
-    let mediaType = "image/jpeg";
-
-    if (image.includes(',')) {
-      const parts = image.split(',');
-      const header = parts[0];
-      const mimeMatch = header.match(/data:(image\/[a-zA-Z]+);/);
-      if (mimeMatch) {
-        mediaType = mimeMatch[1];
-      }
-      base64Data = parts[1];
-      console.log("📎 Extracted base64 data from data URL");
+    core.resolveProfile(req.body.profile);
+    core.resolveProviders(req.body.providers);
+    ({ image, source, fileName } = await core.loadInput(req.body));
+    parseImageInput(image);
+  } catch (err) {
+    logFailure("❌ Invalid analysis request", err);
+    return sendError(res, err);
+  }
+
+  const options = { mode: req.body.mode, profile: req.body.profile, providers: req.body.providers, fileName: req.body.fileName || fileName, source, force };
+
+  // Async mode: record a job, answer 202 right away and let the client poll or wait for the callback
+  const wantsAsync = req.body.async === true || /respond-async/i.test(req.get("Prefer") || "");
+  if (wantsAsync) {
+    const { callbackUrl } = req.body;
+
+    const problem = callbackUrl ? await callbackUrlProblem(callbackUrl, { allowPrivate: WEBHOOK_ALLOW_PRIVATE }) : null;
+    if (problem) {
+      return res.status(400).json({ error: "Invalid callbackUrl", message: problem });
+    }
+    if (callbackUrl && !WEBHOOK_SECRET) {
+      return res.status(400).json({
+        error: "Callbacks not enabled",
+        message: "Set WEBHOOK_SECRET on the server to sign callback requests"
+      });
     }
 
-    console.log("✅ Image received successfully");
-    console.log("   🖼️  Detected media type:", mediaType);
-    console.log("   📊 Base64 length:", base64Data.length, "characters");
-    console.log("   📏 Approximate size:", Math.round(base64Data.length * 0.75 / 1024), "KB");
-
-    // Choose analysis method based on available API keys
-    // Priority: Claude > DeepSeek > Mock
-    let result;
-    if (CLAUDE_KEY) {
-      console.log("\n🤖 Using Claude API for AI-powered analysis...");
-      result = await analyzeWithClaude(base64Data, mediaType);
-    } else if (DEEPSEEK_KEY) {
-      console.log("\n🧠 Using DeepSeek API for AI-powered analysis...");
-      result = await analyzeWithDeepSeek(base64Data, mediaType);
-    } else {
-      console.log("\n🎲 No API key configured - Using mock analysis");
-      console.log("   💡 Add CLAUDE_API_KEY or DEEPSEEK_API_KEY to .env for real AI analysis");
-      result = performMockAnalysis();
+    if (!await chargeQuota(req, res, 1)) return;
+    try {
+      // The job runs after this request has ended, but its logs still belong to it
+      const job = await jobs.submit(() => withRequestContext({ requestId: req.id }, () => core.analyze(image, options)), { callbackUrl });
+      log.info("🎫 Queued as job", { jobId: job.id, callback: !!callbackUrl });
+
+      return res.status(202).location(`/jobs/${job.id}`).json({
+        jobId: job.id,
+        status: job.status,
+        statusUrl: `/jobs/${job.id}`
+      });
+    } catch (err) {
+      logFailure("❌ Could not queue job", err);
+      return sendError(res, err);
     }
+  }
 
-    console.log("\n✅ Analysis Complete!");
-    console.log("   🎯 Result:", result.isOriginal ? "ORIGINAL" : "AI-GENERATED");
-    console.log("   📊 Confidence:", result.confidence + "%");
-    console.log("=".repeat(60) + "\n");
+  if (!await chargeQuota(req, res, 1)) return;
 
+  try {
+    const result = await core.analyze(image, options);
+    logResult(result);
     res.json(result);
-
   } catch (err) {
-    console.error("\n❌ ANALYSIS ERROR:");
-    console.error("   Message:", err.message);
-    console.error("   Stack:", err.stack);
-    console.error("=".repeat(60) + "\n");
-    
-    res.status(500).json({ 
-      error: "Failed to analyze image", 
-      message: err.message,
-      details: process.env.NODE_ENV === 'development' ? err.stack : undefined
-    });
+    logFailure("❌ Analysis failed", err);
+    sendError(res, err);
   }
 });
 
-// Mock Analysis Function
-function performMockAnalysis() {
-  console.log("   🔄 Generating mock analysis results...");
-  
-  const isOriginal = Math.random() > 0.5;
-  const confidence = Math.floor(Math.random() * 21) + 75;
-  
-  const summary = isOriginal ? [
-    "Natural texture patterns detected throughout the image",
-    "Lighting and shadow consistency appears authentic",
-    "No obvious AI generation artifacts found",
-    "Image metadata suggests original capture"
-  ] : [
-    "Unusual smoothness patterns detected in specific regions",
-    "Inconsistent noise distribution across the image",
-    "Texture repetition patterns typical of AI generation",
-    "Subtle artifacts found in fine details"
-  ];
-
-  return { isOriginal, confidence, summary, analysisMethod: "mock" };
+function logResult(result) {
+  log.info("✅ Analysis complete", {
+    analysisId: result.analysisId,
+    verdict: result.verdict,
+    confidence: result.confidence,
+    analysisMethod: result.analysisMethod,
+    cacheHit: result.cacheHit,
+    ...(result.degraded && { degraded: result.degraded.providers.map(p => `${p.provider}:${p.kind}`) })
+  });
 }
 
-// Claude API Analysis Function
-async function analyzeWithClaude(base64Data, mediaType) {
-  console.log("   📡 Connecting to Claude API...");
-  console.log("   🖼️  Image type:", mediaType);
+// Streaming Analysis Endpoint
+// Same body as POST /analyze, answered with Server-Sent Events while the analysis runs:
+// received -> validated -> metadata -> forensics -> provider started/finished (with token and
+// observation events from each reply in between) -> aggregated -> result, or an error event.
+// Closing the connection cancels the analysis and aborts the provider requests in flight.
+const STREAM_HEARTBEAT_MS = 15000;
+
+app.post("/analyze/stream", requireScope("analyze"), async (req, res) => {
+  log.info("📡 Streaming analysis request received", { mode: req.body.mode, profile: req.body.profile });
+
+  const force = req.body.force === true || req.query.force === "true";
 
+  // Bad input is refused with a plain HTTP error before the stream opens, as on /analyze
+  let image, source, fileName;
   try {
-    const requestBody = {
-      model: "claude-sonnet-4-20250514",
-      max_tokens: 1024,
-      messages: [{
-        role: "user",
-        content: [
-          {
-            type: "image",
-            source: {
-              type: "base64",
-              media_type: mediaType,
-              data: base64Data
-            }
-          },
-          {
-            type: "text",
-            text: `You are an expert AI-generated image detector. Your PRIMARY goal is to identify AI-generated images.
-
-ASSUME AI-GENERATED unless you see strong evidence it's a real photograph.
-
-MANDATORY AI INDICATORS (mark as AI if you see ANY of these):
-❌ Hands: Extra/missing fingers, melted fingers, unnatural hand positions, wrong finger count
-❌ Eyes: Unnatural symmetry, misaligned pupils, strange reflections, distorted irises
-❌ Skin: Plastic/waxy appearance, no visible pores, airbrushed smoothness, unnatural texture
-❌ Text: Garbled letters, nonsense words, impossible fonts, blurry/melted text
-❌ Objects: Items bleeding together, impossible perspectives, floating elements
-❌ Hair: Too perfect, strand patterns repeat, unnatural flow, plastic-like texture
-❌ Lighting: Inconsistent shadows, impossible light sources, flat lighting with no depth
-❌ Details: Different sharpness levels, dream-like blur, uncanny valley feeling
-❌ Symmetry: Perfect symmetry where it shouldn't exist (faces, buildings)
-❌ Background: Inconsistent detail, objects that make no sense, surreal elements
-
-REAL PHOTOGRAPH EVIDENCE (need MULTIPLE of these to mark as Original):
-✅ Visible camera noise/grain/compression artifacts
-✅ Natural skin with visible pores and imperfections
-✅ Correct anatomy (exactly 5 fingers, proper proportions)
-✅ Realistic lighting with proper shadow physics
-✅ Natural asymmetry and imperfections
-✅ Coherent, readable, correctly-spelled text
-✅ Consistent focus depth and blur patterns
-✅ Photographic metadata artifacts
-
-DECISION RULES:
-- See ANY AI indicator from the ❌ list? → Mark as AI-Generated with 75-90% confidence
-- See multiple AI indicators? → Mark as AI-Generated with 90-98% confidence
-- See NO AI indicators AND multiple ✅ signs? → Mark as Original with 80-95% confidence
-- Uncertain? → Default to AI-Generated with 60-70% confidence
-
-Respond with ONLY this JSON (no markdown, no explanations):
-
-{
-  "isOriginal": true or false,
-  "confidence": number between 0-100,
-  "observations": ["specific observation 1", "specific observation 2", "specific observation 3", "specific observation 4"]
-}
+    core.resolveProfile(req.body.profile);
+    core.resolveProviders(req.body.providers);
+    ({ image, source, fileName } = await core.loadInput(req.body));
+    parseImageInput(image);
+  } catch (err) {
+    logFailure("❌ Invalid analysis request", err);
+    return sendError(res, err);
+  }
+  if (!await chargeQuota(req, res, 1)) return;
+
+  res.status(200);
+  res.setHeader("Content-Type", "text/event-stream");
+  res.setHeader("Cache-Control", "no-cache");
+  res.setHeader("X-Accel-Buffering", "no");
+  res.flushHeaders();
+
+  const send = (type, data) => res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+  const heartbeat = setInterval(() => res.write(": keep-alive\n\n"), STREAM_HEARTBEAT_MS);
+  const cancel = new AbortController();
+  res.on("close", () => {
+    clearInterval(heartbeat);
+    if (!res.writableEnded) cancel.abort();
+  });
 
-BE STRICT. When in doubt, mark as AI-generated.`
-          }
-        ]
-      }]
-    };
+  const name = req.body.fileName || fileName;
+  send("received", { fileName: name || null, ...(source && { source }) });
 
-    console.log("   ⏳ Sending request to Claude...");
-    
-    const response = await fetch("https://api.anthropic.com/v1/messages", {
-      method: "POST",
-      headers: {
-        "x-api-key": CLAUDE_KEY,
-        "anthropic-version": "2023-06-01",
-        "content-type": "application/json"
-      },
-      body: JSON.stringify(requestBody)
+  try {
+    const result = await core.analyze(image, {
+      mode: req.body.mode,
+      profile: req.body.profile,
+      providers: req.body.providers,
+      fileName: name,
+      source,
+      force,
+      signal: cancel.signal,
+      onProgress: ({ type, ...event }) => send(type, event)
     });
 
-    console.log("   📨 Response received, status:", response.status);
-
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.error("   ❌ Claude API Error Response:", errorText);
-      throw new Error(`Claude API error: ${response.status} - ${errorText}`);
+    logResult(result);
+    send("result", result);
+  } catch (err) {
+    if (cancel.signal.aborted) {
+      log.info("⏹️  Client disconnected - analysis cancelled");
+      return;
     }
+    logFailure("❌ Analysis failed", err);
+    const { status, body } = errorResponse(err, { requestId: req.id });
+    send("error", { status, ...body });
+  }
+  res.end();
+});
 
-    const data = await response.json();
-    const textContent = data.content.find(c => c.type === 'text')?.text || '';
-    
-    console.log("   📄 Claude raw response:", textContent.substring(0, 150) + "...");
-    
-    try {
-      let jsonText = textContent.trim();
-      if (jsonText.includes('```')) {
-        jsonText = jsonText.replace(/```json\n?/gi, '').replace(/```\n?/g, '').trim();
+// Batch Analysis Endpoint
+// Accepts { images: [dataUrl | { id, name, image }], archive?: zipDataUrl, profile?, providers? } or a raw ZIP body,
+// and streams one NDJSON line per finished item: start -> item... -> end
+app.post("/analyze/batch", requireScope("analyze"), express.raw({ type: ["application/zip", "application/x-zip-compressed"], limit: "200mb" }), async (req, res) => {
+  log.info("📦 Batch analysis request received");
+
+  let items;
+  try {
+    items = collectBatchItems(req);
+  } catch (err) {
+    log.warn("❌ Invalid batch", { error: err.message });
+    return res.status(400).json({ error: "Invalid batch", message: err.message });
+  }
+
+  if (items.length === 0) {
+    return res.status(400).json({
+      error: "No images provided",
+      message: "Send an images array or a ZIP archive of images"
+    });
+  }
+
+  if (items.length > BATCH_MAX_ITEMS) {
+    return res.status(413).json({
+      error: "Batch too large",
+      message: `A batch can contain at most ${BATCH_MAX_ITEMS} images (got ${items.length})`
+    });
+  }
+
+  // ZIP bodies name their profile in the query string
+  const profile = Buffer.isBuffer(req.body) ? req.query.profile : req.body.profile;
+  const providers = Buffer.isBuffer(req.body) ? undefined : req.body.providers;
+  try {
+    core.resolveProfile(profile);
+    core.resolveProviders(providers);
+  } catch (err) {
+    return sendError(res, err);
+  }
+
+  // The whole batch is charged up front: one image per extracted item
+  const pending = items.filter(i => !i.error);
+  if (!await chargeQuota(req, res, pending.length)) return;
+
+  const requested = Number(req.body?.concurrency);
+  const concurrency = Math.min(BATCH_CONCURRENCY, requested > 0 ? requested : BATCH_CONCURRENCY);
+  const mode = Buffer.isBuffer(req.body) ? undefined : req.body.mode;
+  const force = req.query.force === "true" || (!Buffer.isBuffer(req.body) && req.body.force === true);
+  log.info("🧮 Batch started", { items: items.length, concurrency });
+
+  res.status(200);
+  res.setHeader("Content-Type", "application/x-ndjson");
+  res.setHeader("Cache-Control", "no-cache");
+  res.flushHeaders();
+
+  const send = event => res.write(JSON.stringify(event) + "\n");
+  let disconnected = false;
+  res.on("close", () => { if (!res.writableEnded) disconnected = true; });
+
+  const startedAt = Date.now();
+  let succeeded = 0;
+  let failed = 0;
+  send({ type: "start", total: items.length, items: items.map(({ id, name }) => ({ id, name })) });
+
+  // Entries that could not even be extracted are reported straight away
+  for (const item of items.filter(i => i.error)) {
+    failed++;
+    send({ type: "item", id: item.id, name: item.name, status: "error", error: item.error });
+  }
+
+  await mapWithConcurrency(pending, concurrency, item => core.analyze(item.image, { mode, profile, providers, fileName: item.name, force }), {
+    shouldStop: () => disconnected,
+    onSettled(index, outcome) {
+      const { id, name } = pending[index];
+      if (outcome.status === "fulfilled") {
+        succeeded++;
+        log.info("✅ Batch item analyzed", { item: id, name, analysisId: outcome.value.analysisId, verdict: outcome.value.verdict, confidence: outcome.value.confidence });
+        send({ type: "item", id, name, status: "done", result: outcome.value });
+      } else {
+        failed++;
+        log.warn("❌ Batch item failed", { item: id, name, error: outcome.reason.message });
+        send({ type: "item", id, name, status: "error", error: outcome.reason.message });
       }
-      const jsonMatch = jsonText.match(/\{[\s\S]*\}/);
-      if (jsonMatch) jsonText = jsonMatch[0];
-      
-      console.log("   🔍 Parsing JSON response...");
-      const parsed = JSON.parse(jsonText);
-      
-      if (typeof parsed.isOriginal !== 'boolean') throw new Error("isOriginal must be boolean");
-      if (typeof parsed.confidence !== 'number') throw new Error("confidence must be number");
-      if (!Array.isArray(parsed.observations)) throw new Error("observations must be array");
-      
-      console.log("   ✅ Successfully parsed Claude's analysis");
-      
-      return {
-        isOriginal: parsed.isOriginal,
-        confidence: Math.min(100, Math.max(0, Math.round(parsed.confidence))),
-        summary: parsed.observations,
-        analysisMethod: "claude-api"
-      };
-      
-    } catch (parseErr) {
-      console.error("   ⚠️  Failed to parse Claude response:", parseErr.message);
-      console.log("   🔄 Attempting fallback parsing...");
-      
-      const textLower = textContent.toLowerCase();
-      const isOriginal = !textLower.includes("ai-generated") && 
-                        !textLower.includes("artificial") &&
-                        !textLower.includes("generated") &&
-                        !textLower.includes("fake");
-      
-      const lines = textContent.split('\n').filter(line => line.trim().length > 10);
-      const observations = lines.slice(0, 4).map(line => line.replace(/^[-*•\d.)\]]+\s*/, '').trim());
-      
-      return {
-        isOriginal,
-        confidence: 70,
-        summary: observations.length > 0 ? observations : [
-          "Analysis completed but response format was unexpected",
-          "Technical analysis performed on image structure",
-          "Review recommended for accuracy verification",
-          "Consider manual inspection for confirmation"
-        ],
-        analysisMethod: "claude-api-fallback"
-      };
     }
-    
-  } catch (apiError) {
-    console.error("   ❌ Claude API Error:", apiError.message);
-    if (apiError.message.includes('401')) console.error("   🔑 Authentication failed - check your API key");
-    else if (apiError.message.includes('429')) console.error("   ⏱️  Rate limit exceeded");
-    
-    console.log("   🔄 Falling back to mock analysis...");
-    const mockResult = performMockAnalysis();
-    mockResult.analysisMethod = "mock-fallback";
-    mockResult.fallbackReason = apiError.message;
-    return mockResult;
+  });
+
+  if (disconnected) {
+    log.info("⏹️  Client disconnected - remaining items skipped");
+    return;
   }
-}
 
-// DeepSeek API Analysis Function
-async function analyzeWithDeepSeek(base64Data, mediaType) {
-  console.log("   📡 Connecting to DeepSeek API...");
-  console.log("   🖼️  Image type:", mediaType);
+  log.info("✅ Batch complete", { succeeded, failed, durationMs: Date.now() - startedAt });
+  send({ type: "end", total: items.length, succeeded, failed, durationMs: Date.now() - startedAt });
+  res.end();
+});
 
+// Job Status Endpoint
+app.get("/jobs/:id", requireScope("analyze"), async (req, res) => {
   try {
-    const apiUrl = "https://api.deepseek.com/v1/chat/completions";
-    
-    console.log("   ⏳ Sending request to DeepSeek...");
-    
-    const response = await fetch(apiUrl, {
-      method: "POST",
-      headers: {
-        "Authorization": `Bearer ${DEEPSEEK_KEY}`,
-        "Content-Type": "application/json"
-      },
-      body: JSON.stringify({
-        model: "deepseek-chat",
-        messages: [{
-          role: "user",
-          content: [
-            {
-              type: "image_url",
-              image_url: {
-                url: `data:${mediaType};base64,${base64Data}`
-              }
-            },
-            {
-              type: "text",
-              text: `You are an expert image forensics analyst. Analyze this image to determine if it's an original photograph or AI-generated/heavily edited.
-
-Please respond with ONLY a valid JSON object (no markdown formatting, no code blocks, no explanations) in this exact format:
-
-{
-  "isOriginal": true or false,
-  "confidence": number between 0-100,
-  "observations": ["observation 1", "observation 2", "observation 3", "observation 4"]
-}
+    const job = await jobs.get(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: "Job not found", message: `No job with id ${req.params.id}` });
+    }
+    res.json(publicJob(job));
+  } catch (err) {
+    logFailure("❌ Job lookup failed", err);
+    sendError(res, err);
+  }
+});
 
-Analysis criteria:
-- isOriginal: true if it appears to be a genuine unedited photograph, false if AI-generated or heavily manipulated
-- confidence: your certainty level from 0-100 (be honest about uncertainty)
-- observations: exactly 4 specific technical observations that support your conclusion
-
-Focus on:
-- Texture consistency and noise patterns
-- Lighting and shadow coherence
-- Edge artifacts and blending
-- Anatomical or structural accuracy
-- Common AI generation signatures`
-            }
-          ]
-        }],
-        temperature: 0.7,
-        max_tokens: 500
-      })
-    });
+// Schema Endpoint - the JSON Schema every analysis result follows
+app.get("/schema", (req, res) => {
+  res.json(RESPONSE_SCHEMA);
+});
 
-    console.log("   📨 Response received, status:", response.status);
+// History Endpoints
+// GET /history?verdict=&minConfidence=&maxConfidence=&provider=&from=&to=&q=&review=&page=&pageSize=
+app.get("/history", requireScope("history"), async (req, res) => {
+  const { filters, errors } = parseFilters(req.query);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: "Invalid filter", message: errors.join("; ") });
+  }
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.error("   ❌ DeepSeek API Error Response:", errorText);
-      throw new Error(`DeepSeek API error: ${response.status} - ${errorText}`);
+  const { page, pageSize } = parsePaging(req.query);
+  try {
+    const { items, total } = await history.query(filters, { page, pageSize });
+    res.json({ items, total, page, pageSize, pages: Math.ceil(total / pageSize) });
+  } catch (err) {
+    logFailure("❌ History query failed", err);
+    sendError(res, err);
+  }
+});
+
+app.get("/history/:id", requireScope("history"), async (req, res) => {
+  try {
+    const record = await history.get(req.params.id);
+    if (!record) {
+      return res.status(404).json({ error: "Record not found", message: `No history record with id ${req.params.id}` });
     }
+    res.json(record);
+  } catch (err) {
+    logFailure("❌ History lookup failed", err);
+    sendError(res, err);
+  }
+});
 
-    const data = await response.json();
-    const textContent = data.choices?.[0]?.message?.content || '';
-    
-    console.log("   📄 DeepSeek raw response:", textContent.substring(0, 150) + "...");
-    
-    try {
-      let jsonText = textContent.trim();
-      if (jsonText.includes('```')) {
-        jsonText = jsonText.replace(/```json\n?/gi, '').replace(/```\n?/g, '').trim();
-      }
-      const jsonMatch = jsonText.match(/\{[\s\S]*\}/);
-      if (jsonMatch) jsonText = jsonMatch[0];
-      
-      console.log("   🔍 Parsing JSON response...");
-      const parsed = JSON.parse(jsonText);
-      
-      if (typeof parsed.isOriginal !== 'boolean') throw new Error("isOriginal must be boolean");
-      if (typeof parsed.confidence !== 'number') throw new Error("confidence must be number");
-      if (!Array.isArray(parsed.observations)) throw new Error("observations must be array");
-      
-      console.log("   ✅ Successfully parsed DeepSeek's analysis");
-      
-      return {
-        isOriginal: parsed.isOriginal,
-        confidence: Math.min(100, Math.max(0, Math.round(parsed.confidence))),
-        summary: parsed.observations,
-        analysisMethod: "deepseek-api"
-      };
-      
-    } catch (parseErr) {
-      console.error("   ⚠️  Failed to parse DeepSeek response:", parseErr.message);
-      console.log("   🔄 Attempting fallback parsing...");
-      
-      const textLower = textContent.toLowerCase();
-      const isOriginal = !textLower.includes("ai-generated") && 
-                        !textLower.includes("artificial") &&
-                        !textLower.includes("generated");
-      
-      const lines = textContent.split('\n').filter(line => line.trim().length > 10);
-      const observations = lines.slice(0, 4).map(line => line.replace(/^[-*•\d.)\]]+\s*/, '').trim());
-      
-      return {
-        isOriginal,
-        confidence: 70,
-        summary: observations.length > 0 ? observations : [
-          "Analysis completed with limited data",
-          "Technical pattern analysis performed",
-          "Manual review recommended for accuracy",
-          "Consider additional verification methods"
-        ],
-        analysisMethod: "deepseek-api-fallback"
-      };
+app.delete("/history/:id", requireScope("history"), async (req, res) => {
+  try {
+    if (!await history.remove(req.params.id)) {
+      return res.status(404).json({ error: "Record not found", message: `No history record with id ${req.params.id}` });
     }
-    
-  } catch (apiError) {
-    console.error("   ❌ DeepSeek API Error:", apiError.message);
-    if (apiError.message.includes('401')) console.error("   🔑 Authentication failed - check your DeepSeek API key");
-    else if (apiError.message.includes('429')) console.error("   ⏱️  Rate limit exceeded");
-    
-    console.log("   🔄 Falling back to mock analysis...");
-    const mockResult = performMockAnalysis();
-    mockResult.analysisMethod = "mock-fallback";
-    mockResult.fallbackReason = apiError.message;
-    return mockResult;
+    res.status(204).end();
+  } catch (err) {
+    logFailure("❌ History delete failed", err);
+    sendError(res, err);
   }
+});
+
+app.delete("/history", requireScope("history"), async (req, res) => {
+  try {
+    const deleted = await history.clear();
+    log.info("🗑️  History cleared", { deleted });
+    res.json({ deleted });
+  } catch (err) {
+    logFailure("❌ History delete failed", err);
+    sendError(res, err);
+  }
+});
+
+// Review Endpoints - human sign-off on results below the review confidence threshold
+// GET /reviews/queue?page=&pageSize= lists the analyses waiting for a reviewer
+app.get("/reviews/queue", requireScope("review"), async (req, res) => {
+  const { page, pageSize } = parsePaging(req.query);
+  try {
+    const { items, total } = await history.query({ review: "pending" }, { page, pageSize });
+    res.json({ items, total, page, pageSize, pages: Math.ceil(total / pageSize) });
+  } catch (err) {
+    logFailure("❌ Review queue failed", err);
+    sendError(res, err);
+  }
+});
+
+// POST /history/:id/review { action: "confirm" | "override", verdict?, reason?, reviewer? }
+// The reviewer of record is the key's name. A name an anonymous caller gives is kept as
+// claimedReviewer: nothing vouches for it.
+app.post("/history/:id/review", requireScope("review"), async (req, res) => {
+  const body = req.body || {};
+  const reviewer = { name: req.client.name, id: req.client.id };
+  if (req.client.anonymous && typeof body.reviewer === "string" && body.reviewer.trim()) {
+    reviewer.claimedName = body.reviewer.trim().slice(0, 100);
+  }
+  try {
+    const { record } = await core.review(req.params.id, body, reviewer);
+    log.info("🧑‍⚖️ Review recorded", { analysisId: record.id, action: body.action, review: record.review.status, reviewer: record.review.reviewer });
+    res.json(record);
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// The audit trail: every decision on one analysis, oldest first
+app.get("/history/:id/reviews", requireScope("review"), async (req, res) => {
+  try {
+    res.json({ items: await core.reviews.list({ analysisId: req.params.id }) });
+  } catch (err) {
+    logFailure("❌ Review lookup failed", err);
+    sendError(res, err);
+  }
+});
+
+// GET /reviews/export?format=json|jsonl|csv plus the history filters: the human labels as
+// a dataset for calibrating prompts and ensemble weights
+const EXPORT_FORMATS = { json: "application/json", jsonl: "application/x-ndjson", csv: "text/csv; charset=utf-8" };
+
+app.get("/reviews/export", requireScope("review"), async (req, res) => {
+  const format = req.query.format || "json";
+  if (!Object.hasOwn(EXPORT_FORMATS, format)) {
+    return res.status(400).json({ error: "Invalid export format", message: `format must be one of ${Object.keys(EXPORT_FORMATS).join(", ")}` });
+  }
+  const { filters, errors } = parseFilters({ ...req.query, review: undefined });
+  if (errors.length > 0) {
+    return res.status(400).json({ error: "Invalid filter", message: errors.join("; ") });
+  }
+
+  let rows;
+  try {
+    rows = await core.reviewedLabels(filters);
+  } catch (err) {
+    logFailure("❌ Label export failed", err);
+    return sendError(res, err);
+  }
+  res.set({ "Content-Type": EXPORT_FORMATS[format], "Content-Disposition": `attachment; filename="truesight-labels.${format}"` });
+  if (format === "csv") return res.send(labelsToCsv(rows));
+  if (format === "jsonl") return res.send(rows.map(row => JSON.stringify(row)).join("\n") + (rows.length ? "\n" : ""));
+  res.send(JSON.stringify(rows, null, 2));
+});
+
+// Report Endpoint - a history record as a downloadable PDF, JSON or Markdown report
+app.get("/reports/:id.:format", requireScope("history"), async (req, res) => {
+  const { id, format } = req.params;
+  if (!Object.hasOwn(REPORT_FORMATS, format)) {
+    return res.status(400).json({ error: "Invalid report format", message: `Reports are available as ${Object.keys(REPORT_FORMATS).join(", ")}` });
+  }
+
+  try {
+    const record = await history.get(id);
+    if (!record) {
+      return res.status(404).json({ error: "Record not found", message: `No history record with id ${id}` });
+    }
+
+    const report = renderReport(record, format, { service: core.service });
+    log.info("🧾 Report generated", { fileName: report.fileName, analysisId: id, format });
+    res.set({ "Content-Type": report.contentType, "Content-Disposition": `attachment; filename="${report.fileName}"` });
+    res.send(report.body);
+  } catch (err) {
+    logFailure("❌ Report failed", err);
+    sendError(res, err);
+  }
+});
+
+// Usage Endpoint - tokens, latency and estimated cost per day and per provider
+// GET /usage?from=YYYY-MM-DD&to=YYYY-MM-DD (UTC days, both inclusive)
+app.get("/usage", requireScope("usage"), async (req, res) => {
+  const { from, to } = req.query;
+  const invalid = [["from", from], ["to", to]].filter(([, value]) => value !== undefined && !/^\d{4}-\d{2}-\d{2}$/.test(value));
+  if (invalid.length > 0) {
+    return res.status(400).json({ error: "Invalid filter", message: invalid.map(([name]) => `${name} must be a YYYY-MM-DD date`).join("; ") });
+  }
+  try {
+    res.json(await usageReport(core.usage, { from, to }));
+  } catch (err) {
+    logFailure("❌ Usage report failed", err);
+    sendError(res, err);
+  }
+});
+
+// Admin Endpoints - manage client API keys with Authorization: Bearer <ADMIN_TOKEN>
+// POST /admin/keys { name, scopes?, dailyQuota?, rateLimit?: { perMinute, burst } }
+app.post("/admin/keys", requireAdmin, async (req, res) => {
+  try {
+    const { key, record } = await auth.issueKey(req.body || {});
+    log.info("🔑 API key issued", { name: record.name, keyId: record.id, scopes: record.scopes });
+    // The only time the plain key is ever shown
+    res.status(201).location(`/admin/keys/${record.id}`).json({ ...record, key });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+app.get("/admin/keys", requireAdmin, async (req, res) => {
+  try {
+    res.json({ items: await auth.listKeys() });
+  } catch (err) {
+    logFailure("❌ Key lookup failed", err);
+    sendError(res, err);
+  }
+});
+
+app.get("/admin/keys/:id", requireAdmin, async (req, res) => {
+  try {
+    const key = await auth.getKey(req.params.id);
+    if (!key) {
+      return res.status(404).json({ error: "Key not found", message: `No API key with id ${req.params.id}` });
+    }
+    res.json(key);
+  } catch (err) {
+    logFailure("❌ Key lookup failed", err);
+    sendError(res, err);
+  }
+});
+
+app.delete("/admin/keys/:id", requireAdmin, async (req, res) => {
+  try {
+    const key = await auth.revokeKey(req.params.id);
+    if (!key) {
+      return res.status(404).json({ error: "Key not found", message: `No API key with id ${req.params.id}` });
+    }
+    log.info("🔑 API key revoked", { name: key.name, keyId: key.id });
+    res.json(key);
+  } catch (err) {
+    logFailure("❌ Key revocation failed", err);
+    sendError(res, err);
+  }
+});
+
+// Normalize the batch body into [{ id, name, image } | { id, name, error }]
+function collectBatchItems(req) {
+  if (Buffer.isBuffer(req.body)) return zipItems(req.body);
+
+  const { images = [], archive, archiveEntries } = req.body || {};
+  if (!Array.isArray(images)) throw new Error("images must be an array");
+
+  const items = images.map((entry, index) => {
+    const item = typeof entry === "string" ? { image: entry } : (entry || {});
+    return {
+      id: String(item.id ?? index),
+      name: item.name || `image-${index + 1}`,
+      image: item.image,
+      error: item.image ? undefined : "No image provided"
+    };
+  });
+
+  if (archive) {
+    const zip = Buffer.from(archive.includes(",") ? archive.split(",")[1] : archive, "base64");
+    // archiveEntries lets the client retry just the entries that failed last time
+    const only = Array.isArray(archiveEntries) ? new Set(archiveEntries) : null;
+    items.push(...zipItems(zip).filter(item => !only || only.has(item.name)));
+  }
+
+  return items;
+}
+
+function zipItems(buffer) {
+  return readZipImages(buffer, { maxEntries: BATCH_MAX_ITEMS, maxTotalBytes: BATCH_MAX_ARCHIVE_BYTES }).map(entry => {
+    const item = { id: `zip:${entry.name}`, name: entry.name };
+    if (entry.error) return { ...item, error: entry.error };
+
+    const format = sniffFormat(entry.data);
+    if (format === "unknown") return { ...item, error: "Not a recognised image file" };
+    return { ...item, image: `data:${MEDIA_TYPES[format]};base64,${entry.data.toString("base64")}` };
+  });
 }
 
 // Error handling middleware
 app.use((err, req, res, next) => {
-  console.error("❌ Unhandled Server Error:", err);
+  // Body parser rejections are the client's fault, not ours
+  if (err.type === "entity.parse.failed") {
+    return res.status(400).json({ error: "Invalid JSON", message: err.message });
+  }
+  if (err.type === "entity.too.large") {
+    return res.status(413).json({ error: "Payload too large", message: `Request bodies are limited to ${err.limit} bytes` });
+  }
+
+  log.error("❌ Unhandled server error", { error: err.message, stack: err.stack });
   res.status(500).json({ error: "Internal server error", message: err.message });
 });
 
@@ -425,49 +687,104 @@ app.use((req, res) => {
   res.status(404).json({
     error: "Endpoint not found",
     message: `Cannot ${req.method} ${req.path}`,
-    availableEndpoints: ["GET /", "POST /analyze"]
+    availableEndpoints: ENDPOINTS
   });
 });
 
-// Start Server
+// Start Server - only when run directly; tests import `app` and pick their own port
 const PORT = process.env.PORT || 5000;
-const server = app.listen(PORT, () => {
+
+// The console banner, for LOG_FORMAT=pretty on a terminal
+function printBanner(port) {
   console.log("\n" + "═".repeat(70));
   console.log("🚀 TrueSight Backend Server - Image Authenticity Detector");
   console.log("═".repeat(70));
   console.log(`✅ Server Status:     Running`);
-  console.log(`🌐 Server URL:        http://localhost:${PORT}`);
-  console.log(`📍 Health Check:      http://localhost:${PORT}/`);
-  console.log(`📍 Analyze Endpoint:  POST http://localhost:${PORT}/analyze`);
-  console.log(`🔑 Claude API:        ${CLAUDE_KEY ? '✅ Configured' : '❌ Not Configured'}`);
-  console.log(`🔑 DeepSeek API:      ${DEEPSEEK_KEY ? '✅ Configured' : '❌ Not Configured'}`);
-  console.log(`🤖 AI Analysis:       ${CLAUDE_KEY || DEEPSEEK_KEY ? '✅ Active' : '❌ Mock Mode'}`);
+  console.log(`🌐 Server URL:        http://localhost:${port}`);
+  console.log(`📍 Health Check:      http://localhost:${port}/`);
+  console.log(`📍 Analyze Endpoint:  POST http://localhost:${port}/analyze`);
+  console.log(`📍 Streaming:         POST http://localhost:${port}/analyze/stream`);
+  console.log(`📍 Batch Endpoint:    POST http://localhost:${port}/analyze/batch`);
+  console.log(`📍 Job Status:        GET http://localhost:${port}/jobs/:id`);
+  console.log(`📍 History:           GET http://localhost:${port}/history`);
+  console.log(`📍 Reports:           GET http://localhost:${port}/reports/:id.{pdf,json,md}`);
+  console.log(`📍 Review Queue:      GET http://localhost:${port}/reviews/queue`);
+  console.log(`📍 Usage:             GET http://localhost:${port}/usage`);
+  console.log(`📍 Metrics:           GET http://localhost:${port}/metrics`);
+  console.log(`🧩 Providers:         ${PROVIDERS.length ? PROVIDERS.map(p => p.label).join(', ') : 'None'}`);
+  console.log(`🤖 AI Analysis:       ${PROVIDERS.length ? '✅ Active' : '❌ Forensics Only'}`);
+  console.log(`🔬 Local Forensics:   ✅ Enabled (JPEG, PNG)`);
+  console.log(`🎫 Job Store:         ${process.env.JOB_STORE || "memory"}${interruptedJobs ? ` (${interruptedJobs} interrupted job(s) marked failed)` : ""}`);
+  console.log(`🛟 Resilience:        ${core.resilience.retries} retries · ${core.resilience.breaker.threshold ? `circuit opens after ${core.resilience.breaker.threshold} failures` : "circuit breakers off"}`);
+  console.log(`🗂️  History Store:     ${process.env.HISTORY_STORE || "memory"}`);
+  console.log(`🧑‍⚖️ Human Review:      below ${core.reviewPolicy.threshold}% confidence · ${process.env.REVIEW_STORE || "memory"} audit log`);
+  console.log(`💰 Usage Ledger:      ${process.env.USAGE_STORE || "memory"}${process.env.PRICE_TABLE ? " (custom PRICE_TABLE)" : ""}`);
+  console.log(`♻️  Result Cache:      ${resultCache ? `${process.env.RESULT_CACHE || "memory"} (pHash ≤ ${resultCache.maxDistance} bits)` : "off"}`);
+  console.log(`🔒 API Keys:          ${auth.required ? "✅ Required" : "⚪ Optional (set REQUIRE_API_KEY=true)"} · ${process.env.API_KEY_STORE || "memory"} store`);
+  console.log(`🛂 Admin API:         ${process.env.ADMIN_TOKEN ? "✅ Enabled" : "❌ Disabled (set ADMIN_TOKEN)"}`);
+  console.log(`🔏 Webhooks:          ${WEBHOOK_SECRET ? '✅ Signed with WEBHOOK_SECRET' : '❌ Disabled (set WEBHOOK_SECRET)'}`);
   console.log(`⏰ Started:           ${new Date().toLocaleString()}`);
   console.log("═".repeat(70));
-  
-  if (!CLAUDE_KEY && !DEEPSEEK_KEY) {
+
+  if (PROVIDERS.length === 0) {
     console.log("\n💡 TIP: Add an API key to .env file for real AI analysis:");
     console.log("   CLAUDE_API_KEY=sk-ant-api03-xxxxx");
     console.log("   DEEPSEEK_API_KEY=your-deepseek-key");
-    console.log("\n   Priority: Claude > DeepSeek > Mock");
-  } else if (CLAUDE_KEY && DEEPSEEK_KEY) {
-    console.log("\n✨ Both APIs configured! Using Claude as primary (higher priority)");
-  } else if (CLAUDE_KEY) {
-    console.log("\n🤖 Using Claude API for analysis");
-  } else if (DEEPSEEK_KEY) {
-    console.log("\n🧠 Using DeepSeek API for analysis");
-  }
-  
+    console.log("   OPENAI_BASE_URL=https://api.openai.com/v1 (+ OPENAI_API_KEY, OPENAI_MODEL)");
+    console.log("   LOCAL_MODEL_URL=http://localhost:11434 (Ollama, or LOCAL_MODEL_FLAVOR=llamacpp)");
+    console.log("\n   Priority: Claude > DeepSeek > OpenAI-compatible > Local model > Forensics");
+  } else if (ANALYSIS_MODE === "ensemble") {
+    console.log("\n🗳️  Ensemble mode: every configured provider and local forensics vote on each image");
+  } else {
+    console.log(`\n🤖 Using ${PROVIDERS[0].label} for analysis (highest priority configured)`);
+  }
+
   console.log("\n📖 Ready to analyze images! Waiting for requests...\n");
-});
+}
 
-// Graceful shutdown
-process.on('SIGTERM', () => {
-  console.log('\n⏹️  SIGTERM received. Shutting down gracefully...');
-  server.close(() => { console.log('✅ Server closed'); process.exit(0); });
-});
+export function startServer(port = PORT) {
+  const server = app.listen(port, () => {
+    // Log collectors get the configuration as one entry; the banner is for a terminal
+    if (log.format === "pretty" && process.stdout.isTTY) {
+      printBanner(port);
+    } else {
+      log.info("🚀 TrueSight backend listening", {
+        port: Number(port),
+        providers: PROVIDERS.map(p => p.name),
+        mode: ANALYSIS_MODE,
+        jobStore: process.env.JOB_STORE || "memory",
+        interruptedJobs,
+        retries: core.resilience.retries,
+        circuitBreakerThreshold: core.resilience.breaker.threshold,
+        historyStore: process.env.HISTORY_STORE || "memory",
+        reviewThreshold: core.reviewPolicy.threshold,
+        resultCache: resultCache ? process.env.RESULT_CACHE || "memory" : "off",
+        apiKeysRequired: auth.required,
+        adminApi: !!process.env.ADMIN_TOKEN,
+        webhooks: !!WEBHOOK_SECRET
+      });
+      if (PROVIDERS.length === 0) {
+        log.warn("No provider configured - verdicts come from local forensics alone (set CLAUDE_API_KEY, DEEPSEEK_API_KEY, OPENAI_BASE_URL or LOCAL_MODEL_URL)");
+      }
+    }
+  });
 
-process.on('SIGINT', () => {
-  console.log('\n⏹️  SIGINT received. Shutting down gracefully...');
-  server.close(() => { console.log('✅ Server closed'); process.exit(0); });
-});
+  // Graceful shutdown
+  process.on('SIGTERM', () => {
+    log.info('⏹️  SIGTERM received. Shutting down gracefully...');
+    server.close(() => { log.info('✅ Server closed'); process.exit(0); });
+  });
+
+  process.on('SIGINT', () => {
+    log.info('⏹️  SIGINT received. Shutting down gracefully...');
+    server.close(() => { log.info('✅ Server closed'); process.exit(0); });
+  });
+
+  return server;
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  startServer();
+}
+
+export { app };
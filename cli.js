@@ -0,0 +1,7 @@
+#!/usr/bin/env node
+// cli.js - The truesight command (lib/cli); run `truesight --help` or `npm run cli -- --help`
+import dotenv from "dotenv";
+import { run } from "./lib/cli/index.js";
+
+dotenv.config();
+process.exitCode = await run(process.argv.slice(2));
@@ -0,0 +1,191 @@
+// eval.js - Score the detection pipeline against a labeled dataset
+// Usage: node eval.js [dataset] [--mode ensemble|single] [--profile name] [--cassette file]
+//                     [--record] [--out dir] [--concurrency N] [--weights spec] [--min-accuracy 0..1]
+// By default provider calls are answered from the cassette, so the run needs no API keys
+// or network and gives the same numbers every time. --record calls the providers
+// configured in .env and stores their replies in the cassette for later runs.
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+import fetch from "node-fetch";
+import dotenv from "dotenv";
+import { analyzeForensics } from "./lib/forensics/index.js";
+import { extractProvenance } from "./lib/metadata/index.js";
+import { parseWeights } from "./lib/ensemble.js";
+import { analyzeWithProvider, configuredProviders, getProvider } from "./lib/providers/index.js";
+import { createProfiles, promptFor } from "./lib/profiles/index.js";
+import { mapWithConcurrency } from "./lib/concurrency.js";
+import { parseImageInput } from "./lib/core/index.js";
+import { imageLimits, normalizeImage } from "./lib/normalize.js";
+import { buildResponse, decideVerdict } from "./lib/pipeline.js";
+import { createCassette, loadCassette, recordingFetch, replayFetch, saveCassette } from "./lib/replay.js";
+import { loadDataset } from "./lib/eval/dataset.js";
+import { computeMetrics } from "./lib/eval/metrics.js";
+import { renderHtml } from "./lib/eval/report.js";
+
+dotenv.config();
+
+// Settings that shape provider requests; kept in the cassette so a replay rebuilds the
+// exact same requests. API keys stay out of it.
+const REPLAY_CONFIG_KEYS = [
+  "CLAUDE_MODEL", "DEEPSEEK_MODEL", "OPENAI_BASE_URL", "OPENAI_MODEL",
+  "LOCAL_MODEL_URL", "LOCAL_MODEL_FLAVOR", "LOCAL_MODEL_NAME",
+  "PROVIDER_MAX_SIDE", "PROVIDER_MAX_BYTES"
+];
+
+function parseArgs(argv) {
+  const options = {
+    dataset: "eval/dataset",
+    mode: process.env.ANALYSIS_MODE || "ensemble",
+    profile: undefined,
+    cassette: "eval/cassette.json",
+    record: false,
+    out: "eval-results",
+    concurrency: 2,
+    weights: process.env.ENSEMBLE_WEIGHTS,
+    minAccuracy: null
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const value = () => {
+      if (i + 1 >= argv.length) throw new Error(`${arg} needs a value`);
+      return argv[++i];
+    };
+
+    if (arg === "--record") options.record = true;
+    else if (arg === "--mode") options.mode = value();
+    else if (arg === "--profile") options.profile = value();
+    else if (arg === "--cassette") options.cassette = value();
+    else if (arg === "--out") options.out = value();
+    else if (arg === "--concurrency") options.concurrency = Math.max(1, Number(value()) || 1);
+    else if (arg === "--weights") options.weights = value();
+    else if (arg === "--min-accuracy") options.minAccuracy = Number(value());
+    else if (arg.startsWith("--")) throw new Error(`Unknown option ${arg}`);
+    else options.dataset = arg;
+  }
+
+  if (!["ensemble", "single"].includes(options.mode)) throw new Error(`Unknown mode "${options.mode}"`);
+  return options;
+}
+
+function promptHash(text) {
+  return crypto.createHash("sha256").update(text).digest("hex").slice(0, 12);
+}
+
+// Providers, env and fetch for this run: live with recording, or straight from the cassette
+async function setup(options) {
+  if (options.record) {
+    const providers = configuredProviders(process.env);
+    const config = Object.fromEntries(REPLAY_CONFIG_KEYS.filter(k => process.env[k]).map(k => [k, process.env[k]]));
+    const cassette = createCassette({ providers: providers.map(p => p.name), config });
+    return { providers, env: process.env, fetch: recordingFetch(fetch, cassette), cassette };
+  }
+
+  const cassette = await loadCassette(options.cassette);
+  const providers = (cassette.meta.providers || []).map(name => {
+    const provider = getProvider(name);
+    if (!provider) throw new Error(`Cassette names unknown provider "${name}"`);
+    return provider;
+  });
+  return { providers, env: { ...process.env, ...cassette.meta.config }, fetch: replayFetch(cassette), cassette };
+}
+
+async function evaluateSample(sample, { mode, profile, providers, env, fetch: fetchImpl, weights }) {
+  const limits = imageLimits(env);
+  const { buffer, format } = parseImageInput((await fs.readFile(sample.file)).toString("base64"), limits);
+  const input = await normalizeImage(buffer, format, limits);
+  const { base64Data, mediaType } = input.provider;
+
+  const provenance = extractProvenance(buffer);
+  const forensics = analyzeForensics(input.pixels);
+
+  const runners = providers.map(provider => ({
+    name: provider.name,
+    label: provider.label,
+    run: () => analyzeWithProvider(provider, { base64Data, mediaType }, { env, fetch: fetchImpl, prompt: promptFor(profile, provider.name) })
+  }));
+
+  const result = await decideVerdict({ mode, providers: runners, forensics, weights, profile });
+  if (!result) throw new Error("No provider or forensics verdict available");
+  // Any provider failure fails the sample: a partial ensemble or a fallback provider would
+  // score a different system than the one configured
+  if (result.providerErrors) throw new Error(result.providerErrors.map(f => `${f.provider}: ${f.error}`).join("; "));
+
+  return buildResponse(result, { forensics, provenance, profile });
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const samples = await loadDataset(options.dataset);
+  const run = await setup(options);
+  const weights = parseWeights(options.weights);
+  const profiles = createProfiles(process.env);
+  const profile = profiles.get(options.profile);
+  if (!profile) throw new Error(`Unknown profile "${options.profile}" (expected ${profiles.list().map(p => p.name).join(", ")})`);
+
+  console.log(`🧪 Evaluating ${samples.length} images from ${options.dataset}`);
+  console.log(`   Mode: ${options.mode} · profile: ${profile.name} v${profile.version} · providers: ${run.providers.map(p => p.name).join(", ") || "none (forensics only)"}`);
+  console.log(`   Source: ${options.record ? "live (recording)" : `replay from ${options.cassette}`}`);
+
+  const scored = new Array(samples.length);
+  let done = 0;
+  await mapWithConcurrency(samples, options.concurrency, sample => evaluateSample(sample, { ...run, mode: options.mode, profile, weights }), {
+    onSettled: (index, outcome) => {
+      const sample = samples[index];
+      const file = path.relative(options.dataset, sample.file);
+      scored[index] = outcome.status === "fulfilled"
+        ? {
+            file,
+            label: sample.label,
+            category: sample.category,
+            predicted: outcome.value.verdict,
+            confidence: outcome.value.confidence,
+            analysisMethod: outcome.value.analysisMethod
+          }
+        : { file, label: sample.label, category: sample.category, error: outcome.reason.message };
+      done++;
+      const mark = outcome.status === "rejected" ? "❌" : scored[index].predicted === sample.label ? "✅" : "⚠️ ";
+      console.log(`   ${mark} [${done}/${samples.length}] ${file} → ${scored[index].predicted || scored[index].error}`);
+    }
+  });
+
+  if (options.record) {
+    await saveCassette(options.cassette, run.cassette);
+    console.log(`\n📼 Recorded ${Object.keys(run.cassette.entries).length} responses to ${options.cassette}`);
+  }
+
+  const report = {
+    generatedAt: new Date().toISOString(),
+    dataset: options.dataset,
+    mode: options.mode,
+    source: options.record ? "live" : "replay",
+    providers: run.providers.map(p => p.name),
+    profile: { name: profile.name, version: profile.version },
+    prompts: Object.fromEntries(run.providers.map(p => [p.name, promptHash(promptFor(profile, p.name))])),
+    weights,
+    metrics: computeMetrics(scored),
+    samples: scored
+  };
+
+  await fs.mkdir(options.out, { recursive: true });
+  await fs.writeFile(path.join(options.out, "report.json"), JSON.stringify(report, null, 2) + "\n");
+  await fs.writeFile(path.join(options.out, "report.html"), renderHtml(report));
+
+  const { overall, errors } = report.metrics;
+  const pct = value => value === null ? "–" : `${(value * 100).toFixed(1)}%`;
+  console.log("\n📊 Results");
+  console.log(`   Accuracy: ${pct(overall.accuracy)} · precision: ${pct(overall.precision)} · recall: ${pct(overall.recall)} · FPR: ${pct(overall.falsePositiveRate)}`);
+  console.log(`   Inconclusive: ${pct(overall.abstentionRate)} · errors: ${errors} · ECE: ${pct(report.metrics.calibration.expectedCalibrationError)}`);
+  console.log(`   Report: ${path.join(options.out, "report.html")}`);
+
+  if (options.minAccuracy !== null && !((overall.accuracy ?? 0) >= options.minAccuracy)) {
+    console.error(`\n❌ Accuracy ${pct(overall.accuracy)} is below the required ${pct(options.minAccuracy)}`);
+    process.exitCode = 1;
+  }
+}
+
+main().catch(err => {
+  console.error(`❌ ${err.message}`);
+  process.exitCode = 1;
+});
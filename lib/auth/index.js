@@ -0,0 +1,247 @@
+// lib/auth/index.js - Client API keys, scopes, daily quotas, rate limits and CORS origins
+// Keys are sent as `X-API-Key: <key>` or `Authorization: Bearer <key>`. With
+// REQUIRE_API_KEY=true every analysis and history request needs one; otherwise anonymous
+// callers are let through with ANONYMOUS_SCOPES (default analyze, comma-separated),
+// rate limited per IP address. The admin API is enabled by
+// setting ADMIN_TOKEN and is called with `Authorization: Bearer <ADMIN_TOKEN>`.
+import crypto from "crypto";
+import { AnalysisError } from "../core/errors.js";
+import { createKeyStore } from "./stores.js";
+import { TokenBucketLimiter } from "./rate-limit.js";
+
+// analyze: POST /analyze, /analyze/batch and job status. history: browse and delete history.
+// usage: read the token and cost ledger. review: sign off on or override verdicts and
+// export the labels.
+export const SCOPES = ["analyze", "history", "usage", "review"];
+
+const KEY_PREFIX = "tsk_";
+
+// Request headers browsers may send and response headers scripts may read, cross-origin
+export const CORS_ALLOWED_HEADERS = ["Content-Type", "Authorization", "X-API-Key", "Prefer", "X-Request-Id"];
+export const CORS_EXPOSED_HEADERS = ["Retry-After", "X-RateLimit-Remaining", "X-Quota-Remaining", "Location", "X-Request-Id"];
+
+// Refused requests: 401 no or unknown key, 403 wrong scope or origin, 429 limits
+export class AuthError extends AnalysisError {
+  constructor(status, error, message, headers = {}) {
+    super(status, error, message);
+    this.name = "AuthError";
+    this.headers = headers;
+  }
+}
+
+export function hashKey(key) {
+  return crypto.createHash("sha256").update(key).digest("hex");
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+function bearer(headers) {
+  const match = /^Bearer\s+(.+)$/i.exec(headers.authorization || "");
+  return match ? match[1].trim() : null;
+}
+
+function utcDay(time) {
+  return new Date(time).toISOString().slice(0, 10);
+}
+
+function secondsUntilUtcMidnight(time) {
+  const midnight = new Date(time);
+  midnight.setUTCHours(24, 0, 0, 0);
+  return Math.ceil((midnight - time) / 1000);
+}
+
+function positiveNumber(value, fallback) {
+  const n = Number(value);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+// ANONYMOUS_SCOPES=analyze,history; unset means analyze only
+export function parseAnonymousScopes(spec) {
+  const scopes = String(spec || "analyze").split(",").map(s => s.trim()).filter(Boolean);
+  const unknown = scopes.filter(s => !SCOPES.includes(s));
+  if (unknown.length > 0) throw new Error(`Unknown ANONYMOUS_SCOPES ${unknown.join(", ")} (expected ${SCOPES.join(", ")})`);
+  return scopes;
+}
+
+// CORS_ORIGINS=https://app.example.com,https://admin.example.com; unset or "*" allows any
+export function parseOrigins(spec) {
+  const origins = String(spec || "*").split(",").map(o => o.trim().replace(/\/$/, "")).filter(Boolean);
+  return origins.includes("*") ? null : origins;
+}
+
+export async function createAuth({ env = process.env, store, now = () => Date.now() } = {}) {
+  const keys = store || await createKeyStore(env);
+  const limiter = new TokenBucketLimiter({ now });
+  const required = env.REQUIRE_API_KEY === "true";
+  const anonymousScopes = parseAnonymousScopes(env.ANONYMOUS_SCOPES);
+  const adminToken = env.ADMIN_TOKEN || null;
+  const allowedOrigins = parseOrigins(env.CORS_ORIGINS);
+  const defaults = {
+    dailyQuota: positiveNumber(env.DEFAULT_DAILY_QUOTA, 500),
+    rateLimit: {
+      perMinute: positiveNumber(env.RATE_LIMIT_PER_MINUTE, 30),
+      burst: positiveNumber(env.RATE_LIMIT_BURST, 10)
+    }
+  };
+
+  function originAllowed(origin) {
+    return !origin || !allowedOrigins || allowedOrigins.includes(origin.replace(/\/$/, ""));
+  }
+
+  // For adapters that set CORS headers by hand; Express hands the same policy to cors()
+  function corsHeaders(origin) {
+    const headers = {
+      "Access-Control-Allow-Methods": "GET,OPTIONS,POST",
+      "Access-Control-Allow-Headers": CORS_ALLOWED_HEADERS.join(", "),
+      "Access-Control-Expose-Headers": CORS_EXPOSED_HEADERS.join(", ")
+    };
+    if (!allowedOrigins) return { ...headers, "Access-Control-Allow-Origin": "*" };
+    if (origin && originAllowed(origin)) return { ...headers, "Access-Control-Allow-Origin": origin, Vary: "Origin" };
+    return { ...headers, Vary: "Origin" };
+  }
+
+  // Key, scope, origin and rate limit checks for one request. `headers` are lower-cased
+  // request headers; `ip` identifies anonymous callers. Resolves to the client, with the
+  // tokens left in its bucket as `rateLimitRemaining`.
+  async function authenticate({ headers = {}, ip }, scope) {
+    if (!originAllowed(headers.origin)) {
+      throw new AuthError(403, "Origin not allowed", `Requests from ${headers.origin} are not allowed`);
+    }
+
+    const presented = headers["x-api-key"] || bearer(headers);
+    let client;
+
+    if (presented) {
+      const key = await keys.findByHash(hashKey(presented));
+      if (!key || key.revokedAt) {
+        throw new AuthError(401, "Invalid API key", "The API key is unknown or has been revoked", { "WWW-Authenticate": "Bearer" });
+      }
+      if (!key.scopes.includes(scope)) {
+        throw new AuthError(403, "Insufficient scope", `This API key does not have the "${scope}" scope`);
+      }
+      client = { id: key.id, name: key.name, anonymous: false, dailyQuota: key.dailyQuota, rateLimit: key.rateLimit };
+    } else if (required) {
+      throw new AuthError(401, "API key required", "Send an API key in the X-API-Key header", { "WWW-Authenticate": "Bearer" });
+    } else if (!anonymousScopes.includes(scope)) {
+      throw new AuthError(403, "Insufficient scope", `Anonymous requests do not have the "${scope}" scope - send an API key`, { "WWW-Authenticate": "Bearer" });
+    } else {
+      client = { id: `ip:${ip || "unknown"}`, name: "anonymous", anonymous: true, dailyQuota: null, rateLimit: defaults.rateLimit };
+    }
+
+    const bucket = limiter.take(client.id, client.rateLimit);
+    if (!bucket.allowed) {
+      throw new AuthError(429, "Rate limit exceeded", `Too many requests - retry in ${bucket.retryAfter}s`, {
+        "Retry-After": String(bucket.retryAfter)
+      });
+    }
+    return { ...client, rateLimitRemaining: bucket.remaining };
+  }
+
+  // Count `units` images against the client's daily quota, or refuse them all. The units
+  // are added first and taken back when they do not fit, so concurrent requests from one
+  // key cannot all pass the check before any of them is counted.
+  async function consume(client, units = 1) {
+    if (client.anonymous || !client.dailyQuota) return { remaining: null };
+
+    const time = now();
+    const day = utcDay(time);
+    const total = await keys.addUsage(client.id, day, units);
+    if (total > client.dailyQuota) {
+      await keys.addUsage(client.id, day, -units);
+      const retryAfter = secondsUntilUtcMidnight(time);
+      throw new AuthError(429, "Daily quota exceeded",
+        `${total - units} of ${client.dailyQuota} images used today${units > 1 ? `, ${units} requested` : ""} - the quota resets at 00:00 UTC`,
+        { "Retry-After": String(retryAfter) });
+    }
+    return { remaining: client.dailyQuota - total };
+  }
+
+  // Remaining allowance after a request, for the X-RateLimit-Remaining and X-Quota-Remaining headers
+  function limitHeaders(client, quota = {}) {
+    return {
+      "X-RateLimit-Remaining": String(client.rateLimitRemaining),
+      ...(quota.remaining != null && { "X-Quota-Remaining": String(quota.remaining) })
+    };
+  }
+
+  // Admin routes: 403 while ADMIN_TOKEN is unset, 401 for anything but that token
+  function authorizeAdmin(headers = {}) {
+    if (!adminToken) {
+      throw new AuthError(403, "Admin API disabled", "Set ADMIN_TOKEN on the server to manage API keys");
+    }
+    const token = bearer(headers);
+    if (!token || !safeEqual(token, adminToken)) {
+      throw new AuthError(401, "Invalid admin token", "Send the admin token as Authorization: Bearer <ADMIN_TOKEN>", { "WWW-Authenticate": "Bearer" });
+    }
+  }
+
+  // The plain key is returned once and never stored
+  async function issueKey({ name, scopes = SCOPES, dailyQuota = defaults.dailyQuota, rateLimit = {} } = {}) {
+    if (!name || typeof name !== "string") throw new AuthError(400, "Invalid key", "name is required");
+    if (!Array.isArray(scopes) || scopes.length === 0 || !scopes.every(s => SCOPES.includes(s))) {
+      throw new AuthError(400, "Invalid key", `scopes must be a non-empty list of ${SCOPES.join(", ")}`);
+    }
+    if (dailyQuota !== null && !(Number.isInteger(dailyQuota) && dailyQuota > 0)) {
+      throw new AuthError(400, "Invalid key", "dailyQuota must be a positive integer or null for unlimited");
+    }
+
+    const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString("base64url")}`;
+    const record = await keys.create({
+      id: crypto.randomUUID(),
+      name: name.slice(0, 100),
+      hash: hashKey(key),
+      prefix: key.slice(0, KEY_PREFIX.length + 6),
+      scopes: [...new Set(scopes)],
+      dailyQuota,
+      rateLimit: {
+        perMinute: positiveNumber(rateLimit?.perMinute, defaults.rateLimit.perMinute),
+        burst: positiveNumber(rateLimit?.burst, defaults.rateLimit.burst)
+      },
+      createdAt: new Date(now()).toISOString(),
+      revokedAt: null
+    });
+    return { key, record: publicKey(record) };
+  }
+
+  async function revokeKey(id) {
+    const key = await keys.get(id);
+    if (!key) return null;
+    if (key.revokedAt) return publicKey(key);
+    return publicKey(await keys.update(id, { revokedAt: new Date(now()).toISOString() }));
+  }
+
+  // Key records with today's count and the per-day history
+  async function describeKey(key) {
+    const usage = await keys.usage(key.id);
+    return { ...publicKey(key), usage: { today: usage[utcDay(now())] || 0, days: usage } };
+  }
+
+  async function listKeys() {
+    return Promise.all((await keys.list()).map(describeKey));
+  }
+
+  async function getKey(id) {
+    const key = await keys.get(id);
+    return key ? describeKey(key) : null;
+  }
+
+  function capabilities() {
+    return {
+      required,
+      scopes: SCOPES,
+      anonymousScopes: required ? [] : anonymousScopes,
+      corsOrigins: allowedOrigins || "*",
+      admin: !!adminToken
+    };
+  }
+
+  return { required, originAllowed, corsHeaders, authenticate, consume, limitHeaders, authorizeAdmin, issueKey, revokeKey, listKeys, getKey, capabilities };
+}
+
+function publicKey({ hash, ...key }) {
+  return key;
+}
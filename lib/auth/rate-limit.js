@@ -0,0 +1,40 @@
+// lib/auth/rate-limit.js - Token buckets per client, kept in process memory
+// A bucket holds up to `burst` tokens and refills at `perMinute` tokens a minute; each
+// request takes one. Buckets are short-lived state, so they are not persisted: a restart
+// simply hands every client a full bucket.
+
+// Past this many buckets, idle ones are dropped (an idle bucket is full anyway)
+const MAX_BUCKETS = 10000;
+const IDLE_MS = 10 * 60 * 1000;
+
+export class TokenBucketLimiter {
+  constructor({ now = () => Date.now() } = {}) {
+    this.buckets = new Map();
+    this.now = now;
+  }
+
+  // Returns { allowed, remaining, retryAfter } where retryAfter is in seconds
+  take(id, { perMinute, burst }) {
+    const now = this.now();
+    if (this.buckets.size > MAX_BUCKETS) this.prune(now);
+
+    const rate = perMinute / 60000;
+    const bucket = this.buckets.get(id) || { tokens: burst, updatedAt: now };
+
+    bucket.tokens = Math.min(burst, bucket.tokens + (now - bucket.updatedAt) * rate);
+    bucket.updatedAt = now;
+    this.buckets.set(id, bucket);
+
+    if (bucket.tokens >= 1) {
+      bucket.tokens -= 1;
+      return { allowed: true, remaining: Math.floor(bucket.tokens), retryAfter: 0 };
+    }
+    return { allowed: false, remaining: 0, retryAfter: Math.ceil((1 - bucket.tokens) / rate / 1000) };
+  }
+
+  prune(now) {
+    for (const [id, bucket] of this.buckets) {
+      if (now - bucket.updatedAt > IDLE_MS) this.buckets.delete(id);
+    }
+  }
+}
@@ -0,0 +1,108 @@
+// lib/auth/stores.js - Pluggable API key stores
+// Every store implements: create(key), get(id), findByHash(hash), list(), update(id, patch),
+// addUsage(id, day, count) -> that day's new total (count may be negative to take units
+// back; the read and the write must happen as one step), usage(id) -> { "YYYY-MM-DD": count }.
+// Only the SHA-256 of a key is stored; the key itself is shown once, when it is issued.
+import fs from "fs/promises";
+import { createFileWriter } from "../file-writer.js";
+
+export class MemoryKeyStore {
+  constructor() {
+    this.keys = new Map();
+    this.usageByKey = new Map();
+  }
+
+  async create(key) {
+    this.keys.set(key.id, { ...key });
+    return { ...key };
+  }
+
+  async get(id) {
+    const key = this.keys.get(id);
+    return key ? { ...key } : null;
+  }
+
+  async findByHash(hash) {
+    for (const key of this.keys.values()) {
+      if (key.hash === hash) return { ...key };
+    }
+    return null;
+  }
+
+  async list() {
+    return [...this.keys.values()].map(k => ({ ...k }));
+  }
+
+  async update(id, patch) {
+    const key = this.keys.get(id);
+    if (!key) return null;
+    Object.assign(key, patch);
+    return { ...key };
+  }
+
+  async addUsage(id, day, count) {
+    const days = this.usageByKey.get(id) || {};
+    days[day] = (days[day] || 0) + count;
+    this.usageByKey.set(id, days);
+    return days[day];
+  }
+
+  async usage(id) {
+    return { ...this.usageByKey.get(id) };
+  }
+}
+
+// Keys and usage in one JSON file. Writes are serialized and atomic (temp file + rename).
+export class FileKeyStore extends MemoryKeyStore {
+  constructor(filePath) {
+    super();
+    this.filePath = filePath;
+    this.writer = createFileWriter(filePath);
+  }
+
+  async load() {
+    try {
+      const data = JSON.parse(await fs.readFile(this.filePath, "utf8"));
+      for (const key of data.keys || []) this.keys.set(key.id, key);
+      for (const [id, days] of Object.entries(data.usage || {})) this.usageByKey.set(id, days);
+    } catch (err) {
+      if (err.code !== "ENOENT") throw err;
+    }
+    return this;
+  }
+
+  persist() {
+    return this.writer.writeJson({
+      keys: [...this.keys.values()],
+      usage: Object.fromEntries(this.usageByKey)
+    });
+  }
+
+  async create(key) {
+    const created = await super.create(key);
+    await this.persist();
+    return created;
+  }
+
+  async update(id, patch) {
+    const updated = await super.update(id, patch);
+    if (updated) await this.persist();
+    return updated;
+  }
+
+  async addUsage(id, day, count) {
+    const total = await super.addUsage(id, day, count);
+    await this.persist();
+    return total;
+  }
+}
+
+// API_KEY_STORE=memory (default) | file, API_KEY_STORE_PATH=<file>
+export async function createKeyStore(env = process.env) {
+  const kind = env.API_KEY_STORE || "memory";
+
+  if (kind === "memory") return new MemoryKeyStore();
+  if (kind === "file") return new FileKeyStore(env.API_KEY_STORE_PATH || "data/api-keys.json").load();
+
+  throw new Error(`Unknown API_KEY_STORE "${kind}" (expected memory or file)`);
+}
@@ -0,0 +1,99 @@
+// lib/cache/hashes.js - Exact and perceptual image fingerprints
+// SHA-256 catches byte-identical uploads; pHash and dHash (64 bits each, hex encoded)
+// survive re-encoding, resizing and light edits, so re-shared copies of a viral image
+// land within a few bits of each other.
+import crypto from "crypto";
+import { decodeImage, resize, toLuma } from "../image.js";
+
+const DCT_SIZE = 32;
+const HASH_SIZE = 8;
+
+export function sha256(buffer) {
+  return crypto.createHash("sha256").update(buffer).digest("hex");
+}
+
+function bitsToHex(bits) {
+  let hex = "";
+  for (let i = 0; i < bits.length; i += 4) {
+    hex += ((bits[i] << 3) | (bits[i + 1] << 2) | (bits[i + 2] << 1) | bits[i + 3]).toString(16);
+  }
+  return hex;
+}
+
+// Difference hash: is each pixel brighter than its right-hand neighbour on a 9x8 grid
+export function dHash(image) {
+  const luma = toLuma(resize(image, HASH_SIZE + 1, HASH_SIZE));
+  const bits = [];
+  for (let y = 0; y < HASH_SIZE; y++) {
+    for (let x = 0; x < HASH_SIZE; x++) {
+      const i = y * (HASH_SIZE + 1) + x;
+      bits.push(luma[i] > luma[i + 1] ? 1 : 0);
+    }
+  }
+  return bitsToHex(bits);
+}
+
+// Perceptual hash: low-frequency 8x8 block of a 32x32 DCT compared against its median
+export function pHash(image) {
+  const luma = toLuma(resize(image, DCT_SIZE, DCT_SIZE));
+  const n = DCT_SIZE;
+
+  const cos = new Float64Array(HASH_SIZE * n);
+  for (let u = 0; u < HASH_SIZE; u++) {
+    for (let x = 0; x < n; x++) cos[u * n + x] = Math.cos((2 * x + 1) * u * Math.PI / (2 * n));
+  }
+
+  // Separable DCT-II, only the coefficients we keep
+  const rows = new Float64Array(n * HASH_SIZE);
+  for (let y = 0; y < n; y++) {
+    for (let u = 0; u < HASH_SIZE; u++) {
+      let sum = 0;
+      for (let x = 0; x < n; x++) sum += luma[y * n + x] * cos[u * n + x];
+      rows[y * HASH_SIZE + u] = sum;
+    }
+  }
+
+  const coefficients = [];
+  for (let v = 0; v < HASH_SIZE; v++) {
+    for (let u = 0; u < HASH_SIZE; u++) {
+      let sum = 0;
+      for (let y = 0; y < n; y++) sum += rows[y * HASH_SIZE + u] * cos[v * n + y];
+      coefficients.push(sum);
+    }
+  }
+
+  // The DC term only tracks overall brightness, so it stays out of the median: 63 AC
+  // coefficients, whose middle one is sorted[31]
+  const sorted = coefficients.slice(1).sort((a, b) => a - b);
+  const median = sorted[31];
+  return bitsToHex(coefficients.map(c => (c > median ? 1 : 0)));
+}
+
+export function hammingDistance(a, b) {
+  let distance = 0;
+  for (let i = 0; i < a.length; i++) {
+    let x = parseInt(a[i], 16) ^ parseInt(b[i], 16);
+    while (x) {
+      distance += x & 1;
+      x >>= 1;
+    }
+  }
+  return distance;
+}
+
+// SHA-256 is of the upload itself; the perceptual hashes are of `pixels`, a copy decodeImage()
+// can read (lib/normalize converts HEIC, AVIF, TIFF, GIF and WebP, and clips give their first
+// frame). They are null when nothing decodable is at hand.
+export function fingerprintImage(buffer, pixels = buffer) {
+  const fingerprint = { sha256: sha256(buffer), phash: null, dhash: null };
+  try {
+    const image = decodeImage(pixels);
+    if (image) {
+      fingerprint.phash = pHash(image);
+      fingerprint.dhash = dHash(image);
+    }
+  } catch {
+    // Undecodable bytes still get an exact-match key
+  }
+  return fingerprint;
+}
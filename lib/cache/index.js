@@ -0,0 +1,131 @@
+// lib/cache/index.js - Verdict cache keyed by exact and perceptual image hashes
+// Re-uploads of the same picture reuse the earlier model verdict instead of paying for a
+// new (and, with sampling temperature, possibly different) answer.
+// Caches implement: lookup(fingerprint, { mode }), add(entry), clear(), size
+import fs from "fs/promises";
+import { createFileWriter } from "../file-writer.js";
+import { hammingDistance } from "./hashes.js";
+
+export { fingerprintImage, hammingDistance, pHash, dHash, sha256 } from "./hashes.js";
+
+export const DEFAULT_MAX_DISTANCE = 6;
+const DEFAULT_MAX_ENTRIES = 1000;
+
+// Only model-backed verdicts are worth reusing; forensics are free to recompute and a
+// result without a verdict has nothing to reuse
+export function isCacheable(result) {
+  if (result.analysisMethod === "none") return false;
+  if (result.analysisMethod === "forensics") return false;
+  // A degraded answer (some provider failed) should be retried, not remembered
+  if (result.providerErrors) return false;
+  if (result.verdict === "inconclusive") return false;
+  if (result.ensemble) return result.ensemble.votes.some(v => !v.error && v.provider !== "forensics" && v.verdict !== "inconclusive");
+  if (result.frames) return result.frames.sampled.some(f => f.analysisMethod && f.analysisMethod !== "forensics");
+  return true;
+}
+
+// The verdict part of a response; local evidence is recomputed for every upload
+export function cachedVerdict(result) {
+  const { forensics, provenance, annotations, analysisId, cacheHit, matchedId, hammingDistance, cacheMatch, fingerprint, meta, input, review, ...verdict } = result;
+  return verdict;
+}
+
+export class MemoryResultCache {
+  constructor({ maxEntries = DEFAULT_MAX_ENTRIES, maxDistance = DEFAULT_MAX_DISTANCE } = {}) {
+    this.entries = new Map();
+    this.maxEntries = maxEntries;
+    this.maxDistance = maxDistance;
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  // Exact SHA-256 match first, then the closest pHash within maxDistance bits. dHash must
+  // roughly agree too, which keeps unrelated images with similar low frequencies apart.
+  async lookup({ sha256, phash, dhash }, { mode } = {}) {
+    let best = null;
+
+    for (const entry of this.entries.values()) {
+      if (entry.mode !== mode) continue;
+      if (entry.sha256 === sha256) return { entry, distance: 0, match: "exact" };
+      if (!phash || !entry.phash) continue;
+
+      const distance = hammingDistance(phash, entry.phash);
+      if (distance > this.maxDistance || hammingDistance(dhash, entry.dhash) > this.maxDistance * 2) continue;
+      if (!best || distance < best.distance) best = { entry, distance, match: "perceptual" };
+    }
+
+    return best;
+  }
+
+  async add(entry) {
+    // A forced re-run supersedes the earlier verdict for the same bytes
+    for (const [id, existing] of this.entries) {
+      if (existing.sha256 === entry.sha256 && existing.mode === entry.mode) this.entries.delete(id);
+    }
+    this.entries.set(entry.id, entry);
+    // Oldest entries go first
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+    return entry;
+  }
+
+  async clear() {
+    const count = this.entries.size;
+    this.entries.clear();
+    return count;
+  }
+}
+
+// Whole cache in one JSON file, rewritten atomically after each change
+export class FileResultCache extends MemoryResultCache {
+  constructor(filePath, options) {
+    super(options);
+    this.filePath = filePath;
+    this.writer = createFileWriter(filePath);
+  }
+
+  async load() {
+    try {
+      const data = JSON.parse(await fs.readFile(this.filePath, "utf8"));
+      for (const entry of data.entries || []) this.entries.set(entry.id, entry);
+    } catch (err) {
+      if (err.code !== "ENOENT") throw err;
+    }
+    return this;
+  }
+
+  persist() {
+    return this.writer.writeJson({ entries: [...this.entries.values()] });
+  }
+
+  async add(entry) {
+    await super.add(entry);
+    await this.persist();
+    return entry;
+  }
+
+  async clear() {
+    const count = await super.clear();
+    await this.persist();
+    return count;
+  }
+}
+
+// RESULT_CACHE=memory (default) | file | off, RESULT_CACHE_PATH=<file>,
+// RESULT_CACHE_MAX_DISTANCE=<pHash bits>, RESULT_CACHE_MAX_ENTRIES=<count>
+export async function createResultCache(env = process.env) {
+  const kind = env.RESULT_CACHE || "memory";
+  const options = {
+    maxDistance: env.RESULT_CACHE_MAX_DISTANCE !== undefined ? Number(env.RESULT_CACHE_MAX_DISTANCE) : DEFAULT_MAX_DISTANCE,
+    maxEntries: Number(env.RESULT_CACHE_MAX_ENTRIES) || DEFAULT_MAX_ENTRIES
+  };
+
+  if (kind === "off") return null;
+  if (kind === "memory") return new MemoryResultCache(options);
+  if (kind === "file") return new FileResultCache(env.RESULT_CACHE_PATH || "data/cache.json", options).load();
+
+  throw new Error(`Unknown RESULT_CACHE "${kind}" (expected memory, file or off)`);
+}
@@ -0,0 +1,299 @@
+// lib/cli/index.js - The truesight command: analyze files, directories, globs and URLs from a shell
+// Each input is sent to a running server (--server, or TRUESIGHT_URL) or analyzed in-process
+// by the same core the servers use, with the keys and settings in .env. Results are printed
+// as a table, one JSON document or NDJSON lines, and the exit code can gate a pipeline:
+//   0  every input analyzed and none over --fail-above
+//   1  an input was judged ai-generated with confidence above --fail-above
+//   2  the command line was wrong or an input could not be analyzed
+// TRUESIGHT_URL=<server base URL>, TRUESIGHT_API_KEY=<key sent as X-API-Key>
+import fs from "fs/promises";
+import path from "path";
+import { createCore, errorResponse, AnalysisError } from "../core/index.js";
+import { createLogger } from "../logging/index.js";
+import { mapWithConcurrency } from "../concurrency.js";
+
+export const USAGE = `Usage: truesight [options] <file | directory | glob | url>...
+
+Options:
+  --server URL         Analyze on a running TrueSight server (default: in-process, or TRUESIGHT_URL)
+  --api-key KEY        API key for --server (default: TRUESIGHT_API_KEY)
+  --format FORMAT      table (default) | json | ndjson
+  --fail-above N       Exit 1 when an image is ai-generated with confidence above N (0-100)
+  --profile NAME       Prompt profile, e.g. strict
+  --providers a,b      Only ask these configured providers, in priority order
+  --offline            Forensics only, in-process, without any network access
+  --mode MODE          ensemble | single
+  --concurrency N      Inputs analyzed at once (default: 2)
+  --force              Skip the result cache
+  --verbose            Log the analysis to stderr
+  --help               Show this help
+
+Exit codes: 0 pass, 1 an image is over --fail-above, 2 usage error or failed analysis`;
+
+// Stills and clips /analyze takes, by extension; directories and globs only pick these up
+const MEDIA_EXTENSIONS = [
+  ".jpg", ".jpeg", ".jpe", ".png", ".gif", ".webp", ".bmp", ".tif", ".tiff",
+  ".heic", ".heif", ".avif", ".mp4", ".m4v", ".mov", ".webm"
+];
+const FORMATS = ["table", "json", "ndjson"];
+
+export class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "UsageError";
+  }
+}
+
+export function parseArgs(argv, env = process.env) {
+  const options = {
+    inputs: [],
+    server: env.TRUESIGHT_URL || null,
+    apiKey: env.TRUESIGHT_API_KEY || null,
+    format: "table",
+    failAbove: null,
+    profile: undefined,
+    providers: undefined,
+    offline: false,
+    mode: undefined,
+    concurrency: 2,
+    force: false,
+    verbose: false,
+    help: false
+  };
+  let explicitServer = false;
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const value = () => {
+      if (i + 1 >= argv.length) throw new UsageError(`${arg} needs a value`);
+      return argv[++i];
+    };
+
+    if (arg === "--help" || arg === "-h") options.help = true;
+    else if (arg === "--server") {
+      options.server = value();
+      explicitServer = true;
+    } else if (arg === "--api-key") options.apiKey = value();
+    else if (arg === "--format") options.format = value();
+    else if (arg === "--fail-above") options.failAbove = Number(value());
+    else if (arg === "--profile") options.profile = value();
+    else if (arg === "--providers") options.providers = value().split(",").map(name => name.trim()).filter(Boolean);
+    else if (arg === "--offline") options.offline = true;
+    else if (arg === "--mode") options.mode = value();
+    else if (arg === "--concurrency") options.concurrency = Math.max(1, Number(value()) || 1);
+    else if (arg === "--force") options.force = true;
+    else if (arg === "--verbose") options.verbose = true;
+    else if (arg.startsWith("--")) throw new UsageError(`Unknown option ${arg}`);
+    else options.inputs.push(arg);
+  }
+
+  if (options.help) return options;
+  if (!FORMATS.includes(options.format)) throw new UsageError(`Unknown format "${options.format}" (expected ${FORMATS.join(", ")})`);
+  if (options.mode !== undefined && !["ensemble", "single"].includes(options.mode)) throw new UsageError(`Unknown mode "${options.mode}"`);
+  if (options.failAbove !== null && !(options.failAbove >= 0 && options.failAbove <= 100)) {
+    throw new UsageError("--fail-above needs a confidence between 0 and 100");
+  }
+  // Offline means no network at all: no server, no providers, no URLs
+  if (options.offline) {
+    if (explicitServer) throw new UsageError("--offline runs in-process and cannot be combined with --server");
+    if (options.providers?.length) throw new UsageError("--offline asks no providers and cannot be combined with --providers");
+    options.server = null;
+    options.providers = [];
+  }
+  if (options.inputs.length === 0) throw new UsageError("Name at least one file, directory, glob or URL");
+  return options;
+}
+
+// "photos/**/*.jpg" -> a RegExp over "/"-separated paths: * and ? stay within one segment,
+// ** spans any number of them
+export function globToRegExp(pattern) {
+  let source = "";
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === "*" && pattern[i + 1] === "*") {
+      i++;
+      if (pattern[i + 1] === "/") {
+        i++;
+        source += "(?:.*/)?";
+      } else {
+        source += ".*";
+      }
+    } else if (char === "*") source += "[^/]*";
+    else if (char === "?") source += "[^/]";
+    else source += char.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+  }
+  return new RegExp(`^${source}$`);
+}
+
+function isMedia(file) {
+  return MEDIA_EXTENSIONS.includes(path.extname(file).toLowerCase());
+}
+
+// Every file under `dir` down to `depth` levels, sorted, skipping hidden files and directories
+async function walk(dir, depth = Infinity) {
+  const entries = (await fs.readdir(dir, { withFileTypes: true })).sort((a, b) => a.name.localeCompare(b.name));
+  const files = [];
+  for (const entry of entries) {
+    if (entry.name.startsWith(".")) continue;
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory() && depth > 1) files.push(...await walk(full, depth - 1));
+    else if (entry.isFile()) files.push(full);
+  }
+  return files;
+}
+
+async function expandGlob(pattern) {
+  const segments = pattern.split(/[\\/]/);
+  const wild = segments.findIndex(segment => /[*?]/.test(segment));
+  const base = segments.slice(0, wild).join("/") || ".";
+  const rest = segments.slice(wild);
+  const matcher = globToRegExp(rest.join("/"));
+  const files = await walk(base, rest.some(segment => segment.includes("**")) ? Infinity : rest.length).catch(() => []);
+  return files.filter(file => isMedia(file) && matcher.test(path.relative(base, file).split(path.sep).join("/")));
+}
+
+// The command-line inputs as [{ name, file }] or [{ name, url }], in order and without
+// duplicates. Directories are searched recursively for images and videos; a glob or
+// directory that matches nothing is an error, so a typo cannot pass a gate.
+export async function expandInputs(inputs) {
+  const items = [];
+  const seen = new Set();
+  const add = item => {
+    const key = item.url || path.resolve(item.file);
+    if (seen.has(key)) return;
+    seen.add(key);
+    items.push(item);
+  };
+
+  for (const input of inputs) {
+    if (/^https?:\/\//i.test(input)) {
+      add({ name: input, url: input });
+      continue;
+    }
+    if (/[*?]/.test(input)) {
+      const files = await expandGlob(input);
+      if (files.length === 0) throw new UsageError(`No images match ${input}`);
+      files.forEach(file => add({ name: file, file }));
+      continue;
+    }
+    const stat = await fs.stat(input).catch(() => null);
+    if (!stat) throw new UsageError(`No such file or directory: ${input}`);
+    if (stat.isDirectory()) {
+      const files = (await walk(input)).filter(isMedia);
+      if (files.length === 0) throw new UsageError(`No images found in ${input}`);
+      files.forEach(file => add({ name: file, file }));
+    } else {
+      add({ name: input, file: input });
+    }
+  }
+  return items;
+}
+
+// POST /analyze on a running server; refusals come back as the server's AnalysisError
+function remoteAnalyzer(options, fetchImpl) {
+  const endpoint = new URL("analyze", options.server.endsWith("/") ? options.server : `${options.server}/`);
+  const headers = { "Content-Type": "application/json", ...(options.apiKey && { "X-API-Key": options.apiKey }) };
+
+  return async item => {
+    const input = item.url ? { imageUrl: item.url } : { image: (await fs.readFile(item.file)).toString("base64"), fileName: path.basename(item.file) };
+    const res = await fetchImpl(endpoint, {
+      method: "POST",
+      headers,
+      body: JSON.stringify({ ...input, mode: options.mode, profile: options.profile, providers: options.providers, force: options.force })
+    });
+    const body = await res.json().catch(() => ({}));
+    if (!res.ok) {
+      const id = body.requestId ? ` (request ${body.requestId})` : "";
+      throw new AnalysisError(res.status, body.error || `HTTP ${res.status}`, `${body.message || res.statusText}${id}`);
+    }
+    return body;
+  };
+}
+
+// The core in this process, with history, usage and reviews kept wherever .env says
+async function localAnalyzer(options, { env, fetch: fetchImpl, stderr }) {
+  const toStderr = line => stderr.write(`${line}\n`);
+  const logger = options.verbose
+    ? createLogger({ ...env, LOG_FORMAT: env.LOG_FORMAT || "pretty" }, { out: toStderr, err: toStderr })
+    : { log() {}, error() {} };
+  const core = await createCore({ env, fetch: fetchImpl, logger });
+  core.resolveProfile(options.profile);
+  core.resolveProviders(options.providers);
+
+  return async item => {
+    const { image, source, fileName } = item.url
+      ? await core.loadInput({ imageUrl: item.url })
+      : { image: (await fs.readFile(item.file)).toString("base64"), fileName: path.basename(item.file) };
+    return core.analyze(image, { mode: options.mode, profile: options.profile, providers: options.providers, fileName, source, force: options.force });
+  };
+}
+
+// Whether a result trips the --fail-above gate
+export function overThreshold(result, failAbove) {
+  return failAbove !== null && result?.verdict === "ai-generated" && result.confidence > failAbove;
+}
+
+// One row per input: { input, result } or { input, error: { status, error, message } }
+function rowFor(item, outcome) {
+  if (outcome.status === "fulfilled") return { input: item.name, result: outcome.value };
+  const { status, body } = errorResponse(outcome.reason);
+  return { input: item.name, error: { status, error: body.error, message: body.message } };
+}
+
+export function formatTable(rows, failAbove = null) {
+  const lines = [["INPUT", "VERDICT", "CONFIDENCE", "METHOD", "NOTE"]];
+  for (const { input, result, error } of rows) {
+    if (error) lines.push([input, "error", "-", "-", `${error.error}: ${error.message}`]);
+    else {
+      const notes = [overThreshold(result, failAbove) && `over ${failAbove}`, result.degraded && "degraded", result.cacheHit && "cached"].filter(Boolean);
+      lines.push([input, result.verdict, `${result.confidence}%`, result.analysisMethod, notes.join(", ")]);
+    }
+  }
+  const widths = lines[0].map((_, column) => Math.max(...lines.map(line => line[column].length)));
+  return lines.map(line => line.map((cell, column) => cell.padEnd(widths[column])).join("  ").trimEnd()).join("\n");
+}
+
+function summary(rows, failAbove) {
+  const count = predicate => rows.filter(predicate).length;
+  const parts = [
+    `${count(row => row.result)} analyzed`,
+    `${count(row => row.result?.verdict === "ai-generated")} ai-generated`,
+    `${count(row => row.error)} failed`
+  ];
+  if (failAbove !== null) parts.push(`${count(row => overThreshold(row.result, failAbove))} over ${failAbove}`);
+  return parts.join(" · ");
+}
+
+// Runs the command and resolves to its exit code; nothing here calls process.exit, so tests
+// and wrappers can pass their own streams, env and fetch
+export async function run(argv, { stdout = process.stdout, stderr = process.stderr, env = process.env, fetch: fetchImpl = globalThis.fetch } = {}) {
+  let options, items, analyze;
+  try {
+    options = parseArgs(argv, env);
+    if (options.help) {
+      stdout.write(`${USAGE}\n`);
+      return 0;
+    }
+    items = await expandInputs(options.inputs);
+    if (options.offline && items.some(item => item.url)) throw new UsageError("--offline reads local files only");
+    analyze = options.server ? remoteAnalyzer(options, fetchImpl) : await localAnalyzer(options, { env, fetch: fetchImpl, stderr });
+  } catch (err) {
+    stderr.write(`❌ ${err.message}\n`);
+    if (err instanceof UsageError) stderr.write("   Run truesight --help for the options\n");
+    return 2;
+  }
+
+  const rows = new Array(items.length);
+  await mapWithConcurrency(items, options.concurrency, item => analyze(item), {
+    onSettled(index, outcome) {
+      rows[index] = rowFor(items[index], outcome);
+      if (options.format === "ndjson") stdout.write(`${JSON.stringify(rows[index])}\n`);
+    }
+  });
+
+  if (options.format === "json") stdout.write(`${JSON.stringify(rows, null, 2)}\n`);
+  if (options.format === "table") stdout.write(`${formatTable(rows, options.failAbove)}\n\n${summary(rows, options.failAbove)}\n`);
+
+  if (rows.some(row => overThreshold(row.result, options.failAbove))) return 1;
+  return rows.some(row => row.error) ? 2 : 0;
+}
@@ -0,0 +1,22 @@
+// lib/concurrency.js - Run async work over a list with a fixed number of workers
+
+// Calls fn(item, index) with at most `limit` in flight. Results are reported through
+// onSettled as they finish (not in input order). shouldStop() lets callers abandon
+// the remaining items, e.g. when the client disconnects.
+export async function mapWithConcurrency(items, limit, fn, { onSettled = () => {}, shouldStop = () => false } = {}) {
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length && !shouldStop()) {
+      const index = next++;
+      try {
+        onSettled(index, { status: "fulfilled", value: await fn(items[index], index) });
+      } catch (reason) {
+        onSettled(index, { status: "rejected", reason });
+      }
+    }
+  }
+
+  const workers = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker);
+  await Promise.all(workers);
+}
@@ -0,0 +1,26 @@
+// lib/core/errors.js - Errors that carry the HTTP answer the adapters should give
+
+// A request the core refused or could not serve; `status` is the HTTP status to answer with
+export class AnalysisError extends Error {
+  constructor(status, error, message, details) {
+    super(message);
+    this.name = "AnalysisError";
+    this.status = status;
+    this.error = error;
+    this.details = details;
+  }
+}
+
+// Map any error from the core to the status, headers and body every adapter sends; the body
+// names the request (lib/logging) when `requestId` is given
+export function errorResponse(err, { requestId } = {}) {
+  const id = requestId ? { requestId } : {};
+  if (err instanceof AnalysisError) {
+    return {
+      status: err.status,
+      headers: err.headers || {},
+      body: { error: err.error, message: err.message, ...(err.details && { details: err.details }), ...id }
+    };
+  }
+  return { status: 500, headers: {}, body: { error: "Analysis failed", message: err.message, ...id } };
+}
@@ -0,0 +1,514 @@
+// lib/core/index.js - The analysis service behind every deployment
+// backend.js (Express), api/analyze.js (Vercel) and server.js (plain Node http) are thin
+// adapters over createCore(): input parsing, provider fallback, caching, history, API key
+// checks, error mapping and the capability document all live here, so the deployments
+// cannot drift.
+import crypto from "crypto";
+import fs from "fs";
+import { analyzeForensics, FORENSICS_VERSION } from "../forensics/index.js";
+import { extractProvenance } from "../metadata/index.js";
+import { parseWeights } from "../ensemble.js";
+import { analyzeWithProvider, configuredProviders } from "../providers/index.js";
+import { createThumbnail, sniffFormat } from "../image.js";
+import { SUPPORTED_FORMATS, describeInput, imageLimits, normalizeImage, validateImage } from "../normalize.js";
+import { buildRecord, createHistoryStore } from "../history/index.js";
+import { cachedVerdict, createResultCache, fingerprintImage, isCacheable } from "../cache/index.js";
+import { SCHEMA_VERSION } from "../verdict.js";
+import { ProvidersFailedError, buildResponse, decideVerdict, unjudgedResult } from "../pipeline.js";
+import { createProviderFetch } from "../replay.js";
+import { createAuth } from "../auth/index.js";
+import { createProfiles, promptFor } from "../profiles/index.js";
+import { fetchRemoteImage, fileNameFromUrl, urlLimits } from "../url/index.js";
+import { VIDEO_FORMATS, aggregateFrames, extractFrames, formatTimestamp, temporalConsistency, videoLimits } from "../video/index.js";
+import { createReviewLog, decideReview, initialReview, labelRow, reviewPolicy } from "../review/index.js";
+import { createPriceTable, createUsageLedger, describeCall, summarizeCalls } from "../usage/index.js";
+import { createMetrics } from "../metrics/index.js";
+import { createFindingScanner } from "../providers/stream.js";
+import { CircuitOpenError, ProviderTimeoutError, createBreakers, failureKind, resiliencePolicy, retryDelay, sleep } from "../providers/resilience.js";
+import { AnalysisError } from "./errors.js";
+
+export { AnalysisError, errorResponse } from "./errors.js";
+
+export const API_VERSION = "2.0";
+
+// The release that produced an analysis, stamped on its history record and reports
+export const SERVICE_VERSION = JSON.parse(fs.readFileSync(new URL("../../package.json", import.meta.url), "utf8")).version;
+const SERVICE = { name: "TrueSight API", version: SERVICE_VERSION, api: API_VERSION };
+
+// What analyze() reports to a streaming caller, and how it stops when that caller goes away.
+// `emit` gets { type, ...details } events; without one, provider replies are not streamed.
+const QUIET = { emit: null, signal: null };
+
+function checkCancelled(live) {
+  if (live.signal?.aborted) throw new AnalysisError(499, "Analysis cancelled", "The client cancelled the analysis");
+}
+
+// Accepts a data URL or bare base64. The format comes from the bytes, which must be an image
+// we accept and match the data URL header when one is given.
+export function parseImageInput(image, limits = imageLimits()) {
+  if (typeof image !== "string" || image.length === 0) {
+    throw new AnalysisError(400, "No image provided", "Send the image as a data URL or base64 string, or its imageUrl");
+  }
+
+  const comma = image.indexOf(",");
+  const header = comma >= 0 ? image.slice(0, comma) : "";
+  const base64Data = comma >= 0 ? image.slice(comma + 1) : image;
+  const buffer = Buffer.from(base64Data, "base64");
+  if (buffer.length === 0) {
+    throw new AnalysisError(400, "Invalid image", "The image data is empty or not valid base64");
+  }
+
+  const format = sniffFormat(buffer);
+  const declared = header.match(/^data:((?:image|video)\/[\w.+-]+)/i)?.[1].toLowerCase();
+  validateImage(buffer, format, declared, limits);
+
+  return { buffer, format };
+}
+
+// `logger` is console or a lib/logging logger; `metrics` (lib/metrics) counts what the core
+// does, for the adapters' GET /metrics
+export async function createCore({ env = process.env, fetch = globalThis.fetch, logger = console, metrics = createMetrics() } = {}) {
+  const providers = configuredProviders(env);
+  const defaultMode = env.ANALYSIS_MODE || "ensemble";
+  const weights = parseWeights(env.ENSEMBLE_WEIGHTS);
+  const providerFetch = await createProviderFetch(fetch, env);
+  const history = await createHistoryStore(env);
+  const resultCache = await createResultCache(env);
+  const auth = await createAuth({ env });
+  const prices = createPriceTable(env);
+  const profiles = createProfiles(env);
+  const usage = await createUsageLedger(env);
+  const limits = imageLimits(env);
+  const video = videoLimits(env);
+  const reviews = await createReviewLog(env);
+  const policy = reviewPolicy(env);
+  const resilience = resiliencePolicy(env);
+  const breakers = createBreakers(providers.map(p => p.name), resilience);
+  metrics.gauge("truesight_circuit_open", "1 while a provider's circuit breaker is open or half-open and calls to it are refused", ["provider"],
+    () => [...breakers.values()].map(b => ({ labels: { provider: b.provider }, value: b.state === "closed" ? 0 : 1 })));
+
+  // Each attempt, failed or not, is timed, priced and pushed onto `calls`. A streaming
+  // caller sees it start and finish, its text as it is generated and each finding as soon as
+  // it is complete; `frame` tags the events of a clip's frames. Attempts that time out, are
+  // rate limited or find the provider down are retried (lib/providers/resilience.js); a
+  // provider whose breaker is open is skipped without a call.
+  async function runProvider(provider, { base64Data, mediaType, profile }, calls, live = QUIET, frame) {
+    checkCancelled(live);
+    const tag = { provider: provider.name, ...(frame !== undefined && { frame }) };
+    const breaker = breakers.get(provider.name);
+    if (!breaker.allow()) {
+      const skipped = new CircuitOpenError(provider, breaker.retryAt);
+      metrics.providerCall({ provider: provider.name, outcome: skipped.kind });
+      live.emit?.({ type: "provider", ...tag, label: provider.label, status: "skipped", error: skipped.message });
+      logger.log("   🚫 Provider skipped, circuit open", { ...tag, outcome: skipped.kind, retryAt: new Date(breaker.retryAt).toISOString() });
+      throw skipped;
+    }
+
+    logger.log("   📡 Calling provider", tag);
+    live.emit?.({ type: "provider", ...tag, label: provider.label, status: "started" });
+    const timeoutMs = resilience.timeoutMs(provider.name);
+
+    // The trial call after a cooldown has to settle the breaker on every way out, or a
+    // cancelled one would leave it half-open and refusing calls for good
+    const trial = breaker.state === "half-open";
+    try {
+      for (let attempt = 0; ; attempt++) {
+        const startedAt = Date.now();
+        const deadline = timeoutMs > 0 ? AbortSignal.timeout(timeoutMs) : null;
+        const signals = [live.signal, deadline].filter(Boolean);
+        let streamed = "";
+        const scan = live.emit && createFindingScanner(provider.name, finding => live.emit({ type: "observation", ...tag, finding }));
+        try {
+          const { usage: tokens, ...result } = await analyzeWithProvider(provider, { base64Data, mediaType }, {
+            env,
+            fetch: providerFetch,
+            prompt: promptFor(profile, provider.name),
+            signal: signals.length > 1 ? AbortSignal.any(signals) : signals[0] || null,
+            ...(live.emit && {
+              onText: text => {
+                live.emit({ type: "token", ...tag, text });
+                streamed += text;
+                scan(streamed);
+              }
+            })
+          });
+          breaker.success();
+          const call = describeCall(prices, { provider: provider.name, ...tokens, latencyMs: Date.now() - startedAt });
+          calls.push(call);
+          metrics.providerCall({ provider: provider.name, outcome: "ok", latencyMs: call.latencyMs });
+          live.emit?.({ type: "provider", ...tag, status: "finished", verdict: result.verdict, confidence: result.confidence, latencyMs: call.latencyMs });
+          logger.log("   ✅ Provider answered", {
+            ...tag,
+            outcome: "ok",
+            model: call.model,
+            latencyMs: call.latencyMs,
+            inputTokens: call.inputTokens,
+            outputTokens: call.outputTokens,
+            costUsd: call.costUsd
+          });
+          if (result.parseError) {
+            logger.error("   ⚠️  Provider reply could not be parsed, used fallback parsing", { ...tag, parseError: result.parseError });
+          }
+          return result;
+        } catch (err) {
+          const apiError = deadline?.aborted && !live.signal?.aborted ? new ProviderTimeoutError(provider, timeoutMs) : err;
+          const failed = describeCall(prices, { provider: provider.name, latencyMs: Date.now() - startedAt, failed: true });
+          calls.push(failed);
+          const outcome = live.signal?.aborted ? "cancelled" : failureKind(apiError);
+          metrics.providerCall({ provider: provider.name, outcome, latencyMs: failed.latencyMs });
+          if (live.signal?.aborted) {
+            live.emit?.({ type: "provider", ...tag, status: "cancelled", error: apiError.message });
+            checkCancelled(live);
+          }
+          logger.error("   ❌ Provider call failed", {
+            ...tag,
+            outcome,
+            ...(apiError.status !== undefined && { status: apiError.status }),
+            latencyMs: failed.latencyMs,
+            attempt: attempt + 1,
+            error: apiError.message
+          });
+          if (outcome === "auth") logger.error("   🔑 Provider refused the API key, check it", tag);
+
+          const delayMs = retryDelay(apiError, attempt, resilience);
+          if (delayMs !== null) {
+            logger.log("   ⏳ Retrying provider", { ...tag, delayMs, attempt: attempt + 2, attempts: resilience.retries + 1 });
+            live.emit?.({ type: "provider", ...tag, status: "retrying", attempt: attempt + 2, delayMs, error: apiError.message, kind: failureKind(apiError) });
+            try {
+              await sleep(delayMs, live.signal);
+            } catch {
+              live.emit?.({ type: "provider", ...tag, status: "cancelled", error: apiError.message });
+              checkCancelled(live);
+            }
+            continue;
+          }
+
+          breaker.failure(apiError);
+          if (breaker.state === "open") {
+            logger.error("   🚫 Provider circuit opened", { ...tag, failures: breaker.failures, retryAt: new Date(breaker.retryAt).toISOString() });
+          }
+          live.emit?.({ type: "provider", ...tag, status: "failed", error: apiError.message, kind: failureKind(apiError) });
+          throw apiError;
+        }
+      }
+    } finally {
+      if (trial) breaker.release();
+    }
+  }
+
+  // The named prompt profile, or the default one when no name is given
+  function resolveProfile(name) {
+    if (name !== undefined && name !== null && typeof name !== "string") {
+      throw new AnalysisError(400, "Invalid profile", "profile must be a profile name");
+    }
+    const profile = profiles.get(name);
+    if (!profile) {
+      throw new AnalysisError(400, "Unknown profile", `Unknown profile "${name}" (expected ${profiles.list().map(p => p.name).join(", ")})`);
+    }
+    return profile;
+  }
+
+  // The request's image: inline `image` data, or the picture behind `imageUrl` (an image
+  // or a page with an og:image). Resolves to { image, source?, fileName? }.
+  async function loadInput({ image, imageUrl } = {}) {
+    if (image || imageUrl === undefined || imageUrl === null || imageUrl === "") return { image };
+    if (typeof imageUrl !== "string") throw new AnalysisError(400, "Invalid imageUrl", "imageUrl must be a string");
+
+    logger.log("🔗 Fetching image URL", { imageUrl });
+    const { image: fetched, source, bytes } = await fetchRemoteImage(imageUrl, env);
+    logger.log("   📥 Image URL fetched", { bytes, finalUrl: source.finalUrl, via: source.via });
+    return { image: fetched, source, fileName: fileNameFromUrl(source.finalUrl) };
+  }
+
+  // The configured providers a request asked for, in priority order: all of them when it
+  // names none, only forensics for an empty list
+  function resolveProviders(names) {
+    if (names === undefined || names === null) return providers;
+    if (!Array.isArray(names) || !names.every(name => typeof name === "string")) {
+      throw new AnalysisError(400, "Invalid providers", "providers must be a list of provider names");
+    }
+    const unknown = names.filter(name => !providers.some(p => p.name === name));
+    if (unknown.length > 0) {
+      throw new AnalysisError(400, "Unknown provider", `Not configured here: ${unknown.join(", ")} (configured: ${providers.map(p => p.name).join(", ") || "none"})`);
+    }
+    return providers.filter(p => names.includes(p.name));
+  }
+
+  // Forensics plus the provider verdict for one still: an upload, or a frame of a clip
+  function judgeStill(input, forensics, { mode, selected, profile, calls, log, live, frame }) {
+    const { base64Data, mediaType } = input.provider;
+    return decideVerdict({
+      mode,
+      providers: selected.map(provider => ({
+        name: provider.name,
+        label: provider.label,
+        run: () => runProvider(provider, { base64Data, mediaType, profile }, calls, live, frame)
+      })),
+      forensics,
+      weights,
+      profile,
+      log
+    });
+  }
+
+  // Every sampled frame goes through the still pipeline, one at a time to go easy on provider
+  // rate limits; the frame verdicts are then pooled with the temporal checks
+  async function judgeClip(clip, format, { mode, selected, profile, calls, live }) {
+    const frames = [];
+    for (const sample of clip.samples) {
+      checkCancelled(live);
+      const frame = { index: sample.index, timeMs: sample.timeMs };
+      try {
+        const input = await normalizeImage(sample.image, "png", limits);
+        frame.forensics = analyzeForensics(input.pixels);
+        frame.result = await judgeStill(input, frame.forensics, { mode, selected, profile, calls, log: () => {}, live, frame: sample.index });
+      } catch (err) {
+        checkCancelled(live);
+        frame.error = err.message;
+        if (err instanceof ProvidersFailedError) frame.failures = err.failures;
+      }
+      frames.push(frame);
+      live.emit?.({
+        type: "frame",
+        index: frame.index,
+        timeMs: frame.timeMs,
+        ...(frame.result ? { verdict: frame.result.verdict, confidence: frame.result.confidence } : { error: frame.error || null })
+      });
+      logger.log("   🎞️  Frame judged", {
+        frame: frame.index,
+        at: formatTimestamp(frame.timeMs),
+        ...(frame.result ? { verdict: frame.result.verdict, confidence: frame.result.confidence } : { error: frame.error || "no verdict" })
+      });
+    }
+
+    const temporal = temporalConsistency(clip.burst);
+    if (temporal.available) {
+      logger.log("   ⏱️  Temporal checks", { frames: temporal.frames, flicker: temporal.flicker.score, subjectDrift: temporal.subjectDrift.score });
+    } else {
+      logger.log("   ⚠️  Temporal checks skipped", { reason: temporal.reason });
+    }
+
+    if (!frames.some(f => f.result)) {
+      const failures = frames.flatMap(f => f.failures || []);
+      if (failures.length > 0) throw new ProvidersFailedError(failures);
+      const broken = frames.find(f => f.error);
+      if (broken) throw new AnalysisError(400, "Invalid video", `No sampled frame could be analyzed: ${broken.error}`);
+      return null;
+    }
+    return aggregateFrames(clip, frames, temporal, { format, profile });
+  }
+
+  // `onProgress` turns on streaming: it gets each stage as it completes (validated,
+  // metadata, forensics, provider, token, observation, frame, aggregated). Aborting
+  // `signal` cancels the analysis, including provider requests in flight. `providers` names
+  // the configured providers to ask; [] is a forensics-only run.
+  async function analyze(image, { mode = defaultMode, profile: profileName, providers: providerNames, fileName, source, force = false, onProgress, signal } = {}) {
+    const live = { emit: onProgress || null, signal: signal || null };
+    const { buffer, format } = parseImageInput(image, limits);
+    const profile = resolveProfile(profileName);
+    const selected = resolveProviders(providerNames);
+
+    // Animations and videos are judged frame by frame; the first frame stands in for the
+    // clip in the input description and the history thumbnail
+    const clip = await extractFrames(buffer, format, video);
+    const input = clip
+      ? { ...await normalizeImage(clip.samples[0].image, "png", limits), format, width: clip.width, height: clip.height, bytes: buffer.length }
+      : await normalizeImage(buffer, format, limits);
+
+    logger.log("✅ Input received", {
+      format,
+      width: input.width,
+      height: input.height,
+      bytes: buffer.length,
+      profile: `${profile.name}@${profile.version}`,
+      ...(clip && { clip: clip.kind, durationMs: clip.durationMs, frames: clip.samples.length })
+    });
+    if (!clip && (input.provider.converted || input.provider.downscaled)) {
+      logger.log("   🔁 Converted for providers", { mediaType: input.provider.mediaType, width: input.provider.width, height: input.provider.height, bytes: input.provider.bytes });
+    }
+    live.emit?.({
+      type: "validated",
+      input: describeInput(input),
+      ...(clip && { clip: { kind: clip.kind, durationMs: clip.durationMs, samples: clip.samples.length } })
+    });
+    checkCancelled(live);
+
+    // Embedded metadata and Content Credentials
+    const provenance = extractProvenance(buffer);
+    logger.log("\n🏷️  Metadata read", {
+      provenance: provenance.assessment,
+      ...(provenance.generatorSignatures?.length && { generators: provenance.generatorSignatures.map(s => `${s.generator} (${s.source})`) })
+    });
+    live.emit?.({ type: "metadata", assessment: provenance.assessment, generatorSignatures: (provenance.generatorSignatures || []).map(s => s.generator) });
+
+    // Local pixel forensics run on every request, independent of any API key; clips get
+    // them per frame
+    let forensics;
+    if (clip) {
+      forensics = { available: false, version: FORENSICS_VERSION, format, reason: "Clips are checked frame by frame; see frames.sampled" };
+    } else {
+      forensics = analyzeForensics(input.pixels);
+      if (forensics.available) {
+        // 0-100, higher is more synthetic
+        logger.log("\n🔬 Forensics scored", { forensicsScore: forensics.score });
+      } else {
+        logger.log("\n🔬 Forensics skipped", { reason: forensics.reason });
+      }
+    }
+    live.emit?.({ type: "forensics", available: forensics.available, ...(forensics.available ? { score: forensics.score } : { reason: forensics.reason }) });
+    checkCancelled(live);
+
+    // Same or near-identical image seen before: reuse its verdict unless the caller forces a fresh run.
+    // Verdicts are only shared between requests with the same mode, profile version and providers.
+    const fingerprint = fingerprintImage(buffer, input.pixels);
+    const subset = selected.length < providers.length ? `:${selected.map(p => p.name).join("+")}` : "";
+    const cacheMode = `${mode === "ensemble" ? "ensemble" : "single"}:${profile.name}@${profile.version}${subset}`;
+    const cached = resultCache && !force ? await resultCache.lookup(fingerprint, { mode: cacheMode }) : null;
+    if (resultCache && !force) metrics.cacheLookup(!!cached);
+
+    const calls = [];
+    let result;
+    if (cached) {
+      logger.log("\n♻️  Cache hit, reusing verdict", { match: cached.match, distance: cached.distance, matchedId: cached.entry.id });
+      result = cached.entry.result;
+    } else {
+      try {
+        if (clip) logger.log("\n🎬 Analyzing frames", { frames: clip.samples.length });
+        result = clip
+          ? await judgeClip(clip, format, { mode, selected, profile, calls, live })
+          : await judgeStill(input, forensics, { mode, selected, profile, calls, log: (...args) => logger.log(...args), live });
+        checkCancelled(live);
+      } catch (err) {
+        await recordUsage(calls);
+        checkCancelled(live);
+        if (err instanceof ProvidersFailedError) {
+          throw new AnalysisError(502, "All providers failed", err.message, err.failures);
+        }
+        throw err;
+      }
+
+      // No provider to ask and nothing forensics can read: say so rather than guess
+      if (!result) {
+        logger.log("\n⚠️  No provider available and forensics could not read the image - no verdict");
+        if (providers.length === 0) logger.log("   💡 Add CLAUDE_API_KEY or DEEPSEEK_API_KEY to .env for real AI analysis");
+        result = unjudgedResult();
+      }
+    }
+
+    live.emit?.({ type: "aggregated", verdict: result.verdict, confidence: result.confidence, analysisMethod: result.analysisMethod, cacheHit: !!cached });
+
+    const response = {
+      ...buildResponse(result, { forensics, provenance, profile }),
+      ...(source && { source }),
+      input: describeInput(input),
+      review: initialReview(result, policy),
+      fingerprint,
+      cacheHit: !!cached,
+      ...(cached && { matchedId: cached.entry.id, hammingDistance: cached.distance, cacheMatch: cached.match }),
+      meta: { usage: summarizeCalls(calls) }
+    };
+    metrics.analysis(response);
+    await recordUsage(calls);
+
+    // A history failure must not cost the caller their verdict
+    try {
+      const record = await history.add(buildRecord(response, { fileName, thumbnail: createThumbnail(input.pixels), service: SERVICE }));
+      response.analysisId = record.id;
+    } catch (err) {
+      logger.error("   ⚠️  Could not save history record", { error: err.message });
+    }
+
+    if (resultCache && !cached && isCacheable(result)) {
+      try {
+        await resultCache.add({
+          id: response.analysisId || crypto.randomUUID(),
+          createdAt: new Date().toISOString(),
+          mode: cacheMode,
+          ...fingerprint,
+          result: cachedVerdict(response)
+        });
+      } catch (err) {
+        logger.error("   ⚠️  Could not cache verdict", { error: err.message });
+      }
+    }
+    return response;
+  }
+
+  // A reviewer's confirm or override of a stored analysis. The decision is in the audit log
+  // before the record changes, so no override goes unrecorded. Resolves to { record, event }.
+  async function review(id, input, reviewer) {
+    const record = await history.get(id);
+    if (!record) throw new AnalysisError(404, "Record not found", `No history record with id ${id}`);
+
+    const { review: state, event } = decideReview(record, input, reviewer);
+    await reviews.append(event);
+    const updated = { ...record, review: state };
+    await history.update(updated);
+    return { record: updated, event };
+  }
+
+  // Every human label, oldest review first; `filters` are history filters (lib/history)
+  async function reviewedLabels(filters = {}) {
+    const records = [];
+    for (const status of ["confirmed", "overridden"]) {
+      for (let page = 1; ; page++) {
+        const { items, total } = await history.query({ ...filters, review: status }, { page, pageSize: 100 });
+        records.push(...items);
+        if (page * 100 >= total) break;
+      }
+    }
+    return records.map(labelRow).sort((a, b) => a.reviewedAt.localeCompare(b.reviewedAt));
+  }
+
+  // Failed analyses are recorded too: their provider calls were still made and may be billed
+  async function recordUsage(calls) {
+    try {
+      await usage.record({ time: Date.now(), calls });
+    } catch (err) {
+      logger.error("   ⚠️  Could not record usage", { error: err.message });
+    }
+  }
+
+  // The health document. Every adapter reports the same one; `deployment`, `endpoints` and
+  // `features` say what that particular deployment adds on top of POST /analyze.
+  // A provider whose breaker is not closed makes the service "degraded".
+  function capabilities({ deployment, endpoints = [], features = {} } = {}) {
+    const circuits = [...breakers.values()].map(b => b.snapshot());
+    return {
+      service: SERVICE.name,
+      status: circuits.some(c => c.state !== "closed") ? "degraded" : "online",
+      version: API_VERSION,
+      deployment,
+      schemaVersion: SCHEMA_VERSION,
+      providers: providers.map(p => p.name),
+      mode: defaultMode,
+      ensembleWeights: weights,
+      profiles: { default: profiles.default.name, available: profiles.list() },
+      imageUrl: (({ maxBytes, timeoutMs, maxRedirects }) => ({ enabled: true, maxBytes, timeoutMs, maxRedirects }))(urlLimits(env)),
+      images: { formats: SUPPORTED_FORMATS, ...limits },
+      forensics: { enabled: true, version: FORENSICS_VERSION, formats: SUPPORTED_FORMATS },
+      video: {
+        enabled: !!video.ffmpeg,
+        formats: ["gif", "webp", ...VIDEO_FORMATS],
+        maxFrames: video.maxFrames,
+        maxDurationS: video.maxDurationMs / 1000
+      },
+      review: { confidenceThreshold: policy.threshold },
+      resilience: {
+        timeoutsMs: Object.fromEntries(providers.map(p => [p.name, resilience.timeoutMs(p.name)])),
+        retries: resilience.retries,
+        breaker: resilience.breaker,
+        circuits
+      },
+      resultCache: resultCache
+        ? { enabled: true, entries: resultCache.size, maxDistance: resultCache.maxDistance }
+        : { enabled: false },
+      auth: auth.capabilities(),
+      features: { async: false, batch: false, history: false, metrics: false, review: false, streaming: false, usage: false, webhooks: false, ...features },
+      endpoints,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  return { service: SERVICE, providers, mode: defaultMode, weights, history, reviews, reviewPolicy: policy, resilience, metrics, review, reviewedLabels, resultCache, auth, usage, prices, profiles, resolveProfile, resolveProviders, loadInput, analyze, capabilities };
+}
@@ -0,0 +1,149 @@
+// lib/ensemble.js - Weighted vote across every configured provider plus local forensics
+// Each vote is turned into a probability for each decisive verdict (original, ai-generated,
+// edited-or-composite) and the weighted mean of those distributions becomes the verdict.
+// Disagreeing votes spread the probability out, so a single strict model can no longer
+// decide everything on its own; when no verdict reaches a majority the result is inconclusive.
+import { DECISIVE_VERDICTS, VERDICT_LABELS, isOriginalFor } from "./verdict.js";
+
+export const DEFAULT_WEIGHTS = { claude: 1.0, deepseek: 0.8, openai: 0.8, local: 0.6, forensics: 0.5 };
+
+// The leading verdict needs at least this much pooled probability to be called; prompt
+// profiles can raise it (thresholds.ensembleMajority)
+export const DECISIVE_THRESHOLD = 0.5;
+
+const LABELS = { claude: "Claude", deepseek: "DeepSeek", openai: "OpenAI-compatible", local: "Local model", forensics: "Local forensics" };
+
+// ENSEMBLE_WEIGHTS="claude=1,deepseek=0.6,forensics=0.4"
+export function parseWeights(spec) {
+  const weights = { ...DEFAULT_WEIGHTS };
+  if (!spec) return weights;
+
+  for (const pair of spec.split(",")) {
+    const [name, value] = pair.split(/[=:]/).map(s => s.trim());
+    const weight = Number(value);
+    if (name && Number.isFinite(weight) && weight >= 0) weights[name] = weight;
+  }
+
+  return weights;
+}
+
+function label(provider) {
+  return LABELS[provider] || provider;
+}
+
+// Probability of each decisive verdict implied by a single vote; the confidence not spent
+// on the vote's own verdict is shared evenly by the others
+function distribution(vote) {
+  const p = Math.min(100, Math.max(0, vote.confidence)) / 100;
+  const rest = (1 - p) / (DECISIVE_VERDICTS.length - 1);
+  return Object.fromEntries(DECISIVE_VERDICTS.map(v => [v, v === vote.verdict ? p : rest]));
+}
+
+export function combineVotes(votes, weights = DEFAULT_WEIGHTS, { majority = DECISIVE_THRESHOLD } = {}) {
+  const usable = votes.filter(v => !v.error && v.weight > 0);
+  const counted = usable.filter(v => v.verdict !== "inconclusive");
+  if (usable.length === 0) return null;
+
+  const findings = usable.flatMap(v => v.findings || []);
+
+  // Everyone abstained: report that instead of inventing a verdict
+  if (counted.length === 0) {
+    return {
+      verdict: "inconclusive",
+      leaning: null,
+      isOriginal: null,
+      confidence: 0,
+      findings,
+      summary: ["No provider returned a usable verdict"],
+      analysisMethod: "ensemble",
+      ensemble: { weights, votes, agreement: 0, disagreement: null }
+    };
+  }
+
+  const totalWeight = counted.reduce((sum, v) => sum + v.weight, 0);
+  const pooled = Object.fromEntries(DECISIVE_VERDICTS.map(verdict => [
+    verdict,
+    counted.reduce((sum, v) => sum + distribution(v)[verdict] * v.weight, 0) / totalWeight
+  ]));
+
+  const leaning = DECISIVE_VERDICTS.reduce((best, v) => (pooled[v] > pooled[best] ? v : best));
+  const verdict = pooled[leaning] >= majority ? leaning : "inconclusive";
+  const confidence = Math.round(pooled[leaning] * 100);
+
+  const agreeing = counted.filter(v => v.verdict === leaning);
+  const dissenting = counted.filter(v => v.verdict !== leaning);
+  const agreement = Math.round(agreeing.reduce((sum, v) => sum + v.weight, 0) / totalWeight * 100) / 100;
+
+  let disagreement = null;
+  if (dissenting.length > 0) {
+    const describe = v => `${label(v.provider)} says ${VERDICT_LABELS[v.verdict]} (${v.confidence}%)`;
+    disagreement = {
+      dissenters: dissenting.map(v => v.provider),
+      explanation: `${counted.map(describe).join(", ")}. ` +
+        `Weighted vote leans ${VERDICT_LABELS[leaning]} with ${Math.round(agreement * 100)}% of the weight, ` +
+        (verdict === "inconclusive"
+          ? `which is too split to call (${confidence}%).`
+          : `so confidence is reduced to ${confidence}%.`)
+    };
+  }
+
+  // Lead with the findings of the heaviest vote that agrees with the outcome
+  const lead = [...agreeing].sort((a, b) => b.weight - a.weight)[0];
+  const summary = (lead?.findings || []).map(f => f.message).slice(0, 4);
+  if (disagreement) summary.push(`Providers disagree: ${disagreement.explanation}`);
+
+  return {
+    verdict,
+    leaning: verdict === "inconclusive" ? leaning : null,
+    isOriginal: isOriginalFor(verdict, leaning),
+    confidence,
+    findings,
+    summary,
+    analysisMethod: "ensemble",
+    ensemble: {
+      weights,
+      votes,
+      agreement,
+      disagreement
+    }
+  };
+}
+
+// Query every provider in parallel and fold their answers (plus forensics) into one verdict.
+// `providers` is a list of { name, run } where run() resolves to a provider result.
+export async function runEnsemble({ providers, forensics, weights = DEFAULT_WEIGHTS, majority }) {
+  const settled = await Promise.allSettled(providers.map(p => p.run()));
+
+  const votes = settled.map((outcome, i) => {
+    const provider = providers[i].name;
+
+    if (outcome.status === "rejected") {
+      return { provider, weight: 0, error: outcome.reason?.message || String(outcome.reason) };
+    }
+
+    const result = outcome.value;
+    // Unparseable replies come back inconclusive and abstain; their findings are kept
+    return {
+      provider,
+      verdict: result.verdict,
+      confidence: result.confidence,
+      weight: weights[provider] ?? 1,
+      analysisMethod: result.analysisMethod,
+      findings: result.findings,
+      ...(result.regions && { regions: result.regions })
+    };
+  });
+
+  if (forensics?.available) {
+    votes.push({
+      provider: "forensics",
+      verdict: forensics.verdict.isOriginal ? "original" : "ai-generated",
+      confidence: forensics.verdict.confidence,
+      weight: weights.forensics ?? DEFAULT_WEIGHTS.forensics,
+      analysisMethod: "forensics",
+      findings: forensics.findings
+    });
+  }
+
+  return combineVotes(votes, weights, { majority });
+}
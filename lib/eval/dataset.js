@@ -0,0 +1,79 @@
+// lib/eval/dataset.js - Discover labeled images for an evaluation run
+// Layout: <root>/<label>/[<category>/]image.jpg, where label is original (or real),
+// ai-generated (or ai, fake) or edited-or-composite (or edited). A manifest.json at the
+// root ([{ "file", "label", "category" }]) takes precedence over the folder layout.
+import fs from "fs/promises";
+import path from "path";
+import { DECISIVE_VERDICTS, normalizeVerdict } from "../verdict.js";
+
+const IMAGE_EXTENSIONS = /\.(jpe?g|png|gif|webp)$/i;
+const UNCATEGORIZED = "uncategorized";
+
+export class DatasetError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "DatasetError";
+  }
+}
+
+function normalizeLabel(label) {
+  const verdict = normalizeVerdict(label);
+  return DECISIVE_VERDICTS.includes(verdict) ? verdict : null;
+}
+
+async function listImages(dir) {
+  const files = [];
+  for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) files.push(...await listImages(full));
+    else if (IMAGE_EXTENSIONS.test(entry.name)) files.push(full);
+  }
+  return files.sort();
+}
+
+async function fromManifest(root, manifestPath) {
+  const manifest = JSON.parse(await fs.readFile(manifestPath, "utf8"));
+  if (!Array.isArray(manifest)) throw new DatasetError("manifest.json must be an array of { file, label, category }");
+
+  return manifest.map((entry, i) => {
+    const label = normalizeLabel(entry.label);
+    if (!entry.file || !label) {
+      throw new DatasetError(`manifest.json[${i}]: needs a file and a label (${DECISIVE_VERDICTS.join(", ")})`);
+    }
+    return { file: path.join(root, entry.file), label, category: entry.category || UNCATEGORIZED };
+  });
+}
+
+async function fromFolders(root) {
+  const samples = [];
+  for (const entry of await fs.readdir(root, { withFileTypes: true })) {
+    const label = entry.isDirectory() && normalizeLabel(entry.name);
+    if (!label) continue;
+
+    const labelDir = path.join(root, entry.name);
+    for (const file of await listImages(labelDir)) {
+      const [first, ...rest] = path.relative(labelDir, file).split(path.sep);
+      samples.push({ file, label, category: rest.length > 0 ? first : UNCATEGORIZED });
+    }
+  }
+  return samples;
+}
+
+export async function loadDataset(root) {
+  let stat;
+  try {
+    stat = await fs.stat(root);
+  } catch {
+    throw new DatasetError(`Dataset folder not found: ${root}`);
+  }
+  if (!stat.isDirectory()) throw new DatasetError(`Dataset path is not a folder: ${root}`);
+
+  const manifestPath = path.join(root, "manifest.json");
+  const hasManifest = await fs.access(manifestPath).then(() => true, () => false);
+  const samples = hasManifest ? await fromManifest(root, manifestPath) : await fromFolders(root);
+
+  if (samples.length === 0) {
+    throw new DatasetError(`No labeled images in ${root} (expected folders named original/, ai-generated/ or edited-or-composite/)`);
+  }
+  return samples;
+}
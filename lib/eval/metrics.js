@@ -0,0 +1,120 @@
+// lib/eval/metrics.js - Accuracy and calibration metrics for an evaluation run
+// Detection metrics treat "flagged" (ai-generated or edited-or-composite) as the positive
+// class, so false positives are real photos we would have called fake. Inconclusive
+// answers are abstentions: they are counted, but left out of precision, recall and the
+// calibration curve.
+import { DECISIVE_VERDICTS, VERDICTS } from "../verdict.js";
+
+const CALIBRATION_BINS = 10;
+
+function ratio(numerator, denominator) {
+  return denominator > 0 ? Math.round(numerator / denominator * 1000) / 1000 : null;
+}
+
+const isFlagged = verdict => verdict === "ai-generated" || verdict === "edited-or-composite";
+
+function detectionMetrics(samples) {
+  const decided = samples.filter(s => s.predicted !== "inconclusive");
+  let tp = 0, fp = 0, tn = 0, fn = 0;
+
+  for (const s of decided) {
+    const actual = isFlagged(s.label);
+    const predicted = isFlagged(s.predicted);
+    if (actual && predicted) tp++;
+    else if (!actual && predicted) fp++;
+    else if (!actual && !predicted) tn++;
+    else fn++;
+  }
+
+  const precision = ratio(tp, tp + fp);
+  const recall = ratio(tp, tp + fn);
+  return {
+    count: samples.length,
+    decided: decided.length,
+    abstentionRate: ratio(samples.length - decided.length, samples.length),
+    // Exact three-way verdict match among decided samples
+    accuracy: ratio(decided.filter(s => s.predicted === s.label).length, decided.length),
+    tp, fp, tn, fn,
+    precision,
+    recall,
+    falsePositiveRate: ratio(fp, fp + tn),
+    f1: precision !== null && recall !== null && precision + recall > 0
+      ? Math.round(2 * precision * recall / (precision + recall) * 1000) / 1000
+      : null
+  };
+}
+
+function confusionMatrix(samples) {
+  const matrix = Object.fromEntries(DECISIVE_VERDICTS.map(label => [
+    label,
+    Object.fromEntries(VERDICTS.map(predicted => [predicted, 0]))
+  ]));
+  for (const s of samples) matrix[s.label][s.predicted]++;
+  return { labels: DECISIVE_VERDICTS, predictions: VERDICTS, matrix };
+}
+
+function perClass(samples) {
+  const decided = samples.filter(s => s.predicted !== "inconclusive");
+  return Object.fromEntries(DECISIVE_VERDICTS.map(verdict => {
+    const tp = decided.filter(s => s.label === verdict && s.predicted === verdict).length;
+    return [verdict, {
+      support: samples.filter(s => s.label === verdict).length,
+      precision: ratio(tp, decided.filter(s => s.predicted === verdict).length),
+      recall: ratio(tp, decided.filter(s => s.label === verdict).length)
+    }];
+  }));
+}
+
+// Reliability curve: does a 90% confidence verdict turn out right 90% of the time?
+function calibration(samples) {
+  const decided = samples.filter(s => s.predicted !== "inconclusive");
+  const bins = Array.from({ length: CALIBRATION_BINS }, (_, i) => ({
+    from: i * 100 / CALIBRATION_BINS,
+    to: (i + 1) * 100 / CALIBRATION_BINS,
+    count: 0,
+    confidenceSum: 0,
+    correct: 0
+  }));
+
+  for (const s of decided) {
+    const bin = bins[Math.min(CALIBRATION_BINS - 1, Math.floor(s.confidence / (100 / CALIBRATION_BINS)))];
+    bin.count++;
+    bin.confidenceSum += s.confidence;
+    if (s.predicted === s.label) bin.correct++;
+  }
+
+  let ece = 0;
+  const curve = bins.map(({ from, to, count, confidenceSum, correct }) => {
+    const meanConfidence = count ? confidenceSum / count / 100 : null;
+    const accuracy = count ? correct / count : null;
+    if (count) ece += count / decided.length * Math.abs(accuracy - meanConfidence);
+    return {
+      from,
+      to,
+      count,
+      meanConfidence: meanConfidence === null ? null : Math.round(meanConfidence * 1000) / 1000,
+      accuracy: accuracy === null ? null : Math.round(accuracy * 1000) / 1000
+    };
+  });
+
+  return { bins: curve, expectedCalibrationError: decided.length ? Math.round(ece * 1000) / 1000 : null };
+}
+
+// `samples` are { label, category, predicted, confidence, error? }; errored samples are
+// reported but not scored
+export function computeMetrics(samples) {
+  const scored = samples.filter(s => !s.error);
+  const categories = [...new Set(scored.map(s => s.category))].sort();
+
+  return {
+    errors: samples.length - scored.length,
+    overall: detectionMetrics(scored),
+    perClass: perClass(scored),
+    confusion: confusionMatrix(scored),
+    perCategory: Object.fromEntries(categories.map(category => [
+      category,
+      detectionMetrics(scored.filter(s => s.category === category))
+    ])),
+    calibration: calibration(scored)
+  };
+}
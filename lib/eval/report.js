@@ -0,0 +1,119 @@
+// lib/eval/report.js - Self-contained HTML rendering of an evaluation report
+import { VERDICT_LABELS } from "../verdict.js";
+
+const MAX_MISSES_LISTED = 50;
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function pct(value) {
+  return value === null || value === undefined ? "–" : `${(value * 100).toFixed(1)}%`;
+}
+
+function table(headers, rows) {
+  return `<table>
+  <thead><tr>${headers.map(h => `<th>${escapeHtml(h)}</th>`).join("")}</tr></thead>
+  <tbody>${rows.map(row => `<tr>${row.map(cell => `<td>${cell}</td>`).join("")}</tr>`).join("\n")}</tbody>
+</table>`;
+}
+
+// Reliability diagram: observed accuracy per confidence bin against the diagonal
+function calibrationSvg(bins) {
+  const size = 240;
+  const pad = 30;
+  const scale = v => pad + v * (size - 2 * pad);
+  const points = bins.filter(b => b.count > 0)
+    .map(b => `<circle cx="${scale(b.meanConfidence)}" cy="${size - scale(b.accuracy)}" r="${Math.min(9, 3 + Math.sqrt(b.count))}" />`);
+  const line = bins.filter(b => b.count > 0)
+    .map(b => `${scale(b.meanConfidence)},${size - scale(b.accuracy)}`).join(" ");
+
+  return `<svg width="${size}" height="${size}" viewBox="0 0 ${size} ${size}" role="img" aria-label="Calibration curve">
+  <rect x="${pad}" y="${pad}" width="${size - 2 * pad}" height="${size - 2 * pad}" fill="none" stroke="#ccc" />
+  <line x1="${scale(0)}" y1="${size - scale(0)}" x2="${scale(1)}" y2="${size - scale(1)}" stroke="#999" stroke-dasharray="4 4" />
+  <polyline points="${line}" fill="none" stroke="#C9956C" stroke-width="2" />
+  <g fill="#C9956C">${points.join("")}</g>
+  <text x="${size / 2}" y="${size - 6}" text-anchor="middle" font-size="11">confidence</text>
+  <text x="10" y="${size / 2}" text-anchor="middle" font-size="11" transform="rotate(-90 10 ${size / 2})">accuracy</text>
+</svg>`;
+}
+
+export function renderHtml(report) {
+  const { metrics } = report;
+  const { overall } = metrics;
+  const misses = report.samples.filter(s => s.error || s.predicted !== s.label).slice(0, MAX_MISSES_LISTED);
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>TrueSight evaluation - ${escapeHtml(report.generatedAt)}</title>
+<style>
+  body { font-family: system-ui, sans-serif; margin: 2rem auto; max-width: 960px; padding: 0 1rem; color: #1f2937; }
+  h1 { margin-bottom: 0.25rem; }
+  .meta { color: #6b7280; margin-bottom: 2rem; }
+  table { border-collapse: collapse; margin: 0.5rem 0 2rem; width: 100%; }
+  th, td { border: 1px solid #e5e7eb; padding: 0.4rem 0.6rem; text-align: left; font-size: 0.9rem; }
+  th { background: #f9fafb; }
+  .cards { display: grid; grid-template-columns: repeat(auto-fit, minmax(140px, 1fr)); gap: 0.75rem; margin-bottom: 2rem; }
+  .card { border: 1px solid #e5e7eb; border-radius: 10px; padding: 0.75rem; }
+  .card b { display: block; font-size: 1.5rem; }
+  .calibration { display: flex; gap: 2rem; align-items: flex-start; }
+</style>
+</head>
+<body>
+<h1>TrueSight evaluation</h1>
+<p class="meta">${escapeHtml(report.dataset)} · mode ${escapeHtml(report.mode)}${report.profile ? ` · profile ${escapeHtml(report.profile.name)} v${escapeHtml(report.profile.version)}` : ""} · providers ${escapeHtml(report.providers.join(", ") || "forensics only")} · ${escapeHtml(report.source)} · ${escapeHtml(report.generatedAt)}</p>
+
+<div class="cards">
+  <div class="card">Samples<b>${overall.count}</b></div>
+  <div class="card">Accuracy<b>${pct(overall.accuracy)}</b></div>
+  <div class="card">Precision<b>${pct(overall.precision)}</b></div>
+  <div class="card">Recall<b>${pct(overall.recall)}</b></div>
+  <div class="card">False positive rate<b>${pct(overall.falsePositiveRate)}</b></div>
+  <div class="card">Inconclusive<b>${pct(overall.abstentionRate)}</b></div>
+  <div class="card">Errors<b>${metrics.errors}</b></div>
+</div>
+
+<h2>Confusion matrix</h2>
+${table(["Label \\ Predicted", ...metrics.confusion.predictions.map(p => VERDICT_LABELS[p])],
+    metrics.confusion.labels.map(label => [
+      `<b>${VERDICT_LABELS[label]}</b>`,
+      ...metrics.confusion.predictions.map(p => metrics.confusion.matrix[label][p])
+    ]))}
+
+<h2>Per verdict</h2>
+${table(["Verdict", "Support", "Precision", "Recall"],
+    Object.entries(metrics.perClass).map(([verdict, m]) => [VERDICT_LABELS[verdict], m.support, pct(m.precision), pct(m.recall)]))}
+
+<h2>Per category</h2>
+${table(["Category", "Samples", "Accuracy", "Precision", "Recall", "False positive rate", "Inconclusive"],
+    Object.entries(metrics.perCategory).map(([category, m]) => [
+      escapeHtml(category), m.count, pct(m.accuracy), pct(m.precision), pct(m.recall), pct(m.falsePositiveRate), pct(m.abstentionRate)
+    ]))}
+
+<h2>Calibration</h2>
+<p>Expected calibration error: <b>${pct(metrics.calibration.expectedCalibrationError)}</b></p>
+<div class="calibration">
+${calibrationSvg(metrics.calibration.bins)}
+${table(["Confidence", "Samples", "Mean confidence", "Accuracy"],
+    metrics.calibration.bins.map(b => [`${b.from}–${b.to}%`, b.count, pct(b.meanConfidence), pct(b.accuracy)]))}
+</div>
+
+<h2>Misclassified and failed samples${misses.length === MAX_MISSES_LISTED ? ` (first ${MAX_MISSES_LISTED})` : ""}</h2>
+${misses.length === 0 ? "<p>None.</p>" : table(["File", "Category", "Label", "Predicted", "Confidence"],
+    misses.map(s => [
+      escapeHtml(s.file),
+      escapeHtml(s.category),
+      VERDICT_LABELS[s.label],
+      s.error ? `error: ${escapeHtml(s.error)}` : VERDICT_LABELS[s.predicted],
+      s.error ? "–" : `${s.confidence}%`
+    ]))}
+</body>
+</html>
+`;
+}
@@ -0,0 +1,36 @@
+// lib/file-writer.js - Serialized writes for the file-backed stores
+import fs from "fs/promises";
+import path from "path";
+
+// One queue per file, so writes land in the order they were made. A failed write
+// rejects its own caller only; the next one still runs.
+export function createFileWriter(filePath) {
+  let writing = Promise.resolve();
+
+  function enqueue(write) {
+    const current = writing.catch(() => {}).then(async () => {
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await write();
+    });
+    writing = current;
+    return current;
+  }
+
+  return {
+    // Replaces the file atomically (temp file + rename); the value is serialized now, not when it runs
+    writeJson(value) {
+      const snapshot = JSON.stringify(value);
+      return enqueue(async () => {
+        const tmp = `${filePath}.${process.pid}.tmp`;
+        await fs.writeFile(tmp, snapshot);
+        await fs.rename(tmp, filePath);
+      });
+    },
+
+    // One JSON line at the end of the file
+    appendJsonLine(value) {
+      const line = JSON.stringify(value) + "\n";
+      return enqueue(() => fs.appendFile(filePath, line));
+    }
+  };
+}
@@ -0,0 +1,116 @@
+// lib/forensics/heatmap.js - Where in the frame the local signals look suspicious
+// The whole image is cut into a coarse grid; each cell is scored by how far its
+// recompression error and noise energy stray from the image's own median. Scores are
+// relative, so the map points at regions that are inconsistent with the rest of the
+// frame rather than making an absolute claim about any single cell.
+import { encodeJpeg, decodeImage, resizeToFit, toLuma } from "../image.js";
+import { clamp01, median, round } from "./stats.js";
+
+const WORKING_SIZE = 768;
+const GRID_SIZE = 16;
+const ELA_QUALITY = 90;
+const HOTSPOT_THRESHOLD = 0.6;
+const MAX_BOXES = 5;
+
+export function regionHeatmap(image) {
+  const work = resizeToFit(image, WORKING_SIZE);
+  const { width, height } = work;
+
+  const cols = width >= height ? GRID_SIZE : Math.max(1, Math.round(GRID_SIZE * width / height));
+  const rows = height >= width ? GRID_SIZE : Math.max(1, Math.round(GRID_SIZE * height / width));
+
+  const resaved = decodeImage(encodeJpeg(work, ELA_QUALITY));
+  const luma = toLuma(work);
+
+  const ela = new Float64Array(cols * rows);
+  const noise = new Float64Array(cols * rows);
+  const counts = new Float64Array(cols * rows);
+
+  for (let y = 1; y < height - 1; y++) {
+    const row = Math.min(rows - 1, Math.floor(y * rows / height));
+    for (let x = 1; x < width - 1; x++) {
+      const cell = row * cols + Math.min(cols - 1, Math.floor(x * cols / width));
+      const p = (y * width + x) * 4;
+
+      ela[cell] += (
+        Math.abs(work.data[p] - resaved.data[p]) +
+        Math.abs(work.data[p + 1] - resaved.data[p + 1]) +
+        Math.abs(work.data[p + 2] - resaved.data[p + 2])
+      ) / 3;
+
+      let sum = 0;
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) sum += luma[(y + dy) * width + x + dx];
+      }
+      const residual = luma[y * width + x] - sum / 9;
+      noise[cell] += residual * residual;
+      counts[cell]++;
+    }
+  }
+
+  for (let i = 0; i < counts.length; i++) {
+    ela[i] = counts[i] ? ela[i] / counts[i] : 0;
+    noise[i] = counts[i] ? Math.sqrt(noise[i] / counts[i]) : 0;
+  }
+
+  const elaMedian = median(ela) || 1e-6;
+  const noiseMedian = median(noise) || 1e-6;
+
+  // A cell is hot when it recompresses much worse than the rest of the frame, or when
+  // the grain present elsewhere is missing from it
+  const elaHot = Array.from(ela, e => clamp01((e / elaMedian - 1.5) / 3));
+  const noiseFlat = Array.from(noise, n => clamp01((1 - n / noiseMedian - 0.3) / 0.6));
+  const values = elaHot.map((e, i) => round(Math.max(e, noiseFlat[i] * 0.8), 2));
+
+  return {
+    cols,
+    rows,
+    values,
+    boxes: hotspotBoxes(values, elaHot, cols, rows)
+  };
+}
+
+// Group neighbouring hot cells into bounding boxes (fractions of the image size)
+function hotspotBoxes(values, elaHot, cols, rows) {
+  const seen = new Uint8Array(values.length);
+  const boxes = [];
+
+  for (let start = 0; start < values.length; start++) {
+    if (seen[start] || values[start] < HOTSPOT_THRESHOLD) continue;
+
+    let minX = cols, minY = rows, maxX = 0, maxY = 0, peak = 0, elaCells = 0, size = 0;
+    const stack = [start];
+    seen[start] = 1;
+
+    while (stack.length > 0) {
+      const i = stack.pop();
+      const x = i % cols;
+      const y = Math.floor(i / cols);
+      minX = Math.min(minX, x); maxX = Math.max(maxX, x);
+      minY = Math.min(minY, y); maxY = Math.max(maxY, y);
+      peak = Math.max(peak, values[i]);
+      if (elaHot[i] >= values[i]) elaCells++;
+      size++;
+
+      for (const [nx, ny] of [[x - 1, y], [x + 1, y], [x, y - 1], [x, y + 1]]) {
+        if (nx < 0 || ny < 0 || nx >= cols || ny >= rows) continue;
+        const n = ny * cols + nx;
+        if (!seen[n] && values[n] >= HOTSPOT_THRESHOLD) {
+          seen[n] = 1;
+          stack.push(n);
+        }
+      }
+    }
+
+    boxes.push({
+      x: round(minX / cols),
+      y: round(minY / rows),
+      width: round((maxX - minX + 1) / cols),
+      height: round((maxY - minY + 1) / rows),
+      label: elaCells * 2 >= size ? "Recompression hotspot" : "Missing sensor noise",
+      score: peak
+    });
+  }
+
+  return boxes.sort((a, b) => b.score - a.score).slice(0, MAX_BOXES);
+}
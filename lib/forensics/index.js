@@ -0,0 +1,124 @@
+// lib/forensics/index.js - Deterministic, offline pixel forensics
+// Runs next to the model verdict so every answer carries evidence a reviewer can reproduce.
+// The same bytes always produce the same scores; nothing here touches the network.
+import { cropCenter, decodeImage, sniffFormat, toLuma } from "../image.js";
+import { errorLevelAnalysis } from "./ela.js";
+import { noiseResidualStats } from "./noise.js";
+import { fingerprintQuantization } from "./quantization.js";
+import { resamplingPeriodicity } from "./periodicity.js";
+import { regionHeatmap } from "./heatmap.js";
+import { makeFinding } from "../verdict.js";
+
+export const FORENSICS_VERSION = "1.2";
+
+// Largest centered window (in pixels per side) the checks look at
+const ANALYSIS_WINDOW = 512;
+const MIN_DIMENSION = 32;
+
+// How much each signal contributes to the combined score (0 = camera-like, 100 = synthetic-like)
+const WEIGHTS = { noise: 0.35, periodicity: 0.3, ela: 0.2, quantization: 0.15 };
+
+export function analyzeForensics(buffer) {
+  let image;
+  try {
+    image = decodeImage(buffer);
+  } catch (err) {
+    return { available: false, version: FORENSICS_VERSION, reason: `Could not decode image: ${err.message}` };
+  }
+
+  if (!image) {
+    const format = sniffFormat(buffer);
+    return { available: false, version: FORENSICS_VERSION, format, reason: `Local forensics does not support ${format} images` };
+  }
+
+  if (image.width < MIN_DIMENSION || image.height < MIN_DIMENSION) {
+    return { available: false, version: FORENSICS_VERSION, format: image.format, reason: "Image too small for forensics" };
+  }
+
+  const window = cropCenter(image, ANALYSIS_WINDOW);
+  const luma = toLuma(window);
+
+  const signals = {
+    ela: errorLevelAnalysis(window),
+    noise: noiseResidualStats(luma, window.width, window.height),
+    periodicity: resamplingPeriodicity(luma, window.width, window.height, image.format === "jpeg"),
+    quantization: image.format === "jpeg" ? fingerprintQuantization(buffer) : null
+  };
+
+  let weighted = 0;
+  let totalWeight = 0;
+  for (const [name, weight] of Object.entries(WEIGHTS)) {
+    if (!signals[name]) continue;
+    weighted += signals[name].score * weight;
+    totalWeight += weight;
+  }
+  const score = Math.round(weighted / totalWeight);
+  const findings = describeFindings(signals);
+
+  return {
+    available: true,
+    version: FORENSICS_VERSION,
+    format: image.format,
+    width: image.width,
+    height: image.height,
+    window: { width: window.width, height: window.height },
+    ...signals,
+    score,
+    verdict: {
+      isOriginal: score < 50,
+      // Pixel statistics alone never justify near-certainty
+      confidence: Math.round(50 + Math.abs(score - 50) * 0.7)
+    },
+    findings,
+    observations: findings.map(f => f.message),
+    // Unlike the scores above, the heatmap covers the whole frame, not just the center window
+    heatmap: regionHeatmap(image)
+  };
+}
+
+// Shape a forensics report like a provider result, for when no model is available
+export function forensicsResult(forensics) {
+  return {
+    verdict: forensics.verdict.isOriginal ? "original" : "ai-generated",
+    isOriginal: forensics.verdict.isOriginal,
+    confidence: forensics.verdict.confidence,
+    findings: forensics.findings,
+    summary: forensics.observations,
+    analysisMethod: "forensics"
+  };
+}
+
+function describeFindings({ ela, noise, periodicity, quantization }) {
+  const findings = [];
+  const add = (category, severity, message) => findings.push(makeFinding({ category, severity, message, source: "forensics" }));
+
+  if (noise.flatBlockFraction > 0.3) {
+    add("noise", noise.flatBlockFraction > 0.5 ? "high" : "medium",
+      `${Math.round(noise.flatBlockFraction * 100)}% of the frame shows almost no sensor noise`);
+  } else {
+    add("noise", "info", `Sensor-like noise residual present (σ ${noise.sigma})`);
+  }
+
+  if (periodicity.score >= 50) {
+    add("resampling", "medium",
+      `Periodic resampling peaks in the pixel spectrum (${Math.max(periodicity.horizontalPeak, periodicity.verticalPeak)}× above background)`);
+  } else {
+    add("resampling", "info", "No resampling periodicity detected in the pixel spectrum");
+  }
+
+  if (ela.score >= 50) {
+    add("compression", "medium", "Recompression error is uneven across regions, suggesting local edits");
+  } else {
+    add("compression", "info", "Recompression error is uniform across the frame");
+  }
+
+  if (!quantization) {
+    add("compression", "info", "No JPEG quantization tables (lossless or never-compressed source)");
+  } else if (quantization.encoder === "ijg-standard") {
+    add("compression", "low", `JPEG uses standard IJG quantization tables at ~Q${quantization.estimatedQuality} (software encoder)`);
+  } else {
+    add("compression", "info", "JPEG uses custom quantization tables, as camera firmware typically does");
+  }
+
+  return findings;
+}
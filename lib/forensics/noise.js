@@ -0,0 +1,46 @@
+// lib/forensics/noise.js - Noise residual statistics
+// Camera sensors leave a fine, spatially varying grain. Diffusion models tend to produce
+// residuals that are either unnaturally clean or unnaturally uniform across the frame.
+import { blockMeans, clamp01, mean, round, stdDev } from "./stats.js";
+
+const BLOCK_SIZE = 16;
+const FLAT_BLOCK_SIGMA = 1.0;
+
+export function noiseResidualStats(luma, width, height) {
+  // High-pass residual: each pixel minus its 3x3 neighbourhood mean
+  const residual = new Float64Array(width * height);
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      let sum = 0;
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) sum += luma[(y + dy) * width + x + dx];
+      }
+      residual[y * width + x] = luma[y * width + x] - sum / 9;
+    }
+  }
+
+  const sigma = stdDev(residual);
+  const mu = mean(residual);
+  let fourth = 0;
+  for (const r of residual) fourth += (r - mu) ** 4;
+  const kurtosis = sigma > 0 ? fourth / residual.length / sigma ** 4 : 0;
+
+  // Per-block noise energy tells us whether the grain is present and how evenly it is spread
+  const squared = residual.map(r => r * r);
+  const blockSigma = blockMeans(squared, width, height, BLOCK_SIZE).map(Math.sqrt);
+  const flatFraction = blockSigma.filter(s => s < FLAT_BLOCK_SIGMA).length / (blockSigma.length || 1);
+  const blockMean = mean(blockSigma);
+  const variation = blockMean > 0 ? stdDev(blockSigma, blockMean) / blockMean : 0;
+
+  const score = clamp01((flatFraction - 0.15) / 0.5) * 55 +
+    clamp01((1.5 - sigma) / 1.5) * 25 +
+    clamp01((0.5 - variation) / 0.5) * 20;
+
+  return {
+    sigma: round(sigma),
+    kurtosis: round(kurtosis),
+    flatBlockFraction: round(flatFraction),
+    blockVariation: round(variation),
+    score: Math.round(score)
+  };
+}
@@ -0,0 +1,105 @@
+// lib/forensics/periodicity.js - Resampling periodicity via FFT
+// Upsampling layers and image resizing interpolate pixels on a regular grid, which leaves
+// periodic correlations in the second derivative. Those show up as sharp spectral peaks.
+import { clamp01, median, round } from "./stats.js";
+
+// In-place iterative radix-2 FFT; length must be a power of two
+export function fft(re, im) {
+  const n = re.length;
+
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+
+  for (let len = 2; len <= n; len <<= 1) {
+    const half = len >> 1;
+    const angle = -2 * Math.PI / len;
+    const wRe = Math.cos(angle);
+    const wIm = Math.sin(angle);
+    for (let i = 0; i < n; i += len) {
+      let curRe = 1;
+      let curIm = 0;
+      for (let j = 0; j < half; j++) {
+        const a = i + j;
+        const b = a + half;
+        const vRe = re[b] * curRe - im[b] * curIm;
+        const vIm = re[b] * curIm + im[b] * curRe;
+        re[b] = re[a] - vRe;
+        im[b] = im[a] - vIm;
+        re[a] += vRe;
+        im[a] += vIm;
+        const next = curRe * wRe - curIm * wIm;
+        curIm = curRe * wIm + curIm * wRe;
+        curRe = next;
+      }
+    }
+  }
+}
+
+function nextPowerOfTwo(n) {
+  let p = 1;
+  while (p < n) p <<= 1;
+  return p;
+}
+
+// Strongest spectral peak of a 1-D profile relative to the median spectrum level.
+// Bins on the 8-pixel JPEG block grid are skipped so compression alone does not count.
+function spectralPeak(profile, skipBlockGrid) {
+  const n = nextPowerOfTwo(profile.length);
+  const re = new Float64Array(n);
+  const im = new Float64Array(n);
+
+  let mu = 0;
+  for (const v of profile) mu += v;
+  mu /= profile.length || 1;
+  for (let i = 0; i < profile.length; i++) {
+    const hann = 0.5 - 0.5 * Math.cos(2 * Math.PI * i / (profile.length - 1));
+    re[i] = (profile[i] - mu) * hann;
+  }
+
+  fft(re, im);
+
+  const magnitudes = [];
+  const minBin = Math.max(2, n >> 4);
+  const blockStep = n / 8;
+  for (let k = minBin; k <= n >> 1; k++) {
+    const nearBlockGrid = skipBlockGrid && Math.abs(k - Math.round(k / blockStep) * blockStep) <= 1;
+    if (nearBlockGrid) continue;
+    magnitudes.push({ k, m: Math.hypot(re[k], im[k]) });
+  }
+
+  const floor = median(magnitudes.map(x => x.m)) || 1e-9;
+  const peak = magnitudes.reduce((best, x) => (x.m > best.m ? x : best), { k: 0, m: 0 });
+
+  return { ratio: peak.m / floor, frequency: peak.k / n };
+}
+
+export function resamplingPeriodicity(luma, width, height, isJpeg) {
+  const colProfile = new Float64Array(width - 2);
+  const rowProfile = new Float64Array(height - 2);
+
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const c = luma[y * width + x];
+      colProfile[x - 1] += Math.abs(luma[y * width + x - 1] - 2 * c + luma[y * width + x + 1]);
+      rowProfile[y - 1] += Math.abs(luma[(y - 1) * width + x] - 2 * c + luma[(y + 1) * width + x]);
+    }
+  }
+
+  const horizontal = spectralPeak(colProfile, isJpeg);
+  const vertical = spectralPeak(rowProfile, isJpeg);
+  const strongest = horizontal.ratio >= vertical.ratio ? horizontal : vertical;
+
+  return {
+    horizontalPeak: round(horizontal.ratio),
+    verticalPeak: round(vertical.ratio),
+    peakFrequency: round(strongest.frequency),
+    score: Math.round(clamp01((strongest.ratio - 6) / 14) * 100)
+  };
+}
@@ -0,0 +1,110 @@
+// lib/forensics/quantization.js - JPEG quantization table fingerprinting
+// Camera firmware usually ships its own quantization tables, while libjpeg-based software
+// (PIL, browsers, most generator pipelines) writes the IJG reference tables scaled by quality.
+import crypto from "crypto";
+import { round } from "./stats.js";
+
+// Position in the zigzag scan -> index in the natural 8x8 order
+const ZIGZAG = [
+  0, 1, 8, 16, 9, 2, 3, 10, 17, 24, 32, 25, 18, 11, 4, 5,
+  12, 19, 26, 33, 40, 48, 41, 34, 27, 20, 13, 6, 7, 14, 21, 28,
+  35, 42, 49, 56, 57, 50, 43, 36, 29, 22, 15, 23, 30, 37, 44, 51,
+  58, 59, 52, 45, 38, 31, 39, 46, 53, 60, 61, 54, 47, 55, 62, 63
+];
+
+// IJG reference tables (ITU T.81 Annex K), natural order
+const IJG_LUMA = [
+  16, 11, 10, 16, 24, 40, 51, 61,
+  12, 12, 14, 19, 26, 58, 60, 55,
+  14, 13, 16, 24, 40, 57, 69, 56,
+  14, 17, 22, 29, 51, 87, 80, 62,
+  18, 22, 37, 56, 68, 109, 103, 77,
+  24, 35, 55, 64, 81, 104, 113, 92,
+  49, 64, 78, 87, 103, 121, 120, 101,
+  72, 92, 95, 98, 112, 100, 103, 99
+];
+
+const IJG_CHROMA = [
+  17, 18, 24, 47, 99, 99, 99, 99,
+  18, 21, 26, 66, 99, 99, 99, 99,
+  24, 26, 56, 99, 99, 99, 99, 99,
+  47, 66, 99, 99, 99, 99, 99, 99,
+  ...new Array(32).fill(99)
+];
+
+function scaleTable(base, quality) {
+  const scale = quality < 50 ? 5000 / quality : 200 - quality * 2;
+  return base.map(v => Math.min(255, Math.max(1, Math.floor((v * scale + 50) / 100))));
+}
+
+function tableDistance(a, b) {
+  let sum = 0;
+  for (let i = 0; i < 64; i++) sum += Math.abs(a[i] - b[i]);
+  return sum;
+}
+
+// Walk the marker segments up to start-of-scan and collect every DQT table
+export function readQuantizationTables(buffer) {
+  const tables = [];
+  let offset = 2;
+
+  while (offset + 4 <= buffer.length) {
+    if (buffer[offset] !== 0xff) break;
+    const marker = buffer[offset + 1];
+    if (marker === 0xff) { offset++; continue; }
+    if (marker === 0xd8 || marker === 0x01 || (marker >= 0xd0 && marker <= 0xd7)) { offset += 2; continue; }
+    if (marker === 0xda || marker === 0xd9) break;
+
+    const length = buffer.readUInt16BE(offset + 2);
+    if (marker === 0xdb) {
+      let p = offset + 4;
+      const end = offset + 2 + length;
+      while (p < end) {
+        const precision = buffer[p] >> 4;
+        const id = buffer[p] & 0x0f;
+        const values = new Array(64);
+        for (let i = 0; i < 64; i++) {
+          values[ZIGZAG[i]] = precision ? buffer.readUInt16BE(p + 1 + i * 2) : buffer[p + 1 + i];
+        }
+        tables.push({ id, precision: precision ? 16 : 8, values });
+        p += 1 + 64 * (precision ? 2 : 1);
+      }
+    }
+    offset += 2 + length;
+  }
+
+  return tables;
+}
+
+export function fingerprintQuantization(buffer) {
+  const tables = readQuantizationTables(buffer);
+  if (tables.length === 0) return null;
+
+  const luma = tables.find(t => t.id === 0) || tables[0];
+  const chroma = tables.find(t => t.id === 1);
+
+  let estimatedQuality = 1;
+  let bestDistance = Infinity;
+  for (let q = 1; q <= 100; q++) {
+    const d = tableDistance(luma.values, scaleTable(IJG_LUMA, q));
+    if (d < bestDistance) { bestDistance = d; estimatedQuality = q; }
+  }
+
+  const standard = bestDistance === 0 &&
+    (!chroma || tableDistance(chroma.values, scaleTable(IJG_CHROMA, estimatedQuality)) === 0);
+
+  const fingerprint = crypto.createHash("sha256")
+    .update(tables.map(t => t.values.join(",")).join(";"))
+    .digest("hex")
+    .slice(0, 16);
+
+  return {
+    tableCount: tables.length,
+    estimatedQuality,
+    // Mean absolute deviation per coefficient from the closest IJG table
+    deviation: round(bestDistance / 64),
+    encoder: standard ? "ijg-standard" : "custom",
+    fingerprint,
+    score: standard ? 60 : 30
+  };
+}
@@ -0,0 +1,50 @@
+// lib/forensics/stats.js - Small numeric helpers shared by the forensics checks
+
+export function mean(values) {
+  if (values.length === 0) return 0;
+  let sum = 0;
+  for (const v of values) sum += v;
+  return sum / values.length;
+}
+
+export function stdDev(values, mu = mean(values)) {
+  if (values.length === 0) return 0;
+  let sum = 0;
+  for (const v of values) sum += (v - mu) * (v - mu);
+  return Math.sqrt(sum / values.length);
+}
+
+export function median(values) {
+  if (values.length === 0) return 0;
+  const sorted = Array.from(values).sort((a, b) => a - b);
+  const mid = sorted.length >> 1;
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// Average a per-pixel map over non-overlapping square blocks
+export function blockMeans(map, width, height, blockSize) {
+  const cols = Math.floor(width / blockSize);
+  const rows = Math.floor(height / blockSize);
+  const out = new Float64Array(cols * rows);
+
+  for (let by = 0; by < rows; by++) {
+    for (let bx = 0; bx < cols; bx++) {
+      let sum = 0;
+      for (let y = by * blockSize; y < (by + 1) * blockSize; y++) {
+        for (let x = bx * blockSize; x < (bx + 1) * blockSize; x++) sum += map[y * width + x];
+      }
+      out[by * cols + bx] = sum / (blockSize * blockSize);
+    }
+  }
+
+  return out;
+}
+
+export function clamp01(value) {
+  return Math.min(1, Math.max(0, value));
+}
+
+export function round(value, digits = 3) {
+  const f = 10 ** digits;
+  return Math.round(value * f) / f;
+}
@@ -0,0 +1,321 @@
+// lib/history/index.js - Server-side analysis history
+// Stores one compact record per analysis (thumbnail instead of the full image, plus the
+// evidence downloadable reports are built from) and answers paged, filtered queries for
+// the history modal and the REST routes.
+// Stores implement: add(record), get(id), update(record), query(filters, { page, pageSize }),
+// remove(id), clear()
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+import { createFileWriter } from "../file-writer.js";
+import { REVIEW_STATUSES, VERDICTS } from "../verdict.js";
+
+// Providers that actually voted on this result
+function providersOf(result) {
+  if (result.ensemble) return result.ensemble.votes.filter(v => !v.error).map(v => v.provider);
+  return [result.analysisMethod.replace(/-api(-fallback)?$/, "")];
+}
+
+// Each provider's own verdict and findings; clips keep theirs per frame in `frames`
+function providerVerdicts(result) {
+  const failed = (result.providerErrors || []).map(({ provider, error, frame }) => ({ provider, error, ...(frame !== undefined && { frame }) }));
+  if (result.ensemble) {
+    return result.ensemble.votes.map(({ provider, verdict, confidence, weight, analysisMethod, findings, error }) => (error
+      ? { provider, error }
+      : { provider, verdict, confidence, weight, analysisMethod, findings: findings || [] }));
+  }
+  if (result.frames || result.analysisMethod === "none") return failed;
+  // A single provider's findings are merged with the forensics and provenance ones
+  const provider = providersOf(result)[0];
+  return [{
+    provider,
+    verdict: result.verdict,
+    confidence: result.confidence,
+    analysisMethod: result.analysisMethod,
+    findings: (result.findings || []).filter(f => f.source === provider)
+  }, ...failed];
+}
+
+// Everything a downloadable report (lib/reports) needs beyond the summary fields
+function evidenceOf(result, service) {
+  const { forensics } = result;
+  return {
+    versions: {
+      ...service,
+      schema: result.schemaVersion,
+      forensics: forensics?.version || null,
+      provenance: result.provenance?.version || null
+    },
+    fingerprint: result.fingerprint || null,
+    input: result.input || null,
+    source: result.source || null,
+    provenance: result.provenance || null,
+    forensics: forensics?.available
+      ? { available: true, score: forensics.score, verdict: forensics.verdict, observations: forensics.observations }
+      : { available: false, reason: forensics?.reason || null },
+    providers: providerVerdicts(result),
+    agreement: result.ensemble ? result.ensemble.agreement : null,
+    disagreement: result.ensemble?.disagreement?.explanation || null,
+    frames: result.frames || null,
+    cacheHit: !!result.cacheHit,
+    usage: result.meta?.usage || null
+  };
+}
+
+// `service` is { name, version, api }: what produced the analysis, for reports
+export function buildRecord(result, { fileName, thumbnail, service } = {}) {
+  return {
+    id: crypto.randomUUID(),
+    createdAt: new Date().toISOString(),
+    fileName: fileName || null,
+    sourceUrl: result.source?.url || null,
+    verdict: result.verdict,
+    leaning: result.leaning || null,
+    isOriginal: result.isOriginal,
+    confidence: result.confidence,
+    analysisMethod: result.analysisMethod,
+    providers: providersOf(result),
+    profile: result.profile || null,
+    summary: result.summary,
+    findings: result.findings || [],
+    forensicsScore: result.forensics?.available ? result.forensics.score : null,
+    provenance: result.provenance ? {
+      assessment: result.provenance.assessment,
+      camera: result.provenance.camera,
+      generatorSignatures: result.provenance.generatorSignatures
+    } : null,
+    annotations: result.annotations || null,
+    // Set when the verdict was reused from an earlier analysis of the same image
+    matchedId: result.matchedId || null,
+    thumbnail: thumbnail || null,
+    // Human sign-off state (lib/review)
+    review: result.review || null,
+    evidence: evidenceOf(result, service)
+  };
+}
+
+// Parse query-string filters; invalid values are reported rather than silently ignored
+export function parseFilters(query = {}) {
+  const filters = {};
+  const errors = [];
+
+  if (query.verdict) {
+    if (VERDICTS.includes(query.verdict)) filters.verdict = query.verdict;
+    else errors.push(`verdict must be one of ${VERDICTS.join(", ")}`);
+  }
+  for (const key of ["minConfidence", "maxConfidence"]) {
+    if (query[key] === undefined || query[key] === "") continue;
+    const value = Number(query[key]);
+    if (Number.isFinite(value) && value >= 0 && value <= 100) filters[key] = value;
+    else errors.push(`${key} must be a number between 0 and 100`);
+  }
+  for (const key of ["from", "to"]) {
+    if (!query[key]) continue;
+    const date = new Date(query[key]);
+    if (Number.isNaN(date.getTime())) errors.push(`${key} must be an ISO date`);
+    // A bare date for "to" means the whole day
+    else filters[key] = key === "to" && /^\d{4}-\d{2}-\d{2}$/.test(query[key])
+      ? new Date(date.getTime() + 86400000 - 1).toISOString()
+      : date.toISOString();
+  }
+  if (query.review) {
+    if (REVIEW_STATUSES.includes(query.review)) filters.review = query.review;
+    else errors.push(`review must be one of ${REVIEW_STATUSES.join(", ")}`);
+  }
+  if (query.provider) filters.provider = String(query.provider);
+  if (query.q) filters.q = String(query.q).toLowerCase();
+
+  return { filters, errors };
+}
+
+export function parsePaging(query = {}) {
+  const page = Math.max(1, parseInt(query.page, 10) || 1);
+  const pageSize = Math.min(100, Math.max(1, parseInt(query.pageSize, 10) || 20));
+  return { page, pageSize };
+}
+
+function matches(record, filters) {
+  if (filters.verdict && record.verdict !== filters.verdict) return false;
+  if (filters.minConfidence !== undefined && record.confidence < filters.minConfidence) return false;
+  if (filters.maxConfidence !== undefined && record.confidence > filters.maxConfidence) return false;
+  if (filters.from && record.createdAt < filters.from) return false;
+  if (filters.to && record.createdAt > filters.to) return false;
+  if (filters.provider && !record.providers.includes(filters.provider)) return false;
+  if (filters.review && record.review?.status !== filters.review) return false;
+  if (filters.q && !(record.fileName || "").toLowerCase().includes(filters.q)) return false;
+  return true;
+}
+
+export class MemoryHistoryStore {
+  constructor() {
+    this.records = new Map();
+  }
+
+  async add(record) {
+    this.records.set(record.id, record);
+    return record;
+  }
+
+  async get(id) {
+    return this.records.get(id) || null;
+  }
+
+  // Replace a stored record; false when there is none with its id
+  async update(record) {
+    if (!this.records.has(record.id)) return false;
+    this.records.set(record.id, record);
+    return true;
+  }
+
+  async query(filters = {}, { page = 1, pageSize = 20 } = {}) {
+    const hits = [...this.records.values()]
+      .filter(r => matches(r, filters))
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    return { items: hits.slice((page - 1) * pageSize, page * pageSize), total: hits.length };
+  }
+
+  async remove(id) {
+    return this.records.delete(id);
+  }
+
+  async clear() {
+    const count = this.records.size;
+    this.records.clear();
+    return count;
+  }
+}
+
+// All records in one JSON file, rewritten atomically after each change
+export class FileHistoryStore extends MemoryHistoryStore {
+  constructor(filePath) {
+    super();
+    this.filePath = filePath;
+    this.writer = createFileWriter(filePath);
+  }
+
+  async load() {
+    try {
+      const data = JSON.parse(await fs.readFile(this.filePath, "utf8"));
+      for (const record of data.records || []) this.records.set(record.id, record);
+    } catch (err) {
+      if (err.code !== "ENOENT") throw err;
+    }
+    return this;
+  }
+
+  persist() {
+    return this.writer.writeJson({ records: [...this.records.values()] });
+  }
+
+  async add(record) {
+    await super.add(record);
+    await this.persist();
+    return record;
+  }
+
+  async update(record) {
+    const updated = await super.update(record);
+    if (updated) await this.persist();
+    return updated;
+  }
+
+  async remove(id) {
+    const removed = await super.remove(id);
+    if (removed) await this.persist();
+    return removed;
+  }
+
+  async clear() {
+    const count = await super.clear();
+    await this.persist();
+    return count;
+  }
+}
+
+// User text matched literally inside a LIKE pattern: % and _ are wildcards otherwise
+function escapeLike(text) {
+  return text.replace(/[\\%_]/g, "\\$&");
+}
+
+// SQLite via node:sqlite (Node 22.5+); filters run as SQL against indexed columns
+export class SqliteHistoryStore {
+  constructor(filePath) {
+    this.filePath = filePath;
+  }
+
+  async load() {
+    let sqlite;
+    try {
+      sqlite = await import("node:sqlite");
+    } catch {
+      throw new Error(`HISTORY_STORE=sqlite needs Node 22.5 or newer (running ${process.version})`);
+    }
+
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    this.db = new sqlite.DatabaseSync(this.filePath);
+    this.db.exec(`CREATE TABLE IF NOT EXISTS history (
+      id TEXT PRIMARY KEY,
+      created_at TEXT NOT NULL,
+      verdict TEXT NOT NULL,
+      confidence INTEGER NOT NULL,
+      providers TEXT NOT NULL,
+      file_name TEXT,
+      data TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS history_created_at ON history (created_at)`);
+    return this;
+  }
+
+  async add(record) {
+    this.db.prepare("INSERT INTO history (id, created_at, verdict, confidence, providers, file_name, data) VALUES (?, ?, ?, ?, ?, ?, ?)")
+      .run(record.id, record.createdAt, record.verdict, record.confidence, `,${record.providers.join(",")},`, record.fileName, JSON.stringify(record));
+    return record;
+  }
+
+  async get(id) {
+    const row = this.db.prepare("SELECT data FROM history WHERE id = ?").get(id);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  async update(record) {
+    return this.db.prepare("UPDATE history SET data = ? WHERE id = ?").run(JSON.stringify(record), record.id).changes > 0;
+  }
+
+  async query(filters = {}, { page = 1, pageSize = 20 } = {}) {
+    const where = [];
+    const params = [];
+    if (filters.verdict) { where.push("verdict = ?"); params.push(filters.verdict); }
+    if (filters.minConfidence !== undefined) { where.push("confidence >= ?"); params.push(filters.minConfidence); }
+    if (filters.maxConfidence !== undefined) { where.push("confidence <= ?"); params.push(filters.maxConfidence); }
+    if (filters.from) { where.push("created_at >= ?"); params.push(filters.from); }
+    if (filters.to) { where.push("created_at <= ?"); params.push(filters.to); }
+    if (filters.provider) { where.push("providers LIKE ? ESCAPE '\\'"); params.push(`%,${escapeLike(filters.provider)},%`); }
+    if (filters.q) { where.push("LOWER(file_name) LIKE ? ESCAPE '\\'"); params.push(`%${escapeLike(filters.q)}%`); }
+    if (filters.review) { where.push("json_extract(data, '$.review.status') = ?"); params.push(filters.review); }
+    const clause = where.length ? `WHERE ${where.join(" AND ")}` : "";
+
+    const { total } = this.db.prepare(`SELECT COUNT(*) AS total FROM history ${clause}`).get(...params);
+    const rows = this.db.prepare(`SELECT data FROM history ${clause} ORDER BY created_at DESC LIMIT ? OFFSET ?`)
+      .all(...params, pageSize, (page - 1) * pageSize);
+    return { items: rows.map(row => JSON.parse(row.data)), total };
+  }
+
+  async remove(id) {
+    return this.db.prepare("DELETE FROM history WHERE id = ?").run(id).changes > 0;
+  }
+
+  async clear() {
+    return this.db.prepare("DELETE FROM history").run().changes;
+  }
+}
+
+// HISTORY_STORE=memory (default) | file | sqlite, HISTORY_STORE_PATH=<file>
+export async function createHistoryStore(env = process.env) {
+  const kind = env.HISTORY_STORE || "memory";
+
+  if (kind === "memory") return new MemoryHistoryStore();
+  if (kind === "file") return new FileHistoryStore(env.HISTORY_STORE_PATH || "data/history.json").load();
+  if (kind === "sqlite") return new SqliteHistoryStore(env.HISTORY_STORE_PATH || "data/history.db").load();
+
+  throw new Error(`Unknown HISTORY_STORE "${kind}" (expected memory, file or sqlite)`);
+}
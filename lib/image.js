@@ -0,0 +1,181 @@
+// lib/image.js - Shared image helpers (format sniffing, decoding, pixel access)
+import jpeg from "jpeg-js";
+import { PNG } from "pngjs";
+
+// HEIF files are ISO BMFF: an ftyp box whose brands say which codec the pictures use
+const AVIF_BRANDS = ["avif", "avis"];
+const HEIC_BRANDS = ["heic", "heix", "heim", "heis", "hevc", "hevx", "mif1", "msf1"];
+// MP4 and QuickTime video share the same box structure
+const MP4_BRANDS = /^(isom|iso[2-9]|mp4[12]|avc1|dash|M4V |mmp4|MSNV|3gp[4-6]|f4v )$/;
+
+function sniffIsoMedia(buffer) {
+  if (buffer.length < 16 || buffer.toString("ascii", 4, 8) !== "ftyp") return null;
+  const boxSize = Math.min(buffer.readUInt32BE(0), buffer.length);
+  const major = buffer.toString("ascii", 8, 12);
+  const compatible = [];
+  for (let offset = 16; offset + 4 <= boxSize; offset += 4) compatible.push(buffer.toString("ascii", offset, offset + 4));
+
+  if (AVIF_BRANDS.includes(major)) return "avif";
+  if (MP4_BRANDS.test(major)) return "mp4";
+  if (major === "qt  ") return "mov";
+  if (!HEIC_BRANDS.includes(major)) return null;
+  // A generic mif1/msf1 major brand leaves the codec to the compatible brands
+  return compatible.some(brand => AVIF_BRANDS.includes(brand)) && !compatible.some(brand => brand.startsWith("he")) ? "avif" : "heic";
+}
+
+// Identify the container from its magic bytes rather than trusting the data URL header
+export function sniffFormat(buffer) {
+  if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return "jpeg";
+  if (buffer.length >= 8 && buffer.readUInt32BE(0) === 0x89504e47 && buffer.readUInt32BE(4) === 0x0d0a1a0a) return "png";
+  if (buffer.length >= 6 && /^GIF8[79]a$/.test(buffer.toString("ascii", 0, 6))) return "gif";
+  if (buffer.length >= 12 && buffer.toString("ascii", 0, 4) === "RIFF" && buffer.toString("ascii", 8, 12) === "WEBP") return "webp";
+  if (buffer.length >= 26 && buffer.toString("ascii", 0, 2) === "BM") return "bmp";
+  if (buffer.length >= 8 && ["49492a00", "4d4d002a"].includes(buffer.toString("hex", 0, 4))) return "tiff";
+  const isoMedia = sniffIsoMedia(buffer);
+  if (isoMedia) return isoMedia;
+  // Matroska's EBML header; WebM declares itself in the DocType
+  if (buffer.length >= 4 && buffer.readUInt32BE(0) === 0x1a45dfa3 && buffer.subarray(0, 64).includes("webm")) return "webm";
+  // SVG is text; recognised only so it can be refused by name
+  if (/^(\ufeff)?\s*(<\?xml[^>]*>\s*)?(<!--[\s\S]*?-->\s*)*(<!doctype svg[^>]*>\s*)?<svg[\s>]/i.test(buffer.toString("utf8", 0, 1024))) return "svg";
+  return "unknown";
+}
+
+// Formats decodeImage() handles, and so the ones local forensics can inspect
+export const DECODABLE_FORMATS = ["jpeg", "png", "bmp"];
+
+// Decode to RGBA pixels. Returns null for formats we cannot decode locally.
+export function decodeImage(buffer) {
+  const format = sniffFormat(buffer);
+
+  if (format === "jpeg") {
+    const img = jpeg.decode(buffer, { useTArray: true, formatAsRGBA: true, maxMemoryUsageInMB: 1024 });
+    return { format, width: img.width, height: img.height, data: img.data };
+  }
+
+  if (format === "png") {
+    const img = PNG.sync.read(buffer);
+    return { format, width: img.width, height: img.height, data: img.data };
+  }
+
+  if (format === "bmp") return decodeBmp(buffer);
+
+  return null;
+}
+
+// Uncompressed Windows bitmaps: 8-bit palette, 24-bit and 32-bit (BI_RGB or BGRA bitfields)
+function decodeBmp(buffer) {
+  const dataOffset = buffer.readUInt32LE(10);
+  const headerSize = buffer.readUInt32LE(14);
+  const width = buffer.readInt32LE(18);
+  const rawHeight = buffer.readInt32LE(22);
+  const bitsPerPixel = buffer.readUInt16LE(28);
+  const compression = buffer.readUInt32LE(30);
+  const height = Math.abs(rawHeight);
+
+  if (headerSize < 40 || width <= 0 || height === 0) throw new Error("Malformed BMP header");
+  if (!(compression === 0 || (compression === 3 && bitsPerPixel === 32)) || ![8, 24, 32].includes(bitsPerPixel)) {
+    throw new Error(`Unsupported BMP variant (${bitsPerPixel}-bit, compression ${compression})`);
+  }
+
+  const rowSize = Math.ceil(width * bitsPerPixel / 32) * 4;
+  if (dataOffset + rowSize * height > buffer.length) throw new Error("Truncated BMP pixel data");
+
+  const paletteSize = buffer.readUInt32LE(46) || 256;
+  const palette = bitsPerPixel === 8 ? buffer.subarray(14 + headerSize, 14 + headerSize + paletteSize * 4) : null;
+  // BI_RGB 32-bit files usually leave the fourth byte at zero, which does not mean transparent
+  const hasAlpha = compression === 3 && headerSize >= 56 && buffer.readUInt32LE(66) === 0xff000000;
+  const data = new Uint8Array(width * height * 4);
+
+  for (let y = 0; y < height; y++) {
+    // Rows are stored bottom-up unless the height is negative
+    const row = dataOffset + (rawHeight > 0 ? height - 1 - y : y) * rowSize;
+    for (let x = 0; x < width; x++) {
+      const q = (y * width + x) * 4;
+      const [source, p] = palette ? [palette, buffer[row + x] * 4] : [buffer, row + x * bitsPerPixel / 8];
+      if (palette && p + 2 >= palette.length) throw new Error("BMP palette index out of range");
+      data[q] = source[p + 2];
+      data[q + 1] = source[p + 1];
+      data[q + 2] = source[p];
+      data[q + 3] = hasAlpha ? buffer[p + 3] : 255;
+    }
+  }
+
+  return { format: "bmp", width, height, data };
+}
+
+export function encodeJpeg(image, quality) {
+  return jpeg.encode({ data: image.data, width: image.width, height: image.height }, quality).data;
+}
+
+// Take a centered window of at most `size` x `size` pixels without resampling,
+// so pixel-level statistics are not smoothed away by interpolation
+export function cropCenter(image, size) {
+  const width = Math.min(size, image.width);
+  const height = Math.min(size, image.height);
+  const left = Math.floor((image.width - width) / 2);
+  const top = Math.floor((image.height - height) / 2);
+  const data = new Uint8Array(width * height * 4);
+
+  for (let y = 0; y < height; y++) {
+    const src = ((top + y) * image.width + left) * 4;
+    data.set(image.data.subarray(src, src + width * 4), y * width * 4);
+  }
+
+  return { format: image.format, width, height, data };
+}
+
+// ITU-R BT.601 luma as floats
+export function toLuma(image) {
+  const luma = new Float64Array(image.width * image.height);
+  for (let i = 0, p = 0; i < luma.length; i++, p += 4) {
+    luma[i] = 0.299 * image.data[p] + 0.587 * image.data[p + 1] + 0.114 * image.data[p + 2];
+  }
+  return luma;
+}
+
+// Box-filter resample to exactly `width` x `height` (meant for shrinking)
+export function resize(image, width, height) {
+  const data = new Uint8Array(width * height * 4);
+
+  for (let y = 0; y < height; y++) {
+    const y0 = Math.floor(y * image.height / height);
+    const y1 = Math.max(y0 + 1, Math.floor((y + 1) * image.height / height));
+    for (let x = 0; x < width; x++) {
+      const x0 = Math.floor(x * image.width / width);
+      const x1 = Math.max(x0 + 1, Math.floor((x + 1) * image.width / width));
+      const sum = [0, 0, 0, 0];
+      for (let sy = y0; sy < y1; sy++) {
+        for (let sx = x0; sx < x1; sx++) {
+          const p = (sy * image.width + sx) * 4;
+          sum[0] += image.data[p];
+          sum[1] += image.data[p + 1];
+          sum[2] += image.data[p + 2];
+          sum[3] += image.data[p + 3];
+        }
+      }
+      const count = (y1 - y0) * (x1 - x0);
+      const q = (y * width + x) * 4;
+      for (let c = 0; c < 4; c++) data[q + c] = Math.round(sum[c] / count);
+    }
+  }
+
+  return { format: image.format, width, height, data };
+}
+
+// Downscale so the longest side is at most `maxSide` (never upscales)
+export function resizeToFit(image, maxSide) {
+  const scale = Math.min(1, maxSide / Math.max(image.width, image.height));
+  return resize(image, Math.max(1, Math.round(image.width * scale)), Math.max(1, Math.round(image.height * scale)));
+}
+
+// Small JPEG data URL for history lists; null when the format cannot be decoded locally
+export function createThumbnail(buffer, maxSide = 160) {
+  try {
+    const image = decodeImage(buffer);
+    if (!image) return null;
+    const jpegData = encodeJpeg(resizeToFit(image, maxSide), 70);
+    return `data:image/jpeg;base64,${Buffer.from(jpegData).toString("base64")}`;
+  } catch {
+    return null;
+  }
+}
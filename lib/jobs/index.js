@@ -0,0 +1,115 @@
+// lib/jobs/index.js - Asynchronous analysis jobs
+// submit() records a job and returns immediately; the work runs in the background with
+// bounded concurrency, and a signed callback is sent when the job finishes. The callback
+// goes out after the job has given up its slot, so slow receivers cannot hold up analyses.
+import crypto from "crypto";
+import { deliverWebhook } from "./webhook.js";
+
+export { createJobStore } from "./stores.js";
+export { callbackUrlProblem, signPayload, verifySignature } from "./webhook.js";
+
+// Fields returned to API clients (the callback URL is the submitter's business only)
+export function publicJob(job) {
+  const { callbackUrl, ...rest } = job;
+  return { ...rest, hasCallback: !!callbackUrl };
+}
+
+export function createJobQueue({ store, concurrency = 2, webhookSecret, webhookTimeoutMs, webhookAllowPrivate = false, fetch, log = () => {} }) {
+  const waiting = [];
+  const settling = new Map();
+  let running = 0;
+
+  function pump() {
+    while (running < concurrency && waiting.length > 0) {
+      const { id, work } = waiting.shift();
+      running++;
+      execute(id, work)
+        .catch(err => abandon(id, err))
+        .then(job => {
+          running--;
+          pump();
+          if (job?.callbackUrl) return notify(job);
+        })
+        .then(() => settling.get(id)?.settle());
+    }
+  }
+
+  // Runs the work and records its outcome; resolves to the finished job
+  async function execute(id, work) {
+    await store.update(id, { status: "running", startedAt: new Date().toISOString() });
+
+    let job;
+    try {
+      const result = await work();
+      job = await store.update(id, { status: "succeeded", result, finishedAt: new Date().toISOString() });
+    } catch (err) {
+      job = await store.update(id, { status: "failed", error: err.message, finishedAt: new Date().toISOString() });
+    }
+    log(`Job ${id} ${job.status}`);
+    return job;
+  }
+
+  // The store refused an update: try once more to mark the job failed so it does not stay
+  // "running" for good
+  async function abandon(id, err) {
+    log(`Job ${id} could not be recorded: ${err.message}`);
+    try {
+      return await store.update(id, { status: "failed", error: `Could not record the job: ${err.message}`, finishedAt: new Date().toISOString() });
+    } catch {
+      return null;
+    }
+  }
+
+  async function notify(job) {
+    try {
+      const callback = await deliverWebhook(job.callbackUrl, publicJob(job), { secret: webhookSecret, fetch, timeoutMs: webhookTimeoutMs, allowPrivate: webhookAllowPrivate });
+      await store.update(job.id, { callback });
+      log(`Job ${job.id} callback ${callback.delivered ? "delivered" : `failed: ${callback.error}`}`);
+    } catch (err) {
+      log(`Job ${job.id} callback could not be recorded: ${err.message}`);
+    }
+  }
+
+  return {
+    store,
+
+    // `work` is kept in memory only; the image payload never goes into the store
+    async submit(work, { callbackUrl } = {}) {
+      const job = await store.create({
+        id: crypto.randomUUID(),
+        status: "queued",
+        createdAt: new Date().toISOString(),
+        callbackUrl: callbackUrl || null
+      });
+      let settle;
+      const settled = new Promise(resolve => { settle = resolve; }).then(() => settling.delete(job.id));
+      settling.set(job.id, { settle, settled });
+      waiting.push({ id: job.id, work });
+      setImmediate(pump);
+      return job;
+    },
+
+    // Resolves once a job submitted here has finished and its callback has been tried, so a
+    // serverless host can be told to stay up until then
+    settled(id) {
+      return settling.get(id)?.settled ?? Promise.resolve();
+    },
+
+    get(id) {
+      return store.get(id);
+    },
+
+    // Jobs that were queued or running when the process stopped can never finish
+    async recover() {
+      const orphaned = await store.list({ status: ["queued", "running"] });
+      for (const job of orphaned) {
+        await store.update(job.id, {
+          status: "failed",
+          error: "Interrupted by server restart",
+          finishedAt: new Date().toISOString()
+        });
+      }
+      return orphaned.length;
+    }
+  };
+}
@@ -0,0 +1,271 @@
+// lib/jobs/stores.js - Pluggable job stores
+// Every store implements: create(job), get(id), update(id, patch), list({ status })
+// Methods are async so persistent backends can be swapped in without touching callers.
+// Finished jobs are kept for ttlMs after they finish and at most maxEntries jobs are kept,
+// the oldest finished ones going first; queued and running jobs are never dropped.
+import fs from "fs/promises";
+import path from "path";
+import { createFileWriter } from "../file-writer.js";
+
+const DEFAULT_TTL_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_MAX_ENTRIES = 10000;
+const FINISHED = ["succeeded", "failed"];
+
+export class MemoryJobStore {
+  constructor({ ttlMs = DEFAULT_TTL_MS, maxEntries = DEFAULT_MAX_ENTRIES } = {}) {
+    this.jobs = new Map();
+    this.ttlMs = ttlMs;
+    this.maxEntries = maxEntries;
+  }
+
+  async create(job) {
+    this.jobs.set(job.id, { ...job });
+    this.prune();
+    return { ...job };
+  }
+
+  // Jobs are in creation order, so the first finished ones are the oldest
+  prune(now = Date.now()) {
+    let excess = this.jobs.size - this.maxEntries;
+    for (const job of [...this.jobs.values()]) {
+      if (!FINISHED.includes(job.status)) continue;
+      if (excess <= 0 && now - Date.parse(job.finishedAt) <= this.ttlMs) continue;
+      this.jobs.delete(job.id);
+      excess--;
+    }
+  }
+
+  async get(id) {
+    const job = this.jobs.get(id);
+    return job ? { ...job } : null;
+  }
+
+  async update(id, patch) {
+    const job = this.jobs.get(id);
+    if (!job) return null;
+    Object.assign(job, patch);
+    return { ...job };
+  }
+
+  async list({ status } = {}) {
+    const jobs = [...this.jobs.values()];
+    return (status ? jobs.filter(j => status.includes(j.status)) : jobs).map(j => ({ ...j }));
+  }
+
+  async remove(id) {
+    return this.jobs.delete(id);
+  }
+}
+
+// Whole store in one JSON file. Writes are serialized and atomic (temp file + rename).
+export class FileJobStore extends MemoryJobStore {
+  constructor(filePath, options) {
+    super(options);
+    this.filePath = filePath;
+    this.writer = createFileWriter(filePath);
+  }
+
+  async load() {
+    try {
+      const data = JSON.parse(await fs.readFile(this.filePath, "utf8"));
+      for (const job of data.jobs || []) this.jobs.set(job.id, job);
+      this.prune();
+    } catch (err) {
+      if (err.code !== "ENOENT") throw err;
+    }
+    return this;
+  }
+
+  persist() {
+    return this.writer.writeJson({ jobs: [...this.jobs.values()] });
+  }
+
+  async create(job) {
+    const created = await super.create(job);
+    await this.persist();
+    return created;
+  }
+
+  async update(id, patch) {
+    const updated = await super.update(id, patch);
+    if (updated) await this.persist();
+    return updated;
+  }
+
+  async remove(id) {
+    const removed = await super.remove(id);
+    if (removed) await this.persist();
+    return removed;
+  }
+}
+
+// SQLite via the built-in node:sqlite module (Node 22.5+), so no native dependency is needed
+export class SqliteJobStore {
+  constructor(filePath, { ttlMs = DEFAULT_TTL_MS, maxEntries = DEFAULT_MAX_ENTRIES } = {}) {
+    this.filePath = filePath;
+    this.ttlMs = ttlMs;
+    this.maxEntries = maxEntries;
+  }
+
+  async load() {
+    let sqlite;
+    try {
+      sqlite = await import("node:sqlite");
+    } catch {
+      throw new Error(`JOB_STORE=sqlite needs Node 22.5 or newer (running ${process.version})`);
+    }
+
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    this.db = new sqlite.DatabaseSync(this.filePath);
+    this.db.exec(`CREATE TABLE IF NOT EXISTS jobs (
+      id TEXT PRIMARY KEY,
+      status TEXT NOT NULL,
+      created_at TEXT NOT NULL,
+      data TEXT NOT NULL
+    )`);
+    return this;
+  }
+
+  async create(job) {
+    this.db.prepare("INSERT INTO jobs (id, status, created_at, data) VALUES (?, ?, ?, ?)")
+      .run(job.id, job.status, job.createdAt, JSON.stringify(job));
+    this.prune();
+    return { ...job };
+  }
+
+  prune(now = Date.now()) {
+    const finished = FINISHED.map(() => "?").join(",");
+    this.db.prepare(`DELETE FROM jobs WHERE status IN (${finished}) AND json_extract(data, '$.finishedAt') < ?`)
+      .run(...FINISHED, new Date(now - this.ttlMs).toISOString());
+    const excess = this.db.prepare("SELECT COUNT(*) AS count FROM jobs").get().count - this.maxEntries;
+    if (excess > 0) {
+      this.db.prepare(`DELETE FROM jobs WHERE id IN (SELECT id FROM jobs WHERE status IN (${finished}) ORDER BY created_at LIMIT ?)`)
+        .run(...FINISHED, excess);
+    }
+  }
+
+  async get(id) {
+    const row = this.db.prepare("SELECT data FROM jobs WHERE id = ?").get(id);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  async update(id, patch) {
+    const job = await this.get(id);
+    if (!job) return null;
+    Object.assign(job, patch);
+    this.db.prepare("UPDATE jobs SET status = ?, data = ? WHERE id = ?").run(job.status, JSON.stringify(job), id);
+    return job;
+  }
+
+  async list({ status } = {}) {
+    const rows = status
+      ? this.db.prepare(`SELECT data FROM jobs WHERE status IN (${status.map(() => "?").join(",")})`).all(...status)
+      : this.db.prepare("SELECT data FROM jobs").all();
+    return rows.map(row => JSON.parse(row.data));
+  }
+
+  async remove(id) {
+    return this.db.prepare("DELETE FROM jobs WHERE id = ?").run(id).changes > 0;
+  }
+}
+
+// Redis over its REST API (Upstash, Vercel KV), so every serverless instance sees the same
+// jobs without holding a connection open. A job is one JSON key, and a sorted set indexes the
+// jobs by creation time; finished jobs expire after ttlMs on their own.
+export class RedisJobStore {
+  constructor({ url, token, prefix = "truesight:", fetch = globalThis.fetch, ttlMs = DEFAULT_TTL_MS, maxEntries = DEFAULT_MAX_ENTRIES }) {
+    this.url = url.replace(/\/+$/, "");
+    this.token = token;
+    this.prefix = prefix;
+    this.fetch = fetch;
+    this.ttlMs = ttlMs;
+    this.maxEntries = maxEntries;
+  }
+
+  async command(...args) {
+    const res = await this.fetch(this.url, {
+      method: "POST",
+      headers: { Authorization: `Bearer ${this.token}`, "Content-Type": "application/json" },
+      body: JSON.stringify(args)
+    });
+    const reply = await res.json().catch(() => ({}));
+    if (!res.ok || reply.error) throw new Error(`Redis ${args[0]} failed: ${reply.error || `HTTP ${res.status}`}`);
+    return reply.result;
+  }
+
+  key(id) {
+    return `${this.prefix}job:${id}`;
+  }
+
+  save(job) {
+    const expiry = FINISHED.includes(job.status) ? ["PX", this.ttlMs] : [];
+    return this.command("SET", this.key(job.id), JSON.stringify(job), ...expiry);
+  }
+
+  async create(job) {
+    await this.save(job);
+    await this.command("ZADD", `${this.prefix}jobs`, Date.parse(job.createdAt) || Date.now(), job.id);
+    await this.prune();
+    return { ...job };
+  }
+
+  async prune() {
+    const excess = await this.command("ZCARD", `${this.prefix}jobs`) - this.maxEntries;
+    if (excess <= 0) return;
+    const finished = (await this.list({ status: FINISHED })).slice(0, excess);
+    for (const job of finished) await this.remove(job.id);
+  }
+
+  async get(id) {
+    const data = await this.command("GET", this.key(id));
+    return data ? JSON.parse(data) : null;
+  }
+
+  async update(id, patch) {
+    const job = await this.get(id);
+    if (!job) return null;
+    Object.assign(job, patch);
+    await this.save(job);
+    return job;
+  }
+
+  // Oldest first; index entries whose job has expired are dropped on the way
+  async list({ status } = {}) {
+    const ids = await this.command("ZRANGE", `${this.prefix}jobs`, 0, -1);
+    if (ids.length === 0) return [];
+    const values = await this.command("MGET", ...ids.map(id => this.key(id)));
+    const expired = ids.filter((id, i) => !values[i]);
+    if (expired.length > 0) await this.command("ZREM", `${this.prefix}jobs`, ...expired);
+    const jobs = values.filter(Boolean).map(value => JSON.parse(value));
+    return status ? jobs.filter(j => status.includes(j.status)) : jobs;
+  }
+
+  async remove(id) {
+    await this.command("ZREM", `${this.prefix}jobs`, id);
+    return await this.command("DEL", this.key(id)) > 0;
+  }
+}
+
+// JOB_STORE=memory (default) | file | sqlite | redis, JOB_STORE_PATH=<file>,
+// JOB_TTL_MS=<ms a finished job is kept, default a day>, JOB_MAX_ENTRIES=<count, default 10000>
+// JOB_STORE=redis reads REDIS_REST_URL and REDIS_REST_TOKEN, or the KV_REST_API_URL and
+// KV_REST_API_TOKEN a Vercel KV or Upstash integration sets
+export async function createJobStore(env = process.env) {
+  const kind = env.JOB_STORE || "memory";
+  const options = {
+    ttlMs: Number(env.JOB_TTL_MS) || DEFAULT_TTL_MS,
+    maxEntries: Number(env.JOB_MAX_ENTRIES) || DEFAULT_MAX_ENTRIES
+  };
+
+  if (kind === "memory") return new MemoryJobStore(options);
+  if (kind === "file") return new FileJobStore(env.JOB_STORE_PATH || "data/jobs.json", options).load();
+  if (kind === "sqlite") return new SqliteJobStore(env.JOB_STORE_PATH || "data/jobs.db", options).load();
+  if (kind === "redis") {
+    const url = env.REDIS_REST_URL || env.KV_REST_API_URL;
+    const token = env.REDIS_REST_TOKEN || env.KV_REST_API_TOKEN;
+    if (!url || !token) throw new Error("JOB_STORE=redis needs REDIS_REST_URL and REDIS_REST_TOKEN (or KV_REST_API_URL and KV_REST_API_TOKEN)");
+    return new RedisJobStore({ url, token, ...options });
+  }
+
+  throw new Error(`Unknown JOB_STORE "${kind}" (expected memory, file, sqlite or redis)`);
+}
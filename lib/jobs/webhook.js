@@ -0,0 +1,96 @@
+// lib/jobs/webhook.js - HMAC-signed completion callbacks
+// Signature header: X-TrueSight-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">
+// Receivers recompute the HMAC with the shared WEBHOOK_SECRET and reject stale timestamps.
+// Callback URLs are submitted by API clients, so like imageUrl (lib/url) they may only reach
+// public addresses: checked when the job is submitted and again at connect time on every
+// delivery, and redirects are not followed. WEBHOOK_ALLOW_PRIVATE=true lifts the address
+// check for local development and tests.
+import crypto from "crypto";
+import dns from "dns/promises";
+import http from "http";
+import https from "https";
+import net from "net";
+import { guardedLookup, isPublicAddress } from "../url/address.js";
+
+// node-fetch connects through these; other fetch implementations still get the up-front check
+const GUARDED_AGENTS = { "http:": new http.Agent({ lookup: guardedLookup }), "https:": new https.Agent({ lookup: guardedLookup }) };
+
+export function signPayload(body, secret, timestamp = Math.floor(Date.now() / 1000)) {
+  const digest = crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+  return `t=${timestamp},v1=${digest}`;
+}
+
+export function verifySignature(body, header, secret, toleranceSeconds = 300) {
+  const parts = Object.fromEntries(String(header).split(",").map(p => p.split("=")));
+  const timestamp = Number(parts.t);
+  if (!timestamp || !parts.v1) return false;
+  if (Math.abs(Date.now() / 1000 - timestamp) > toleranceSeconds) return false;
+
+  const expected = Buffer.from(signPayload(body, secret, timestamp).split("v1=")[1], "hex");
+  const actual = Buffer.from(parts.v1, "hex");
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+// Why a callback URL may not be used, or null when it may
+export async function callbackUrlProblem(value, { allowPrivate = false } = {}) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    return "callbackUrl must be a valid URL";
+  }
+  if (url.protocol !== "https:" && url.protocol !== "http:") return "callbackUrl must be an http(s) URL";
+  if (url.username || url.password) return "callbackUrl must not contain credentials";
+  if (allowPrivate) return null;
+
+  const hostname = url.hostname.replace(/^\[|\]$/g, "");
+  if (net.isIP(hostname)) return isPublicAddress(hostname) ? null : `${hostname} is not a public address`;
+  let addresses;
+  try {
+    addresses = (await dns.lookup(hostname, { all: true })).map(a => a.address);
+  } catch {
+    return `${hostname} does not resolve`;
+  }
+  const blocked = addresses.find(address => !isPublicAddress(address));
+  return blocked ? `${hostname} resolves to ${blocked}, which is not a public address` : null;
+}
+
+const RETRY_DELAYS_MS = [0, 2000, 10000];
+const TIMEOUT_MS = 10000;
+
+// POST the payload, retrying on network errors, timeouts and non-2xx responses. Each
+// attempt gets `timeoutMs` to be answered. A URL that has come to point at a private
+// address is given up on at once.
+export async function deliverWebhook(url, payload, { secret, fetch: fetchImpl = globalThis.fetch, delays = RETRY_DELAYS_MS, timeoutMs = TIMEOUT_MS, allowPrivate = false } = {}) {
+  const body = JSON.stringify(payload);
+  let lastError = null;
+
+  for (let attempt = 0; attempt < delays.length; attempt++) {
+    if (delays[attempt]) await new Promise(resolve => setTimeout(resolve, delays[attempt]));
+
+    const problem = await callbackUrlProblem(url, { allowPrivate });
+    if (problem) return { delivered: false, attempts: attempt + 1, error: problem };
+
+    try {
+      const response = await fetchImpl(url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "User-Agent": "TrueSight-Webhook/1.0",
+          "X-TrueSight-Event": `job.${payload.status}`,
+          "X-TrueSight-Signature": signPayload(body, secret)
+        },
+        body,
+        redirect: "manual",
+        signal: AbortSignal.timeout(timeoutMs),
+        ...(!allowPrivate && { agent: parsed => GUARDED_AGENTS[parsed.protocol] })
+      });
+      if (response.ok) return { delivered: true, attempts: attempt + 1, status: response.status };
+      lastError = response.status >= 300 && response.status < 400 ? `HTTP ${response.status} (redirects are not followed)` : `HTTP ${response.status}`;
+    } catch (err) {
+      lastError = err.name === "TimeoutError" ? `No answer within ${timeoutMs}ms` : err.message;
+    }
+  }
+
+  return { delivered: false, attempts: delays.length, error: lastError };
+}
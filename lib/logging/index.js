@@ -0,0 +1,82 @@
+// lib/logging/index.js - Structured logs with a per-request correlation id
+// Each request gets an id: the caller's X-Request-Id when it sent a usable one, a new UUID
+// otherwise. The adapters run the request inside withRequestContext(), so every line logged
+// while serving it - including the core's and the provider calls' - carries that id.
+// LOG_FORMAT=json (default: one JSON object per line with time, level, msg, requestId and
+//   any fields) | pretty (the console lines, for a terminal)
+// LOG_LEVEL=debug | info (default) | warn | error
+import crypto from "crypto";
+import util from "util";
+import { AsyncLocalStorage } from "async_hooks";
+
+export const LOG_LEVELS = ["debug", "info", "warn", "error"];
+
+const context = new AsyncLocalStorage();
+const REQUEST_ID = /^[\w.:@-]{1,128}$/;
+
+// The caller's X-Request-Id, or a fresh one when it is missing or unsafe to echo
+export function requestIdFrom(headers = {}) {
+  const sent = headers["x-request-id"];
+  return typeof sent === "string" && REQUEST_ID.test(sent) ? sent : crypto.randomUUID();
+}
+
+// Run `fn` with `fields` ({ requestId, ... }) attached to everything it logs
+export function withRequestContext(fields, fn) {
+  return context.run({ ...context.getStore(), ...fields }, fn);
+}
+
+export function requestContext() {
+  return context.getStore() || {};
+}
+
+// A plain object as the last argument is structured fields; everything before it is the
+// message, formatted the way console.log would. Errors add their stack. Pretty lines keep
+// the message's own indentation; JSON ones trim it.
+function splitArgs(args) {
+  const last = args.at(-1);
+  const hasFields = args.length > 1 && last && typeof last === "object" && Object.getPrototypeOf(last) === Object.prototype;
+  const parts = hasFields ? args.slice(0, -1) : args;
+  const error = parts.find(part => part instanceof Error);
+  return {
+    msg: util.format(...parts.map(part => part instanceof Error ? part.message : part)),
+    fields: { ...(hasFields && last), ...(error && { stack: error.stack }) }
+  };
+}
+
+function prettyFields(fields) {
+  return Object.entries(fields)
+    .filter(([key, value]) => key !== "stack" && value !== undefined)
+    .map(([key, value]) => ` ${key}=${typeof value === "string" ? value : JSON.stringify(value)}`)
+    .join("");
+}
+
+// Console-compatible (log, error) so it can stand in for console wherever one is passed,
+// plus debug/info/warn and child() for fields that belong on every line
+export function createLogger(env = process.env, { out = line => console.log(line), err = line => console.error(line), bindings = {} } = {}) {
+  const format = env.LOG_FORMAT || "json";
+  if (!["json", "pretty"].includes(format)) throw new Error(`Unknown LOG_FORMAT "${format}" (expected json or pretty)`);
+  const minimum = LOG_LEVELS.indexOf(env.LOG_LEVEL || "info");
+  if (minimum < 0) throw new Error(`Unknown LOG_LEVEL "${env.LOG_LEVEL}" (expected ${LOG_LEVELS.join(", ")})`);
+
+  const write = level => (...args) => {
+    if (LOG_LEVELS.indexOf(level) < minimum) return;
+    const { msg, fields } = splitArgs(args);
+    const { requestId, ...scope } = requestContext();
+    const sink = level === "warn" || level === "error" ? err : out;
+    if (format === "pretty") {
+      sink(`${msg}${prettyFields({ ...bindings, ...scope, ...fields })}${fields.stack ? `\n${fields.stack}` : ""}`);
+    } else {
+      sink(JSON.stringify({ time: new Date().toISOString(), level, msg: msg.trim(), ...(requestId && { requestId }), ...bindings, ...scope, ...fields }));
+    }
+  };
+
+  return {
+    format,
+    debug: write("debug"),
+    info: write("info"),
+    log: write("info"),
+    warn: write("warn"),
+    error: write("error"),
+    child: fields => createLogger(env, { out, err, bindings: { ...bindings, ...fields } })
+  };
+}
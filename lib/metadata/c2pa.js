@@ -0,0 +1,202 @@
+// lib/metadata/c2pa.js - Read C2PA (Content Credentials) manifests from a JUMBF store
+// Only the structure is read: claim generator, assertion labels and the actions list.
+// Signatures are not cryptographically validated here, so a manifest is a claim, not proof.
+
+const BREAK = Symbol("break");
+
+// Minimal CBOR decoder (RFC 8949) - enough for C2PA claims and assertions
+export function decodeCbor(buffer) {
+  let offset = 0;
+
+  function readLength(info) {
+    if (info < 24) return info;
+    if (info === 24) return buffer[offset++];
+    if (info === 25) { const v = buffer.readUInt16BE(offset); offset += 2; return v; }
+    if (info === 26) { const v = buffer.readUInt32BE(offset); offset += 4; return v; }
+    if (info === 27) { const v = Number(buffer.readBigUInt64BE(offset)); offset += 8; return v; }
+    if (info === 31) return -1;
+    throw new Error(`Invalid CBOR length encoding ${info}`);
+  }
+
+  function readItem() {
+    const initial = buffer[offset++];
+    const major = initial >> 5;
+    const info = initial & 0x1f;
+
+    if (major === 7) {
+      if (info === 20) return false;
+      if (info === 21) return true;
+      if (info === 22 || info === 23) return null;
+      if (info === 25) { const v = readHalf(buffer.readUInt16BE(offset)); offset += 2; return v; }
+      if (info === 26) { const v = buffer.readFloatBE(offset); offset += 4; return v; }
+      if (info === 27) { const v = buffer.readDoubleBE(offset); offset += 8; return v; }
+      if (info === 31) return BREAK;
+      return info < 24 ? info : buffer[offset++];
+    }
+
+    const length = readLength(info);
+
+    switch (major) {
+      case 0: return length;
+      case 1: return -1 - length;
+      case 2:
+      case 3: {
+        if (length === -1) {
+          const chunks = [];
+          for (let chunk = readItem(); chunk !== BREAK; chunk = readItem()) chunks.push(chunk);
+          return major === 3 ? chunks.join("") : Buffer.concat(chunks);
+        }
+        const bytes = buffer.subarray(offset, offset + length);
+        offset += length;
+        return major === 3 ? bytes.toString("utf8") : bytes;
+      }
+      case 4: {
+        const items = [];
+        if (length === -1) {
+          for (let item = readItem(); item !== BREAK; item = readItem()) items.push(item);
+        } else {
+          for (let i = 0; i < length; i++) items.push(readItem());
+        }
+        return items;
+      }
+      case 5: {
+        const map = {};
+        if (length === -1) {
+          for (let key = readItem(); key !== BREAK; key = readItem()) map[key] = readItem();
+        } else {
+          for (let i = 0; i < length; i++) { const key = readItem(); map[key] = readItem(); }
+        }
+        return map;
+      }
+      case 6:
+        // Tags (dates, URIs) carry no meaning we need; return the tagged value
+        return readItem();
+      default:
+        throw new Error(`Unsupported CBOR major type ${major}`);
+    }
+  }
+
+  return readItem();
+}
+
+function readHalf(bits) {
+  const exponent = (bits >> 10) & 0x1f;
+  const fraction = bits & 0x3ff;
+  const sign = bits & 0x8000 ? -1 : 1;
+  if (exponent === 0) return sign * 2 ** -14 * (fraction / 1024);
+  if (exponent === 31) return fraction ? NaN : sign * Infinity;
+  return sign * 2 ** (exponent - 15) * (1 + fraction / 1024);
+}
+
+// JUMBF (ISO 19566-5): boxes of [LBox][TBox][payload]; 'jumb' superboxes start with a 'jumd' description
+function readBoxes(buffer, start = 0, end = buffer.length) {
+  const boxes = [];
+  let offset = start;
+
+  while (offset + 8 <= end) {
+    let size = buffer.readUInt32BE(offset);
+    const type = buffer.toString("latin1", offset + 4, offset + 8);
+    let header = 8;
+    if (size === 1) { size = Number(buffer.readBigUInt64BE(offset + 8)); header = 16; }
+    if (size === 0) size = end - offset;
+    if (size < header || offset + size > end) break;
+
+    boxes.push({ type, start: offset + header, end: offset + size });
+    offset += size;
+  }
+
+  return boxes;
+}
+
+function readSuperbox(buffer, box) {
+  const children = readBoxes(buffer, box.start, box.end);
+  const description = children[0]?.type === "jumd" ? children[0] : null;
+  let label = null;
+
+  if (description) {
+    // 16-byte content type UUID, then a toggles byte; bit 0x02 means a label follows
+    const toggles = buffer[description.start + 16];
+    if (toggles & 0x02) {
+      const labelStart = description.start + 17;
+      const labelEnd = buffer.indexOf(0, labelStart);
+      label = buffer.toString("utf8", labelStart, labelEnd === -1 ? description.end : Math.min(labelEnd, description.end));
+    }
+  }
+
+  return {
+    label,
+    children: children.slice(description ? 1 : 0).map(child => (
+      child.type === "jumb" ? readSuperbox(buffer, child) : { type: child.type, data: buffer.subarray(child.start, child.end) }
+    ))
+  };
+}
+
+function contentOf(superbox) {
+  const content = superbox.children.find(c => c.type === "cbor" || c.type === "json");
+  if (!content) return null;
+  try {
+    return content.type === "cbor" ? decodeCbor(content.data) : JSON.parse(content.data.toString("utf8"));
+  } catch {
+    return null;
+  }
+}
+
+function agentName(agent) {
+  if (!agent) return undefined;
+  return typeof agent === "string" ? agent : agent.name;
+}
+
+function readManifest(manifest) {
+  const result = { label: manifest.label, claimGenerator: null, assertions: [], actions: [] };
+
+  for (const child of manifest.children) {
+    if (!child.label) continue;
+
+    if (child.label.startsWith("c2pa.claim")) {
+      const claim = contentOf(child) || {};
+      const info = claim.claim_generator_info;
+      const infoName = Array.isArray(info) ? info[0]?.name : info?.name;
+      result.claimGenerator = claim.claim_generator || infoName || null;
+    } else if (child.label === "c2pa.assertions") {
+      for (const assertion of child.children) {
+        if (!assertion.label) continue;
+        result.assertions.push(assertion.label);
+
+        if (assertion.label.startsWith("c2pa.actions")) {
+          const actions = contentOf(assertion)?.actions || [];
+          for (const action of actions) {
+            result.actions.push({
+              action: action.action,
+              digitalSourceType: action.digitalSourceType,
+              softwareAgent: agentName(action.softwareAgent)
+            });
+          }
+        }
+      }
+    }
+  }
+
+  return result;
+}
+
+export function parseC2pa(jumbf) {
+  if (!jumbf || jumbf.length < 8) return null;
+
+  try {
+    const root = readBoxes(jumbf).find(b => b.type === "jumb");
+    if (!root) return null;
+
+    const store = readSuperbox(jumbf, root);
+    const manifests = store.children.filter(c => c.label).map(readManifest);
+    if (manifests.length === 0) return null;
+
+    return {
+      manifests,
+      // The last manifest in the store is the active one (the most recent claim)
+      activeManifest: manifests[manifests.length - 1].label,
+      signatureVerified: false
+    };
+  } catch {
+    return { manifests: [], activeManifest: null, signatureVerified: false, error: "Malformed C2PA manifest store" };
+  }
+}
@@ -0,0 +1,129 @@
+// lib/metadata/containers.js - Pull raw metadata blocks out of JPEG, PNG and WebP files
+import zlib from "zlib";
+
+const XMP_JPEG_HEADER = "http://ns.adobe.com/xap/1.0/\0";
+const XMP_PNG_KEYWORD = "XML:com.adobe.xmp";
+
+function emptyBlocks() {
+  return { exif: null, xmp: null, texts: {}, c2pa: null };
+}
+
+// JPEG: APP1 carries EXIF and XMP, APP11 carries C2PA manifests as JUMBF, COM is a free comment
+function readJpegBlocks(buffer) {
+  const blocks = emptyBlocks();
+  const jumbf = new Map();
+  let offset = 2;
+
+  while (offset + 4 <= buffer.length) {
+    if (buffer[offset] !== 0xff) break;
+    const marker = buffer[offset + 1];
+    if (marker === 0xff) { offset++; continue; }
+    if (marker === 0xd8 || marker === 0x01 || (marker >= 0xd0 && marker <= 0xd7)) { offset += 2; continue; }
+    if (marker === 0xda || marker === 0xd9) break;
+
+    const length = buffer.readUInt16BE(offset + 2);
+    const payload = buffer.subarray(offset + 4, offset + 2 + length);
+
+    if (marker === 0xe1 && payload.toString("latin1", 0, 6) === "Exif\0\0") {
+      blocks.exif = payload.subarray(6);
+    } else if (marker === 0xe1 && payload.toString("latin1", 0, XMP_JPEG_HEADER.length) === XMP_JPEG_HEADER) {
+      blocks.xmp = payload.subarray(XMP_JPEG_HEADER.length).toString("utf8");
+    } else if (marker === 0xeb && payload.toString("latin1", 0, 2) === "JP" && payload.length > 16) {
+      // Every APP11 segment repeats the JUMBF box header; keep it only on the first one
+      const instance = payload.readUInt16BE(2);
+      const sequence = payload.readUInt32BE(4);
+      const parts = jumbf.get(instance) || [];
+      parts.push({ sequence, data: payload.subarray(sequence === 1 ? 8 : 16) });
+      jumbf.set(instance, parts);
+    } else if (marker === 0xfe) {
+      blocks.texts.comment = payload.toString("utf8");
+    }
+
+    offset += 2 + length;
+  }
+
+  if (jumbf.size > 0) {
+    const parts = [...jumbf.values()][0].sort((a, b) => a.sequence - b.sequence);
+    blocks.c2pa = Buffer.concat(parts.map(p => p.data));
+  }
+
+  return blocks;
+}
+
+function inflateText(data) {
+  try {
+    return zlib.inflateSync(data).toString("utf8");
+  } catch {
+    return null;
+  }
+}
+
+// PNG: tEXt/zTXt/iTXt text chunks (where Stable Diffusion front-ends write their settings), eXIf and caBX (C2PA)
+function readPngBlocks(buffer) {
+  const blocks = emptyBlocks();
+  let offset = 8;
+
+  while (offset + 8 <= buffer.length) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString("latin1", offset + 4, offset + 8);
+    const data = buffer.subarray(offset + 8, offset + 8 + length);
+
+    if (type === "tEXt") {
+      const sep = data.indexOf(0);
+      if (sep > 0) blocks.texts[data.toString("latin1", 0, sep)] = data.toString("latin1", sep + 1);
+    } else if (type === "zTXt") {
+      const sep = data.indexOf(0);
+      const text = sep > 0 ? inflateText(data.subarray(sep + 2)) : null;
+      if (text !== null) blocks.texts[data.toString("latin1", 0, sep)] = text;
+    } else if (type === "iTXt") {
+      const sep = data.indexOf(0);
+      if (sep > 0) {
+        const keyword = data.toString("latin1", 0, sep);
+        const compressed = data[sep + 1] === 1;
+        const langEnd = data.indexOf(0, sep + 3);
+        const transEnd = data.indexOf(0, langEnd + 1);
+        const raw = data.subarray(transEnd + 1);
+        const text = compressed ? inflateText(raw) : raw.toString("utf8");
+        if (keyword === XMP_PNG_KEYWORD) blocks.xmp = text;
+        else if (text !== null) blocks.texts[keyword] = text;
+      }
+    } else if (type === "eXIf") {
+      blocks.exif = data;
+    } else if (type === "caBX") {
+      blocks.c2pa = data;
+    } else if (type === "IEND") {
+      break;
+    }
+
+    offset += 12 + length;
+  }
+
+  return blocks;
+}
+
+// WebP: RIFF chunks named EXIF, XMP and C2PA
+function readWebpBlocks(buffer) {
+  const blocks = emptyBlocks();
+  let offset = 12;
+
+  while (offset + 8 <= buffer.length) {
+    const type = buffer.toString("latin1", offset, offset + 4);
+    const length = buffer.readUInt32LE(offset + 4);
+    const data = buffer.subarray(offset + 8, offset + 8 + length);
+
+    if (type === "EXIF") blocks.exif = data.toString("latin1", 0, 6) === "Exif\0\0" ? data.subarray(6) : data;
+    else if (type === "XMP ") blocks.xmp = data.toString("utf8");
+    else if (type === "C2PA") blocks.c2pa = data;
+
+    offset += 8 + length + (length % 2);
+  }
+
+  return blocks;
+}
+
+export function readMetadataBlocks(buffer, format) {
+  if (format === "jpeg") return readJpegBlocks(buffer);
+  if (format === "png") return readPngBlocks(buffer);
+  if (format === "webp") return readWebpBlocks(buffer);
+  return emptyBlocks();
+}
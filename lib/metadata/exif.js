@@ -0,0 +1,131 @@
+// lib/metadata/exif.js - Minimal TIFF/EXIF reader for the tags that matter for provenance
+
+const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 };
+
+const IFD0_TAGS = {
+  0x010e: "imageDescription",
+  0x010f: "make",
+  0x0110: "model",
+  0x0131: "software",
+  0x0132: "dateTime",
+  0x013b: "artist",
+  0x8298: "copyright"
+};
+
+const EXIF_TAGS = {
+  0x829a: "exposureTime",
+  0x829d: "fNumber",
+  0x8827: "iso",
+  0x9003: "dateTimeOriginal",
+  0x9004: "dateTimeDigitized",
+  0x920a: "focalLength",
+  0x9286: "userComment",
+  0xa433: "lensMake",
+  0xa434: "lensModel"
+};
+
+const EXIF_IFD_POINTER = 0x8769;
+const GPS_IFD_POINTER = 0x8825;
+
+function readValue(tiff, le, type, count, valueOffset) {
+  const u16 = o => (le ? tiff.readUInt16LE(o) : tiff.readUInt16BE(o));
+  const u32 = o => (le ? tiff.readUInt32LE(o) : tiff.readUInt32BE(o));
+  const s32 = o => (le ? tiff.readInt32LE(o) : tiff.readInt32BE(o));
+
+  switch (type) {
+    case 2:
+      return tiff.toString("latin1", valueOffset, valueOffset + count).replace(/\0+$/, "").trim();
+    case 7:
+      return tiff.subarray(valueOffset, valueOffset + count);
+    case 1:
+      return count === 1 ? tiff[valueOffset] : Array.from(tiff.subarray(valueOffset, valueOffset + count));
+    case 3: {
+      const values = Array.from({ length: count }, (_, i) => u16(valueOffset + i * 2));
+      return count === 1 ? values[0] : values;
+    }
+    case 4:
+    case 9: {
+      const read = type === 4 ? u32 : s32;
+      const values = Array.from({ length: count }, (_, i) => read(valueOffset + i * 4));
+      return count === 1 ? values[0] : values;
+    }
+    case 5:
+    case 10: {
+      const read = type === 5 ? u32 : s32;
+      const values = Array.from({ length: count }, (_, i) => {
+        const den = read(valueOffset + i * 8 + 4);
+        return den ? read(valueOffset + i * 8) / den : 0;
+      });
+      return count === 1 ? values[0] : values;
+    }
+    default:
+      return undefined;
+  }
+}
+
+function readIfd(tiff, le, offset) {
+  const entries = new Map();
+  if (offset + 2 > tiff.length) return entries;
+
+  const count = le ? tiff.readUInt16LE(offset) : tiff.readUInt16BE(offset);
+  for (let i = 0; i < count; i++) {
+    const entry = offset + 2 + i * 12;
+    if (entry + 12 > tiff.length) break;
+
+    const tag = le ? tiff.readUInt16LE(entry) : tiff.readUInt16BE(entry);
+    const type = le ? tiff.readUInt16LE(entry + 2) : tiff.readUInt16BE(entry + 2);
+    const n = le ? tiff.readUInt32LE(entry + 4) : tiff.readUInt32BE(entry + 4);
+    const size = (TYPE_SIZES[type] || 0) * n;
+    if (!size) continue;
+
+    const valueOffset = size <= 4 ? entry + 8 : (le ? tiff.readUInt32LE(entry + 8) : tiff.readUInt32BE(entry + 8));
+    if (valueOffset + size > tiff.length) continue;
+
+    entries.set(tag, readValue(tiff, le, type, n, valueOffset));
+  }
+
+  return entries;
+}
+
+function pick(entries, tags, out) {
+  for (const [tag, name] of Object.entries(tags)) {
+    const value = entries.get(Number(tag));
+    if (value === undefined || value === "") continue;
+    out[name] = Buffer.isBuffer(value) ? value.toString("latin1", 8).replace(/\0+$/, "").trim() : value;
+  }
+}
+
+function toDegrees(dms, ref) {
+  if (!Array.isArray(dms) || dms.length !== 3) return null;
+  const degrees = dms[0] + dms[1] / 60 + dms[2] / 3600;
+  return Math.round((ref === "S" || ref === "W" ? -degrees : degrees) * 1e6) / 1e6;
+}
+
+export function parseExif(tiff) {
+  if (!tiff || tiff.length < 8) return null;
+
+  const order = tiff.toString("latin1", 0, 2);
+  if (order !== "II" && order !== "MM") return null;
+  const le = order === "II";
+  if ((le ? tiff.readUInt16LE(2) : tiff.readUInt16BE(2)) !== 42) return null;
+
+  const ifd0 = readIfd(tiff, le, le ? tiff.readUInt32LE(4) : tiff.readUInt32BE(4));
+  const exif = {};
+  pick(ifd0, IFD0_TAGS, exif);
+
+  if (ifd0.has(EXIF_IFD_POINTER)) {
+    pick(readIfd(tiff, le, ifd0.get(EXIF_IFD_POINTER)), EXIF_TAGS, exif);
+  }
+
+  if (ifd0.has(GPS_IFD_POINTER)) {
+    const gps = readIfd(tiff, le, ifd0.get(GPS_IFD_POINTER));
+    const latitude = toDegrees(gps.get(2), gps.get(1));
+    const longitude = toDegrees(gps.get(4), gps.get(3));
+    if (latitude !== null && longitude !== null) {
+      exif.gps = { latitude, longitude };
+      if (typeof gps.get(6) === "number") exif.gps.altitude = Math.round(gps.get(6) * 10) / 10;
+    }
+  }
+
+  return Object.keys(exif).length > 0 ? exif : null;
+}
@@ -0,0 +1,80 @@
+// lib/metadata/index.js - EXIF/XMP/PNG text/C2PA extraction and provenance report
+// Metadata is easy to strip or forge, so this reports what the file claims about itself;
+// a missing block is never treated as evidence either way.
+import { sniffFormat } from "../image.js";
+import { readMetadataBlocks } from "./containers.js";
+import { parseExif } from "./exif.js";
+import { parseXmp } from "./xmp.js";
+import { parseC2pa } from "./c2pa.js";
+import { findGeneratorSignatures, isEditingSoftware } from "./signatures.js";
+
+export const PROVENANCE_VERSION = "1.0";
+
+// PNG text chunks can hold whole ComfyUI workflows; keep the response small
+const MAX_TEXT_LENGTH = 2000;
+
+export function extractProvenance(buffer) {
+  const format = sniffFormat(buffer);
+  let blocks;
+
+  try {
+    blocks = readMetadataBlocks(buffer, format);
+  } catch (err) {
+    return { version: PROVENANCE_VERSION, format, assessment: "unreadable", error: err.message };
+  }
+
+  const exif = parseExif(blocks.exif);
+  const xmp = parseXmp(blocks.xmp);
+  const c2pa = parseC2pa(blocks.c2pa);
+  const texts = Object.keys(blocks.texts).length > 0 ? blocks.texts : null;
+
+  const generatorSignatures = findGeneratorSignatures({ exif, xmp, texts: blocks.texts, c2pa, rawXmp: blocks.xmp || "" });
+
+  const software = [exif?.software, xmp?.creatorTool, ...(xmp?.history || [])].filter(Boolean);
+  const editingSoftware = [...new Set(software.filter(isEditingSoftware))];
+
+  const make = exif?.make || xmp?.make;
+  const model = exif?.model || xmp?.model;
+  // Many vendors repeat the make inside the model string ("Canon" + "Canon EOS R5")
+  const camera = model && make && model.toLowerCase().startsWith(make.toLowerCase())
+    ? model
+    : [make, model].filter(Boolean).join(" ") || null;
+
+  let assessment = "no-metadata";
+  if (generatorSignatures.length > 0) assessment = "generator-signature";
+  else if (editingSoftware.length > 0) assessment = "edited";
+  else if (camera) assessment = "camera-metadata";
+  else if (exif || xmp || texts || c2pa) assessment = "metadata-present";
+
+  return {
+    version: PROVENANCE_VERSION,
+    format,
+    assessment,
+    camera,
+    capturedAt: exif?.dateTimeOriginal || xmp?.createDate || exif?.dateTime || null,
+    gps: exif?.gps || null,
+    editingSoftware,
+    generatorSignatures,
+    exif,
+    xmp,
+    pngText: texts && Object.fromEntries(
+      Object.entries(texts).map(([k, v]) => [k, v.length > MAX_TEXT_LENGTH ? v.slice(0, MAX_TEXT_LENGTH) + "…" : v])
+    ),
+    c2pa,
+    notes: describeProvenance({ assessment, camera, generatorSignatures, editingSoftware, c2pa })
+  };
+}
+
+function describeProvenance({ assessment, camera, generatorSignatures, editingSoftware, c2pa }) {
+  const notes = [];
+
+  for (const signature of generatorSignatures) {
+    notes.push(`${signature.generator} signature found in ${signature.source}`);
+  }
+  if (editingSoftware.length > 0) notes.push(`Processed with ${editingSoftware.join(", ")}`);
+  if (camera) notes.push(`Camera metadata: ${camera}`);
+  if (c2pa) notes.push(`Content Credentials present (${c2pa.manifests.length} manifest${c2pa.manifests.length === 1 ? "" : "s"}, signature not verified)`);
+  if (assessment === "no-metadata") notes.push("No embedded metadata (stripped or never written)");
+
+  return notes;
+}
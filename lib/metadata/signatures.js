@@ -0,0 +1,94 @@
+// lib/metadata/signatures.js - Known AI generator and editing-software fingerprints
+
+const GENERATORS = [
+  [/midjourney/i, "Midjourney"],
+  [/dall[·\-\s]?e|openai|chatgpt/i, "DALL·E"],
+  [/firefly/i, "Adobe Firefly"],
+  [/stable[\s-]?diffusion|automatic1111|comfyui|invokeai|sdxl/i, "Stable Diffusion"],
+  [/novelai/i, "NovelAI"],
+  [/\bimagen\b|gemini/i, "Google Imagen"],
+  [/leonardo\.?ai/i, "Leonardo.Ai"],
+  [/ideogram/i, "Ideogram"]
+];
+
+const EDITORS = [/photoshop/i, /lightroom/i, /gimp/i, /snapseed/i, /affinity/i, /pixelmator/i, /capture one/i, /facetune/i];
+
+// IPTC digital source types that declare synthetic content
+const SYNTHETIC_SOURCE_TYPES = {
+  trainedAlgorithmicMedia: "AI-generated",
+  compositeWithTrainedAlgorithmicMedia: "composite with AI-generated elements",
+  algorithmicMedia: "algorithmically generated",
+  compositeSynthetic: "composite of synthetic elements"
+};
+
+export function matchGenerator(text) {
+  if (!text) return null;
+  const hit = GENERATORS.find(([pattern]) => pattern.test(text));
+  return hit ? hit[1] : null;
+}
+
+export function isEditingSoftware(text) {
+  return !!text && EDITORS.some(pattern => pattern.test(text));
+}
+
+export function syntheticSourceType(uri) {
+  if (!uri) return null;
+  const code = uri.split("/").pop();
+  return SYNTHETIC_SOURCE_TYPES[code] ? { code, description: SYNTHETIC_SOURCE_TYPES[code] } : null;
+}
+
+function excerpt(text, length = 120) {
+  const flat = String(text).replace(/\s+/g, " ").trim();
+  return flat.length > length ? flat.slice(0, length) + "…" : flat;
+}
+
+// Collect every generator signature found across the parsed metadata blocks
+export function findGeneratorSignatures({ exif, xmp, texts, c2pa, rawXmp }) {
+  const found = [];
+  const add = (generator, source, evidence) => {
+    if (!found.some(s => s.generator === generator && s.source === source)) {
+      found.push({ generator, source, evidence: excerpt(evidence) });
+    }
+  };
+
+  // Stable Diffusion front-ends write their generation settings into PNG text chunks
+  if (texts.parameters) add("Stable Diffusion", "png:parameters", texts.parameters);
+  if (texts.prompt || texts.workflow) add("Stable Diffusion", "png:comfyui", texts.prompt || texts.workflow);
+  if (texts.Dream || texts["sd-metadata"] || texts.invokeai_metadata) {
+    add("Stable Diffusion", "png:invokeai", texts.Dream || texts["sd-metadata"] || texts.invokeai_metadata);
+  }
+  for (const [keyword, text] of Object.entries(texts)) {
+    const generator = matchGenerator(text);
+    if (generator) add(generator, `png:${keyword}`, text);
+  }
+
+  for (const field of ["software", "artist", "imageDescription", "userComment"]) {
+    const generator = matchGenerator(exif?.[field]);
+    if (generator) add(generator, `exif:${field}`, exif[field]);
+  }
+
+  if (xmp) {
+    const sourceType = syntheticSourceType(xmp.digitalSourceType);
+    if (sourceType) add(matchGenerator(rawXmp) || "Unknown AI generator", "xmp:DigitalSourceType", xmp.digitalSourceType);
+    for (const tool of [xmp.creatorTool, xmp.credit, ...(xmp.history || [])]) {
+      const generator = matchGenerator(tool);
+      if (generator) add(generator, "xmp", tool);
+    }
+    if (/midjourney/i.test(rawXmp)) add("Midjourney", "xmp", "Midjourney reference in XMP packet");
+  }
+
+  for (const manifest of c2pa?.manifests || []) {
+    const claimed = matchGenerator(manifest.claimGenerator);
+    if (claimed) add(claimed, "c2pa:claim_generator", manifest.claimGenerator);
+
+    for (const action of manifest.actions) {
+      const sourceType = syntheticSourceType(action.digitalSourceType);
+      const agent = matchGenerator(action.softwareAgent);
+      if (sourceType || agent) {
+        add(agent || claimed || "Unknown AI generator", "c2pa:actions", action.digitalSourceType || action.softwareAgent);
+      }
+    }
+  }
+
+  return found;
+}
@@ -0,0 +1,59 @@
+// lib/metadata/xmp.js - Read the handful of XMP properties we care about
+// XMP is RDF/XML, but generators and editors write it in a few predictable shapes
+// (attribute or element form), so targeted patterns are enough here.
+
+function decodeEntities(text) {
+  return text
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, "\"")
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, "&");
+}
+
+function readProperty(xmp, name) {
+  const attr = xmp.match(new RegExp(`${name}="([^"]*)"`));
+  if (attr) return decodeEntities(attr[1]);
+
+  const element = xmp.match(new RegExp(`<${name}(?:\\s[^>]*)?>([\\s\\S]*?)</${name}>`));
+  if (!element) return undefined;
+
+  // Containers (rdf:Seq, rdf:Alt, rdf:Bag) hold the value in their first rdf:li
+  const item = element[1].match(/<rdf:li(?:\s[^>]*)?>([\s\S]*?)<\/rdf:li>/);
+  return decodeEntities((item ? item[1] : element[1]).trim());
+}
+
+// Attribute values and element text; the closing tag of the element form is not a value
+function readAll(xmp, name) {
+  const values = [];
+  const pattern = new RegExp(`(?:\\s${name}="([^"]*)"|<${name}>([^<]*)<)`, "g");
+  for (const match of xmp.matchAll(pattern)) values.push(decodeEntities(match[1] ?? match[2]));
+  return values;
+}
+
+const PROPERTIES = {
+  creatorTool: "xmp:CreatorTool",
+  createDate: "xmp:CreateDate",
+  modifyDate: "xmp:ModifyDate",
+  creator: "dc:creator",
+  credit: "photoshop:Credit",
+  digitalSourceType: "Iptc4xmpExt:DigitalSourceType",
+  make: "tiff:Make",
+  model: "tiff:Model"
+};
+
+export function parseXmp(xmp) {
+  if (!xmp) return null;
+
+  const result = {};
+  for (const [key, name] of Object.entries(PROPERTIES)) {
+    const value = readProperty(xmp, name);
+    if (value) result[key] = value;
+  }
+
+  // Editing history, one software agent per saved step
+  const agents = [...new Set(readAll(xmp, "stEvt:softwareAgent"))];
+  if (agents.length > 0) result.history = agents;
+
+  return result;
+}
@@ -0,0 +1,167 @@
+// lib/metrics/index.js - Prometheus metrics for GET /metrics
+// Counters and histograms live in memory per process and are rendered in the Prometheus
+// text exposition format. What they answer on call:
+//   truesight_http_requests_total / _request_duration_seconds  traffic and errors per route
+//   truesight_analyses_total{verdict,method}                    verdict distribution
+//   truesight_provider_calls_total{provider,outcome}            ok, or the failureKind()
+//   truesight_provider_latency_seconds{provider,outcome}        provider latency histogram
+//   truesight_fallbacks_total{to}                               next-provider, forensics, none
+//   truesight_degraded_analyses_total                           answers missing a provider
+//   truesight_cache_lookups_total{result}                       hit / miss, for the hit ratio
+//   truesight_circuit_open{provider}                            1 while a breaker is not closed
+
+export const LATENCY_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, "\\\"");
+}
+
+function labelText(labels) {
+  const entries = Object.entries(labels);
+  return entries.length ? `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(",")}}` : "";
+}
+
+// Series are keyed by their label values, in labelNames order
+class Metric {
+  constructor(type, name, help, labelNames = []) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map();
+  }
+
+  entry(labels, create) {
+    const values = this.labelNames.map(name => String(labels[name] ?? ""));
+    const key = JSON.stringify(values);
+    if (!this.series.has(key)) {
+      this.series.set(key, { labels: Object.fromEntries(this.labelNames.map((name, i) => [name, values[i]])), ...create() });
+    }
+    return this.series.get(key);
+  }
+
+  header() {
+    return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+  }
+}
+
+export class Counter extends Metric {
+  constructor(name, help, labelNames) {
+    super("counter", name, help, labelNames);
+  }
+
+  inc(labels = {}, amount = 1) {
+    this.entry(labels, () => ({ value: 0 })).value += amount;
+  }
+
+  get(labels = {}) {
+    return this.series.get(JSON.stringify(this.labelNames.map(name => String(labels[name] ?? ""))))?.value ?? 0;
+  }
+
+  render() {
+    return [...this.header(), ...[...this.series.values()].map(s => `${this.name}${labelText(s.labels)} ${s.value}`)];
+  }
+}
+
+export class Histogram extends Metric {
+  constructor(name, help, labelNames, buckets = LATENCY_BUCKETS) {
+    super("histogram", name, help, labelNames);
+    this.buckets = buckets;
+  }
+
+  observe(labels, value) {
+    const series = this.entry(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) series.counts[i]++;
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  render() {
+    const lines = this.header();
+    for (const { labels, counts, sum, count } of this.series.values()) {
+      this.buckets.forEach((bound, i) => lines.push(`${this.name}_bucket${labelText({ ...labels, le: bound })} ${counts[i]}`));
+      lines.push(`${this.name}_bucket${labelText({ ...labels, le: "+Inf" })} ${count}`);
+      lines.push(`${this.name}_sum${labelText(labels)} ${Number(sum.toFixed(6))}`);
+      lines.push(`${this.name}_count${labelText(labels)} ${count}`);
+    }
+    return lines;
+  }
+}
+
+// Read when scraped: `collect()` returns [{ labels, value }]
+export class Gauge extends Metric {
+  constructor(name, help, labelNames, collect) {
+    super("gauge", name, help, labelNames);
+    this.collect = collect;
+  }
+
+  render() {
+    return [...this.header(), ...this.collect().map(({ labels, value }) => `${this.name}${labelText(labels)} ${value}`)];
+  }
+}
+
+// The provider an analysisMethod names ("claude-api-fallback" -> "claude"), or the method
+function methodLabel(analysisMethod) {
+  return analysisMethod.replace(/-api(-fallback)?$/, "");
+}
+
+export function createMetrics() {
+  const metrics = [];
+  const add = metric => {
+    metrics.push(metric);
+    return metric;
+  };
+
+  const requests = add(new Counter("truesight_http_requests_total", "HTTP requests by route and status", ["method", "route", "status"]));
+  const requestDuration = add(new Histogram("truesight_http_request_duration_seconds", "HTTP request duration", ["method", "route"]));
+  const analyses = add(new Counter("truesight_analyses_total", "Completed analyses by verdict and analysis method", ["verdict", "method"]));
+  const providerCalls = add(new Counter("truesight_provider_calls_total", "Provider calls by outcome: ok or why it failed", ["provider", "outcome"]));
+  const providerLatency = add(new Histogram("truesight_provider_latency_seconds", "Provider call latency", ["provider", "outcome"]));
+  const fallbacks = add(new Counter("truesight_fallbacks_total", "Analyses answered by a fallback: the next provider, forensics alone, or no verdict", ["to"]));
+  const degraded = add(new Counter("truesight_degraded_analyses_total", "Analyses answered while a provider had failed or none could judge the image"));
+  const cacheLookups = add(new Counter("truesight_cache_lookups_total", "Result cache lookups", ["result"]));
+  degraded.inc({}, 0);
+
+  return {
+    requests,
+    analyses,
+    providerCalls,
+    fallbacks,
+    cacheLookups,
+
+    request({ method, route, status, durationMs }) {
+      requests.inc({ method, route, status });
+      requestDuration.observe({ method, route }, durationMs / 1000);
+    },
+
+    // `outcome` is "ok" or a failureKind(); skipped calls have no latency
+    providerCall({ provider, outcome, latencyMs }) {
+      providerCalls.inc({ provider, outcome });
+      if (latencyMs !== undefined) providerLatency.observe({ provider, outcome }, latencyMs / 1000);
+    },
+
+    analysis(response) {
+      analyses.inc({ verdict: response.verdict, method: methodLabel(response.analysisMethod) });
+      if (response.cacheHit) return;
+      if (response.degraded) degraded.inc();
+      if (response.analysisMethod === "none") fallbacks.inc({ to: "none" });
+      else if (response.degraded?.fallback === "forensics") fallbacks.inc({ to: "forensics" });
+      else if (response.providerErrors && !response.ensemble && !response.frames) fallbacks.inc({ to: "next-provider" });
+    },
+
+    cacheLookup(hit) {
+      cacheLookups.inc({ result: hit ? "hit" : "miss" });
+    },
+
+    // Gauges read at scrape time, e.g. the circuit breakers
+    gauge(name, help, labelNames, collect) {
+      return add(new Gauge(name, help, labelNames, collect));
+    },
+
+    render() {
+      return metrics.flatMap(metric => metric.render()).join("\n") + "\n";
+    }
+  };
+}
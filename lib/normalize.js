@@ -0,0 +1,168 @@
+// lib/normalize.js - Validate uploaded images and prepare the copy the providers see
+// The bytes decide what an upload is: the magic number must name a format we accept and
+// agree with the data URL header when there is one. Providers only take JPEG, PNG, GIF and
+// WebP up to a few megapixels, so anything else is decoded (HEIC/AVIF/TIFF/BMP) and anything
+// bigger is downscaled for them. Forensics and metadata keep working on the original.
+//   IMAGE_MAX_BYTES      largest accepted upload (default 20 MB)
+//   IMAGE_MAX_PIXELS     largest accepted width x height (default 50 megapixels)
+//   PROVIDER_MAX_SIDE    longest side sent to providers (default 1568)
+//   PROVIDER_MAX_BYTES   largest file sent to providers (default 3.75 MB, 5 MB as base64)
+import sharp from "sharp";
+import decodeHeic from "heic-decode";
+import { AnalysisError } from "./core/errors.js";
+import { DECODABLE_FORMATS, decodeImage } from "./image.js";
+import { VIDEO_FORMATS } from "./video/index.js";
+
+export const SUPPORTED_FORMATS = ["jpeg", "png", "gif", "webp", "bmp", "tiff", "heic", "avif"];
+export const PROVIDER_FORMATS = ["jpeg", "png", "gif", "webp"];
+// Everything /analyze takes: stills plus the clips lib/video samples frames from
+export const ACCEPTED_FORMATS = [...SUPPORTED_FORMATS, ...VIDEO_FORMATS];
+
+export const MEDIA_TYPES = {
+  jpeg: "image/jpeg", png: "image/png", gif: "image/gif", webp: "image/webp", bmp: "image/bmp",
+  tiff: "image/tiff", heic: "image/heic", avif: "image/avif", svg: "image/svg+xml",
+  mp4: "video/mp4", mov: "video/quicktime", webm: "video/webm"
+};
+
+// Other names clients use for the same formats
+const MEDIA_TYPE_ALIASES = {
+  "image/jpg": "jpeg", "image/pjpeg": "jpeg", "image/x-png": "png", "image/x-ms-bmp": "bmp", "image/x-bmp": "bmp",
+  "image/tif": "tiff", "image/heif": "heic", "image/heic-sequence": "heic", "image/heif-sequence": "heic",
+  "image/avif-sequence": "avif", "video/x-m4v": "mp4"
+};
+
+export function imageLimits(env = process.env) {
+  return {
+    maxBytes: Number(env.IMAGE_MAX_BYTES) || 20 * 1024 * 1024,
+    maxPixels: Number(env.IMAGE_MAX_PIXELS) || 50_000_000,
+    providerMaxSide: Number(env.PROVIDER_MAX_SIDE) || 1568,
+    providerMaxBytes: Number(env.PROVIDER_MAX_BYTES) || 3.75 * 1024 * 1024
+  };
+}
+
+function formatOfMediaType(mediaType) {
+  return MEDIA_TYPE_ALIASES[mediaType] || Object.keys(MEDIA_TYPES).find(format => MEDIA_TYPES[format] === mediaType) || null;
+}
+
+// Throws unless `format` (sniffed from `buffer`) is an upload we accept. `declared` is the
+// media type from the data URL header, if any.
+export function validateImage(buffer, format, declared, limits = imageLimits()) {
+  if (format === "svg") {
+    throw new AnalysisError(415, "Unsupported media type", "SVG files are vector drawings; upload a raster image instead");
+  }
+  if (!ACCEPTED_FORMATS.includes(format)) {
+    throw new AnalysisError(415, "Unsupported media type",
+      `The data is not a recognised image or video (accepted: ${ACCEPTED_FORMATS.join(", ")})`);
+  }
+  if (declared && formatOfMediaType(declared) !== format) {
+    throw new AnalysisError(415, "Media type mismatch", `The data URL says ${declared} but the bytes are ${MEDIA_TYPES[format]}`);
+  }
+  if (buffer.length > limits.maxBytes) {
+    throw new AnalysisError(413, "Image too large", `Images are limited to ${limits.maxBytes} bytes, this one is ${buffer.length}`);
+  }
+}
+
+// A sharp pipeline over the decoded picture. libvips reads JPEG, PNG, GIF, WebP, TIFF and
+// AVIF itself; HEIC (HEVC) and BMP are decoded in JavaScript and handed over as raw pixels.
+async function open(buffer, format, limits) {
+  const options = { limitInputPixels: limits.maxPixels };
+  if (format === "heic") {
+    const images = await decodeHeic.all({ buffer });
+    try {
+      checkPixels(images[0], limits);
+      const { width, height, data } = await images[0].decode();
+      return sharp(Buffer.from(data.buffer, data.byteOffset, data.byteLength), { ...options, raw: { width, height, channels: 4 } });
+    } finally {
+      images.dispose();
+    }
+  }
+  if (format === "bmp") {
+    const { width, height, data } = decodeImage(buffer);
+    checkPixels({ width, height }, limits);
+    return sharp(Buffer.from(data.buffer, data.byteOffset, data.byteLength), { ...options, raw: { width, height, channels: 4 } });
+  }
+  return sharp(buffer, options);
+}
+
+function checkPixels({ width, height }, limits) {
+  if (width * height > limits.maxPixels) {
+    throw new AnalysisError(413, "Image too large", `${width}x${height} is more than the ${limits.maxPixels} pixels accepted`);
+  }
+}
+
+// Re-encode for the providers: longest side at most providerMaxSide, PNG when there is
+// transparency to keep, JPEG otherwise (and whenever the PNG would be too big)
+async function encodeForProvider(image, { hasAlpha }, limits) {
+  // An alpha channel is not transparency; raw HEIC and BMP pixels always carry one
+  const transparent = hasAlpha && !(await image.clone().stats()).isOpaque;
+  const fitted = image.clone()
+    .rotate()
+    .resize({ width: limits.providerMaxSide, height: limits.providerMaxSide, fit: "inside", withoutEnlargement: true });
+
+  if (transparent) {
+    const { data, info } = await fitted.clone().png().toBuffer({ resolveWithObject: true });
+    if (data.length <= limits.providerMaxBytes) return { buffer: data, format: "png", width: info.width, height: info.height };
+  }
+  const { data, info } = await fitted.flatten({ background: "#ffffff" }).jpeg({ quality: 90 }).toBuffer({ resolveWithObject: true });
+  return { buffer: data, format: "jpeg", width: info.width, height: info.height };
+}
+
+// Resolves to {
+//   format, width, height, bytes        - the upload as received
+//   original                            - its bytes, for metadata
+//   pixels                              - bytes local forensics can decode (the original, or a
+//                                         lossless full-size PNG of it)
+//   provider: { base64Data, mediaType, width, height, bytes, converted, downscaled }
+// }
+export async function normalizeImage(buffer, format, limits = imageLimits()) {
+  let image;
+  let info;
+  try {
+    image = await open(buffer, format, limits);
+    info = await image.metadata();
+  } catch (err) {
+    if (err instanceof AnalysisError) throw err;
+    if (/pixel limit/i.test(err.message)) {
+      throw new AnalysisError(413, "Image too large", `The image is more than the ${limits.maxPixels} pixels accepted`);
+    }
+    throw new AnalysisError(400, "Invalid image", `The ${format.toUpperCase()} data could not be decoded: ${err.message}`);
+  }
+  checkPixels(info, limits);
+
+  const { width, height } = info;
+  const convert = !PROVIDER_FORMATS.includes(format);
+  const downscale = Math.max(width, height) > limits.providerMaxSide || buffer.length > limits.providerMaxBytes;
+
+  let provider = { buffer, format, width, height };
+  let pixels = buffer;
+  try {
+    if (convert || downscale) provider = await encodeForProvider(image, info, limits);
+    if (!DECODABLE_FORMATS.includes(format)) pixels = await image.clone().png({ compressionLevel: 1 }).toBuffer();
+  } catch (err) {
+    throw new AnalysisError(400, "Invalid image", `The ${format.toUpperCase()} data could not be decoded: ${err.message}`);
+  }
+
+  return {
+    format,
+    width,
+    height,
+    bytes: buffer.length,
+    original: buffer,
+    pixels,
+    provider: {
+      base64Data: provider.buffer.toString("base64"),
+      mediaType: MEDIA_TYPES[provider.format],
+      width: provider.width,
+      height: provider.height,
+      bytes: provider.buffer.length,
+      converted: convert,
+      downscaled: provider.width * provider.height < width * height
+    }
+  };
+}
+
+// The `input` block of a response: what was uploaded and what the providers were shown
+export function describeInput(input) {
+  const { base64Data, ...provider } = input.provider;
+  return { format: input.format, mediaType: MEDIA_TYPES[input.format], width: input.width, height: input.height, bytes: input.bytes, provider };
+}
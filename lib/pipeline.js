@@ -0,0 +1,116 @@
+// lib/pipeline.js - Verdict selection and response assembly shared by the server and the
+// evaluation harness, so an eval run scores exactly what the API would have answered.
+import { runEnsemble } from "./ensemble.js";
+import { forensicsResult } from "./forensics/index.js";
+import { collectAnnotations } from "./regions.js";
+import { applyThresholds } from "./profiles/index.js";
+import { SCHEMA_VERSION, makeFinding, mergeFindings } from "./verdict.js";
+import { failureKind } from "./providers/resilience.js";
+
+// Every configured provider failed and forensics could not stand in
+export class ProvidersFailedError extends Error {
+  constructor(failures) {
+    super(`All providers failed: ${failures.map(f => `${f.provider}: ${f.error}`).join("; ")}`);
+    this.name = "ProvidersFailedError";
+    this.failures = failures;
+  }
+}
+
+// Ensemble: every provider in parallel plus forensics, combined by weighted vote.
+// Single: providers in registry order, falling through to the next one on failure.
+// Priority: Claude > DeepSeek > OpenAI-compatible > Local model > Forensics.
+// `providers` is a list of { name, label, run } where run() throws on failure. Failures are
+// reported on the result as providerErrors. Resolves to null when nothing is configured
+// that could judge the image; throws ProvidersFailedError when everything configured failed.
+// `profile` (lib/profiles) sets the ensemble majority and the per-verdict confidence bars.
+// `log(message, fields)` hears which path was taken.
+export async function decideVerdict({ mode, providers, forensics, weights, profile, log = () => {} }) {
+  const failures = [];
+  const tracked = providers.map(provider => ({
+    ...provider,
+    run: () => provider.run().catch(err => {
+      failures.push({ provider: provider.name, error: err.message, kind: failureKind(err) });
+      throw err;
+    })
+  }));
+  const withFailures = result => {
+    const decided = profile ? applyThresholds(result, profile) : result;
+    return failures.length > 0 ? { ...decided, providerErrors: failures } : decided;
+  };
+
+  if (mode === "ensemble" && (providers.length > 0 || forensics.available)) {
+    log("\n🗳️  Ensemble analysis", { voters: [...providers.map(p => p.name), ...(forensics.available ? ["forensics"] : [])] });
+    const result = await runEnsemble({ providers: tracked, forensics, weights, majority: profile?.thresholds.ensembleMajority });
+    if (!result) throw new ProvidersFailedError(failures);
+    if (result.ensemble.disagreement) {
+      log("   ⚖️  Ensemble disagreement", { dissenters: result.ensemble.disagreement.dissenters, explanation: result.ensemble.disagreement.explanation });
+    }
+    return withFailures(result);
+  }
+
+  for (const provider of tracked) {
+    log("\n🤖 Single-provider analysis", { provider: provider.name });
+    try {
+      return withFailures(await provider.run());
+    } catch {
+      const next = tracked[tracked.indexOf(provider) + 1];
+      log("   ↪️  Provider failed, falling back", { provider: provider.name, next: next ? next.name : forensics.available ? "forensics" : null });
+    }
+  }
+
+  if (forensics.available) {
+    log("\n🔬 Using the local forensics verdict", { reason: providers.length > 0 ? "every provider failed" : "no provider to ask" });
+    return withFailures(forensicsResult(forensics));
+  }
+
+  if (failures.length > 0) throw new ProvidersFailedError(failures);
+  return null;
+}
+
+// What to answer when nothing could judge the image: no verdict, and a degraded state that
+// says why, never a made-up one
+export function unjudgedResult() {
+  const message = "No provider was available and local forensics could not read this image";
+  return {
+    verdict: "inconclusive",
+    isOriginal: null,
+    confidence: 0,
+    findings: [makeFinding({ category: "other", severity: "info", message, source: "service" })],
+    summary: [message],
+    analysisMethod: "none"
+  };
+}
+
+// null when every provider answered. Otherwise why the result is weaker than usual: which
+// providers failed and how (lib/providers/resilience.js failureKind), and whether the
+// verdict fell back to forensics alone - in an ensemble, when its only vote was forensics.
+export function degradedState(result) {
+  if (result.analysisMethod === "none") {
+    return { reason: "No provider was available and forensics could not read the image; there is no verdict", providers: [], fallback: null };
+  }
+  const failures = result.providerErrors || [];
+  if (failures.length === 0) return null;
+
+  const answered = result.ensemble?.votes.some(v => v.provider !== "forensics" && !v.error);
+  const fallback = result.analysisMethod === "forensics" || answered === false ? "forensics" : null;
+  return {
+    reason: fallback
+      ? "No provider answered; the verdict rests on local forensics alone"
+      : `${new Set(failures.map(f => f.provider)).size} provider(s) failed; the verdict rests on the ones that answered`,
+    providers: failures.map(({ provider, error, kind, frame }) => ({ provider, kind: kind || "error", error, ...(frame !== undefined && { frame }) })),
+    fallback
+  };
+}
+
+export function buildResponse(result, { forensics, provenance, profile }) {
+  return {
+    schemaVersion: SCHEMA_VERSION,
+    ...result,
+    degraded: degradedState(result),
+    ...(profile && { profile: { name: profile.name, version: profile.version } }),
+    findings: mergeFindings(result, { forensics, provenance }),
+    forensics,
+    provenance,
+    annotations: collectAnnotations(result, forensics)
+  };
+}
@@ -0,0 +1,114 @@
+// lib/profiles/index.js - Prompt profiles: named, versioned detection policies
+// A profile is a JSON file in profiles/ (or PROMPT_PROFILES_DIR) holding the prompts sent
+// to the providers and the thresholds applied to their answers:
+//   { name, version, description,
+//     prompts: { default: [lines], <provider>: [lines] },
+//     thresholds: { inconclusiveBelow: { <verdict>: percent }, ensembleMajority: 0..1 } }
+// Prompt lines are joined with newlines; {{verdictFormat}} expands to the reply format.
+// Bump `version` whenever a prompt or threshold changes: results and cached verdicts record
+// it, and replay cassettes recorded under another prompt stop matching by design.
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { DECISIVE_VERDICTS, VERDICT_LABELS, isOriginalFor, makeFinding } from "../verdict.js";
+import { VERDICT_FORMAT } from "../providers/prompts.js";
+
+export const PROFILES_DIR = fileURLToPath(new URL("../../profiles/", import.meta.url));
+export const DEFAULT_PROFILE = "strict";
+
+export class ProfileError extends Error {
+  constructor(file, message) {
+    super(`Invalid prompt profile ${file}: ${message}`);
+    this.name = "ProfileError";
+  }
+}
+
+function validate(profile, file) {
+  if (!/^[a-z0-9][a-z0-9-]*$/.test(profile.name || "")) throw new ProfileError(file, "name must be lower-case letters, digits and dashes");
+  if (typeof profile.version !== "string" || !profile.version) throw new ProfileError(file, "version is required");
+  if (!Array.isArray(profile.prompts?.default)) throw new ProfileError(file, "prompts.default must be an array of lines");
+
+  for (const [provider, lines] of Object.entries(profile.prompts)) {
+    if (!Array.isArray(lines) || !lines.every(line => typeof line === "string")) {
+      throw new ProfileError(file, `prompts.${provider} must be an array of lines`);
+    }
+  }
+
+  const { inconclusiveBelow = {}, ensembleMajority = 0.5 } = profile.thresholds || {};
+  for (const [verdict, percent] of Object.entries(inconclusiveBelow)) {
+    if (!DECISIVE_VERDICTS.includes(verdict)) throw new ProfileError(file, `unknown verdict "${verdict}" in thresholds.inconclusiveBelow`);
+    if (!(percent >= 0 && percent <= 100)) throw new ProfileError(file, `thresholds.inconclusiveBelow.${verdict} must be 0-100`);
+  }
+  if (!(ensembleMajority > 0 && ensembleMajority <= 1)) throw new ProfileError(file, "thresholds.ensembleMajority must be between 0 and 1");
+
+  return {
+    name: profile.name,
+    version: profile.version,
+    description: profile.description || "",
+    prompts: Object.fromEntries(Object.entries(profile.prompts).map(([provider, lines]) => [
+      provider,
+      lines.join("\n").replaceAll("{{verdictFormat}}", VERDICT_FORMAT)
+    ])),
+    thresholds: { inconclusiveBelow, ensembleMajority }
+  };
+}
+
+// Every *.json in `dir`, keyed by profile name
+export function loadProfiles(dir = PROFILES_DIR) {
+  const profiles = new Map();
+  for (const file of fs.readdirSync(dir).filter(f => f.endsWith(".json")).sort()) {
+    const filePath = path.join(dir, file);
+    let raw;
+    try {
+      raw = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    } catch (err) {
+      throw new ProfileError(file, err.message);
+    }
+    const profile = validate(raw, file);
+    if (profiles.has(profile.name)) throw new ProfileError(file, `duplicate profile name "${profile.name}"`);
+    profiles.set(profile.name, profile);
+  }
+  return profiles;
+}
+
+// PROMPT_PROFILES_DIR=<dir> (default profiles/), PROMPT_PROFILE=<default profile name>
+export function createProfiles(env = process.env) {
+  const profiles = loadProfiles(env.PROMPT_PROFILES_DIR || PROFILES_DIR);
+  const defaultName = env.PROMPT_PROFILE || DEFAULT_PROFILE;
+  if (!profiles.has(defaultName)) {
+    throw new Error(`Unknown PROMPT_PROFILE "${defaultName}" (expected ${[...profiles.keys()].join(", ")})`);
+  }
+
+  return {
+    default: profiles.get(defaultName),
+    // null for names that are not loaded
+    get(name) {
+      return name ? profiles.get(name) || null : profiles.get(defaultName);
+    },
+    list() {
+      return [...profiles.values()].map(({ name, version, description, thresholds }) => ({ name, version, description, thresholds }));
+    }
+  };
+}
+
+export function promptFor(profile, providerName) {
+  return profile.prompts[providerName] || profile.prompts.default;
+}
+
+// A decisive verdict below the profile's confidence bar is downgraded to inconclusive,
+// keeping the verdict it leaned towards
+export function applyThresholds(result, profile) {
+  if (!DECISIVE_VERDICTS.includes(result.verdict)) return result;
+  const bar = profile.thresholds.inconclusiveBelow[result.verdict] ?? 0;
+  if (result.confidence >= bar) return result;
+
+  const message = `${result.confidence}% confidence is below the ${profile.name} profile's ${bar}% bar for ${VERDICT_LABELS[result.verdict]}, so the result is reported as inconclusive`;
+  return {
+    ...result,
+    verdict: "inconclusive",
+    leaning: result.verdict,
+    isOriginal: isOriginalFor("inconclusive", result.verdict),
+    findings: [...(result.findings || []), makeFinding({ category: "other", severity: "info", message, source: "policy" })],
+    summary: [...(result.summary || []), message]
+  };
+}
@@ -0,0 +1,62 @@
+// lib/providers/claude.js - Anthropic Messages API adapter
+export default {
+  name: "claude",
+  label: "Claude",
+
+  isConfigured(env) {
+    return !!env.CLAUDE_API_KEY;
+  },
+
+  buildRequest({ base64Data, mediaType, prompt }, env, { stream = false } = {}) {
+    return {
+      url: "https://api.anthropic.com/v1/messages",
+      init: {
+        method: "POST",
+        headers: {
+          "x-api-key": env.CLAUDE_API_KEY,
+          "anthropic-version": "2023-06-01",
+          "content-type": "application/json"
+        },
+        body: JSON.stringify({
+          model: env.CLAUDE_MODEL || "claude-sonnet-4-20250514",
+          max_tokens: 1024,
+          ...(stream && { stream: true }),
+          messages: [{
+            role: "user",
+            content: [
+              {
+                type: "image",
+                source: {
+                  type: "base64",
+                  media_type: mediaType,
+                  data: base64Data
+                }
+              },
+              {
+                type: "text",
+                text: prompt
+              }
+            ]
+          }]
+        })
+      }
+    };
+  },
+
+  extractText(data) {
+    return data.content?.find(c => c.type === "text")?.text || "";
+  },
+
+  extractUsage(data) {
+    return { inputTokens: data.usage?.input_tokens || 0, outputTokens: data.usage?.output_tokens || 0 };
+  },
+
+  // message_start names the model and counts input tokens, text arrives in content_block_delta
+  // events and message_delta carries the output token count
+  streamDelta(event) {
+    if (event.type === "message_start") return { model: event.message?.model, inputTokens: event.message?.usage?.input_tokens || 0 };
+    if (event.type === "content_block_delta") return { text: event.delta?.text };
+    if (event.type === "message_delta") return { outputTokens: event.usage?.output_tokens || 0 };
+    return {};
+  }
+};
@@ -0,0 +1,37 @@
+// lib/providers/deepseek.js - DeepSeek Chat Completions adapter
+import { chatCompletionsBody, chatCompletionsDelta, chatCompletionsText, chatCompletionsUsage } from "./openai-compatible.js";
+
+export default {
+  name: "deepseek",
+  label: "DeepSeek",
+
+  isConfigured(env) {
+    return !!env.DEEPSEEK_API_KEY;
+  },
+
+  buildRequest({ base64Data, mediaType, prompt }, env, { stream = false } = {}) {
+    return {
+      url: "https://api.deepseek.com/v1/chat/completions",
+      init: {
+        method: "POST",
+        headers: {
+          "Authorization": `Bearer ${env.DEEPSEEK_API_KEY}`,
+          "Content-Type": "application/json"
+        },
+        body: chatCompletionsBody({
+          model: env.DEEPSEEK_MODEL || "deepseek-chat",
+          prompt,
+          base64Data,
+          mediaType,
+          temperature: 0.7,
+          maxTokens: 500,
+          stream
+        })
+      }
+    };
+  },
+
+  extractText: chatCompletionsText,
+  extractUsage: chatCompletionsUsage,
+  streamDelta: chatCompletionsDelta
+};
@@ -0,0 +1,108 @@
+// lib/providers/index.js - Provider registry
+// Every adapter implements the same interface:
+//   name, label                         identifiers used in results and logs
+//   isConfigured(env)                   whether the environment has what it needs
+//   buildRequest(image, env, { stream }) -> { url, init } for fetch
+//   extractText(responseJson)           -> the model's text reply
+//   extractUsage(responseJson)          -> { inputTokens, outputTokens } billed for the call
+//   streamDelta(event)                  -> { text?, model?, inputTokens?, outputTokens? } of one streamed event
+// analyzeWithProvider() does the call and parses the reply into a verdict. The prompt comes
+// from the caller's prompt profile (lib/profiles), which may word it per provider.
+import claude from "./claude.js";
+import deepseek from "./deepseek.js";
+import openai from "./openai-compatible.js";
+import local from "./local.js";
+import { fallbackVerdict, parseVerdict } from "./parse.js";
+import { readStream } from "./stream.js";
+import { isOriginalFor, regionsFromFindings } from "../verdict.js";
+
+// Registration order is the priority order for single-provider mode
+const PROVIDERS = [claude, deepseek, openai, local];
+
+export function listProviders() {
+  return PROVIDERS;
+}
+
+export function getProvider(name) {
+  return PROVIDERS.find(p => p.name === name) || null;
+}
+
+export function configuredProviders(env = process.env) {
+  return PROVIDERS.filter(p => p.isConfigured(env));
+}
+
+// `retryAfter` is the response's Retry-After header, when it sent one
+export class ProviderError extends Error {
+  constructor(provider, status, body, retryAfter = null) {
+    super(`${provider.label} API error: ${status} - ${body}`);
+    this.name = "ProviderError";
+    this.provider = provider.name;
+    this.status = status;
+    this.retryAfter = retryAfter;
+  }
+}
+
+// Call one provider and return { verdict, isOriginal, confidence, findings, summary, analysisMethod, regions?, usage }.
+// `usage` is { model, inputTokens, outputTokens }. HTTP and network failures throw; callers
+// decide whether to fall back. With `onText` the reply is streamed and each piece of text is
+// passed on as it arrives; `signal` aborts the request.
+export async function analyzeWithProvider(provider, { base64Data, mediaType }, options = {}) {
+  const env = options.env || process.env;
+  const fetchImpl = options.fetch || globalThis.fetch;
+  if (!options.prompt) throw new Error(`No prompt given for ${provider.label}`);
+
+  const stream = typeof options.onText === "function";
+  const { url, init } = provider.buildRequest({ base64Data, mediaType, prompt: options.prompt }, env, { stream });
+
+  const response = await fetchImpl(url, options.signal ? { ...init, signal: options.signal } : init);
+  if (!response.ok) {
+    throw new ProviderError(provider, response.status, await response.text(), response.headers?.get("retry-after") ?? null);
+  }
+
+  let text;
+  let usage;
+  const reply = stream ? await readStream(response, provider, options.onText) : null;
+  if (reply?.streamed) {
+    text = reply.text;
+    usage = { model: reply.model || requestedModel(init), inputTokens: reply.inputTokens, outputTokens: reply.outputTokens };
+  } else {
+    const data = reply ? JSON.parse(reply.raw) : await response.json();
+    text = provider.extractText(data);
+    usage = {
+      // The model that answered, which may be a dated snapshot of the one requested
+      model: data.model || requestedModel(init),
+      ...provider.extractUsage(data)
+    };
+    if (stream && text) options.onText(text);
+  }
+
+  let verdict;
+  let parseError;
+  try {
+    verdict = parseVerdict(text, provider.name);
+  } catch (parseErr) {
+    verdict = fallbackVerdict(text, provider.name);
+    parseError = parseErr.message;
+  }
+
+  const regions = regionsFromFindings(verdict.findings);
+  return {
+    verdict: verdict.verdict,
+    isOriginal: isOriginalFor(verdict.verdict),
+    confidence: verdict.confidence,
+    findings: verdict.findings,
+    summary: verdict.findings.map(f => f.message),
+    analysisMethod: parseError ? `${provider.name}-api-fallback` : `${provider.name}-api`,
+    ...(regions.length > 0 && { regions }),
+    ...(parseError && { parseError }),
+    usage
+  };
+}
+
+function requestedModel(init) {
+  try {
+    return JSON.parse(init.body).model || null;
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,69 @@
+// lib/providers/local.js - Self-hosted vision model (Ollama or llama.cpp's llama-server)
+// Lets TrueSight run fully air-gapped: LOCAL_MODEL_URL=http://localhost:11434
+import { chatCompletionsBody, chatCompletionsDelta, chatCompletionsText, chatCompletionsUsage, trimSlash } from "./openai-compatible.js";
+
+function flavor(env) {
+  return env.LOCAL_MODEL_FLAVOR === "llamacpp" ? "llamacpp" : "ollama";
+}
+
+export default {
+  name: "local",
+  label: "Local model",
+
+  isConfigured(env) {
+    return !!env.LOCAL_MODEL_URL;
+  },
+
+  buildRequest({ base64Data, mediaType, prompt }, env, { stream = false } = {}) {
+    const baseUrl = trimSlash(env.LOCAL_MODEL_URL);
+    const model = env.LOCAL_MODEL_NAME || "llava";
+
+    // llama-server speaks the OpenAI Chat Completions dialect
+    if (flavor(env) === "llamacpp") {
+      return {
+        url: `${baseUrl}/v1/chat/completions`,
+        init: {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: chatCompletionsBody({ model, prompt, base64Data, mediaType, temperature: 0, maxTokens: 1024, stream })
+        }
+      };
+    }
+
+    return {
+      url: `${baseUrl}/api/chat`,
+      init: {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          model,
+          messages: [{ role: "user", content: prompt, images: [base64Data] }],
+          format: "json",
+          stream,
+          options: { temperature: 0 }
+        })
+      }
+    };
+  },
+
+  extractText(data) {
+    // Ollama: { message: { content } }, llama-server: { choices: [...] }
+    return data.message?.content ?? chatCompletionsText(data);
+  },
+
+  extractUsage(data) {
+    // Ollama counts prompt_eval_count / eval_count instead of a usage block
+    if (data.usage) return chatCompletionsUsage(data);
+    return { inputTokens: data.prompt_eval_count || 0, outputTokens: data.eval_count || 0 };
+  },
+
+  // Ollama streams NDJSON chunks of { message: { content } } and counts tokens in the last one
+  streamDelta(data) {
+    if (data.choices) return chatCompletionsDelta(data);
+    return {
+      model: data.model,
+      text: data.message?.content,
+      ...(data.done && { inputTokens: data.prompt_eval_count || 0, outputTokens: data.eval_count || 0 })
+    };
+  }
+};
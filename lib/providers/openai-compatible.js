@@ -0,0 +1,84 @@
+// lib/providers/openai-compatible.js - Chat Completions request body shared by OpenAI-style APIs
+// DeepSeek, OpenAI, vLLM, LM Studio and llama.cpp's llama-server all accept this shape.
+
+// `stream` asks for Server-Sent Events, with token counts in the last one
+export function chatCompletionsBody({ model, prompt, base64Data, mediaType, temperature, maxTokens, stream = false }) {
+  return JSON.stringify({
+    model,
+    messages: [{
+      role: "user",
+      content: [
+        {
+          type: "image_url",
+          image_url: {
+            url: `data:${mediaType};base64,${base64Data}`
+          }
+        },
+        {
+          type: "text",
+          text: prompt
+        }
+      ]
+    }],
+    temperature,
+    max_tokens: maxTokens,
+    ...(stream && { stream: true, stream_options: { include_usage: true } })
+  });
+}
+
+export function chatCompletionsText(data) {
+  return data.choices?.[0]?.message?.content || "";
+}
+
+export function chatCompletionsUsage(data) {
+  return { inputTokens: data.usage?.prompt_tokens || 0, outputTokens: data.usage?.completion_tokens || 0 };
+}
+
+// One chat.completion.chunk event
+export function chatCompletionsDelta(data) {
+  return {
+    model: data.model,
+    text: data.choices?.[0]?.delta?.content,
+    ...(data.usage && chatCompletionsUsage(data))
+  };
+}
+
+export function trimSlash(url) {
+  return url.replace(/\/+$/, "");
+}
+
+// Any OpenAI-compatible endpoint: OPENAI_BASE_URL + OPENAI_MODEL (+ OPENAI_API_KEY when required)
+export default {
+  name: "openai",
+  label: "OpenAI-compatible",
+
+  isConfigured(env) {
+    return !!(env.OPENAI_API_KEY || env.OPENAI_BASE_URL);
+  },
+
+  buildRequest({ base64Data, mediaType, prompt }, env, { stream = false } = {}) {
+    const headers = { "Content-Type": "application/json" };
+    if (env.OPENAI_API_KEY) headers.Authorization = `Bearer ${env.OPENAI_API_KEY}`;
+
+    return {
+      url: `${trimSlash(env.OPENAI_BASE_URL || "https://api.openai.com/v1")}/chat/completions`,
+      init: {
+        method: "POST",
+        headers,
+        body: chatCompletionsBody({
+          model: env.OPENAI_MODEL || "gpt-4o-mini",
+          prompt,
+          base64Data,
+          mediaType,
+          temperature: 0.2,
+          maxTokens: 1024,
+          stream
+        })
+      }
+    };
+  },
+
+  extractText: chatCompletionsText,
+  extractUsage: chatCompletionsUsage,
+  streamDelta: chatCompletionsDelta
+};
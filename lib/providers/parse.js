@@ -0,0 +1,30 @@
+// lib/providers/parse.js - Turn a model's text reply into { verdict, confidence, findings }
+import { classifyText, makeFinding, validateModelOutput } from "../verdict.js";
+
+export function extractJson(text) {
+  let jsonText = text.trim();
+  if (jsonText.includes("```")) {
+    jsonText = jsonText.replace(/```json\n?/gi, "").replace(/```\n?/g, "").trim();
+  }
+  const jsonMatch = jsonText.match(/\{[\s\S]*\}/);
+  return jsonMatch ? jsonMatch[0] : jsonText;
+}
+
+// Strict parse: throws if the reply is not JSON or does not match the verdict schema
+export function parseVerdict(text, source) {
+  return validateModelOutput(JSON.parse(extractJson(text)), source);
+}
+
+// Replies that ignored the format are kept as notes, but no verdict is guessed from
+// keywords: the result is inconclusive and abstains from any vote
+export function fallbackVerdict(text, source) {
+  const lines = text.split("\n").filter(line => line.trim().length > 10);
+  const notes = lines.slice(0, 4).map(line => line.replace(/^[-*•\d.)\]]+\s*/, "").trim());
+
+  return {
+    verdict: "inconclusive",
+    confidence: 0,
+    findings: (notes.length > 0 ? notes : ["Response did not follow the expected format"])
+      .map(message => makeFinding({ category: classifyText(message), severity: "info", message, source }))
+  };
+}
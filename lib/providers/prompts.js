@@ -0,0 +1,14 @@
+// lib/providers/prompts.js - Reply format shared by every detection prompt
+// The prompts themselves live in prompt profiles (profiles/*.json, see lib/profiles).
+import { CATEGORIES } from "../verdict.js";
+
+// Reply format for schema 2.0 (see lib/verdict.js)
+export const VERDICT_FORMAT = `{
+  "verdict": "original" | "ai-generated" | "edited-or-composite" | "inconclusive",
+  "confidence": number between 0-100,
+  "findings": [
+    {"category": "hands", "severity": "high", "description": "six fingers on the left hand", "box": [x, y, width, height]}
+  ]
+}
+
+FINDINGS: 3-6 specific findings. category is one of ${CATEGORIES.join(", ")}. severity is info, low, medium or high. box is optional: [x, y, width, height] as fractions (0-1) of the image size measured from the top-left corner; omit it when the finding is not localized.`;
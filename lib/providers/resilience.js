@@ -0,0 +1,181 @@
+// lib/providers/resilience.js - Timeouts, retries and circuit breakers for provider calls
+// Every call gets a deadline. Timeouts, rate limits (429) and server or network failures are
+// retried with exponential backoff, waiting at least as long as the provider's Retry-After;
+// other errors (bad key, rejected request, unreadable reply) fail at once. A provider whose
+// calls keep failing has its breaker opened and is skipped until a cooldown has passed,
+// when one trial call decides whether it is back.
+// PROVIDER_TIMEOUT_MS=30000 (CLAUDE_TIMEOUT_MS, DEEPSEEK_TIMEOUT_MS, OPENAI_TIMEOUT_MS and
+//   LOCAL_TIMEOUT_MS override it per provider; local models default to 120000)
+// PROVIDER_RETRIES=2, PROVIDER_RETRY_BASE_MS=500, PROVIDER_RETRY_MAX_MS=10000
+// CIRCUIT_BREAKER_THRESHOLD=5 failed calls in a row (0 turns breakers off),
+// CIRCUIT_BREAKER_COOLDOWN_MS=30000
+
+const DEFAULT_TIMEOUTS = { local: 120000 };
+const NETWORK_CODES = ["ECONNRESET", "ECONNREFUSED", "ETIMEDOUT", "ENOTFOUND", "EAI_AGAIN", "EPIPE", "UND_ERR_SOCKET"];
+
+function numberFrom(value, fallback) {
+  if (value === undefined || value === null || value === "") return fallback;
+  const number = Number(value);
+  return Number.isFinite(number) && number >= 0 ? number : fallback;
+}
+
+export function resiliencePolicy(env = process.env) {
+  const timeoutMs = numberFrom(env.PROVIDER_TIMEOUT_MS, null);
+  return {
+    timeoutMs: name => numberFrom(env[`${name.toUpperCase()}_TIMEOUT_MS`], timeoutMs ?? DEFAULT_TIMEOUTS[name] ?? 30000),
+    retries: Math.floor(numberFrom(env.PROVIDER_RETRIES, 2)),
+    baseDelayMs: numberFrom(env.PROVIDER_RETRY_BASE_MS, 500),
+    maxDelayMs: numberFrom(env.PROVIDER_RETRY_MAX_MS, 10000),
+    breaker: {
+      threshold: Math.floor(numberFrom(env.CIRCUIT_BREAKER_THRESHOLD, 5)),
+      cooldownMs: numberFrom(env.CIRCUIT_BREAKER_COOLDOWN_MS, 30000)
+    }
+  };
+}
+
+export class ProviderTimeoutError extends Error {
+  constructor(provider, timeoutMs) {
+    super(`${provider.label} did not answer within ${timeoutMs}ms`);
+    this.name = "ProviderTimeoutError";
+    this.provider = provider.name;
+    this.kind = "timeout";
+  }
+}
+
+export class CircuitOpenError extends Error {
+  constructor(provider, retryAt) {
+    super(`${provider.label} is failing repeatedly and is skipped until ${new Date(retryAt).toISOString()}`);
+    this.name = "CircuitOpenError";
+    this.provider = provider.name;
+    this.kind = "circuit-open";
+    this.retryAt = retryAt;
+  }
+}
+
+// What went wrong, as reported in providerErrors and degraded.providers:
+// timeout | rate-limited | unavailable | auth | rejected | circuit-open | error
+export function failureKind(err) {
+  if (err.kind) return err.kind;
+  if (err.status === 429) return "rate-limited";
+  if (err.status === 401 || err.status === 403) return "auth";
+  if (err.status >= 500) return "unavailable";
+  if (err.status >= 400) return "rejected";
+  if (err.name === "FetchError" || NETWORK_CODES.includes(err.code) || NETWORK_CODES.includes(err.cause?.code) ||
+    (err instanceof TypeError && /fetch failed/i.test(err.message))) return "unavailable";
+  return "error";
+}
+
+// Only these say anything about the provider's health; the rest are the request's fault
+const TRANSIENT = ["timeout", "rate-limited", "unavailable"];
+
+export function isTransient(err) {
+  return TRANSIENT.includes(failureKind(err));
+}
+
+// Retry-After is either seconds or an HTTP date; milliseconds from `now`, or null
+export function parseRetryAfter(value, now = Date.now()) {
+  if (value === undefined || value === null || value === "") return null;
+  const text = String(value).trim();
+  if (/^\d+(\.\d+)?$/.test(text)) return Math.round(Number(text) * 1000);
+  const date = Date.parse(text);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+// How long to wait before retry number `attempt + 1`, or null when the error should not be
+// retried: not transient, out of attempts, or a Retry-After longer than the longest wait
+export function retryDelay(err, attempt, policy, random = Math.random) {
+  if (!isTransient(err) || attempt >= policy.retries) return null;
+  const backoff = Math.min(policy.maxDelayMs, policy.baseDelayMs * 2 ** attempt);
+  // Up to 20% jitter so parallel requests do not retry in lockstep
+  const delay = Math.round(backoff * (1 + random() * 0.2));
+  const retryAfter = parseRetryAfter(err.retryAfter);
+  if (retryAfter === null) return Math.min(delay, policy.maxDelayMs);
+  return retryAfter > policy.maxDelayMs ? null : Math.max(delay, retryAfter);
+}
+
+// Resolves after `ms`, or rejects when `signal` aborts first
+export function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(signal.reason);
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+// closed: calls go through. open: calls are refused until retryAt. half-open: one trial
+// call is in flight and the others are refused until it settles.
+export class CircuitBreaker {
+  constructor(provider, { threshold = 5, cooldownMs = 30000 } = {}, now = Date.now) {
+    this.provider = provider;
+    this.threshold = threshold;
+    this.cooldownMs = cooldownMs;
+    this.now = now;
+    this.state = "closed";
+    this.failures = 0;
+    this.openedAt = null;
+    this.retryAt = null;
+    this.lastError = null;
+  }
+
+  // Whether a call may go ahead now; the first call after the cooldown is the trial
+  allow() {
+    if (this.threshold === 0 || this.state === "closed") return true;
+    if (this.state === "open" && this.now() >= this.retryAt) {
+      this.state = "half-open";
+      return true;
+    }
+    return false;
+  }
+
+  // A trial call that ended without an answer either way (cancelled by the caller): the
+  // breaker goes back to open with the cooldown over, so the next call is the trial
+  release() {
+    if (this.state !== "half-open") return;
+    this.state = "open";
+    this.retryAt = this.now();
+  }
+
+  success() {
+    this.state = "closed";
+    this.failures = 0;
+    this.openedAt = null;
+    this.retryAt = null;
+  }
+
+  // A failed call; only transient failures count against the provider, since any other
+  // answer shows it is reachable. A Retry-After longer than the cooldown keeps the breaker
+  // open for that long.
+  failure(err) {
+    if (!isTransient(err)) return this.success();
+    this.failures++;
+    this.lastError = err.message;
+    if (this.threshold === 0) return;
+    if (this.state === "half-open" || this.failures >= this.threshold) {
+      const now = this.now();
+      this.state = "open";
+      this.openedAt = now;
+      this.retryAt = now + Math.max(this.cooldownMs, parseRetryAfter(err.retryAfter, now) || 0);
+    }
+  }
+
+  snapshot() {
+    return {
+      provider: this.provider,
+      state: this.state,
+      consecutiveFailures: this.failures,
+      ...(this.openedAt && { openedAt: new Date(this.openedAt).toISOString(), retryAt: new Date(this.retryAt).toISOString() }),
+      lastError: this.lastError
+    };
+  }
+}
+
+export function createBreakers(names, policy, now = Date.now) {
+  return new Map(names.map(name => [name, new CircuitBreaker(name, policy.breaker, now)]));
+}
@@ -0,0 +1,133 @@
+// lib/providers/stream.js - Reading provider replies as they are generated
+// Claude and the Chat Completions APIs stream Server-Sent Events, Ollama streams NDJSON; both
+// come down to one JSON object per line, which the adapter's streamDelta() turns into
+// { text?, model?, inputTokens?, outputTokens? }. A reply that arrives whole anyway (a server
+// that ignores the stream flag, or a recorded cassette body) is handed back for the
+// non-streaming parser.
+import { parseFinding } from "../verdict.js";
+
+async function* chunksOf(response) {
+  const body = response.body;
+  if (body && typeof body[Symbol.asyncIterator] === "function") {
+    yield* body;
+  } else {
+    yield await response.text();
+  }
+}
+
+// Resolves to { streamed: true, text, model, inputTokens, outputTokens } or, when the reply
+// was not a stream, { streamed: false, raw }. `onText` gets each piece of text as it arrives.
+// A single JSON line is a whole reply rather than a stream, so the first event is held back
+// until a second one shows up.
+export async function readStream(response, provider, onText) {
+  const decoder = new TextDecoder();
+  const reply = { streamed: true, text: "", model: null, inputTokens: 0, outputTokens: 0 };
+  let raw = "";
+  let pending = "";
+  let first = null;
+  let events = 0;
+
+  const apply = delta => {
+    if (delta.model) reply.model = delta.model;
+    if (delta.inputTokens) reply.inputTokens = delta.inputTokens;
+    if (delta.outputTokens) reply.outputTokens = delta.outputTokens;
+    if (delta.text) {
+      reply.text += delta.text;
+      onText(delta.text);
+    }
+  };
+
+  const handle = line => {
+    if (line.startsWith("event:") || line.startsWith(":")) return;
+    const payload = line.replace(/^data:\s*/, "").trim();
+    if (!payload || payload === "[DONE]") return;
+    let event;
+    try {
+      event = JSON.parse(payload);
+    } catch {
+      return;
+    }
+    if (!event || typeof event !== "object") return;
+    if (event.error) {
+      throw new Error(`${provider.label} stream error: ${event.error.message || event.error}`);
+    }
+
+    const delta = provider.streamDelta(event);
+    events++;
+    if (events === 1) {
+      first = delta;
+      return;
+    }
+    if (first) {
+      apply(first);
+      first = null;
+    }
+    apply(delta);
+  };
+
+  for await (const chunk of chunksOf(response)) {
+    const text = typeof chunk === "string" ? chunk : decoder.decode(chunk, { stream: true });
+    raw += text;
+    pending += text;
+    const lines = pending.split(/\r?\n/);
+    pending = lines.pop();
+    lines.forEach(handle);
+  }
+  handle(pending + decoder.decode());
+
+  return events > 1 ? reply : { streamed: false, raw };
+}
+
+// Picks complete entries out of a reply's findings array while the rest is still being
+// written. Call it with the text so far; it calls `onFinding` once per new entry.
+export function createFindingScanner(source, onFinding) {
+  let emitted = 0;
+
+  return text => {
+    const start = text.search(/"(findings|observations)"\s*:\s*\[/);
+    if (start < 0) return;
+
+    let depth = 0;
+    let inString = false;
+    let escaped = false;
+    let entryStart = -1;
+    let index = 0;
+    for (let i = text.indexOf("[", start) + 1; i < text.length; i++) {
+      const char = text[i];
+      if (inString) {
+        if (escaped) escaped = false;
+        else if (char === "\\") escaped = true;
+        else if (char === "\"") {
+          inString = false;
+          if (depth === 0) index = finish(text.slice(entryStart, i + 1), index);
+        }
+        continue;
+      }
+      if (char === "\"") {
+        inString = true;
+        if (depth === 0) entryStart = i;
+      } else if (char === "{") {
+        if (depth === 0) entryStart = i;
+        depth++;
+      } else if (char === "}") {
+        depth--;
+        if (depth === 0) index = finish(text.slice(entryStart, i + 1), index);
+      } else if (char === "]" && depth === 0) {
+        return;
+      }
+    }
+  };
+
+  // Parse entry number `index` and report it if it is new; returns the next index
+  function finish(json, index) {
+    if (index >= emitted) {
+      emitted = index + 1;
+      try {
+        onFinding(parseFinding(JSON.parse(json), source));
+      } catch {
+        // A malformed entry is left for the full parse to report
+      }
+    }
+    return index + 1;
+  }
+}
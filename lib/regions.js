@@ -0,0 +1,29 @@
+// lib/regions.js - Where the evidence is: model-reported boxes plus the forensics heatmap
+// Every box is in fractions of the image size (x, y from the top-left), so the same
+// annotations line up with the full image, a thumbnail or a resized duplicate.
+
+function providerName(analysisMethod) {
+  return analysisMethod.replace(/-api(-fallback)?$/, "");
+}
+
+export function collectAnnotations(result, forensics) {
+  const boxes = [];
+
+  if (result.ensemble) {
+    for (const vote of result.ensemble.votes) {
+      for (const region of vote.regions || []) boxes.push({ ...region, source: vote.provider });
+    }
+  } else {
+    for (const region of result.regions || []) boxes.push({ ...region, source: providerName(result.analysisMethod) });
+  }
+
+  const heatmap = forensics?.available ? forensics.heatmap : null;
+  for (const box of heatmap?.boxes || []) {
+    boxes.push({ ...box, reason: null, source: "forensics" });
+  }
+
+  return {
+    heatmap: heatmap ? { cols: heatmap.cols, rows: heatmap.rows, values: heatmap.values } : null,
+    boxes
+  };
+}
@@ -0,0 +1,105 @@
+// lib/replay.js - Record provider HTTP exchanges to a cassette file and replay them offline
+// Entries are keyed by a hash of method, URL and request body. The body holds the prompt,
+// model name and image, so a prompt change is a cache miss by design. Request headers
+// (API keys) are never written to the cassette.
+// The servers opt in with PROVIDER_CASSETTE=path and PROVIDER_CASSETTE_MODE=replay|record.
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+
+export const CASSETTE_VERSION = 1;
+
+export class ReplayMissError extends Error {
+  constructor(url) {
+    super(`No recorded response for ${url} (re-record the cassette)`);
+    this.name = "ReplayMissError";
+    this.url = url;
+  }
+}
+
+export function requestKey(url, init = {}) {
+  return crypto.createHash("sha256")
+    .update(`${(init.method || "GET").toUpperCase()} ${url}\n`)
+    .update(typeof init.body === "string" ? init.body : "")
+    .digest("hex");
+}
+
+// `meta` carries whatever the caller needs to rebuild the same requests later
+export function createCassette(meta = {}) {
+  return { version: CASSETTE_VERSION, meta, entries: {} };
+}
+
+export async function loadCassette(filePath) {
+  try {
+    const cassette = JSON.parse(await fs.readFile(filePath, "utf8"));
+    if (cassette.version !== CASSETTE_VERSION) {
+      throw new Error(`Unsupported cassette version ${cassette.version} in ${filePath}`);
+    }
+    return cassette;
+  } catch (err) {
+    if (err.code === "ENOENT") return createCassette();
+    throw err;
+  }
+}
+
+export async function saveCassette(filePath, cassette) {
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  const tmp = `${filePath}.${process.pid}.tmp`;
+  await fs.writeFile(tmp, JSON.stringify(cassette, null, 2) + "\n");
+  await fs.rename(tmp, filePath);
+}
+
+// Minimal stand-in for the parts of a fetch Response the providers use
+function recordedResponse({ status, body }) {
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    json: async () => JSON.parse(body),
+    text: async () => body
+  };
+}
+
+// Pass requests through to `fetchImpl` and store every answer in the cassette
+export function recordingFetch(fetchImpl, cassette) {
+  return async (url, init = {}) => {
+    const response = await fetchImpl(url, init);
+    const body = await response.text();
+    cassette.entries[requestKey(url, init)] = {
+      url: String(url),
+      status: response.status,
+      body,
+      recordedAt: new Date().toISOString()
+    };
+    return recordedResponse({ status: response.status, body });
+  };
+}
+
+// Answer only from the cassette; unknown requests throw ReplayMissError
+export function replayFetch(cassette) {
+  return async (url, init = {}) => {
+    const entry = cassette.entries[requestKey(url, init)];
+    if (!entry) throw new ReplayMissError(String(url));
+    return recordedResponse(entry);
+  };
+}
+
+// Provider fetch for the servers: the real one unless PROVIDER_CASSETTE is set. Recording
+// saves the cassette after every response so a crash loses nothing already captured.
+export async function createProviderFetch(fetchImpl, env = process.env) {
+  const filePath = env.PROVIDER_CASSETTE;
+  if (!filePath) return fetchImpl;
+
+  const mode = env.PROVIDER_CASSETTE_MODE || "replay";
+  const cassette = await loadCassette(filePath);
+  if (mode === "replay") return replayFetch(cassette);
+  if (mode !== "record") throw new Error(`Unknown PROVIDER_CASSETTE_MODE "${mode}" (use replay or record)`);
+
+  const record = recordingFetch(fetchImpl, cassette);
+  let writing = Promise.resolve();
+  return async (url, init) => {
+    const response = await record(url, init);
+    writing = writing.catch(() => {}).then(() => saveCassette(filePath, cassette));
+    await writing;
+    return response;
+  };
+}
@@ -0,0 +1,247 @@
+// lib/reports/index.js - Downloadable forensic reports built from history records
+// One report per analysis, as JSON (the record's evidence, regrouped), Markdown or PDF, for
+// attaching to stories and moderation appeals. The Markdown and PDF renderings share one
+// outline, so they always list the same facts.
+import { describeReview } from "../review/index.js";
+import { VERDICT_LABELS } from "../verdict.js";
+import { createPdf } from "./pdf.js";
+
+export const REPORT_VERSION = "1.0";
+
+export const REPORT_FORMATS = {
+  json: "application/json; charset=utf-8",
+  md: "text/markdown; charset=utf-8",
+  pdf: "application/pdf"
+};
+
+const VERDICT_COLORS = {
+  "original": [22, 163, 74],
+  "ai-generated": [220, 38, 38],
+  "edited-or-composite": [217, 119, 6],
+  "inconclusive": [107, 114, 128]
+};
+
+// `service` is the { name, version, api } generating the report, which may be newer than
+// the one that ran the analysis (report.versions)
+export function buildReport(record, { service, generatedAt = new Date().toISOString() } = {}) {
+  // Records from before reports existed have no evidence block
+  const evidence = record.evidence || {};
+  const fingerprint = evidence.fingerprint || {};
+  return {
+    reportVersion: REPORT_VERSION,
+    generatedAt,
+    generator: service || null,
+    analysis: {
+      id: record.id,
+      createdAt: record.createdAt,
+      fileName: record.fileName,
+      sourceUrl: record.sourceUrl,
+      verdict: record.verdict,
+      leaning: record.leaning || null,
+      confidence: record.confidence,
+      analysisMethod: record.analysisMethod,
+      profile: record.profile,
+      review: record.review || null,
+      summary: record.summary || [],
+      cacheHit: !!evidence.cacheHit,
+      matchedId: record.matchedId
+    },
+    versions: { ...evidence.versions, profile: record.profile ? `${record.profile.name}@${record.profile.version}` : null },
+    image: {
+      thumbnail: record.thumbnail,
+      ...evidence.input,
+      sha256: fingerprint.sha256 || null,
+      phash: fingerprint.phash || null,
+      dhash: fingerprint.dhash || null,
+      source: evidence.source || null
+    },
+    provenance: evidence.provenance || record.provenance,
+    forensics: evidence.forensics || { available: record.forensicsScore !== null, score: record.forensicsScore },
+    providers: evidence.providers || [],
+    agreement: evidence.agreement ?? null,
+    disagreement: evidence.disagreement || null,
+    frames: evidence.frames || null,
+    findings: record.findings,
+    usage: evidence.usage || null
+  };
+}
+
+function verdictText({ verdict, leaning, confidence }) {
+  const label = VERDICT_LABELS[verdict] || verdict;
+  return `${leaning ? `${label} (leans ${VERDICT_LABELS[leaning]})` : label}, ${confidence}% confidence`;
+}
+
+function formatBytes(bytes) {
+  return bytes >= 1024 * 1024 ? `${(bytes / 1024 / 1024).toFixed(1)} MB` : `${Math.round(bytes / 1024)} KB`;
+}
+
+function formatValue(value) {
+  if (value === null || value === undefined) return null;
+  if (Buffer.isBuffer(value) || value?.type === "Buffer") return "(binary)";
+  if (typeof value === "object") return JSON.stringify(value);
+  return String(value);
+}
+
+function finding(f) {
+  return `[${f.severity}] ${f.category}: ${f.message}${f.source ? ` (${f.source})` : ""}`;
+}
+
+// The report as sections of { title, fields: [[label, value]], lists: [{ title?, items }] };
+// fields without a value and sections with nothing in them are left out
+export function reportOutline(report) {
+  const { analysis, image, provenance, forensics, frames, usage, versions } = report;
+  const section = (title, fields = [], lists = []) => ({
+    title,
+    fields: fields.filter(([, value]) => value !== null && value !== undefined && value !== ""),
+    lists: lists.filter(list => list.items.length > 0)
+  });
+
+  const sections = [
+    section("Verdict", [
+      ["Verdict", verdictText(analysis)],
+      ["Method", analysis.analysisMethod],
+      ["Human review", analysis.review && analysis.review.status !== "not-required"
+        ? `${describeReview(analysis.review)}${analysis.review.reviewedAt ? ` on ${analysis.review.reviewedAt}` : ""}` : null],
+      ["Reviewer's reason", analysis.review?.reason],
+      ["Reused verdict", analysis.cacheHit ? `yes, from analysis ${analysis.matchedId}` : null]
+    ], [{ title: "Summary", items: analysis.summary }]),
+
+    section("Image", [
+      ["File", analysis.fileName],
+      ["Source URL", image.source?.url || analysis.sourceUrl],
+      ["Fetched from", image.source?.finalUrl && image.source.finalUrl !== image.source.url ? image.source.finalUrl : null],
+      ["Format", image.format ? `${image.format} (${image.mediaType})` : null],
+      ["Dimensions", image.width ? `${image.width} x ${image.height}` : null],
+      ["Size", image.bytes ? formatBytes(image.bytes) : null],
+      ["Sent to providers", image.provider && (image.provider.converted || image.provider.downscaled)
+        ? `${image.provider.mediaType}, ${image.provider.width} x ${image.provider.height}` : null],
+      ["SHA-256", image.sha256],
+      ["pHash", image.phash],
+      ["dHash", image.dhash]
+    ])
+  ];
+
+  if (provenance) {
+    const raw = [
+      ...Object.entries(provenance.exif || {}).map(([key, value]) => [`EXIF ${key}`, formatValue(value)]),
+      ...Object.entries(provenance.xmp || {}).map(([key, value]) => [`XMP ${key}`, formatValue(value)]),
+      ...Object.entries(provenance.pngText || {}).map(([key, value]) => [`PNG text ${key}`, formatValue(value)])
+    ].filter(([, value]) => value);
+    sections.push(section("Provenance & metadata", [
+      ["Assessment", provenance.assessment],
+      ["Camera", provenance.camera],
+      ["Captured", provenance.capturedAt],
+      ["GPS", provenance.gps ? `${provenance.gps.latitude}, ${provenance.gps.longitude}` : null],
+      ["Editing software", provenance.editingSoftware?.join(", ")],
+      ["Content Credentials", provenance.c2pa
+        ? `${provenance.c2pa.manifests.map(m => m.claimGenerator).filter(Boolean).join(", ") || "present"} (signature not verified)` : null]
+    ], [
+      { title: "Generator signatures", items: (provenance.generatorSignatures || []).map(s => `${s.generator} (${s.source}): ${s.evidence}`) },
+      { title: "Notes", items: provenance.notes || [] },
+      { title: "Embedded metadata", items: raw.map(([key, value]) => `${key}: ${value}`) }
+    ]));
+  }
+
+  sections.push(section("Provider verdicts", [
+    ["Agreement", report.agreement !== null ? `${Math.round(report.agreement * 100)}% of the vote weight` : null],
+    ["Disagreement", report.disagreement]
+  ], report.providers.map(p => ({
+    title: p.error
+      ? `${p.provider}${p.frame !== undefined ? ` (frame ${p.frame})` : ""}: failed`
+      : `${p.provider}: ${verdictText(p)}${p.weight !== undefined ? `, weight ${p.weight}` : ""}`,
+    items: p.error ? [p.error] : (p.findings || []).map(finding)
+  })).map(list => ({ ...list, items: list.items.length > 0 ? list.items : ["No observations reported"] }))));
+
+  sections.push(section("Local forensics", [
+    ["Score", forensics.available ? `${forensics.score} / 100 (higher is more synthetic)` : null],
+    ["Not run", forensics.available ? null : forensics.reason || "unavailable"]
+  ], [{ title: "Observations", items: forensics.observations || [] }]));
+
+  if (frames) {
+    const temporal = frames.temporal;
+    sections.push(section("Frames", [
+      ["Clip", `${frames.kind}, ${frames.format}${frames.durationMs ? `, ${frames.durationMs / 1000}s` : ""}`],
+      ["Temporal flicker", temporal?.available ? `${temporal.flicker.score} / 100` : null],
+      ["Subject drift", temporal?.available ? `${temporal.subjectDrift.score} / 100` : null]
+    ], [{
+      title: "Sampled frames",
+      items: frames.sampled.map(f => `${f.timeMs !== null ? `${(f.timeMs / 1000).toFixed(1)}s` : `#${f.index + 1}`}: ${f.verdict
+        ? `${VERDICT_LABELS[f.verdict]}, ${f.confidence}% (${f.analysisMethod})` : `not analyzed${f.error ? ` - ${f.error}` : ""}`}`)
+    }]));
+  }
+
+  sections.push(section("Findings", [], [{ items: (report.findings || []).map(finding) }]));
+
+  if (usage?.calls.length) {
+    sections.push(section("Provider calls", [], [{
+      items: usage.calls.map(c => `${c.provider}${c.model ? ` (${c.model})` : ""}: ${c.failed ? "failed, " : ""}` +
+        `${c.inputTokens} in / ${c.outputTokens} out tokens, ${c.latencyMs}ms${c.costUsd !== null ? `, $${c.costUsd}` : ""}`)
+    }]));
+  }
+
+  sections.push(section("Versions & timestamps", [
+    ["Analyzed", analysis.createdAt],
+    ["Report generated", report.generatedAt],
+    ["Service", versions.name ? `${versions.name} ${versions.version} (API ${versions.api})` : null],
+    ["Report generated by", report.generator ? `${report.generator.name} ${report.generator.version}` : null],
+    ["Verdict schema", versions.schema],
+    ["Prompt profile", versions.profile],
+    ["Forensics", versions.forensics],
+    ["Provenance reader", versions.provenance],
+    ["Report format", report.reportVersion]
+  ]));
+
+  return sections.filter(s => s.fields.length > 0 || s.lists.length > 0);
+}
+
+// Metadata is whatever the uploaded file claims, so it is escaped like any other input
+function escapeMarkdown(text) {
+  return String(text).replace(/[\r\n]+/g, " ").replace(/[\\`*_[\]<>#|]/g, "\\$&");
+}
+
+export function renderMarkdown(report) {
+  const lines = [
+    `# TrueSight forensic report`,
+    "",
+    `Analysis \`${report.analysis.id}\``,
+    ""
+  ];
+  if (report.image.thumbnail) lines.push(`![Thumbnail](${report.image.thumbnail})`, "");
+
+  for (const { title, fields, lists } of reportOutline(report)) {
+    lines.push(`## ${title}`, "");
+    if (fields.length > 0) lines.push(...fields.map(([label, value]) => `- **${label}:** ${escapeMarkdown(value)}`), "");
+    for (const list of lists) {
+      if (list.title) lines.push(`**${escapeMarkdown(list.title)}**`, "");
+      lines.push(...list.items.map(item => `- ${escapeMarkdown(item)}`), "");
+    }
+  }
+  return lines.join("\n");
+}
+
+export function renderPdf(report) {
+  const doc = createPdf();
+  doc.text("TrueSight forensic report", { size: 18, bold: true, gap: 2 });
+  doc.text(`Analysis ${report.analysis.id}`, { size: 9, color: [107, 114, 128], gap: 8 });
+  doc.text(verdictText(report.analysis), { size: 14, bold: true, color: VERDICT_COLORS[report.analysis.verdict], gap: 8 });
+  if (report.image.thumbnail) doc.jpeg(Buffer.from(report.image.thumbnail.split(",")[1], "base64"));
+
+  for (const { title, fields, lists } of reportOutline(report)) {
+    doc.rule().heading(title);
+    for (const [label, value] of fields) doc.text(`${label}: ${value}`, { gap: 2 });
+    for (const list of lists) {
+      if (list.title) doc.text(list.title, { bold: true, gap: 2 });
+      for (const item of list.items) doc.text(`•  ${item}`, { indent: 10, gap: 2 });
+    }
+  }
+  return doc.toBuffer();
+}
+
+// { body, contentType, fileName } for GET /reports/:id.:format
+export function renderReport(record, format, options) {
+  const report = buildReport(record, options);
+  const body = format === "pdf" ? renderPdf(report)
+    : format === "md" ? renderMarkdown(report)
+      : JSON.stringify(report, null, 2);
+  return { body, contentType: REPORT_FORMATS[format], fileName: `truesight-report-${record.id}.${format}` };
+}
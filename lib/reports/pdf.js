@@ -0,0 +1,195 @@
+// lib/reports/pdf.js - Minimal PDF writer for analysis reports
+// Just enough of PDF 1.4 for a text report with one embedded JPEG: A4 pages, the standard
+// Helvetica fonts (no embedding) and word wrapping from their metrics. Text is WinAnsi, so
+// characters outside Latin-1 become "?" and emoji are dropped.
+import { decodeImage } from "../image.js";
+
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+const MARGIN = 50;
+
+// Helvetica advance widths for ASCII 32-126 in 1/1000 em; Helvetica-Bold runs about 5% wider
+const WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+const BOLD_FACTOR = 1.05;
+
+// Typographic characters WinAnsi has outside Latin-1
+const WIN_ANSI = { "‘": 0x91, "’": 0x92, "“": 0x93, "”": 0x94, "•": 0x95, "–": 0x96, "—": 0x97, "…": 0x85 };
+
+function toWinAnsi(text) {
+  let out = "";
+  for (const char of String(text)) {
+    const code = char.codePointAt(0);
+    if (WIN_ANSI[char]) out += String.fromCharCode(WIN_ANSI[char]);
+    else if (code > 0xffff || (code >= 0xfe00 && code <= 0xfe0f) || code === 0x200d) continue;
+    else if (code === 9 || code === 10) out += " ";
+    else if (code < 32 || code > 255) out += "?";
+    else out += char;
+  }
+  return out;
+}
+
+function textWidth(text, size, bold) {
+  let width = 0;
+  for (let i = 0; i < text.length; i++) {
+    const code = text.charCodeAt(i);
+    width += code >= 32 && code <= 126 ? WIDTHS[code - 32] : 556;
+  }
+  return width / 1000 * size * (bold ? BOLD_FACTOR : 1);
+}
+
+function escapeText(text) {
+  return text.replace(/[\\()]/g, "\\$&");
+}
+
+// Break `text` into lines no wider than `maxWidth`; words longer than a line (hashes, URLs)
+// are split wherever they overflow
+function wrap(text, size, bold, maxWidth) {
+  const lines = [];
+  let line = "";
+  for (const word of text.split(/ +/)) {
+    const candidate = line ? `${line} ${word}` : word;
+    if (textWidth(candidate, size, bold) <= maxWidth) {
+      line = candidate;
+      continue;
+    }
+    if (line) lines.push(line);
+    line = word;
+    while (textWidth(line, size, bold) > maxWidth) {
+      let cut = line.length - 1;
+      while (cut > 1 && textWidth(line.slice(0, cut), size, bold) > maxWidth) cut--;
+      lines.push(line.slice(0, cut));
+      line = line.slice(cut);
+    }
+  }
+  if (line) lines.push(line);
+  return lines;
+}
+
+// Size of a JPEG; null when it does not decode, so a broken thumbnail is left out rather
+// than breaking the document
+function jpegInfo(buffer) {
+  try {
+    const image = decodeImage(buffer);
+    return image ? { width: image.width, height: image.height } : null;
+  } catch {
+    return null;
+  }
+}
+
+// A document that lays out top to bottom, starting a new page when the current one is full
+export function createPdf() {
+  const pages = [];
+  let ops = null;
+  let y = 0;
+  let image = null;
+
+  function newPage() {
+    ops = [];
+    pages.push(ops);
+    y = PAGE_HEIGHT - MARGIN;
+  }
+
+  function ensureRoom(height) {
+    if (!ops || y - height < MARGIN) newPage();
+  }
+
+  const doc = {
+    // A wrapped paragraph; `indent` shifts it right, `gap` is the space left below it
+    text(value, { size = 10, bold = false, indent = 0, gap = 4, color = [0, 0, 0] } = {}) {
+      const leading = size * 1.3;
+      for (const line of wrap(toWinAnsi(value), size, bold, PAGE_WIDTH - 2 * MARGIN - indent)) {
+        ensureRoom(leading);
+        y -= leading;
+        const fill = color.map(c => (c / 255).toFixed(3)).join(" ");
+        ops.push(`BT ${fill} rg /${bold ? "F2" : "F1"} ${size} Tf ${MARGIN + indent} ${y.toFixed(2)} Td (${escapeText(line)}) Tj ET`);
+      }
+      y -= gap;
+      return doc;
+    },
+
+    heading(value) {
+      ensureRoom(40);
+      y -= 8;
+      return doc.text(value, { size: 13, bold: true, gap: 6 });
+    },
+
+    rule() {
+      ensureRoom(10);
+      y -= 4;
+      ops.push(`0.8 0.8 0.8 RG 0.5 w ${MARGIN} ${y.toFixed(2)} m ${PAGE_WIDTH - MARGIN} ${y.toFixed(2)} l S`);
+      y -= 6;
+      return doc;
+    },
+
+    // An RGB JPEG (only one per document) drawn at most `maxSide` points on its longer side
+    jpeg(buffer, { maxSide = 160 } = {}) {
+      const info = image ? null : jpegInfo(buffer);
+      if (!info) return doc;
+      const scale = Math.min(1, maxSide / Math.max(info.width, info.height));
+      const width = info.width * scale;
+      const height = info.height * scale;
+      ensureRoom(height + 8);
+      y -= height;
+      image = { buffer, ...info };
+      ops.push(`q ${width.toFixed(2)} 0 0 ${height.toFixed(2)} ${MARGIN} ${y.toFixed(2)} cm /Im1 Do Q`);
+      y -= 8;
+      return doc;
+    },
+
+    toBuffer() {
+      if (!ops) newPage();
+      const objects = [];
+      const add = body => objects.push(body);
+
+      const catalog = add(null);
+      const pagesRef = add(null);
+      const regular = add("<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>");
+      const bold = add("<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>");
+      const imageRef = image && add([
+        `<< /Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height} /ColorSpace /DeviceRGB ` +
+        `/BitsPerComponent 8 /Filter /DCTDecode /Length ${image.buffer.length} >>\nstream\n`,
+        image.buffer,
+        "\nendstream"
+      ]);
+      const resources = `<< /Font << /F1 ${regular} 0 R /F2 ${bold} 0 R >>${imageRef ? ` /XObject << /Im1 ${imageRef} 0 R >>` : ""} >>`;
+
+      const pageRefs = pages.map((pageOps, index) => {
+        const footer = `BT 0.5 0.5 0.5 rg /F1 8 Tf ${PAGE_WIDTH - MARGIN - 40} ${MARGIN / 2} Td (Page ${index + 1} of ${pages.length}) Tj ET`;
+        const content = [...pageOps, footer].join("\n");
+        const contentRef = add(`<< /Length ${Buffer.byteLength(content, "latin1")} >>\nstream\n${content}\nendstream`);
+        return add(`<< /Type /Page /Parent ${pagesRef} 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] /Resources ${resources} /Contents ${contentRef} 0 R >>`);
+      });
+      objects[catalog - 1] = `<< /Type /Catalog /Pages ${pagesRef} 0 R >>`;
+      objects[pagesRef - 1] = `<< /Type /Pages /Kids [${pageRefs.map(ref => `${ref} 0 R`).join(" ")}] /Count ${pageRefs.length} >>`;
+
+      const chunks = [Buffer.from("%PDF-1.4\n%\xe2\xe3\xcf\xd3\n", "latin1")];
+      let offset = chunks[0].length;
+      const offsets = [];
+      const push = part => {
+        const chunk = Buffer.isBuffer(part) ? part : Buffer.from(part, "latin1");
+        chunks.push(chunk);
+        offset += chunk.length;
+      };
+      objects.forEach((body, i) => {
+        offsets.push(offset);
+        push(`${i + 1} 0 obj\n`);
+        for (const part of [].concat(body)) push(part);
+        push("\nendobj\n");
+      });
+
+      const xref = offset;
+      push(`xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`);
+      push(offsets.map(o => `${String(o).padStart(10, "0")} 00000 n \n`).join(""));
+      push(`trailer\n<< /Size ${objects.length + 1} /Root ${catalog} 0 R >>\nstartxref\n${xref}\n%%EOF\n`);
+      return Buffer.concat(chunks);
+    }
+  };
+  return doc;
+}
@@ -0,0 +1,186 @@
+// lib/review/index.js - Human review: sign-off queue, overrides and the labels they produce
+// Results below REVIEW_CONFIDENCE_THRESHOLD (default 80) or inconclusive ones are marked
+// pending on their history record and wait in the review queue. A reviewer confirms the
+// verdict or overrides it with another one and a reason; the record keeps the current
+// state and every decision is appended to an audit log that outlives the history record.
+// Reviewed records are the labels exported for calibrating prompts and ensemble weights.
+// Logs implement: append(event), list({ analysisId })
+import crypto from "crypto";
+import fs from "fs/promises";
+import { createFileWriter } from "../file-writer.js";
+import { AnalysisError } from "../core/errors.js";
+import { DECISIVE_VERDICTS, VERDICT_LABELS } from "../verdict.js";
+
+export { REVIEW_STATUSES } from "../verdict.js";
+export const REVIEW_ACTIONS = ["confirm", "override"];
+
+const MAX_REASON_LENGTH = 2000;
+
+export function reviewPolicy(env = process.env) {
+  const threshold = Number(env.REVIEW_CONFIDENCE_THRESHOLD);
+  return { threshold: Number.isFinite(threshold) && threshold >= 0 ? threshold : 80 };
+}
+
+// The review state a new analysis starts in
+export function initialReview(result, { threshold }) {
+  const required = result.verdict === "inconclusive" || result.confidence < threshold;
+  return {
+    status: required ? "pending" : "not-required",
+    required,
+    ...(required && {
+      why: result.verdict === "inconclusive" ? "Inconclusive result" : `Confidence below ${threshold}%`
+    })
+  };
+}
+
+// Validate a decision on `record` and work out the record's new review state and the audit
+// event. `input` is the request body: { action, verdict?, reason? }; `reviewer` is
+// { name, id, claimedName? } of whoever sent it, claimedName being an unverified name.
+export function decideReview(record, input, reviewer, now = new Date()) {
+  const { action, verdict, reason } = input || {};
+  if (!REVIEW_ACTIONS.includes(action)) {
+    throw new AnalysisError(400, "Invalid review", `action must be one of ${REVIEW_ACTIONS.join(", ")}`);
+  }
+  if (reason !== undefined && reason !== null && typeof reason !== "string") {
+    throw new AnalysisError(400, "Invalid review", "reason must be a string");
+  }
+  const why = (reason || "").trim().slice(0, MAX_REASON_LENGTH);
+
+  const current = record.review?.verdict || record.verdict;
+  let label;
+  if (action === "confirm") {
+    if (!DECISIVE_VERDICTS.includes(current)) {
+      throw new AnalysisError(400, "Invalid review", "An inconclusive result cannot be confirmed; override it with the verdict you see");
+    }
+    label = current;
+  } else {
+    if (!DECISIVE_VERDICTS.includes(verdict)) {
+      throw new AnalysisError(400, "Invalid review", `verdict must be one of ${DECISIVE_VERDICTS.join(", ")}`);
+    }
+    if (!why) throw new AnalysisError(400, "Invalid review", "Overrides need a reason");
+    label = verdict;
+  }
+
+  const reviewedAt = now.toISOString();
+  const event = {
+    id: crypto.randomUUID(),
+    analysisId: record.id,
+    action,
+    previousVerdict: current,
+    verdict: label,
+    modelVerdict: record.verdict,
+    reason: why || null,
+    reviewer: reviewer.name,
+    reviewerId: reviewer.id || null,
+    ...(reviewer.claimedName && { claimedReviewer: reviewer.claimedName }),
+    createdAt: reviewedAt
+  };
+
+  // Overridden means the human label differs from the model's, however it was reached
+  const review = {
+    ...record.review,
+    status: label === record.verdict ? "confirmed" : "overridden",
+    verdict: label,
+    reason: why || null,
+    reviewer: reviewer.name,
+    claimedReviewer: reviewer.claimedName || null,
+    reviewedAt,
+    decisions: (record.review?.decisions || 0) + 1
+  };
+  return { review, event };
+}
+
+// A reviewed record as one row of the label dataset. `file` and `label` make each row an
+// eval manifest entry (lib/eval/dataset.js) once the original files are collected.
+export function labelRow(record) {
+  const votes = record.evidence?.providers?.filter(p => !p.error) || [];
+  return {
+    analysisId: record.id,
+    file: record.fileName,
+    label: record.review.verdict,
+    modelVerdict: record.verdict,
+    modelConfidence: record.confidence,
+    agreed: record.review.verdict === record.verdict,
+    votes: votes.map(({ provider, verdict, confidence, weight }) => ({ provider, verdict, confidence, ...(weight !== undefined && { weight }) })),
+    forensicsScore: record.forensicsScore,
+    profile: record.profile ? `${record.profile.name}@${record.profile.version}` : null,
+    sha256: record.evidence?.fingerprint?.sha256 || null,
+    phash: record.evidence?.fingerprint?.phash || null,
+    analyzedAt: record.createdAt,
+    reviewer: record.review.reviewer,
+    reviewedAt: record.review.reviewedAt,
+    reason: record.review.reason
+  };
+}
+
+const CSV_COLUMNS = ["analysisId", "file", "label", "modelVerdict", "modelConfidence", "agreed", "votes", "forensicsScore", "profile", "sha256", "phash", "analyzedAt", "reviewer", "reviewedAt", "reason"];
+
+function csvCell(value) {
+  if (value === null || value === undefined) return "";
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, "\"\"")}"` : text;
+}
+
+// votes are flattened to "claude:ai-generated:87;deepseek:original:70"
+export function labelsToCsv(rows) {
+  const lines = rows.map(row => CSV_COLUMNS.map(column => csvCell(column === "votes"
+    ? row.votes.map(v => `${v.provider}:${v.verdict}:${v.confidence}`).join(";")
+    : row[column])).join(","));
+  return [CSV_COLUMNS.join(","), ...lines].join("\n") + "\n";
+}
+
+export function describeReview(review) {
+  if (review.status === "overridden") return `overridden to ${VERDICT_LABELS[review.verdict]} by ${review.reviewer}`;
+  if (review.status === "confirmed") return `confirmed by ${review.reviewer}`;
+  return review.status;
+}
+
+export class MemoryReviewLog {
+  constructor() {
+    this.events = [];
+  }
+
+  async append(event) {
+    this.events.push(event);
+    return event;
+  }
+
+  async list({ analysisId } = {}) {
+    return this.events.filter(e => !analysisId || e.analysisId === analysisId);
+  }
+}
+
+// One JSON line per decision, only ever appended to
+export class FileReviewLog extends MemoryReviewLog {
+  constructor(filePath) {
+    super();
+    this.filePath = filePath;
+    this.writer = createFileWriter(filePath);
+  }
+
+  async load() {
+    try {
+      const text = await fs.readFile(this.filePath, "utf8");
+      this.events = text.split("\n").filter(Boolean).map(line => JSON.parse(line));
+    } catch (err) {
+      if (err.code !== "ENOENT") throw err;
+    }
+    return this;
+  }
+
+  async append(event) {
+    await super.append(event);
+    await this.writer.appendJsonLine(event);
+    return event;
+  }
+}
+
+// REVIEW_STORE=memory (default) | file, REVIEW_STORE_PATH=<file>
+export async function createReviewLog(env = process.env) {
+  const kind = env.REVIEW_STORE || "memory";
+
+  if (kind === "memory") return new MemoryReviewLog();
+  if (kind === "file") return new FileReviewLog(env.REVIEW_STORE_PATH || "data/reviews.jsonl").load();
+
+  throw new Error(`Unknown REVIEW_STORE "${kind}" (expected memory or file)`);
+}
@@ -0,0 +1,56 @@
+// lib/url/address.js - Which IP addresses a server-side fetch may connect to
+// Anything that is not a public unicast address is refused: loopback, private networks,
+// link-local (cloud metadata at 169.254.169.254), carrier-grade NAT, multicast and the
+// documentation and benchmarking ranges. The check runs on every address a hostname
+// resolves to, at connect time, so DNS rebinding cannot slip a private address in later.
+import dns from "dns";
+import net from "net";
+
+const BLOCKED = new net.BlockList();
+for (const [prefix, bits] of [
+  ["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8], ["169.254.0.0", 16],
+  ["172.16.0.0", 12], ["192.0.0.0", 24], ["192.0.2.0", 24], ["192.88.99.0", 24], ["192.168.0.0", 16],
+  ["198.18.0.0", 15], ["198.51.100.0", 24], ["203.0.113.0", 24], ["224.0.0.0", 4], ["240.0.0.0", 4]
+]) {
+  BLOCKED.addSubnet(prefix, bits, "ipv4");
+}
+for (const [prefix, bits] of [
+  ["::", 128], ["::1", 128], ["64:ff9b::", 96], ["100::", 64], ["2001::", 32], ["2001:db8::", 32],
+  ["2002::", 16], ["fc00::", 7], ["fe80::", 10], ["ff00::", 8]
+]) {
+  BLOCKED.addSubnet(prefix, bits, "ipv6");
+}
+
+export class BlockedAddressError extends Error {
+  constructor(hostname, address) {
+    super(`${hostname} resolves to ${address}, which is not a public address`);
+    this.name = "BlockedAddressError";
+    this.code = "EBLOCKEDADDRESS";
+  }
+}
+
+export function isPublicAddress(address) {
+  const family = net.isIP(address);
+  if (family === 4) return !BLOCKED.check(address, "ipv4");
+  if (family !== 6) return false;
+
+  // IPv4-mapped (::ffff:10.0.0.1) and IPv4-compatible forms are judged as the IPv4 address
+  const mapped = address.match(/^::(?:ffff:)?(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) return isPublicAddress(mapped[1]);
+  if (/^::ffff:/i.test(address)) return false;
+  return !BLOCKED.check(address, "ipv6");
+}
+
+// Drop-in for dns.lookup that fails instead of resolving to a non-public address
+export function guardedLookup(hostname, options, callback) {
+  if (typeof options === "function") [callback, options] = [options, {}];
+  if (typeof options === "number") options = { family: options };
+
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    const blocked = addresses.find(a => !isPublicAddress(a.address));
+    if (blocked) return callback(new BlockedAddressError(hostname, blocked.address));
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
@@ -0,0 +1,54 @@
+// lib/url/html.js - Find the preview image a page advertises (og:image and friends)
+// Social networks, news sites and most CMSs put the picture a link is about in Open Graph
+// or Twitter Card meta tags; that is what a link preview shows, so it is what we check.
+
+// Most specific first
+const META_KEYS = ["og:image:secure_url", "og:image", "og:image:url", "twitter:image", "twitter:image:src"];
+
+const ENTITIES = { amp: "&", lt: "<", gt: ">", quot: "\"", apos: "'", "#39": "'", "#x27": "'", "#x2F": "/", "#47": "/" };
+
+// Unicode scalar values only: past U+10FFFF or a lone surrogate, the reference stays as written
+const isScalar = code => code <= 0x10ffff && (code < 0xd800 || code > 0xdfff);
+
+function decodeEntities(text) {
+  return text.replace(/&(#x?[0-9a-f]+|\w+);/gi, (entity, name) => {
+    if (Object.hasOwn(ENTITIES, name)) return ENTITIES[name];
+    const code = /^#x[0-9a-f]+$/i.test(name) ? parseInt(name.slice(2), 16)
+      : /^#\d+$/.test(name) ? Number(name.slice(1))
+        : NaN;
+    return isScalar(code) ? String.fromCodePoint(code) : entity;
+  });
+}
+
+function attributes(tag) {
+  const attrs = {};
+  for (const [, name, , doubleQuoted, singleQuoted, bare] of tag.matchAll(/([\w:-]+)\s*=\s*("([^"]*)"|'([^']*)'|([^\s"'>]+))/g)) {
+    attrs[name.toLowerCase()] = decodeEntities(doubleQuoted ?? singleQuoted ?? bare);
+  }
+  return attrs;
+}
+
+// Absolute URL of the page's preview image, or null. Relative URLs resolve against `pageUrl`.
+export function findPreviewImage(html, pageUrl) {
+  const found = new Map();
+
+  for (const [tag] of html.matchAll(/<meta\b[^>]*>/gi)) {
+    const attrs = attributes(tag);
+    const key = (attrs.property || attrs.name || "").toLowerCase();
+    if (META_KEYS.includes(key) && attrs.content && !found.has(key)) found.set(key, attrs.content.trim());
+  }
+  for (const [tag] of html.matchAll(/<link\b[^>]*>/gi)) {
+    const attrs = attributes(tag);
+    if (attrs.rel?.toLowerCase() === "image_src" && attrs.href && !found.has("image_src")) found.set("image_src", attrs.href.trim());
+  }
+
+  for (const key of [...META_KEYS, "image_src"]) {
+    if (!found.has(key)) continue;
+    try {
+      return { url: new URL(found.get(key), pageUrl).href, tag: key };
+    } catch {
+      // Malformed URL in this tag; try the next one
+    }
+  }
+  return null;
+}
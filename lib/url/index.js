@@ -0,0 +1,171 @@
+// lib/url/index.js - Fetch the image behind a URL for POST /analyze { imageUrl }
+// The URL may point at an image or at a page (a post, an article) whose og:image is the
+// picture to check. Requests go out with these protections:
+//   - http(s) only, no credentials in the URL
+//   - every resolved address must be public (lib/url/address.js), checked at connect time
+//   - at most IMAGE_URL_MAX_REDIRECTS redirects (default 3), each one re-checked
+//   - bodies capped at IMAGE_URL_MAX_BYTES (default 10 MB) for images, 2 MB for pages
+//   - IMAGE_URL_TIMEOUT_MS (default 10000) for the whole fetch, redirects included
+//   - the body must sniff as an image format we accept, whatever Content-Type claims
+// IMAGE_URL_ALLOW_PRIVATE=true lifts the address check for local development and tests.
+import http from "http";
+import https from "https";
+import net from "net";
+import { AnalysisError } from "../core/errors.js";
+import { sniffFormat } from "../image.js";
+import { ACCEPTED_FORMATS, MEDIA_TYPES } from "../normalize.js";
+import { BlockedAddressError, guardedLookup, isPublicAddress } from "./address.js";
+import { findPreviewImage } from "./html.js";
+
+export { isPublicAddress } from "./address.js";
+export { findPreviewImage } from "./html.js";
+
+const USER_AGENT = "TrueSightBot/2.0 (+image authenticity check)";
+const HTML_MAX_BYTES = 2 * 1024 * 1024;
+const HTML_TYPES = /^(text\/html|application\/xhtml\+xml)\b/i;
+
+export function urlLimits(env = process.env) {
+  return {
+    maxBytes: Number(env.IMAGE_URL_MAX_BYTES) || 10 * 1024 * 1024,
+    timeoutMs: Number(env.IMAGE_URL_TIMEOUT_MS) || 10000,
+    maxRedirects: env.IMAGE_URL_MAX_REDIRECTS !== undefined && env.IMAGE_URL_MAX_REDIRECTS !== ""
+      ? Number(env.IMAGE_URL_MAX_REDIRECTS)
+      : 3,
+    allowPrivate: env.IMAGE_URL_ALLOW_PRIVATE === "true"
+  };
+}
+
+function invalidUrl(message) {
+  return new AnalysisError(400, "Invalid imageUrl", message);
+}
+
+function parseUrl(value, base) {
+  let url;
+  try {
+    url = new URL(value, base);
+  } catch {
+    throw invalidUrl(`"${String(value).slice(0, 200)}" is not a valid URL`);
+  }
+  if (url.protocol !== "http:" && url.protocol !== "https:") throw invalidUrl("Only http and https URLs can be fetched");
+  if (url.username || url.password) throw invalidUrl("URLs with credentials are not accepted");
+  return url;
+}
+
+// One GET without following redirects. Resolves to { status, headers, body } where body is
+// null for redirects; rejects with AnalysisError for anything the caller should see.
+function get(url, { maxBytes, allowPrivate, deadline }) {
+  const hostname = url.hostname.replace(/^\[|\]$/g, "");
+  if (!allowPrivate && net.isIP(hostname) && !isPublicAddress(hostname)) {
+    return Promise.reject(new AnalysisError(400, "URL not allowed", `${hostname} is not a public address`));
+  }
+
+  return new Promise((settle, fail) => {
+    // The deadline covers connecting and reading the whole body, not just idle sockets
+    const timer = setTimeout(() => {
+      req.destroy();
+      fail(new AnalysisError(504, "Image fetch timed out", `No complete answer from ${url.host} in time`));
+    }, Math.max(1, deadline - Date.now()));
+    const resolve = value => { clearTimeout(timer); settle(value); };
+    const reject = err => { clearTimeout(timer); fail(err); };
+
+    const client = url.protocol === "https:" ? https : http;
+    const req = client.get(url, {
+      headers: { "User-Agent": USER_AGENT, Accept: "image/*,text/html;q=0.8,*/*;q=0.5" },
+      ...(!allowPrivate && { lookup: guardedLookup })
+    }, res => {
+      const { statusCode: status, headers } = res;
+
+      if (status >= 300 && status < 400 && headers.location) {
+        res.resume();
+        return resolve({ status, headers, body: null });
+      }
+      if (status < 200 || status >= 300) {
+        res.resume();
+        return reject(new AnalysisError(502, "Could not fetch image", `${url.host} answered ${status}`));
+      }
+
+      const limit = HTML_TYPES.test(headers["content-type"] || "") ? Math.min(maxBytes, HTML_MAX_BYTES) : maxBytes;
+      const tooLarge = () => new AnalysisError(413, "Image too large", `The resource at ${url.host} is larger than ${limit} bytes`);
+      if (Number(headers["content-length"]) > limit) {
+        res.destroy();
+        return reject(tooLarge());
+      }
+
+      const chunks = [];
+      let size = 0;
+      res.on("data", chunk => {
+        size += chunk.length;
+        if (size > limit) {
+          res.destroy();
+          return reject(tooLarge());
+        }
+        chunks.push(chunk);
+      });
+      res.on("end", () => resolve({ status, headers, body: Buffer.concat(chunks) }));
+      res.on("error", err => reject(new AnalysisError(502, "Could not fetch image", err.message)));
+    });
+
+    req.on("error", err => {
+      if (err instanceof BlockedAddressError) return reject(new AnalysisError(400, "URL not allowed", err.message));
+      reject(new AnalysisError(502, "Could not fetch image", `${url.host}: ${err.message}`));
+    });
+  });
+}
+
+// Follows redirects; resolves to { url, headers, body } of the final answer
+async function follow(start, options) {
+  let url = start;
+  for (let redirects = 0; ; redirects++) {
+    const response = await get(url, options);
+    if (response.body) return { url, ...response };
+    if (redirects >= options.maxRedirects) {
+      throw new AnalysisError(502, "Too many redirects", `Gave up after ${options.maxRedirects} redirect(s) from ${start.host}`);
+    }
+    url = parseUrl(response.headers.location, url);
+  }
+}
+
+function asImage({ url, headers, body }) {
+  const format = sniffFormat(body);
+  if (!ACCEPTED_FORMATS.includes(format)) {
+    throw new AnalysisError(415, "Unsupported media type",
+      `${url.href} is ${headers["content-type"] || "of an unknown type"}, not a ${ACCEPTED_FORMATS.join(", ")} file`);
+  }
+  return { image: `data:${MEDIA_TYPES[format]};base64,${body.toString("base64")}`, format, bytes: body.length };
+}
+
+// Resolves to { image: dataUrl, source: { url, finalUrl, via, pageUrl? } }
+export async function fetchRemoteImage(value, env = process.env) {
+  const limits = urlLimits(env);
+  const options = { ...limits, deadline: Date.now() + limits.timeoutMs };
+  const requested = parseUrl(value);
+
+  const first = await follow(requested, options);
+  if (!HTML_TYPES.test(first.headers["content-type"] || "")) {
+    return { ...asImage(first), source: { url: requested.href, finalUrl: first.url.href, via: "direct" } };
+  }
+
+  // A page: check the image it advertises
+  const preview = findPreviewImage(first.body.toString("utf8"), first.url.href);
+  if (!preview) {
+    throw new AnalysisError(422, "No image found", `${first.url.href} is a web page without an og:image or twitter:image tag`);
+  }
+  const image = await follow(parseUrl(preview.url), options);
+  if (HTML_TYPES.test(image.headers["content-type"] || "")) {
+    throw new AnalysisError(415, "Unsupported media type", `The ${preview.tag} of ${first.url.href} is another web page`);
+  }
+  return {
+    ...asImage(image),
+    source: { url: requested.href, finalUrl: image.url.href, via: preview.tag, pageUrl: first.url.href }
+  };
+}
+
+// File name for history records: the last path segment, if it has one
+export function fileNameFromUrl(value) {
+  try {
+    const segment = new URL(value).pathname.split("/").filter(Boolean).pop();
+    return segment ? decodeURIComponent(segment).slice(0, 200) : new URL(value).hostname;
+  } catch {
+    return null;
+  }
+}
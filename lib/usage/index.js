@@ -0,0 +1,166 @@
+// lib/usage/index.js - Token, latency and cost ledger for provider calls
+// Every analysis records its provider calls; the ledger keeps running totals per UTC day
+// and provider rather than individual calls, so it stays small however busy the server is.
+// Ledgers implement: record({ time, calls }), days() -> { "YYYY-MM-DD": { analyses, providers } }
+// A call is { provider, model, inputTokens, outputTokens, costUsd, latencyMs, failed? }.
+import fs from "fs/promises";
+import { createFileWriter } from "../file-writer.js";
+import { estimateCost, loadPriceTable, roundUsd } from "./prices.js";
+
+export { DEFAULT_PRICES, estimateCost, loadPriceTable } from "./prices.js";
+
+function emptyTotals() {
+  return { calls: 0, failures: 0, inputTokens: 0, outputTokens: 0, costUsd: 0, unpricedCalls: 0, latencyMs: 0 };
+}
+
+function addCall(totals, call) {
+  totals.calls++;
+  if (call.failed) totals.failures++;
+  totals.inputTokens += call.inputTokens || 0;
+  totals.outputTokens += call.outputTokens || 0;
+  if (call.costUsd === null) totals.unpricedCalls++;
+  else totals.costUsd = roundUsd(totals.costUsd + call.costUsd);
+  totals.latencyMs += call.latencyMs || 0;
+}
+
+function mergeTotals(into, from) {
+  for (const key of Object.keys(into)) {
+    into[key] = key === "costUsd" ? roundUsd(into[key] + from[key]) : into[key] + from[key];
+  }
+}
+
+// Latency is stored as a sum; reports show the mean
+function reported({ latencyMs, ...totals }) {
+  return { ...totals, avgLatencyMs: totals.calls ? Math.round(latencyMs / totals.calls) : null };
+}
+
+// Pricing and timing for one provider call, as it appears in the response meta and the ledger
+export function describeCall(prices, { provider, model, inputTokens = 0, outputTokens = 0, latencyMs, failed = false }) {
+  return {
+    provider,
+    model: model || null,
+    inputTokens,
+    outputTokens,
+    costUsd: failed && !inputTokens && !outputTokens ? 0 : estimateCost(prices, { provider, model, inputTokens, outputTokens }),
+    latencyMs,
+    ...(failed && { failed: true })
+  };
+}
+
+// The `meta.usage` block of a response: its calls and what they added up to
+export function summarizeCalls(calls) {
+  const totals = emptyTotals();
+  for (const call of calls) addCall(totals, call);
+  return {
+    calls,
+    inputTokens: totals.inputTokens,
+    outputTokens: totals.outputTokens,
+    costUsd: totals.unpricedCalls ? null : totals.costUsd,
+    latencyMs: totals.latencyMs
+  };
+}
+
+export class MemoryUsageLedger {
+  constructor() {
+    this.byDay = new Map();
+  }
+
+  async record({ time = Date.now(), calls = [] }) {
+    const day = new Date(time).toISOString().slice(0, 10);
+    const entry = this.byDay.get(day) || { analyses: 0, providers: {} };
+    entry.analyses++;
+    for (const call of calls) {
+      entry.providers[call.provider] ||= emptyTotals();
+      addCall(entry.providers[call.provider], call);
+    }
+    this.byDay.set(day, entry);
+  }
+
+  async days() {
+    return Object.fromEntries(this.byDay);
+  }
+}
+
+// The whole ledger in one JSON file, rewritten atomically after each analysis
+export class FileUsageLedger extends MemoryUsageLedger {
+  constructor(filePath) {
+    super();
+    this.filePath = filePath;
+    this.writer = createFileWriter(filePath);
+  }
+
+  async load() {
+    try {
+      const data = JSON.parse(await fs.readFile(this.filePath, "utf8"));
+      for (const [day, entry] of Object.entries(data.days || {})) this.byDay.set(day, entry);
+    } catch (err) {
+      if (err.code !== "ENOENT") throw err;
+    }
+    return this;
+  }
+
+  persist() {
+    return this.writer.writeJson({ days: Object.fromEntries(this.byDay) });
+  }
+
+  async record(entry) {
+    await super.record(entry);
+    await this.persist();
+  }
+}
+
+// Totals for GET /usage. `from` and `to` are inclusive YYYY-MM-DD bounds.
+export async function usageReport(ledger, { from, to } = {}) {
+  const days = Object.entries(await ledger.days())
+    .filter(([day]) => (!from || day >= from) && (!to || day <= to))
+    .sort(([a], [b]) => a.localeCompare(b));
+
+  const totals = emptyTotals();
+  const byProvider = {};
+  let analyses = 0;
+
+  const byDay = days.map(([day, entry]) => {
+    const dayTotals = emptyTotals();
+    for (const [provider, providerTotals] of Object.entries(entry.providers)) {
+      mergeTotals(dayTotals, providerTotals);
+      byProvider[provider] ||= emptyTotals();
+      mergeTotals(byProvider[provider], providerTotals);
+    }
+    mergeTotals(totals, dayTotals);
+    analyses += entry.analyses;
+
+    return {
+      day,
+      analyses: entry.analyses,
+      ...reported(dayTotals),
+      providers: Object.fromEntries(Object.entries(entry.providers).map(([name, t]) => [name, reported(t)]))
+    };
+  });
+
+  return {
+    currency: "USD",
+    from: from || days[0]?.[0] || null,
+    to: to || days[days.length - 1]?.[0] || null,
+    totals: {
+      analyses,
+      ...reported(totals),
+      costPerAnalysis: analyses ? roundUsd(totals.costUsd / analyses) : null
+    },
+    byDay,
+    byProvider: Object.fromEntries(Object.entries(byProvider).map(([name, t]) => [name, reported(t)]))
+  };
+}
+
+// USAGE_STORE=memory (default) | file, USAGE_STORE_PATH=<file>; PRICE_TABLE, see prices.js
+export async function createUsageLedger(env = process.env) {
+  const kind = env.USAGE_STORE || "memory";
+
+  if (kind === "memory") return new MemoryUsageLedger();
+  if (kind === "file") return new FileUsageLedger(env.USAGE_STORE_PATH || "data/usage.json").load();
+
+  throw new Error(`Unknown USAGE_STORE "${kind}" (expected memory or file)`);
+}
+
+export function createPriceTable(env = process.env) {
+  return loadPriceTable(env.PRICE_TABLE);
+}
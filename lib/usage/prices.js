@@ -0,0 +1,62 @@
+// lib/usage/prices.js - Token prices used to estimate what each provider call cost
+// Prices are USD per million tokens. A model is priced by the longest matching prefix in
+// the table, so "claude-sonnet-4" covers every dated Sonnet 4 snapshot; a model with no
+// entry falls back to its provider's entry, and failing that its cost is unknown (null).
+// Override or extend the table with PRICE_TABLE: a JSON object inline or a path to a JSON
+// file, e.g. {"claude-sonnet-4": {"input": 3, "output": 15}, "local": {"input": 0, "output": 0}}
+import fs from "fs";
+
+export const DEFAULT_PRICES = {
+  "claude-opus-4": { input: 15, output: 75 },
+  "claude-sonnet-4": { input: 3, output: 15 },
+  "claude-3-7-sonnet": { input: 3, output: 15 },
+  "claude-3-5-sonnet": { input: 3, output: 15 },
+  "claude-3-5-haiku": { input: 0.8, output: 4 },
+  "deepseek-chat": { input: 0.27, output: 1.1 },
+  "gpt-4o-mini": { input: 0.15, output: 0.6 },
+  "gpt-4o": { input: 2.5, output: 10 },
+  // Self-hosted models have no per-token bill
+  local: { input: 0, output: 0 }
+};
+
+function validPrice(price) {
+  return price && Number.isFinite(price.input) && Number.isFinite(price.output) && price.input >= 0 && price.output >= 0;
+}
+
+export function loadPriceTable(spec) {
+  const table = { ...DEFAULT_PRICES };
+  if (!spec) return table;
+
+  const text = spec.trim().startsWith("{") ? spec : fs.readFileSync(spec, "utf8");
+  let overrides;
+  try {
+    overrides = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`PRICE_TABLE is not valid JSON: ${err.message}`);
+  }
+
+  for (const [model, price] of Object.entries(overrides)) {
+    if (!validPrice(price)) throw new Error(`PRICE_TABLE entry "${model}" needs numeric input and output prices`);
+    table[model] = { input: price.input, output: price.output };
+  }
+  return table;
+}
+
+export function priceFor(table, { provider, model }) {
+  const prefix = Object.keys(table)
+    .filter(key => model && model.startsWith(key))
+    .sort((a, b) => b.length - a.length)[0];
+  return table[prefix] || table[provider] || null;
+}
+
+// Estimated USD cost of one call, or null when its model is not in the table
+export function estimateCost(table, { provider, model, inputTokens, outputTokens }) {
+  const price = priceFor(table, { provider, model });
+  if (!price) return null;
+  return roundUsd((inputTokens * price.input + outputTokens * price.output) / 1e6);
+}
+
+// Micro-dollar precision keeps ledger sums from drifting with float noise
+export function roundUsd(value) {
+  return Math.round(value * 1e6) / 1e6;
+}
@@ -0,0 +1,402 @@
+// lib/verdict.js - Versioned verdict schema shared by every provider and the API response
+// A verdict is one of VERDICTS plus a confidence, backed by typed findings. Each finding
+// names a category, a severity, the source that reported it and, optionally, a region of
+// the image. Model replies are validated against this shape before they are trusted.
+
+export const SCHEMA_VERSION = "2.0";
+
+export const VERDICTS = ["original", "ai-generated", "edited-or-composite", "inconclusive"];
+
+// Verdicts a vote can commit to; "inconclusive" is an abstention
+export const DECISIVE_VERDICTS = ["original", "ai-generated", "edited-or-composite"];
+
+export const CATEGORIES = [
+  "hands", "eyes", "face", "skin", "hair", "text", "lighting", "objects", "background",
+  "texture", "noise", "compression", "resampling", "metadata", "other"
+];
+
+export const SEVERITIES = ["info", "low", "medium", "high"];
+
+// Human sign-off state of a result (lib/review)
+export const REVIEW_STATUSES = ["pending", "not-required", "confirmed", "overridden"];
+
+export const VERDICT_LABELS = {
+  "original": "Original",
+  "ai-generated": "AI-Generated",
+  "edited-or-composite": "Edited/Composite",
+  "inconclusive": "Inconclusive"
+};
+
+const MAX_FINDINGS = 12;
+
+export class SchemaError extends Error {
+  constructor(path, message) {
+    super(`${path}: ${message}`);
+    this.name = "SchemaError";
+    this.path = path;
+  }
+}
+
+const VERDICT_ALIASES = {
+  real: "original", authentic: "original", genuine: "original", photo: "original",
+  ai: "ai-generated", synthetic: "ai-generated", generated: "ai-generated", fake: "ai-generated",
+  "ai-image": "ai-generated", edited: "edited-or-composite", composite: "edited-or-composite",
+  "edited-composite": "edited-or-composite", manipulated: "edited-or-composite",
+  uncertain: "inconclusive", unknown: "inconclusive", unsure: "inconclusive"
+};
+
+const CATEGORY_ALIASES = {
+  hand: "hands", finger: "hands", fingers: "hands", eye: "eyes", iris: "eyes", pupils: "eyes",
+  faces: "face", facial: "face", teeth: "face", pores: "skin", shadow: "lighting", shadows: "lighting",
+  light: "lighting", reflections: "lighting", object: "objects", perspective: "objects", geometry: "objects",
+  anatomy: "objects", grain: "noise", jpeg: "compression", ela: "compression", exif: "metadata",
+  provenance: "metadata", c2pa: "metadata", upscaling: "resampling", typography: "text"
+};
+
+// Keyword fallback for legacy replies that only send free-text observations
+const CATEGORY_KEYWORDS = [
+  ["hands", /\b(hands?|fingers?|thumbs?)\b/],
+  ["eyes", /\b(eyes?|pupils?|iris(es)?|eyelash(es)?)\b/],
+  ["face", /\b(faces?|facial|teeth|mouth|nose)\b/],
+  ["skin", /\b(skin|pores?|waxy|airbrushed)\b/],
+  ["hair", /\bhair\b/],
+  ["text", /\b(text|letters?|words?|fonts?|signage|writing|spelling)\b/],
+  ["lighting", /\b(light(ing)?|shadows?|reflections?|highlights?)\b/],
+  ["noise", /\b(noise|grain)\b/],
+  ["compression", /\b(compression|jpeg|quantization|recompress\w*)\b/],
+  ["resampling", /\b(resampl\w*|interpolat\w*|upscal\w*)\b/],
+  ["metadata", /\b(metadata|exif|xmp|c2pa|camera model)\b/],
+  ["background", /\bbackground\b/],
+  ["texture", /\b(textures?|smooth(ness)?|patterns?)\b/],
+  ["objects", /\b(objects?|perspective|geometry|symmetry|proportions?)\b/]
+];
+
+const SEVERITY_RANK = Object.fromEntries(SEVERITIES.map((s, i) => [s, i]));
+
+function slug(value) {
+  return String(value).trim().toLowerCase().replace(/[\s_]+/g, "-");
+}
+
+export function normalizeVerdict(value) {
+  if (typeof value !== "string") return null;
+  const s = slug(value);
+  return VERDICTS.includes(s) ? s : VERDICT_ALIASES[s] || null;
+}
+
+export function normalizeCategory(value) {
+  if (typeof value !== "string") return "other";
+  const s = slug(value);
+  return CATEGORIES.includes(s) ? s : CATEGORY_ALIASES[s] || "other";
+}
+
+export function classifyText(text) {
+  const lower = String(text).toLowerCase();
+  const match = CATEGORY_KEYWORDS.find(([, pattern]) => pattern.test(lower));
+  return match ? match[0] : "other";
+}
+
+// Boxes are [x, y, width, height] as fractions of the image size, clipped to the frame
+export function parseBox(box) {
+  if (!Array.isArray(box) || box.length !== 4 || !box.every(Number.isFinite)) return null;
+
+  const clip = v => Math.round(Math.min(1, Math.max(0, v)) * 1000) / 1000;
+  // Some models answer in percent despite the instruction
+  const scale = box.some(v => v > 1) ? 100 : 1;
+  const x = clip(box[0] / scale);
+  const y = clip(box[1] / scale);
+  const width = clip(Math.min(box[2] / scale, 1 - x));
+  const height = clip(Math.min(box[3] / scale, 1 - y));
+
+  return width > 0 && height > 0 ? { x, y, width, height } : null;
+}
+
+export function makeFinding({ category, severity = "medium", message, source, region = null }) {
+  return {
+    category: normalizeCategory(category),
+    severity: SEVERITIES.includes(severity) ? severity : "medium",
+    message: String(message).slice(0, 300),
+    source,
+    ...(region && { region })
+  };
+}
+
+// One entry of a reply's findings array: { category?, severity?, description, box? } or a
+// plain string. Throws SchemaError naming `path` when there is no description.
+export function parseFinding(raw, source, path = "finding") {
+  const message = raw?.description ?? raw?.message ?? (typeof raw === "string" ? raw : null);
+  if (typeof message !== "string" || message.trim() === "") {
+    throw new SchemaError(`${path}.description`, "must be a non-empty string");
+  }
+  const severity = typeof raw?.severity === "string" ? raw.severity.toLowerCase() : undefined;
+  return makeFinding({
+    category: raw?.category ? normalizeCategory(raw.category) : classifyText(message),
+    severity,
+    message: message.trim(),
+    source,
+    region: parseBox(raw?.box)
+  });
+}
+
+// Validate a parsed model reply. Accepts the current shape ({ verdict, confidence, findings })
+// and the legacy one ({ isOriginal, confidence, observations }). Throws SchemaError.
+export function validateModelOutput(parsed, source) {
+  if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) {
+    throw new SchemaError("$", "reply must be a JSON object");
+  }
+
+  let verdict = normalizeVerdict(parsed.verdict);
+  if (!verdict && typeof parsed.isOriginal === "boolean") {
+    verdict = parsed.isOriginal ? "original" : "ai-generated";
+  }
+  if (!verdict) throw new SchemaError("verdict", `must be one of ${VERDICTS.join(", ")}`);
+
+  if (typeof parsed.confidence !== "number" || !Number.isFinite(parsed.confidence)) {
+    throw new SchemaError("confidence", "must be a number between 0 and 100");
+  }
+  const confidence = Math.min(100, Math.max(0, Math.round(parsed.confidence)));
+
+  let findings;
+  if (Array.isArray(parsed.findings)) {
+    findings = parsed.findings.map((raw, i) => parseFinding(raw, source, `findings[${i}]`));
+  } else if (Array.isArray(parsed.observations)) {
+    findings = parsed.observations
+      .filter(o => typeof o === "string" && o.trim() !== "")
+      .map(o => makeFinding({ category: classifyText(o), message: o.trim(), source }));
+  } else {
+    throw new SchemaError("findings", "must be an array");
+  }
+
+  return { verdict, confidence, findings: findings.slice(0, MAX_FINDINGS) };
+}
+
+// Legacy boolean for clients that predate the three-way verdict. Inconclusive results
+// report their leaning when there is one, otherwise null.
+export function isOriginalFor(verdict, leaning = null) {
+  if (verdict === "inconclusive") return leaning ? leaning === "original" : null;
+  return verdict === "original";
+}
+
+// Model-reported boxes in the shape lib/regions.js collects
+export function regionsFromFindings(findings) {
+  return findings
+    .filter(f => f.region)
+    .map(f => ({ ...f.region, label: f.category, reason: f.message }));
+}
+
+export function provenanceFindings(provenance) {
+  if (!provenance || provenance.assessment === "unreadable") return [];
+  const findings = [];
+  const add = (severity, message) => findings.push(makeFinding({ category: "metadata", severity, message, source: "provenance" }));
+
+  for (const signature of provenance.generatorSignatures || []) {
+    add("high", `${signature.generator} signature found in ${signature.source}`);
+  }
+  if (provenance.editingSoftware?.length > 0) add("low", `Processed with ${provenance.editingSoftware.join(", ")}`);
+  if (provenance.camera) add("info", `Camera metadata: ${provenance.camera}`);
+  if (provenance.c2pa) add("info", "Content Credentials present (signature not verified)");
+  if (provenance.assessment === "no-metadata") add("info", "No embedded metadata (stripped or never written)");
+
+  return findings;
+}
+
+// Final finding list for a response: the verdict's own findings, forensics findings when
+// forensics did not already vote, and fresh provenance findings, most severe first
+export function mergeFindings(result, { forensics, provenance } = {}) {
+  const findings = (result.findings || []).filter(f => f.source !== "provenance");
+
+  if (forensics?.available && !findings.some(f => f.source === "forensics")) {
+    findings.push(...forensics.findings);
+  }
+  findings.push(...provenanceFindings(provenance));
+
+  return findings.sort((a, b) => SEVERITY_RANK[b.severity] - SEVERITY_RANK[a.severity]);
+}
+
+const FINDING_SCHEMA = {
+  type: "object",
+  required: ["category", "severity", "message", "source"],
+  properties: {
+    category: { enum: CATEGORIES },
+    severity: { enum: SEVERITIES },
+    message: { type: "string" },
+    source: { type: "string", description: "Provider name, \"forensics\", \"provenance\", \"temporal\", \"policy\" or \"service\"" },
+    region: {
+      type: "object",
+      description: "Fractions of the image size, measured from the top-left corner",
+      required: ["x", "y", "width", "height"],
+      properties: {
+        x: { type: "number", minimum: 0, maximum: 1 },
+        y: { type: "number", minimum: 0, maximum: 1 },
+        width: { type: "number", minimum: 0, maximum: 1 },
+        height: { type: "number", minimum: 0, maximum: 1 }
+      }
+    }
+  }
+};
+
+// JSON Schema for the analysis response (served at GET /schema)
+export const RESPONSE_SCHEMA = {
+  $schema: "https://json-schema.org/draft/2020-12/schema",
+  $id: `urn:truesight:schema:verdict:${SCHEMA_VERSION}`,
+  title: "TrueSight analysis result",
+  type: "object",
+  required: ["schemaVersion", "verdict", "confidence", "isOriginal", "findings", "summary", "analysisMethod"],
+  properties: {
+    schemaVersion: { const: SCHEMA_VERSION },
+    verdict: { enum: VERDICTS },
+    confidence: { type: "integer", minimum: 0, maximum: 100 },
+    leaning: { enum: [...DECISIVE_VERDICTS, null], description: "Closest decisive verdict when the result is inconclusive" },
+    isOriginal: { type: ["boolean", "null"], description: "Deprecated: use verdict" },
+    findings: { type: "array", items: FINDING_SCHEMA },
+    summary: { type: "array", items: { type: "string" }, description: "Deprecated: use findings" },
+    analysisMethod: { type: "string" },
+    source: {
+      type: "object",
+      description: "Where the image came from when it was sent as imageUrl",
+      required: ["url", "finalUrl", "via"],
+      properties: {
+        url: { type: "string", description: "The imageUrl as sent" },
+        finalUrl: { type: "string", description: "The image actually fetched, after redirects" },
+        via: { type: "string", description: "\"direct\", or the page tag the image was found in (og:image, twitter:image, ...)" },
+        pageUrl: { type: "string", description: "The page the image was found on" }
+      }
+    },
+    input: {
+      type: "object",
+      description: "The upload as received (format sniffed from its bytes) and the copy the providers were shown",
+      required: ["format", "mediaType", "width", "height", "bytes", "provider"],
+      properties: {
+        format: { type: "string" },
+        mediaType: { type: "string" },
+        width: { type: "integer" },
+        height: { type: "integer" },
+        bytes: { type: "integer" },
+        provider: {
+          type: "object",
+          required: ["mediaType", "width", "height", "bytes", "converted", "downscaled"],
+          properties: {
+            mediaType: { type: "string" },
+            width: { type: "integer" },
+            height: { type: "integer" },
+            bytes: { type: "integer" },
+            converted: { type: "boolean", description: "Decoded from a format the providers do not accept" },
+            downscaled: { type: "boolean", description: "Shrunk to the provider size limits" }
+          }
+        }
+      }
+    },
+    frames: {
+      type: "object",
+      description: "Per-frame results for animations and videos (analysisMethod \"frames\")",
+      required: ["kind", "format", "sampled", "temporal"],
+      properties: {
+        kind: { enum: ["animation", "video"] },
+        format: { type: "string" },
+        width: { type: "integer" },
+        height: { type: "integer" },
+        durationMs: { type: ["integer", "null"] },
+        frameCount: { type: ["integer", "null"], description: "Frames in an animation; null for video" },
+        fps: { type: ["number", "null"] },
+        sampled: {
+          type: "array",
+          items: {
+            type: "object",
+            required: ["index", "timeMs", "verdict", "confidence"],
+            properties: {
+              index: { type: "integer" },
+              timeMs: { type: "integer" },
+              verdict: { enum: [...VERDICTS, null] },
+              confidence: { type: ["integer", "null"] },
+              analysisMethod: { type: ["string", "null"] },
+              forensicsScore: { type: ["number", "null"] },
+              error: { type: "string" }
+            }
+          }
+        },
+        temporal: {
+          type: "object",
+          description: "Frame-to-frame consistency: flicker and subject drift scores, 0-100, higher = less like camera footage",
+          required: ["available"],
+          properties: {
+            available: { type: "boolean" },
+            frames: { type: "integer" },
+            score: { type: "integer" },
+            flicker: { type: "object" },
+            subjectDrift: { type: "object" },
+            reason: { type: "string" }
+          }
+        }
+      }
+    },
+    degraded: {
+      type: ["object", "null"],
+      description: "null when every provider answered; otherwise which ones failed and what the verdict rests on",
+      required: ["reason", "providers", "fallback"],
+      properties: {
+        reason: { type: "string" },
+        providers: {
+          type: "array",
+          items: {
+            type: "object",
+            required: ["provider", "kind", "error"],
+            properties: {
+              provider: { type: "string" },
+              kind: { enum: ["timeout", "rate-limited", "unavailable", "auth", "rejected", "circuit-open", "error"] },
+              error: { type: "string" },
+              frame: { type: "integer" }
+            }
+          }
+        },
+        fallback: { enum: ["forensics", null], description: "\"forensics\" when no provider answered and the verdict is the local forensics one" }
+      }
+    },
+    review: {
+      type: "object",
+      description: "Human sign-off: pending when the result is inconclusive or below the review confidence threshold",
+      required: ["status", "required"],
+      properties: {
+        status: { enum: REVIEW_STATUSES },
+        required: { type: "boolean" },
+        why: { type: "string" }
+      }
+    },
+    profile: {
+      type: "object",
+      description: "Prompt profile (detection policy) the verdict was reached under",
+      required: ["name", "version"],
+      properties: { name: { type: "string" }, version: { type: "string" } }
+    },
+    meta: {
+      type: "object",
+      description: "How the result was produced; not part of the verdict",
+      properties: {
+        usage: {
+          type: "object",
+          description: "Provider calls made for this request, with tokens, latency and estimated USD cost (null when a model is not in the price table)",
+          properties: {
+            calls: {
+              type: "array",
+              items: {
+                type: "object",
+                required: ["provider", "inputTokens", "outputTokens", "costUsd", "latencyMs"],
+                properties: {
+                  provider: { type: "string" },
+                  model: { type: ["string", "null"] },
+                  inputTokens: { type: "integer", minimum: 0 },
+                  outputTokens: { type: "integer", minimum: 0 },
+                  costUsd: { type: ["number", "null"] },
+                  latencyMs: { type: "integer", minimum: 0 },
+                  failed: { type: "boolean" }
+                }
+              }
+            },
+            inputTokens: { type: "integer", minimum: 0 },
+            outputTokens: { type: "integer", minimum: 0 },
+            costUsd: { type: ["number", "null"] },
+            latencyMs: { type: "integer", minimum: 0 }
+          }
+        }
+      }
+    }
+  }
+};
@@ -0,0 +1,180 @@
+// lib/video/frames.js - Pull frames out of animations (sharp) and videos (ffmpeg)
+// Two kinds of frames come out of a clip:
+//   - samples: up to maxFrames full-size PNG stills spread over the clip; for video these
+//     are the keyframes at or before evenly spaced times, which carry the least codec damage
+//     (or the exact frame, once the nearest keyframe has been taken)
+//   - burst:   up to BURST_FRAMES consecutive frames from the middle, shrunk to
+//     BURST_SIZE x BURST_SIZE grayscale, for the temporal checks
+import { spawn } from "child_process";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import sharp from "sharp";
+import { AnalysisError } from "../core/errors.js";
+
+export const BURST_FRAMES = 32;
+export const BURST_SIZE = 64;
+
+// ffmpeg comes from @ffmpeg-installer on the platforms it ships binaries for; FFMPEG_PATH
+// points at any other build
+let bundledFfmpeg = null;
+try {
+  bundledFfmpeg = (await import("@ffmpeg-installer/ffmpeg")).default.path;
+} catch {
+  // No binary for this platform
+}
+
+export function ffmpegPath(env = process.env) {
+  return env.FFMPEG_PATH || bundledFfmpeg;
+}
+
+function invalidVideo(message) {
+  return new AnalysisError(400, "Invalid video", message);
+}
+
+// Run ffmpeg to completion; resolves to { code, stdout, stderr } whatever the exit code
+function run(bin, args, { timeoutMs }) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(bin, ["-hide_banner", "-nostdin", ...args], { stdio: ["ignore", "pipe", "pipe"] });
+    const stdout = [];
+    let stderr = "";
+    const timer = setTimeout(() => child.kill("SIGKILL"), timeoutMs);
+
+    child.stdout.on("data", chunk => stdout.push(chunk));
+    child.stderr.on("data", chunk => { stderr += chunk; });
+    child.on("error", err => {
+      clearTimeout(timer);
+      reject(new AnalysisError(415, "Unsupported media type", `Video analysis needs ffmpeg (${err.message})`));
+    });
+    child.on("close", (code, signal) => {
+      clearTimeout(timer);
+      if (signal === "SIGKILL") return reject(new AnalysisError(504, "Video decoding timed out", `ffmpeg took longer than ${timeoutMs}ms`));
+      resolve({ code, stdout: Buffer.concat(stdout), stderr });
+    });
+  });
+}
+
+function seconds(timestamp) {
+  const [h, m, s] = timestamp.split(":").map(Number);
+  return h * 3600 + m * 60 + s;
+}
+
+// Duration, size and frame rate from the container header. Streams written live (browser
+// recordings) often carry no duration; a stream copy to nowhere measures it without decoding.
+async function probe(bin, file, limits) {
+  const { stderr } = await run(bin, ["-i", file], limits);
+  const stream = stderr.match(/Stream #\d+:\d+.*?: Video: .*?, (\d+)x(\d+)/);
+  if (!stream) throw invalidVideo("The file has no video stream ffmpeg can read");
+  const fps = Number(stderr.match(/([\d.]+) fps/)?.[1]) || null;
+
+  let duration = stderr.match(/Duration: (\d+:\d+:[\d.]+)/)?.[1];
+  if (!duration) {
+    const copied = await run(bin, ["-i", file, "-map", "0:v:0", "-c", "copy", "-f", "null", "-"], limits);
+    duration = [...copied.stderr.matchAll(/time=(\d+:\d+:[\d.]+)/g)].pop()?.[1];
+  }
+  if (!duration) throw invalidVideo("Could not tell how long the video is");
+
+  return { width: Number(stream[1]), height: Number(stream[2]), fps, durationMs: Math.round(seconds(duration) * 1000) };
+}
+
+// The keyframe at or before `at` seconds (or, with `exact`, the frame at `at`), with its
+// real timestamp
+async function frameAt(bin, file, at, limits, { exact = false } = {}) {
+  const { stdout, stderr } = await run(bin, [
+    "-copyts", ...(exact ? [] : ["-noaccurate_seek"]), "-ss", at.toFixed(3), "-i", file,
+    "-map", "0:v:0", "-frames:v", "1", "-vf", "showinfo", "-f", "image2pipe", "-c:v", "png", "-"
+  ], limits);
+  if (stdout.length === 0) return null;
+  const time = Number(stderr.match(/pts_time:\s*(-?[\d.]+)/)?.[1]);
+  return { timeMs: Number.isFinite(time) ? Math.max(0, Math.round(time * 1000)) : Math.round(at * 1000), image: stdout };
+}
+
+async function videoFrames(buffer, format, limits) {
+  const bin = limits.ffmpeg;
+  if (!bin) throw new AnalysisError(415, "Unsupported media type", "Video analysis needs ffmpeg; set FFMPEG_PATH");
+
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "truesight-video-"));
+  const file = path.join(dir, `clip.${format}`);
+  try {
+    // Containers like MP4 keep their index at the end, so ffmpeg needs a seekable file
+    await fs.writeFile(file, buffer);
+    const info = await probe(bin, file, limits);
+    if (info.durationMs > limits.maxDurationMs) {
+      throw new AnalysisError(413, "Video too long", `Videos are limited to ${limits.maxDurationMs / 1000}s, this one is ${info.durationMs / 1000}s`);
+    }
+
+    const samples = [];
+    for (let i = 0; i < limits.maxFrames; i++) {
+      const at = info.durationMs / 1000 * i / limits.maxFrames;
+      let frame = await frameAt(bin, file, at, limits);
+      // Long keyframe intervals land on the same keyframe again; take the exact frame instead
+      if (frame && samples.some(s => s.timeMs === frame.timeMs)) frame = await frameAt(bin, file, at, limits, { exact: true });
+      if (frame && !samples.some(s => s.timeMs === frame.timeMs)) samples.push({ index: samples.length, ...frame });
+    }
+    if (samples.length === 0) throw invalidVideo("No frame could be decoded");
+
+    const burstSeconds = info.fps ? BURST_FRAMES / info.fps : 1;
+    const start = Math.max(0, info.durationMs / 2000 - burstSeconds / 2);
+    const { stdout } = await run(bin, [
+      "-ss", start.toFixed(3), "-i", file, "-map", "0:v:0", "-frames:v", String(BURST_FRAMES),
+      "-vf", `scale=${BURST_SIZE}:${BURST_SIZE},format=gray`, "-f", "rawvideo", "-"
+    ], limits);
+    const frameBytes = BURST_SIZE * BURST_SIZE;
+    const burst = [];
+    for (let offset = 0; offset + frameBytes <= stdout.length; offset += frameBytes) {
+      burst.push({ width: BURST_SIZE, height: BURST_SIZE, data: stdout.subarray(offset, offset + frameBytes) });
+    }
+
+    return { kind: "video", width: info.width, height: info.height, durationMs: info.durationMs, frameCount: null, fps: info.fps, samples, burst };
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+async function animationFrames(buffer, info, limits) {
+  const { pages } = info;
+  const delays = info.delay || [];
+  const startOf = index => delays.slice(0, index).reduce((sum, d) => sum + d, 0);
+
+  const indices = [...new Set(Array.from({ length: Math.min(limits.maxFrames, pages) }, (_, i) => Math.floor(i * pages / Math.min(limits.maxFrames, pages))))];
+  const samples = [];
+  for (const page of indices) {
+    samples.push({ index: page, timeMs: startOf(page), image: await sharp(buffer, { page }).png().toBuffer() });
+  }
+
+  const first = Math.max(0, Math.floor(pages / 2 - BURST_FRAMES / 2));
+  const burst = [];
+  for (let page = first; page < Math.min(pages, first + BURST_FRAMES); page++) {
+    const data = await sharp(buffer, { page }).resize(BURST_SIZE, BURST_SIZE, { fit: "fill" }).greyscale().raw().toBuffer();
+    burst.push({ width: BURST_SIZE, height: BURST_SIZE, data });
+  }
+
+  const durationMs = startOf(pages);
+  return {
+    kind: "animation",
+    width: info.width,
+    height: info.pageHeight || info.height,
+    durationMs: durationMs || null,
+    frameCount: pages,
+    fps: durationMs ? Math.round(pages / durationMs * 10000) / 10 : null,
+    samples,
+    burst
+  };
+}
+
+// Frames of a clip, or null when `buffer` is a still image. Animated GIF and WebP count as
+// clips only when they have more than one frame.
+export async function extractFrames(buffer, format, limits) {
+  if (format === "gif" || format === "webp") {
+    let info;
+    try {
+      info = await sharp(buffer).metadata();
+    } catch {
+      // Let the still-image path report the decoding error
+      return null;
+    }
+    return info.pages > 1 ? animationFrames(buffer, info, limits) : null;
+  }
+  if (limits.formats.includes(format)) return videoFrames(buffer, format, limits);
+  return null;
+}
@@ -0,0 +1,121 @@
+// lib/video/index.js - Clips: animated GIF/WebP and short MP4/MOV/WebM videos
+// A clip is judged by sampling frames, running each through the normal still-image pipeline
+// and pooling the frame verdicts with a temporal consistency vote. Settings:
+//   VIDEO_MAX_FRAMES      frames sampled per clip (default 8); each costs a provider call
+//   VIDEO_MAX_DURATION_S  longest video accepted (default 60)
+//   VIDEO_TIMEOUT_MS      limit for each ffmpeg run (default 20000)
+//   FFMPEG_PATH           ffmpeg binary, when the bundled one does not fit the platform
+import { combineVotes } from "../ensemble.js";
+import { applyThresholds } from "../profiles/index.js";
+import { VERDICT_LABELS, isOriginalFor } from "../verdict.js";
+import { ffmpegPath } from "./frames.js";
+import { temporalVote } from "./temporal.js";
+
+export { extractFrames, ffmpegPath } from "./frames.js";
+export { temporalConsistency } from "./temporal.js";
+
+export const VIDEO_FORMATS = ["mp4", "mov", "webm"];
+
+// A clip is as manipulated as its worst stretch: this share of confidently flagged frames
+// is enough to call it, even when the other frames outvote them
+const FLAGGED_SHARE = 0.25;
+const FLAG_CONFIDENCE = 70;
+const TEMPORAL_WEIGHT = 1.5;
+const MAX_FINDINGS = 12;
+
+export function videoLimits(env = process.env) {
+  return {
+    ffmpeg: ffmpegPath(env),
+    formats: VIDEO_FORMATS,
+    maxFrames: Number(env.VIDEO_MAX_FRAMES) || 8,
+    maxDurationMs: (Number(env.VIDEO_MAX_DURATION_S) || 60) * 1000,
+    timeoutMs: Number(env.VIDEO_TIMEOUT_MS) || 20000
+  };
+}
+
+// 2400 -> "0:02.4"
+export function formatTimestamp(ms) {
+  const seconds = ms / 1000;
+  return `${Math.floor(seconds / 60)}:${(seconds % 60).toFixed(1).padStart(4, "0")}`;
+}
+
+// `frames` are the sampled frames, each { index, timeMs, result, forensics } or
+// { index, timeMs, error, failures? } when no verdict could be reached for it
+export function aggregateFrames(clip, frames, temporal, { format, profile } = {}) {
+  const judged = frames.filter(f => f.result);
+  const votes = judged.map(f => ({
+    provider: `frame at ${formatTimestamp(f.timeMs)}`,
+    verdict: f.result.verdict,
+    confidence: f.result.confidence,
+    weight: 1
+  }));
+  const temporalVerdict = temporalVote(temporal);
+  if (temporalVerdict) votes.push({ provider: "temporal", ...temporalVerdict, weight: TEMPORAL_WEIGHT });
+
+  const pooled = combineVotes(votes, {}, { majority: profile?.thresholds.ensembleMajority });
+  let { verdict, leaning, confidence } = pooled;
+
+  const flagged = judged.filter(f => !["original", "inconclusive"].includes(f.result.verdict) && f.result.confidence >= FLAG_CONFIDENCE);
+  const summary = [];
+  if (!["ai-generated", "edited-or-composite"].includes(verdict) && flagged.length > 0 && flagged.length >= judged.length * FLAGGED_SHARE) {
+    const counts = {};
+    for (const f of flagged) counts[f.result.verdict] = (counts[f.result.verdict] || 0) + 1;
+    verdict = Object.keys(counts).sort((a, b) => counts[b] - counts[a])[0];
+    leaning = null;
+    confidence = Math.round(flagged.reduce((sum, f) => sum + f.result.confidence, 0) / flagged.length);
+    summary.push(`${flagged.length} of ${judged.length} sampled frames look ${VERDICT_LABELS[verdict]} with high confidence`);
+  } else {
+    const agreeing = judged.filter(f => f.result.verdict === (leaning || verdict)).length;
+    summary.push(`${agreeing} of ${judged.length} sampled frames look ${VERDICT_LABELS[leaning || verdict]}`);
+  }
+
+  // Findings of the frames that back the outcome, stamped with where they are in the clip
+  const backing = judged.filter(f => f.result.verdict === (leaning || verdict));
+  const seen = new Set();
+  const findings = [];
+  for (const f of backing) {
+    for (const finding of f.result.findings || []) {
+      if (seen.has(finding.message) || finding.source === "provenance") continue;
+      seen.add(finding.message);
+      findings.push({ ...finding, message: `At ${formatTimestamp(f.timeMs)}: ${finding.message}` });
+    }
+  }
+  findings.splice(MAX_FINDINGS);
+  if (temporal?.available) findings.push(...temporal.findings);
+  summary.push(...findings.filter(f => f.severity !== "info").map(f => f.message).slice(0, 3));
+
+  // Provider failures on judged frames, and whatever stopped the others
+  const failures = frames.flatMap(f => (f.result?.providerErrors || f.failures || (f.error ? [{ provider: "frame", error: f.error }] : []))
+    .map(failure => ({ ...failure, frame: f.index })));
+
+  const result = {
+    verdict,
+    leaning: verdict === "inconclusive" ? leaning : null,
+    isOriginal: isOriginalFor(verdict, leaning),
+    confidence,
+    findings,
+    summary,
+    analysisMethod: "frames",
+    frames: {
+      kind: clip.kind,
+      format,
+      width: clip.width,
+      height: clip.height,
+      durationMs: clip.durationMs,
+      frameCount: clip.frameCount,
+      fps: clip.fps,
+      sampled: frames.map(f => ({
+        index: f.index,
+        timeMs: f.timeMs,
+        verdict: f.result?.verdict ?? null,
+        confidence: f.result?.confidence ?? null,
+        analysisMethod: f.result?.analysisMethod ?? null,
+        forensicsScore: f.forensics?.available ? f.forensics.score : null,
+        ...(f.error && { error: f.error })
+      })),
+      temporal
+    },
+    ...(failures.length > 0 && { providerErrors: failures })
+  };
+  return profile ? applyThresholds(result, profile) : result;
+}
@@ -0,0 +1,120 @@
+// lib/video/temporal.js - Frame-to-frame consistency checks over a burst of small frames
+// Real footage changes smoothly: exposure drifts, the sensor's noise level stays put and
+// the subject moves with the scene. Frame-by-frame generation and face swapping show up as
+//   - brightness flicker: exposure that reverses direction from one frame to the next
+//   - noise flicker:      grain that is re-synthesised at a different strength every frame
+//   - subject drift:      the middle of the frame (where a face or subject usually is)
+//                         changing while the surroundings hold still
+// There is no face detector here; the center window stands in for the subject. Scores are
+// 0-100, higher meaning less like camera footage.
+import { makeFinding } from "../verdict.js";
+
+const MIN_FRAMES = 4;
+
+const clamp01 = x => Math.min(1, Math.max(0, x));
+const mean = values => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+function std(values) {
+  const m = mean(values);
+  return Math.sqrt(mean(values.map(v => (v - m) ** 2)));
+}
+
+// Spread of each pixel around its 4-neighbour mean: the fine grain of the frame
+function noiseLevel({ width, height, data }) {
+  const residuals = [];
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const i = y * width + x;
+      residuals.push(data[i] - (data[i - 1] + data[i + 1] + data[i - width] + data[i + width]) / 4);
+    }
+  }
+  return std(residuals);
+}
+
+// Mean absolute change between two frames, inside and outside the center window
+function changeByArea(a, b) {
+  const { width, height } = a;
+  let center = 0;
+  let centerCount = 0;
+  let border = 0;
+  let borderCount = 0;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x;
+      const delta = Math.abs(a.data[i] - b.data[i]);
+      if (x >= width / 4 && x < width * 3 / 4 && y >= height / 4 && y < height * 3 / 4) {
+        center += delta;
+        centerCount++;
+      } else {
+        border += delta;
+        borderCount++;
+      }
+    }
+  }
+  return { center: center / centerCount, border: border / borderCount };
+}
+
+// `frames` are consecutive grayscale frames { width, height, data }
+export function temporalConsistency(frames) {
+  if (frames.length < MIN_FRAMES) {
+    return { available: false, frames: frames.length, reason: `Temporal checks need at least ${MIN_FRAMES} consecutive frames` };
+  }
+
+  // Brightness: fades and pans have small second differences, flicker reverses every frame
+  // so its second difference is about twice the first
+  const brightness = frames.map(frame => mean(frame.data));
+  const firstDiffs = brightness.slice(1).map((b, i) => Math.abs(b - brightness[i]));
+  const secondDiffs = brightness.slice(2).map((b, i) => Math.abs(b - 2 * brightness[i + 1] + brightness[i]));
+  const reversal = mean(secondDiffs) / (mean(firstDiffs) + 0.5);
+  const brightnessFlicker = mean(secondDiffs) < 1 ? 0 : clamp01((reversal - 0.8) / 1.0);
+
+  // Noise: a camera's noise floor varies by a few percent between frames
+  const noise = frames.map(noiseLevel);
+  const noiseVariation = std(noise) / (mean(noise) + 0.5);
+  const noiseFlicker = clamp01((noiseVariation - 0.08) / 0.25);
+
+  // Drift: how much more the center changes than its surroundings, once it changes at all
+  const changes = frames.slice(1).map((frame, i) => changeByArea(frames[i], frame));
+  const centerChange = mean(changes.map(c => c.center));
+  const borderChange = mean(changes.map(c => c.border));
+  const centerRatio = centerChange / (borderChange + 1);
+  const drift = centerChange < 2 ? 0 : clamp01((centerRatio - 1.5) / 3);
+
+  const flicker = {
+    score: Math.round(Math.max(brightnessFlicker, noiseFlicker) * 100),
+    brightnessReversal: Math.round(reversal * 100) / 100,
+    noiseVariation: Math.round(noiseVariation * 1000) / 1000
+  };
+  const subjectDrift = {
+    score: Math.round(drift * 100),
+    centerChange: Math.round(centerChange * 10) / 10,
+    borderChange: Math.round(borderChange * 10) / 10
+  };
+  const score = Math.max(flicker.score, subjectDrift.score);
+
+  const findings = [];
+  const add = (category, severity, message) => findings.push(makeFinding({ category, severity, message, source: "temporal" }));
+  if (brightnessFlicker >= 0.5) add("lighting", brightnessFlicker >= 0.8 ? "high" : "medium", "Brightness flickers from frame to frame instead of changing smoothly");
+  if (noiseFlicker >= 0.5) add("noise", noiseFlicker >= 0.8 ? "high" : "medium", `Grain strength varies ${Math.round(noiseVariation * 100)}% between consecutive frames, unlike a camera's steady noise floor`);
+  if (drift >= 0.5) add("face", drift >= 0.8 ? "high" : "medium", `The center of the frame changes ${Math.round(centerRatio * 10) / 10}x more than its surroundings, as when a swapped face or subject drifts`);
+  if (findings.length === 0) add("other", "info", `Frame-to-frame brightness, grain and subject are consistent across ${frames.length} frames`);
+
+  return {
+    available: true,
+    frames: frames.length,
+    flicker,
+    subjectDrift,
+    score,
+    findings
+  };
+}
+
+// The temporal checks as a vote next to the frame verdicts
+export function temporalVote(temporal) {
+  if (!temporal?.available) return null;
+  return {
+    verdict: temporal.score >= 50 ? "ai-generated" : "original",
+    // Like pixel forensics, frame statistics alone never justify near-certainty
+    confidence: Math.round(50 + Math.abs(temporal.score - 50) * 0.7)
+  };
+}
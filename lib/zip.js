@@ -0,0 +1,96 @@
+// lib/zip.js - Read image entries out of a ZIP archive (stored or deflated)
+// Reads the central directory only. An entry whose declared or actual size exceeds
+// maxEntryBytes is reported as an error, and the whole archive is refused once its
+// entries together would expand past maxTotalBytes, so a small archive cannot expand
+// into gigabytes: inflating stops at whatever is left of that budget.
+import zlib from "zlib";
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_SIGNATURE = 0x02014b50;
+const LOCAL_SIGNATURE = 0x04034b50;
+
+// The still formats lib/normalize.js accepts (SUPPORTED_FORMATS), by their usual extensions
+const IMAGE_EXTENSIONS = /\.(jpe?g|jpe|png|gif|webp|bmp|tiff?|heic|heif|avif)$/i;
+
+export class ZipError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ZipError";
+  }
+}
+
+function findEndOfCentralDirectory(buffer) {
+  // The EOCD record sits in the last 22 bytes plus an optional comment of up to 64 KB
+  const stop = Math.max(0, buffer.length - 22 - 0xffff);
+  for (let offset = buffer.length - 22; offset >= stop; offset--) {
+    if (buffer.readUInt32LE(offset) === EOCD_SIGNATURE) return offset;
+  }
+  throw new ZipError("Not a ZIP archive (end of central directory not found)");
+}
+
+export function readZipImages(buffer, { maxEntries = 100, maxEntryBytes = 20 * 1024 * 1024, maxTotalBytes = 100 * 1024 * 1024 } = {}) {
+  if (buffer.length < 22) throw new ZipError("Not a ZIP archive (too short)");
+
+  const eocd = findEndOfCentralDirectory(buffer);
+  const count = buffer.readUInt16LE(eocd + 10);
+  let offset = buffer.readUInt32LE(eocd + 16);
+
+  const entries = [];
+  let total = 0;
+  const overBudget = () => new ZipError(`Archive expands to more than ${Math.round(maxTotalBytes / 1024 / 1024)} MB of images`);
+
+  for (let i = 0; i < count; i++) {
+    if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== CENTRAL_SIGNATURE) {
+      throw new ZipError("Corrupt ZIP central directory");
+    }
+
+    const flags = buffer.readUInt16LE(offset + 8);
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const size = buffer.readUInt32LE(offset + 24);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString(flags & 0x800 ? "utf8" : "latin1", offset + 46, offset + 46 + nameLength);
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    // Skip directories, macOS resource forks and anything that is not an image
+    if (name.endsWith("/") || name.startsWith("__MACOSX/") || !IMAGE_EXTENSIONS.test(name)) continue;
+
+    if (entries.length >= maxEntries) {
+      throw new ZipError(`Archive contains more than ${maxEntries} images`);
+    }
+
+    const entry = { name, size };
+    if (flags & 0x1) {
+      entry.error = "Encrypted entries are not supported";
+    } else if (size > maxEntryBytes) {
+      entry.error = `Entry exceeds ${Math.round(maxEntryBytes / 1024 / 1024)} MB limit`;
+    } else if (method !== 0 && method !== 8) {
+      entry.error = `Unsupported compression method ${method}`;
+    } else {
+      if (total + size > maxTotalBytes) throw overBudget();
+      // The declared size may lie, so what is left of the budget also caps the output
+      const limit = Math.min(maxEntryBytes, maxTotalBytes - total);
+      try {
+        if (buffer.readUInt32LE(localOffset) !== LOCAL_SIGNATURE) throw new ZipError("Corrupt local header");
+        const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+        const raw = buffer.subarray(dataStart, dataStart + compressedSize);
+        entry.data = method === 0 ? raw : zlib.inflateRawSync(raw, { maxOutputLength: Math.max(1, limit) });
+        if (entry.data.length > limit) {
+          throw Object.assign(new RangeError(`Cannot create a Buffer larger than ${limit} bytes`), { code: "ERR_BUFFER_TOO_LARGE" });
+        }
+      } catch (err) {
+        if (err.code === "ERR_BUFFER_TOO_LARGE" && limit < maxEntryBytes) throw overBudget();
+        entry.error = `Could not extract: ${err.message}`;
+        delete entry.data;
+      }
+      total += entry.data?.length || 0;
+    }
+
+    entries.push(entry);
+  }
+
+  return entries;
+}
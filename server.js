@@ -0,0 +1,163 @@
+// server.js - Plain Node http adapter over lib/core, for hosts without Express
+// Same analysis and capability document as backend.js and api/analyze.js; jobs, batches
+// and history browsing stay with the Express server.
+import http from "http";
+import path from "path";
+import { fileURLToPath } from "url";
+import dotenv from "dotenv";
+import { createCore, errorResponse, parseImageInput } from "./lib/core/index.js";
+import { createLogger, requestIdFrom, withRequestContext } from "./lib/logging/index.js";
+import { RESPONSE_SCHEMA } from "./lib/verdict.js";
+
+const ENDPOINTS = ["GET /", "GET /metrics", "POST /analyze", "GET /schema"];
+const SIZE_UNITS = { b: 1, kb: 1024, mb: 1024 ** 2, gb: 1024 ** 3 };
+
+// "50mb" -> bytes, the notation MAX_REQUEST_SIZE shares with the Express server
+export function parseSize(value) {
+  const match = String(value).trim().toLowerCase().match(/^(\d+(?:\.\d+)?)\s*(b|kb|mb|gb)?$/);
+  if (!match) throw new Error(`Invalid size "${value}"`);
+  return Math.floor(Number(match[1]) * SIZE_UNITS[match[2] || "b"]);
+}
+
+class BodyError extends Error {
+  constructor(status, error, message) {
+    super(message);
+    this.status = status;
+    this.error = error;
+  }
+}
+
+function readJson(req, limit) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    // Past the limit the rest is drained and dropped, so the 413 can still be sent
+    req.on("data", chunk => {
+      size += chunk.length;
+      if (size <= limit) chunks.push(chunk);
+    });
+    req.on("error", reject);
+    req.on("end", () => {
+      if (size > limit) {
+        return reject(new BodyError(413, "Payload too large", `Request bodies are limited to ${limit} bytes`));
+      }
+      const text = Buffer.concat(chunks).toString("utf8");
+      try {
+        resolve((text && JSON.parse(text)) || {});
+      } catch (err) {
+        reject(new BodyError(400, "Invalid JSON", err.message));
+      }
+    });
+  });
+}
+
+// Error bodies name the request, as on the Express server
+function send(res, status, body, headers = {}) {
+  res.writeHead(status, { ...headers, "Content-Type": "application/json" });
+  res.end(JSON.stringify(status >= 400 ? { ...body, requestId: res.getHeader("X-Request-Id") } : body));
+}
+
+function sendError(res, err) {
+  const { status, headers, body } = errorResponse(err);
+  send(res, status, body, headers);
+}
+
+// `logger` is console or a lib/logging logger
+export function createHandler(core, { maxRequestSize = "50mb", logger = console } = {}) {
+  const limit = parseSize(maxRequestSize);
+  const handle = route(core, limit, logger);
+
+  return (req, res) => {
+    const requestId = requestIdFrom(req.headers);
+    const startedAt = Date.now();
+    res.setHeader("X-Request-Id", requestId);
+    res.on("finish", () => {
+      const { pathname } = new URL(req.url, "http://localhost");
+      const known = ENDPOINTS.includes(`${req.method} ${pathname}`);
+      core.metrics.request({ method: req.method, route: known ? pathname : "unmatched", status: res.statusCode, durationMs: Date.now() - startedAt });
+    });
+    return withRequestContext({ requestId }, () => handle(req, res));
+  };
+}
+
+function route(core, limit, logger) {
+  return async (req, res) => {
+    for (const [name, value] of Object.entries(core.auth.corsHeaders(req.headers.origin))) res.setHeader(name, value);
+
+    const { pathname } = new URL(req.url, "http://localhost");
+
+    if (req.method === "OPTIONS") {
+      res.writeHead(204);
+      return res.end();
+    }
+    if (req.method === "GET" && pathname === "/") {
+      return send(res, 200, core.capabilities({ deployment: "node-http", endpoints: ENDPOINTS, features: { metrics: true } }));
+    }
+    if (req.method === "GET" && pathname === "/metrics") {
+      try {
+        await core.auth.authenticate({ headers: req.headers, ip: req.socket.remoteAddress }, "usage");
+      } catch (err) {
+        return sendError(res, err);
+      }
+      res.writeHead(200, { "Content-Type": "text/plain; version=0.0.4" });
+      return res.end(core.metrics.render());
+    }
+    if (req.method === "GET" && pathname === "/schema") {
+      return send(res, 200, RESPONSE_SCHEMA);
+    }
+    if (req.method !== "POST" || pathname !== "/analyze") {
+      return send(res, 404, {
+        error: "Endpoint not found",
+        message: `Cannot ${req.method} ${pathname}`,
+        availableEndpoints: ENDPOINTS
+      });
+    }
+
+    // Refused before the body is read; readJson drains it below otherwise
+    let client;
+    try {
+      client = await core.auth.authenticate({ headers: req.headers, ip: req.socket.remoteAddress }, "analyze");
+    } catch (err) {
+      req.resume();
+      return sendError(res, err);
+    }
+
+    let body;
+    try {
+      body = await readJson(req, limit);
+    } catch (err) {
+      return send(res, err.status || 400, { error: err.error || "Invalid request", message: err.message });
+    }
+
+    if (body.async) {
+      return send(res, 501, {
+        error: "Async jobs not supported",
+        message: "Submit async jobs to the Express server (backend.js), which can poll and send callbacks"
+      });
+    }
+
+    try {
+      core.resolveProfile(body.profile);
+      core.resolveProviders(body.providers);
+      const { image, source, fileName } = await core.loadInput(body);
+      parseImageInput(image);
+      const limits = core.auth.limitHeaders(client, await core.auth.consume(client, 1));
+      const result = await core.analyze(image, { mode: body.mode, profile: body.profile, providers: body.providers, fileName: body.fileName || fileName, source, force: body.force === true });
+      send(res, 200, result, limits);
+    } catch (err) {
+      logger.error("❌ Analysis failed", { status: errorResponse(err).status, error: err.message });
+      sendError(res, err);
+    }
+  };
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  dotenv.config();
+  const logger = createLogger();
+  const core = await createCore({ logger });
+  const port = process.env.PORT || 5000;
+  http.createServer(createHandler(core, { maxRequestSize: process.env.MAX_REQUEST_SIZE, logger })).listen(port, () => {
+    logger.info(`🚀 TrueSight (node http) listening on http://localhost:${port}`, { port: Number(port), providers: core.providers.map(p => p.name), mode: core.mode });
+  });
+}
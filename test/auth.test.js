@@ -0,0 +1,207 @@
+// test/auth.test.js - API keys, scopes, quotas, rate limits, CORS origins and the admin API
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import http from "http";
+import os from "os";
+import path from "path";
+import { CLEAN_ENV, dataUrl, listen, silenceLogs, testImage } from "./helpers.js";
+import { createAuth } from "../lib/auth/index.js";
+import { TokenBucketLimiter } from "../lib/auth/rate-limit.js";
+import { MemoryKeyStore } from "../lib/auth/stores.js";
+
+const ADMIN_TOKEN = "test-admin-token";
+const ALLOWED_ORIGIN = "https://app.example.com";
+const image = dataUrl(testImage(1));
+const keyFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "truesight-test-")), "api-keys.json");
+
+let server;
+let baseUrl;
+
+before(async () => {
+  silenceLogs();
+  // No providers: local forensics answers, so no cassette is needed
+  Object.assign(process.env, CLEAN_ENV, {
+    REQUIRE_API_KEY: "true",
+    ADMIN_TOKEN,
+    CORS_ORIGINS: ALLOWED_ORIGIN,
+    API_KEY_STORE: "file",
+    API_KEY_STORE_PATH: keyFile
+  });
+
+  const { app } = await import("../backend.js");
+  server = await listen(http.createServer(app));
+  baseUrl = server.baseUrl;
+});
+
+after(() => server.close());
+
+function admin(method, route, body) {
+  return fetch(`${baseUrl}${route}`, {
+    method,
+    headers: { Authorization: `Bearer ${ADMIN_TOKEN}`, "Content-Type": "application/json" },
+    ...(body && { body: JSON.stringify(body) })
+  });
+}
+
+async function issueKey(options) {
+  const res = await admin("POST", "/admin/keys", { name: "test client", ...options });
+  assert.equal(res.status, 201);
+  return res.json();
+}
+
+function analyze(headers = {}) {
+  return fetch(`${baseUrl}/analyze`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...headers },
+    body: JSON.stringify({ image })
+  });
+}
+
+describe("api keys", () => {
+  test("the health document stays public and reports the auth settings", async () => {
+    const body = await (await fetch(`${baseUrl}/`)).json();
+    assert.deepEqual(body.auth, { required: true, scopes: ["analyze", "history", "usage", "review"], anonymousScopes: [], corsOrigins: [ALLOWED_ORIGIN], admin: true });
+  });
+
+  test("requests without a key are refused with 401", async () => {
+    const res = await analyze();
+    assert.equal(res.status, 401);
+    assert.equal(res.headers.get("www-authenticate"), "Bearer");
+    assert.equal((await res.json()).error, "API key required");
+  });
+
+  test("an issued key is accepted in either header", async () => {
+    const { key } = await issueKey();
+    assert.match(key, /^tsk_/);
+
+    const viaHeader = await analyze({ "X-API-Key": key });
+    assert.equal(viaHeader.status, 200);
+    assert.ok(viaHeader.headers.get("x-ratelimit-remaining"));
+
+    const viaBearer = await analyze({ Authorization: `Bearer ${key}` });
+    assert.equal(viaBearer.status, 200);
+  });
+
+  test("keys without the scope are refused with 403", async () => {
+    const { key } = await issueKey({ scopes: ["analyze"] });
+    const res = await fetch(`${baseUrl}/history`, { headers: { "X-API-Key": key } });
+    assert.equal(res.status, 403);
+    assert.equal((await res.json()).error, "Insufficient scope");
+  });
+
+  test("without REQUIRE_API_KEY anonymous callers only get ANONYMOUS_SCOPES, analyze by default", async () => {
+    const request = { headers: {}, ip: "203.0.113.9" };
+    const auth = await createAuth({ env: {}, store: new MemoryKeyStore() });
+    assert.equal((await auth.authenticate(request, "analyze")).anonymous, true);
+    await assert.rejects(auth.authenticate(request, "history"), { status: 403, error: "Insufficient scope" });
+    assert.deepEqual(auth.capabilities().anonymousScopes, ["analyze"]);
+
+    const browsing = await createAuth({ env: { ANONYMOUS_SCOPES: "analyze, history" }, store: new MemoryKeyStore() });
+    assert.equal((await browsing.authenticate(request, "history")).anonymous, true);
+    await assert.rejects(browsing.authenticate(request, "review"), { status: 403 });
+
+    await assert.rejects(createAuth({ env: { ANONYMOUS_SCOPES: "analyze,admin" }, store: new MemoryKeyStore() }), /Unknown ANONYMOUS_SCOPES admin/);
+  });
+
+  test("revoked keys stop working", async () => {
+    const { id, key } = await issueKey();
+    const revoked = await admin("DELETE", `/admin/keys/${id}`);
+    assert.ok((await revoked.json()).revokedAt);
+
+    const res = await analyze({ "X-API-Key": key });
+    assert.equal(res.status, 401);
+    assert.equal((await res.json()).error, "Invalid API key");
+  });
+});
+
+describe("limits", () => {
+  test("the token bucket answers 429 with Retry-After once the burst is spent", async () => {
+    const { key } = await issueKey({ rateLimit: { perMinute: 1, burst: 2 } });
+    assert.equal((await analyze({ "X-API-Key": key })).status, 200);
+    assert.equal((await analyze({ "X-API-Key": key })).status, 200);
+
+    const res = await analyze({ "X-API-Key": key });
+    assert.equal(res.status, 429);
+    assert.equal((await res.json()).error, "Rate limit exceeded");
+    assert.ok(Number(res.headers.get("retry-after")) > 0);
+  });
+
+  test("the daily quota counts images, answers 429 and is shown in usage", async () => {
+    const { id, key } = await issueKey({ dailyQuota: 2 });
+    const first = await analyze({ "X-API-Key": key });
+    assert.equal(first.headers.get("x-quota-remaining"), "1");
+    assert.equal((await analyze({ "X-API-Key": key })).status, 200);
+
+    const res = await analyze({ "X-API-Key": key });
+    assert.equal(res.status, 429);
+    assert.equal((await res.json()).error, "Daily quota exceeded");
+    assert.ok(Number(res.headers.get("retry-after")) <= 86400);
+
+    const usage = await (await admin("GET", `/admin/keys/${id}`)).json();
+    assert.equal(usage.usage.today, 2);
+    assert.equal(usage.hash, undefined);
+  });
+
+  test("a batch larger than the remaining quota is refused whole", async () => {
+    const { key } = await issueKey({ dailyQuota: 1 });
+    const res = await fetch(`${baseUrl}/analyze/batch`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", "X-API-Key": key },
+      body: JSON.stringify({ images: [image, image] })
+    });
+    assert.equal(res.status, 429);
+  });
+
+  test("concurrent requests from one key cannot overrun its quota", async () => {
+    const auth = await createAuth({ env: {}, store: new MemoryKeyStore() });
+    const client = { id: "key-1", anonymous: false, dailyQuota: 3 };
+    const outcomes = await Promise.allSettled(Array.from({ length: 5 }, () => auth.consume(client, 1)));
+    assert.equal(outcomes.filter(o => o.status === "fulfilled").length, 3);
+    assert.equal(outcomes.find(o => o.status === "rejected").reason.status, 429);
+
+    await assert.rejects(auth.consume(client, 1), /3 of 3 images used today/);
+  });
+
+  test("the limiter refills at the configured rate", () => {
+    let now = 0;
+    const limiter = new TokenBucketLimiter({ now: () => now });
+    const limits = { perMinute: 60, burst: 1 };
+    assert.equal(limiter.take("a", limits).allowed, true);
+    assert.deepEqual(limiter.take("a", limits), { allowed: false, remaining: 0, retryAfter: 1 });
+    now += 1000;
+    assert.equal(limiter.take("a", limits).allowed, true);
+  });
+});
+
+describe("cors and admin", () => {
+  test("only allowlisted origins get CORS headers or may call the API", async () => {
+    const { key } = await issueKey();
+    const allowed = await fetch(`${baseUrl}/`, { headers: { Origin: ALLOWED_ORIGIN } });
+    assert.equal(allowed.headers.get("access-control-allow-origin"), ALLOWED_ORIGIN);
+
+    const other = await analyze({ "X-API-Key": key, Origin: "https://evil.example.com" });
+    assert.equal(other.status, 403);
+    assert.equal(other.headers.get("access-control-allow-origin"), null);
+  });
+
+  test("the admin API needs the admin token", async () => {
+    const res = await fetch(`${baseUrl}/admin/keys`, { headers: { Authorization: "Bearer wrong" } });
+    assert.equal(res.status, 401);
+  });
+
+  test("issued keys persist in the file store without the plain key", async () => {
+    const { id, key } = await issueKey({ name: "persisted" });
+    const { items } = await (await admin("GET", "/admin/keys")).json();
+    assert.ok(items.some(item => item.id === id && item.key === undefined));
+
+    const saved = fs.readFileSync(keyFile, "utf8");
+    assert.match(saved, new RegExp(id));
+    assert.doesNotMatch(saved, new RegExp(key));
+  });
+
+  test("invalid key requests are rejected with 400", async () => {
+    const res = await admin("POST", "/admin/keys", { name: "bad", scopes: ["everything"] });
+    assert.equal(res.status, 400);
+  });
+});
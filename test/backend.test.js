@@ -0,0 +1,238 @@
+// test/backend.test.js - Express app in backend.js against replayed provider responses
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import { CLEAN_ENV, dataUrl, listen, silenceLogs, testImage, writeCassette } from "./helpers.js";
+
+const images = {
+  claude: testImage(1),
+  prose: testImage(2),
+  malformed: testImage(3),
+  unauthorized: testImage(4),
+  rateLimited: testImage(5),
+  unrecorded: testImage(6),
+  // Too small for local forensics, so nothing can stand in for failed providers
+  tiny: testImage(7, 16, 16)
+};
+
+let server;
+let baseUrl;
+
+before(async () => {
+  silenceLogs();
+  Object.assign(process.env, CLEAN_ENV, {
+    CLAUDE_API_KEY: "test-claude-key",
+    DEEPSEEK_API_KEY: "test-deepseek-key",
+    MAX_REQUEST_SIZE: "256kb",
+    ANONYMOUS_SCOPES: "analyze,history,usage"
+  });
+  process.env.PROVIDER_CASSETTE = await writeCassette([
+    { provider: "claude", image: images.claude, fixture: "claude-ai-generated" },
+    { provider: "claude", image: images.claude, fixture: "claude-ai-generated", profile: "balanced" },
+    { provider: "deepseek", image: images.claude, fixture: "deepseek-original" },
+    { provider: "claude", image: images.prose, fixture: "claude-prose" },
+    { provider: "claude", image: images.malformed, fixture: "claude-malformed" },
+    { provider: "claude", image: images.unauthorized, fixture: "claude-401", status: 401 },
+    { provider: "deepseek", image: images.unauthorized, fixture: "deepseek-original" },
+    { provider: "claude", image: images.rateLimited, fixture: "claude-429", status: 429 },
+    { provider: "deepseek", image: images.rateLimited, fixture: "deepseek-original" }
+  ]);
+
+  // backend.js reads its configuration at import time, so the env has to be ready first
+  const { app } = await import("../backend.js");
+  server = await listen(http.createServer(app));
+  baseUrl = server.baseUrl;
+});
+
+after(() => server.close());
+
+function analyze(body) {
+  return fetch(`${baseUrl}/analyze`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: typeof body === "string" ? body : JSON.stringify(body)
+  });
+}
+
+describe("health", () => {
+  test("reports the capability document", async () => {
+    const res = await fetch(`${baseUrl}/`);
+    assert.equal(res.status, 200);
+    const body = await res.json();
+    assert.equal(body.deployment, "express");
+    assert.deepEqual(body.providers, ["claude", "deepseek"]);
+    assert.equal(body.mode, "single");
+    assert.equal(body.features.async, true);
+    assert.ok(body.endpoints.includes("GET /history"));
+  });
+});
+
+describe("single mode", () => {
+  test("returns the recorded Claude verdict", async () => {
+    const res = await analyze({ image: dataUrl(images.claude) });
+    assert.equal(res.status, 200);
+    const body = await res.json();
+    assert.equal(body.schemaVersion, "2.0");
+    assert.equal(body.verdict, "ai-generated");
+    assert.equal(body.isOriginal, false);
+    assert.equal(body.confidence, 88);
+    assert.equal(body.analysisMethod, "claude-api");
+    assert.ok(body.findings.some(f => f.source === "claude" && f.category === "texture" && f.severity === "high"));
+    assert.ok(body.annotations.boxes.some(b => b.source === "claude"));
+  });
+
+  test("falls back to an inconclusive verdict when the reply is prose", async () => {
+    const body = await (await analyze({ image: dataUrl(images.prose) })).json();
+    assert.equal(body.analysisMethod, "claude-api-fallback");
+    assert.equal(body.verdict, "inconclusive");
+    assert.equal(body.confidence, 0);
+    assert.ok(body.parseError);
+    assert.ok(body.findings.some(f => f.source === "claude" && /gradients/.test(f.message)));
+  });
+
+  test("falls back when the reply is truncated JSON", async () => {
+    const body = await (await analyze({ image: dataUrl(images.malformed) })).json();
+    assert.equal(body.analysisMethod, "claude-api-fallback");
+    assert.equal(body.verdict, "inconclusive");
+  });
+
+  test("moves on to DeepSeek when Claude rejects the key", async () => {
+    const res = await analyze({ image: dataUrl(images.unauthorized) });
+    assert.equal(res.status, 200);
+    const body = await res.json();
+    assert.equal(body.analysisMethod, "deepseek-api");
+    assert.equal(body.verdict, "original");
+    assert.equal(body.providerErrors.length, 1);
+    assert.equal(body.providerErrors[0].provider, "claude");
+    assert.match(body.providerErrors[0].error, /401/);
+  });
+
+  test("falls back to forensics and reports every provider failure", async () => {
+    const body = await (await analyze({ image: dataUrl(images.unrecorded) })).json();
+    assert.equal(body.analysisMethod, "forensics");
+    assert.deepEqual(body.providerErrors.map(f => f.provider), ["claude", "deepseek"]);
+    assert.match(body.providerErrors[0].error, /No recorded response/);
+  });
+
+  test("answers 502 when every provider fails and forensics cannot help", async () => {
+    const res = await analyze({ image: dataUrl(images.tiny) });
+    assert.equal(res.status, 502);
+    const body = await res.json();
+    assert.equal(body.error, "All providers failed");
+    assert.deepEqual(body.details.map(f => f.provider), ["claude", "deepseek"]);
+  });
+});
+
+describe("ensemble mode", () => {
+  test("combines Claude, DeepSeek and forensics", async () => {
+    const body = await (await analyze({ image: dataUrl(images.claude), mode: "ensemble" })).json();
+    assert.equal(body.analysisMethod, "ensemble");
+    const providers = body.ensemble.votes.map(v => v.provider);
+    assert.deepEqual(providers.slice(0, 2), ["claude", "deepseek"]);
+    assert.ok(body.ensemble.votes.every(v => !v.error));
+    assert.ok(body.ensemble.disagreement, "Claude and DeepSeek disagree in the fixtures");
+  });
+
+  test("drops a rate-limited provider and keeps the other votes", async () => {
+    const body = await (await analyze({ image: dataUrl(images.rateLimited), mode: "ensemble" })).json();
+    const claude = body.ensemble.votes.find(v => v.provider === "claude");
+    assert.equal(claude.weight, 0);
+    assert.match(claude.error, /429/);
+    const deepseek = body.ensemble.votes.find(v => v.provider === "deepseek");
+    assert.equal(deepseek.verdict, "original");
+    assert.equal(body.verdict, "original");
+  });
+});
+
+describe("prompt profiles", () => {
+  test("records the default profile in the result", async () => {
+    const body = await (await analyze({ image: dataUrl(images.claude) })).json();
+    assert.deepEqual(body.profile, { name: "strict", version: "1.0.0" });
+  });
+
+  test("sends the selected profile's prompt and records it", async () => {
+    const res = await analyze({ image: dataUrl(images.claude), profile: "balanced" });
+    assert.equal(res.status, 200);
+    const body = await res.json();
+    assert.deepEqual(body.profile, { name: "balanced", version: "1.0.0" });
+    assert.equal(body.verdict, "ai-generated");
+  });
+
+  test("rejects an unknown profile with 400", async () => {
+    const res = await analyze({ image: dataUrl(images.claude), profile: "lenient" });
+    assert.equal(res.status, 400);
+    assert.match((await res.json()).message, /expected balanced, permissive, strict/);
+  });
+});
+
+describe("usage accounting", () => {
+  test("reports tokens, latency and estimated cost in meta", async () => {
+    const body = await (await analyze({ image: dataUrl(images.claude) })).json();
+    const [call] = body.meta.usage.calls;
+    assert.deepEqual({ ...call, latencyMs: 0 }, {
+      provider: "claude",
+      model: "claude-sonnet-4-20250514",
+      inputTokens: 1632,
+      outputTokens: 118,
+      costUsd: 0.006666,
+      latencyMs: 0
+    });
+    assert.equal(body.meta.usage.costUsd, 0.006666);
+  });
+
+  test("adds up every provider an ensemble called", async () => {
+    const body = await (await analyze({ image: dataUrl(images.claude), mode: "ensemble" })).json();
+    assert.deepEqual(body.meta.usage.calls.map(c => c.provider).sort(), ["claude", "deepseek"]);
+    assert.equal(body.meta.usage.inputTokens, 1632 + 1420);
+    assert.equal(body.meta.usage.costUsd, 0.007107);
+  });
+
+  test("totals the ledger per day and per provider", async () => {
+    const res = await fetch(`${baseUrl}/usage`);
+    assert.equal(res.status, 200);
+    const body = await res.json();
+    assert.equal(body.currency, "USD");
+    assert.equal(body.byDay.length, 1);
+    assert.equal(body.byDay[0].day, new Date().toISOString().slice(0, 10));
+    assert.ok(body.byProvider.claude.calls >= 2);
+    assert.ok(body.byProvider.claude.failures >= 1, "failed calls are counted");
+    assert.ok(body.totals.costUsd > 0);
+    assert.equal(body.totals.costUsd, body.byDay[0].costUsd);
+  });
+
+  test("rejects malformed date bounds", async () => {
+    const res = await fetch(`${baseUrl}/usage?from=yesterday`);
+    assert.equal(res.status, 400);
+  });
+});
+
+describe("request validation", () => {
+  test("rejects malformed JSON with 400", async () => {
+    const res = await analyze("{\"image\": \"data:image/jpeg;base64,");
+    assert.equal(res.status, 400);
+    assert.equal((await res.json()).error, "Invalid JSON");
+  });
+
+  test("rejects a missing image with 400", async () => {
+    const res = await analyze({});
+    assert.equal(res.status, 400);
+    assert.equal((await res.json()).error, "No image provided");
+  });
+
+  test("rejects oversized payloads with 413", async () => {
+    const res = await analyze({ image: dataUrl("A".repeat(300 * 1024)) });
+    assert.equal(res.status, 413);
+    assert.equal((await res.json()).error, "Payload too large");
+  });
+
+  test("rejects data that is not base64 with 400", async () => {
+    const res = await analyze({ image: "data:image/png;base64,%%%" });
+    assert.equal(res.status, 400);
+    assert.equal((await res.json()).error, "Invalid image");
+  });
+
+  test("answers unknown routes with 404", async () => {
+    const res = await fetch(`${baseUrl}/nope`);
+    assert.equal(res.status, 404);
+  });
+});
@@ -0,0 +1,163 @@
+// test/cache.test.js - Image fingerprints and the verdict cache built on them
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import sharp from "sharp";
+import { CLEAN_ENV, dataUrl, fixture } from "./helpers.js";
+import { createCore } from "../lib/core/index.js";
+import { decodeImage, encodeJpeg } from "../lib/image.js";
+import { MemoryResultCache, fingerprintImage, hammingDistance, pHash } from "../lib/cache/index.js";
+
+// A gradient with three discs. testImage() is a sum of a horizontal and a vertical wave,
+// which leaves most of the DCT block near zero and the pHash bits at the mercy of noise.
+function scene(seed, width = 160, height = 120) {
+  const data = new Uint8Array(width * height * 4);
+  const discs = [0, 1, 2].map(k => ({ x: (seed * 37 + k * 53) % width, y: (seed * 23 + k * 41) % height, r: 18 + (seed + k) * 7 % 20, v: (seed * 60 + k * 90) % 256 }));
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const disc = discs.findLast(d => (x - d.x) ** 2 + (y - d.y) ** 2 < d.r ** 2);
+      const v = disc ? disc.v : (x + y) * 255 / (width + height);
+      const i = (y * width + x) * 4;
+      data[i] = v;
+      data[i + 1] = 255 - v;
+      data[i + 2] = v * 3 % 256;
+      data[i + 3] = 255;
+    }
+  }
+  return Buffer.from(encodeJpeg({ data, width, height }, 90));
+}
+
+const original = scene(1);
+const unrelated = scene(3);
+
+// The same picture saved again at a lower quality with slightly lifted brightness, as a
+// re-shared copy would be
+function resharedCopy(buffer) {
+  const image = decodeImage(buffer);
+  for (let i = 0; i < image.data.length; i++) {
+    if (i % 4 !== 3) image.data[i] = Math.min(255, image.data[i] + 4);
+  }
+  return Buffer.from(encodeJpeg(image, 60));
+}
+
+const copy = resharedCopy(original);
+
+function bits(hex) {
+  return [...hex].flatMap(digit => parseInt(digit, 16).toString(2).padStart(4, "0").split("").map(Number));
+}
+
+describe("fingerprints", () => {
+  test("a re-encoded copy stays within a few bits, an unrelated image does not", () => {
+    const a = fingerprintImage(original);
+    const b = fingerprintImage(copy);
+    const c = fingerprintImage(unrelated);
+    assert.notEqual(a.sha256, b.sha256);
+    assert.ok(hammingDistance(a.phash, b.phash) <= 4, `pHash distance ${hammingDistance(a.phash, b.phash)}`);
+    assert.ok(hammingDistance(a.dhash, b.dhash) <= 8, `dHash distance ${hammingDistance(a.dhash, b.dhash)}`);
+    assert.ok(hammingDistance(a.phash, c.phash) > 12, `pHash distance ${hammingDistance(a.phash, c.phash)}`);
+  });
+
+  test("pHash splits the 63 AC coefficients at their median", () => {
+    for (const buffer of [original, copy, unrelated]) {
+      const ac = bits(pHash(decodeImage(buffer))).slice(1);
+      assert.equal(ac.reduce((sum, bit) => sum + bit, 0), 31);
+    }
+  });
+
+  test("bytes that cannot be decoded still get an exact key", () => {
+    const fingerprint = fingerprintImage(Buffer.from("RIFF....WEBPVP8 "));
+    assert.match(fingerprint.sha256, /^[0-9a-f]{64}$/);
+    assert.deepEqual([fingerprint.phash, fingerprint.dhash], [null, null]);
+  });
+
+  test("perceptual hashes come from the decodable copy, the exact key from the upload", () => {
+    const upload = Buffer.from("RIFF....WEBPVP8 ");
+    const fingerprint = fingerprintImage(upload, original);
+    assert.equal(fingerprint.sha256, fingerprintImage(upload).sha256);
+    assert.deepEqual([fingerprint.phash, fingerprint.dhash], [fingerprintImage(original).phash, fingerprintImage(original).dhash]);
+  });
+});
+
+describe("result cache", () => {
+  const entry = (id, buffer, mode = "single:default@1") => ({ id, mode, ...fingerprintImage(buffer), result: { verdict: "ai-generated" } });
+
+  test("finds byte-identical and near-duplicate uploads, but only in the same mode", async () => {
+    const cache = new MemoryResultCache();
+    await cache.add(entry("a", original));
+
+    assert.deepEqual(await cache.lookup(fingerprintImage(original), { mode: "single:default@1" }), { entry: cache.entries.get("a"), distance: 0, match: "exact" });
+    const near = await cache.lookup(fingerprintImage(copy), { mode: "single:default@1" });
+    assert.deepEqual([near.entry.id, near.match], ["a", "perceptual"]);
+    assert.equal(await cache.lookup(fingerprintImage(unrelated), { mode: "single:default@1" }), null);
+    assert.equal(await cache.lookup(fingerprintImage(original), { mode: "ensemble:default@1" }), null);
+  });
+
+  test("a tighter distance turns the near-duplicate away", async () => {
+    const cache = new MemoryResultCache({ maxDistance: 0 });
+    await cache.add(entry("a", original));
+    const fingerprint = fingerprintImage(copy);
+    assert.notEqual(fingerprint.phash, cache.entries.get("a").phash);
+    assert.equal(await cache.lookup(fingerprint, { mode: "single:default@1" }), null);
+  });
+
+  test("a re-run replaces the entry for the same bytes, and the oldest go past maxEntries", async () => {
+    const cache = new MemoryResultCache({ maxEntries: 2 });
+    await cache.add(entry("a", original));
+    await cache.add(entry("b", original));
+    assert.deepEqual([...cache.entries.keys()], ["b"]);
+
+    await cache.add(entry("c", copy));
+    await cache.add(entry("d", unrelated));
+    assert.deepEqual([...cache.entries.keys()], ["c", "d"]);
+    assert.equal(await cache.clear(), 2);
+  });
+});
+
+describe("analysis", () => {
+  function countingFetch() {
+    const fake = async () => {
+      fake.calls++;
+      return new Response(fixture("claude-ai-generated"), { status: 200 });
+    };
+    fake.calls = 0;
+    return fake;
+  }
+
+  function service(fetch) {
+    return createCore({ env: { ...CLEAN_ENV, CLAUDE_API_KEY: "test-claude-key", RESULT_CACHE: "memory" }, fetch, logger: { log() {}, error() {} } });
+  }
+
+  test("a re-shared copy reuses the earlier verdict without asking the provider", async () => {
+    const fetch = countingFetch();
+    const core = await service(fetch);
+    const first = await core.analyze(dataUrl(original.toString("base64")));
+    assert.equal(first.cacheHit, false);
+
+    const second = await core.analyze(dataUrl(copy.toString("base64")));
+    assert.equal(fetch.calls, 1);
+    assert.deepEqual([second.cacheHit, second.cacheMatch, second.matchedId], [true, "perceptual", first.analysisId]);
+    assert.equal(second.verdict, first.verdict);
+    assert.notEqual(second.fingerprint.sha256, first.fingerprint.sha256);
+  });
+
+  test("an unrelated image, or force, asks the provider again", async () => {
+    const fetch = countingFetch();
+    const core = await service(fetch);
+    await core.analyze(dataUrl(original.toString("base64")));
+    assert.equal((await core.analyze(dataUrl(unrelated.toString("base64")))).cacheHit, false);
+    assert.equal((await core.analyze(dataUrl(original.toString("base64")), { force: true })).cacheHit, false);
+    assert.equal(fetch.calls, 3);
+  });
+
+  test("formats decoded for the providers get perceptual hashes too", async () => {
+    const fetch = countingFetch();
+    const core = await service(fetch);
+    const first = await core.analyze(dataUrl(original.toString("base64")));
+
+    for (const converted of [await sharp(original).webp({ quality: 90 }).toBuffer(), await sharp(original).tiff().toBuffer()]) {
+      const result = await core.analyze(converted.toString("base64"));
+      assert.match(result.fingerprint.phash, /^[0-9a-f]{16}$/, result.input.format);
+      assert.deepEqual([result.cacheHit, result.matchedId], [true, first.analysisId], result.input.format);
+    }
+    assert.equal(fetch.calls, 1);
+  });
+});
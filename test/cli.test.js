@@ -0,0 +1,140 @@
+// test/cli.test.js - The truesight command: arguments, input expansion, output formats and exit codes
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import http from "http";
+import os from "os";
+import path from "path";
+import { CLEAN_ENV, listen, silenceLogs, testImage, writeCassette } from "./helpers.js";
+import { createCore } from "../lib/core/index.js";
+import { createHandler } from "../server.js";
+import { UsageError, expandInputs, globToRegExp, parseArgs, run } from "../lib/cli/index.js";
+
+const images = { claude: testImage(1), plain: testImage(9) };
+
+let dir;
+let env;
+let server;
+
+before(async () => {
+  silenceLogs();
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "truesight-cli-"));
+  fs.mkdirSync(path.join(dir, "uploads", "2026"), { recursive: true });
+  fs.writeFileSync(path.join(dir, "uploads", "generated.jpg"), Buffer.from(images.claude, "base64"));
+  fs.writeFileSync(path.join(dir, "uploads", "2026", "plain.jpg"), Buffer.from(images.plain, "base64"));
+  fs.writeFileSync(path.join(dir, "uploads", "notes.txt"), "not an image");
+
+  env = { ...CLEAN_ENV, CLAUDE_API_KEY: "test-claude-key" };
+  env.PROVIDER_CASSETTE = await writeCassette([{ provider: "claude", image: images.claude, fixture: "claude-ai-generated" }], env);
+  server = await listen(http.createServer(createHandler(await createCore({ env, logger: { log() {}, error() {} } }))));
+});
+
+after(() => server.close());
+
+const file = name => path.join(dir, "uploads", name);
+
+// Runs the command with captured streams; resolves to { code, stdout, stderr }
+async function cli(argv, extraEnv = {}) {
+  let stdout = "";
+  let stderr = "";
+  const code = await run(argv, {
+    env: { ...env, ...extraEnv },
+    stdout: { write: text => { stdout += text; } },
+    stderr: { write: text => { stderr += text; } }
+  });
+  return { code, stdout, stderr };
+}
+
+describe("arguments", () => {
+  test("reads options and falls back to the environment for the server", () => {
+    const options = parseArgs(["--providers", "claude, deepseek", "--format", "ndjson", "--fail-above", "80", "a.jpg"], { TRUESIGHT_URL: "http://scanner:3000" });
+    assert.deepEqual(options.providers, ["claude", "deepseek"]);
+    assert.equal(options.server, "http://scanner:3000");
+    assert.equal(options.failAbove, 80);
+    assert.deepEqual(options.inputs, ["a.jpg"]);
+  });
+
+  test("offline runs in-process with no providers", () => {
+    const options = parseArgs(["--offline", "a.jpg"], { TRUESIGHT_URL: "http://scanner:3000" });
+    assert.deepEqual([options.server, options.providers], [null, []]);
+    assert.throws(() => parseArgs(["--offline", "--server", "http://scanner:3000", "a.jpg"], {}), /cannot be combined with --server/);
+    assert.throws(() => parseArgs(["--offline", "--providers", "claude", "a.jpg"], {}), /cannot be combined with --providers/);
+  });
+
+  test("rejects what it cannot act on", () => {
+    assert.throws(() => parseArgs(["--format", "xml", "a.jpg"], {}), UsageError);
+    assert.throws(() => parseArgs(["--fail-above", "high", "a.jpg"], {}), /between 0 and 100/);
+    assert.throws(() => parseArgs([], {}), /at least one/);
+  });
+});
+
+describe("inputs", () => {
+  test("globs keep * within a directory and let ** span them", () => {
+    assert.ok(globToRegExp("*.jpg").test("a.jpg"));
+    assert.ok(!globToRegExp("*.jpg").test("2026/a.jpg"));
+    assert.ok(globToRegExp("**/*.jpg").test("a.jpg"));
+    assert.ok(globToRegExp("**/*.jpg").test("2026/01/a.jpg"));
+  });
+
+  test("expands directories and globs to images, once each", async () => {
+    const items = await expandInputs([path.join(dir, "uploads"), path.join(dir, "uploads", "*.jpg"), "https://example.com/a.png"]);
+    assert.deepEqual(items.map(item => item.name), [file(path.join("2026", "plain.jpg")), file("generated.jpg"), "https://example.com/a.png"]);
+    assert.equal(items[2].url, "https://example.com/a.png");
+  });
+
+  test("a path or glob that matches nothing is an error", async () => {
+    await assert.rejects(expandInputs([file("missing.jpg")]), /No such file/);
+    await assert.rejects(expandInputs([path.join(dir, "uploads", "*.png")]), /No images match/);
+  });
+});
+
+describe("in-process", () => {
+  test("fails the gate when an image is ai-generated above the threshold", async () => {
+    const { code, stdout } = await cli(["--fail-above", "80", "--mode", "single", path.join(dir, "uploads")]);
+    assert.equal(code, 1);
+    const [header, plain, generated] = stdout.split("\n");
+    assert.match(header, /^INPUT\s+VERDICT\s+CONFIDENCE\s+METHOD\s+NOTE$/);
+    assert.match(plain, /plain\.jpg\s+\S+\s+\d+%\s+forensics/);
+    assert.match(generated, /generated\.jpg\s+ai-generated\s+88%\s+claude-api\s+over 80/);
+    assert.match(stdout, /2 analyzed · 1 ai-generated · 0 failed · 1 over 80/);
+  });
+
+  test("passes below the threshold", async () => {
+    assert.equal((await cli(["--fail-above", "90", "--mode", "single", file("generated.jpg")])).code, 0);
+  });
+
+  test("offline judges with forensics alone", async () => {
+    const { code, stdout } = await cli(["--offline", "--format", "json", "--fail-above", "80", "--mode", "single", file("generated.jpg")]);
+    assert.equal(code, 0);
+    const [row] = JSON.parse(stdout);
+    assert.equal(row.input, file("generated.jpg"));
+    assert.equal(row.result.analysisMethod, "forensics");
+    assert.equal(row.result.providerErrors, undefined);
+  });
+
+  test("an unknown provider is a usage error", async () => {
+    const { code, stderr } = await cli(["--providers", "deepseek", file("generated.jpg")]);
+    assert.equal(code, 2);
+    assert.match(stderr, /Not configured here: deepseek \(configured: claude\)/);
+  });
+});
+
+describe("against a server", () => {
+  test("sends each input to POST /analyze and prints NDJSON", async () => {
+    const { code, stdout } = await cli(["--server", server.baseUrl, "--format", "ndjson", "--mode", "single", file("generated.jpg")]);
+    assert.equal(code, 0);
+    const rows = stdout.trim().split("\n").map(line => JSON.parse(line));
+    assert.equal(rows.length, 1);
+    assert.equal(rows[0].result.verdict, "ai-generated");
+    assert.equal(rows[0].result.analysisMethod, "claude-api");
+  });
+
+  test("reports what the server refused and exits 2", async () => {
+    const { code, stdout } = await cli(["--server", server.baseUrl, "--format", "json", "--providers", "openai", file("generated.jpg")]);
+    assert.equal(code, 2);
+    const [row] = JSON.parse(stdout);
+    assert.equal(row.error.status, 400);
+    assert.equal(row.error.error, "Unknown provider");
+    assert.match(row.error.message, /\(request [\w-]+\)$/);
+  });
+});
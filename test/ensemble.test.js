@@ -0,0 +1,108 @@
+// test/ensemble.test.js - Weights, the pooled vote, tie-breaks and how disagreement is reported
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { DEFAULT_WEIGHTS, combineVotes, parseWeights, runEnsemble } from "../lib/ensemble.js";
+
+const finding = message => ({ category: "other", severity: "medium", message });
+
+function vote(provider, verdict, confidence, weight = DEFAULT_WEIGHTS[provider], findings = []) {
+  return { provider, verdict, confidence, weight, analysisMethod: `${provider}-api`, findings };
+}
+
+describe("weights", () => {
+  test("ENSEMBLE_WEIGHTS overrides the defaults it names and ignores what it cannot read", () => {
+    assert.deepEqual(parseWeights(""), DEFAULT_WEIGHTS);
+    assert.notEqual(parseWeights(""), DEFAULT_WEIGHTS);
+    assert.deepEqual(parseWeights("claude=2, deepseek:0.5, openai=-1, local=lots, forensics=0, qwen=0.3"), {
+      ...DEFAULT_WEIGHTS, claude: 2, deepseek: 0.5, forensics: 0, qwen: 0.3
+    });
+  });
+});
+
+describe("combining votes", () => {
+  test("the heavier vote wins a disagreement, with the confidence pooled down", () => {
+    const votes = [vote("claude", "ai-generated", 90, 1), vote("deepseek", "original", 80, 0.8)];
+    const result = combineVotes(votes);
+    assert.deepEqual([result.verdict, result.confidence, result.isOriginal, result.leaning], ["ai-generated", 54, false, null]);
+    assert.equal(result.ensemble.agreement, 0.56);
+    assert.deepEqual(result.ensemble.disagreement.dissenters, ["deepseek"]);
+    assert.match(result.ensemble.disagreement.explanation, /^Claude says AI-Generated \(90%\), DeepSeek says Original \(80%\)\. .*so confidence is reduced to 54%\.$/);
+
+    const reweighted = combineVotes([{ ...votes[0], weight: 0.5 }, { ...votes[1], weight: 1 }]);
+    assert.deepEqual([reweighted.verdict, reweighted.confidence], ["original", 55]);
+  });
+
+  test("below the majority the result is inconclusive but keeps its leaning", () => {
+    const result = combineVotes([vote("claude", "ai-generated", 90, 1), vote("deepseek", "original", 80, 0.8)], DEFAULT_WEIGHTS, { majority: 0.6 });
+    assert.deepEqual([result.verdict, result.leaning, result.isOriginal, result.confidence], ["inconclusive", "ai-generated", false, 54]);
+    assert.match(result.ensemble.disagreement.explanation, /too split to call \(54%\)\.$/);
+  });
+
+  test("an exact tie leans to the first decisive verdict, original", () => {
+    const result = combineVotes([vote("claude", "ai-generated", 80, 1), vote("deepseek", "original", 80, 1)]);
+    assert.deepEqual([result.verdict, result.leaning, result.isOriginal, result.confidence], ["inconclusive", "original", true, 45]);
+    assert.deepEqual(result.ensemble.disagreement.dissenters, ["claude"]);
+    assert.equal(result.ensemble.agreement, 0.5);
+  });
+
+  test("the summary leads with the heaviest agreeing vote, the first of equals", () => {
+    const result = combineVotes([
+      vote("local", "ai-generated", 70, 0.6, [finding("Local: waxy skin")]),
+      vote("deepseek", "ai-generated", 70, 1, [finding("DeepSeek: melted text")]),
+      vote("claude", "ai-generated", 90, 1, [finding("Claude: six fingers")])
+    ]);
+    assert.equal(result.verdict, "ai-generated");
+    assert.deepEqual(result.summary, ["DeepSeek: melted text"]);
+    assert.equal(result.findings.length, 3);
+    assert.equal(result.ensemble.disagreement, null);
+  });
+
+  test("abstentions, failures and zero weights do not count", () => {
+    const result = combineVotes([
+      vote("claude", "original", 70, 1),
+      vote("deepseek", "inconclusive", 0, 0.8, [finding("DeepSeek: reply could not be read")]),
+      vote("openai", "ai-generated", 99, 0),
+      { provider: "local", weight: 0, error: "Local model timed out" }
+    ]);
+    assert.deepEqual([result.verdict, result.confidence, result.ensemble.agreement], ["original", 70, 1]);
+    assert.deepEqual(result.findings.map(f => f.message), ["DeepSeek: reply could not be read"]);
+    assert.equal(result.ensemble.votes.length, 4);
+
+    const abstained = combineVotes([vote("claude", "inconclusive", 0, 1)]);
+    assert.deepEqual([abstained.verdict, abstained.confidence, abstained.isOriginal], ["inconclusive", 0, null]);
+    assert.equal(combineVotes([{ provider: "claude", weight: 0, error: "HTTP 503" }]), null);
+  });
+});
+
+describe("running the ensemble", () => {
+  test("asks every provider, records failures and adds forensics as a vote", async () => {
+    const result = await runEnsemble({
+      providers: [
+        { name: "claude", run: async () => ({ verdict: "ai-generated", confidence: 90, analysisMethod: "claude-api", findings: [finding("Claude: six fingers")], regions: [{ x: 0.1, y: 0.2, w: 0.3, h: 0.4 }] }) },
+        { name: "deepseek", run: async () => { throw new Error("DeepSeek API error: 503"); } },
+        { name: "qwen", run: async () => ({ verdict: "ai-generated", confidence: 60, analysisMethod: "openai-api", findings: [] }) }
+      ],
+      forensics: { available: true, verdict: { isOriginal: false, confidence: 70 }, findings: [] },
+      weights: DEFAULT_WEIGHTS
+    });
+
+    const votes = Object.fromEntries(result.ensemble.votes.map(v => [v.provider, v]));
+    assert.deepEqual(votes.deepseek, { provider: "deepseek", weight: 0, error: "DeepSeek API error: 503" });
+    assert.equal(votes.qwen.weight, 1, "providers without a weight count fully");
+    assert.deepEqual([votes.forensics.verdict, votes.forensics.weight], ["ai-generated", 0.5]);
+    assert.equal(votes.claude.regions.length, 1);
+
+    // (0.9 * 1 + 0.6 * 1 + 0.7 * 0.5) / 2.5
+    assert.deepEqual([result.verdict, result.confidence, result.ensemble.agreement], ["ai-generated", 74, 1]);
+    assert.deepEqual(result.summary, ["Claude: six fingers"]);
+  });
+
+  test("forensics stays out when it could not read the image", async () => {
+    const result = await runEnsemble({
+      providers: [{ name: "claude", run: async () => ({ verdict: "original", confidence: 80, findings: [] }) }],
+      forensics: { available: false, reason: "HEIC is not decoded locally" }
+    });
+    assert.deepEqual(result.ensemble.votes.map(v => v.provider), ["claude"]);
+    assert.equal(result.confidence, 80);
+  });
+});
@@ -0,0 +1,180 @@
+// test/eval.test.js - Evaluation metrics, dataset discovery and the HTML report
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { DatasetError, loadDataset } from "../lib/eval/dataset.js";
+import { computeMetrics } from "../lib/eval/metrics.js";
+import { renderHtml } from "../lib/eval/report.js";
+
+// Five decided answers, one abstention and one failed call, small enough to score by hand
+const SAMPLES = [
+  { file: "p1.jpg", category: "portrait", label: "original", predicted: "original", confidence: 90 },
+  { file: "p2.jpg", category: "portrait", label: "original", predicted: "ai-generated", confidence: 70 },
+  { file: "l1.jpg", category: "landscape", label: "ai-generated", predicted: "ai-generated", confidence: 95 },
+  { file: "l2.jpg", category: "landscape", label: "ai-generated", predicted: "original", confidence: 60 },
+  { file: "l3.jpg", category: "landscape", label: "edited-or-composite", predicted: "ai-generated", confidence: 85 },
+  { file: "p3.jpg", category: "portrait", label: "ai-generated", predicted: "inconclusive", confidence: 0 },
+  { file: "p4.jpg", category: "portrait", label: "original", error: "Claude API error: 503" }
+];
+
+describe("metrics", () => {
+  const metrics = computeMetrics(SAMPLES);
+
+  test("flagged is the positive class; abstentions and errors are not scored", () => {
+    assert.equal(metrics.errors, 1);
+    assert.deepEqual(metrics.overall, {
+      count: 6,
+      decided: 5,
+      abstentionRate: 0.167,
+      accuracy: 0.4,
+      tp: 2, fp: 1, tn: 1, fn: 1,
+      precision: 0.667,
+      recall: 0.667,
+      falsePositiveRate: 0.5,
+      f1: 0.667
+    });
+  });
+
+  test("the confusion matrix has a row per label and a column per answer", () => {
+    const { labels, predictions, matrix } = metrics.confusion;
+    assert.deepEqual(labels, ["original", "ai-generated", "edited-or-composite"]);
+    assert.deepEqual(predictions, ["original", "ai-generated", "edited-or-composite", "inconclusive"]);
+    assert.deepEqual(labels.map(label => predictions.map(p => matrix[label][p])), [
+      [1, 1, 0, 0],
+      [1, 1, 0, 1],
+      [0, 1, 0, 0]
+    ]);
+  });
+
+  test("per verdict and per category", () => {
+    assert.deepEqual(metrics.perClass, {
+      "original": { support: 2, precision: 0.5, recall: 0.5 },
+      "ai-generated": { support: 3, precision: 0.333, recall: 0.5 },
+      "edited-or-composite": { support: 1, precision: null, recall: 0 }
+    });
+    assert.deepEqual(Object.keys(metrics.perCategory), ["landscape", "portrait"]);
+    const { portrait, landscape } = metrics.perCategory;
+    assert.deepEqual([portrait.accuracy, portrait.precision, portrait.recall, portrait.f1, portrait.abstentionRate], [0.5, 0, null, null, 0.333]);
+    assert.deepEqual([landscape.accuracy, landscape.precision, landscape.recall, landscape.falsePositiveRate], [0.333, 1, 0.667, null]);
+  });
+
+  test("calibration bins by confidence and weighs the gaps by bin size", () => {
+    const filled = metrics.calibration.bins.filter(b => b.count > 0);
+    assert.equal(metrics.calibration.bins.length, 10);
+    assert.deepEqual(filled, [
+      { from: 60, to: 70, count: 1, meanConfidence: 0.6, accuracy: 0 },
+      { from: 70, to: 80, count: 1, meanConfidence: 0.7, accuracy: 0 },
+      { from: 80, to: 90, count: 1, meanConfidence: 0.85, accuracy: 0 },
+      { from: 90, to: 100, count: 2, meanConfidence: 0.925, accuracy: 1 }
+    ]);
+    // 2/5 * 0.075 + 1/5 * (0.6 + 0.7 + 0.85)
+    assert.equal(metrics.calibration.expectedCalibrationError, 0.46);
+
+    const certain = computeMetrics([{ category: "x", label: "original", predicted: "original", confidence: 100 }]);
+    assert.equal(certain.calibration.bins[9].count, 1, "100% goes in the top bin");
+  });
+
+  test("nothing decided gives nulls rather than zeros", () => {
+    const { overall, calibration } = computeMetrics([{ category: "x", label: "original", predicted: "inconclusive", confidence: 0 }]);
+    assert.deepEqual([overall.accuracy, overall.precision, overall.recall, overall.f1, overall.abstentionRate], [null, null, null, null, 1]);
+    assert.equal(calibration.expectedCalibrationError, null);
+  });
+});
+
+describe("dataset", () => {
+  const dataset = files => {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), "truesight-eval-"));
+    for (const [name, content] of Object.entries(files)) {
+      fs.mkdirSync(path.dirname(path.join(root, name)), { recursive: true });
+      fs.writeFileSync(path.join(root, name), content);
+    }
+    return root;
+  };
+  const relative = (root, samples) => samples
+    .map(s => ({ ...s, file: path.relative(root, s.file) }))
+    .sort((a, b) => a.file.localeCompare(b.file));
+
+  test("folders name the label, and a subfolder the category", async () => {
+    const root = dataset({
+      "real/a.jpg": "", "ai/portraits/b.PNG": "", "fake/c.webp": "", "edited/d.gif": "",
+      "ai/notes.txt": "", "unsorted/e.jpg": ""
+    });
+    assert.deepEqual(relative(root, await loadDataset(root)), [
+      { file: "ai/portraits/b.PNG", label: "ai-generated", category: "portraits" },
+      { file: "edited/d.gif", label: "edited-or-composite", category: "uncategorized" },
+      { file: "fake/c.webp", label: "ai-generated", category: "uncategorized" },
+      { file: "real/a.jpg", label: "original", category: "uncategorized" }
+    ]);
+  });
+
+  test("a manifest takes precedence over the folders", async () => {
+    const root = dataset({
+      "real/a.jpg": "",
+      "manifest.json": JSON.stringify([
+        { file: "shots/x.jpg", label: "Authentic" },
+        { file: "shots/y.jpg", label: "AI", category: "faces" }
+      ])
+    });
+    assert.deepEqual(relative(root, await loadDataset(root)), [
+      { file: "shots/x.jpg", label: "original", category: "uncategorized" },
+      { file: "shots/y.jpg", label: "ai-generated", category: "faces" }
+    ]);
+  });
+
+  test("manifest errors name the entry at fault", async () => {
+    const manifest = entries => dataset({ "manifest.json": typeof entries === "string" ? entries : JSON.stringify(entries) });
+    await assert.rejects(loadDataset(manifest({ file: "x.jpg" })), new DatasetError("manifest.json must be an array of { file, label, category }"));
+    await assert.rejects(loadDataset(manifest([{ file: "x.jpg", label: "real" }, { file: "y.jpg" }])), /^DatasetError: manifest\.json\[1\]: needs a file and a label/);
+    await assert.rejects(loadDataset(manifest([{ label: "real" }])), /manifest\.json\[0\]/);
+    await assert.rejects(loadDataset(manifest([{ file: "x.jpg", label: "unsure" }])), /manifest\.json\[0\]/, "inconclusive is not a label");
+    await assert.rejects(loadDataset(manifest("[{ \"file\": ")), SyntaxError);
+    await assert.rejects(loadDataset(manifest([])), /No labeled images/);
+  });
+
+  test("a missing, non-folder or empty dataset is refused", async () => {
+    const root = dataset({ "readme.md": "", "misc/a.jpg": "" });
+    await assert.rejects(loadDataset(path.join(root, "nope")), /Dataset folder not found/);
+    await assert.rejects(loadDataset(path.join(root, "readme.md")), /Dataset path is not a folder/);
+    await assert.rejects(loadDataset(root), { name: "DatasetError", message: /^No labeled images in / });
+  });
+});
+
+describe("report", () => {
+  const report = {
+    generatedAt: "2026-03-01T10:00:00.000Z",
+    dataset: "eval/dataset",
+    mode: "ensemble",
+    profile: { name: "balanced", version: 3 },
+    providers: ["claude", "deepseek"],
+    source: "cassette",
+    samples: [...SAMPLES, { file: "<script>.jpg", category: "x", label: "original", predicted: "ai-generated", confidence: 51 }],
+    metrics: computeMetrics(SAMPLES)
+  };
+  const html = renderHtml(report);
+
+  test("leads with the headline numbers and the run's settings", () => {
+    assert.ok(html.startsWith("<!DOCTYPE html>"));
+    assert.match(html, /Samples<b>6<\/b>/);
+    assert.match(html, /Accuracy<b>40\.0%<\/b>/);
+    assert.match(html, /False positive rate<b>50\.0%<\/b>/);
+    assert.match(html, /Errors<b>1<\/b>/);
+    assert.match(html, /mode ensemble · profile balanced v3 · providers claude, deepseek · cassette/);
+    assert.match(html, /Expected calibration error: <b>46\.0%<\/b>/);
+  });
+
+  test("lists misses and failures, escaped, and leaves empty cells as dashes", () => {
+    assert.match(html, /<td>p2\.jpg<\/td><td>portrait<\/td><td>Original<\/td><td>AI-Generated<\/td><td>70%<\/td>/);
+    assert.match(html, /<td>p4\.jpg<\/td><td>portrait<\/td><td>Original<\/td><td>error: Claude API error: 503<\/td><td>–<\/td>/);
+    assert.ok(html.includes("&lt;script&gt;.jpg") && !html.includes("<script>"));
+    assert.match(html, /<td>Edited\/Composite<\/td><td>1<\/td><td>–<\/td><td>0\.0%<\/td>/);
+    assert.doesNotMatch(html, /<td>p1\.jpg/);
+  });
+
+  test("a run without misses says so", () => {
+    const clean = renderHtml({ ...report, samples: SAMPLES.slice(0, 1), profile: null, providers: [] });
+    assert.match(clean, /<p>None\.<\/p>/);
+    assert.match(clean, /providers forensics only/);
+  });
+});
@@ -0,0 +1,82 @@
+// test/file-writer.test.js - Serialized writes, and stores that recover from a failed one
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { createFileWriter } from "../lib/file-writer.js";
+import { createHistoryStore } from "../lib/history/index.js";
+import { createReviewLog } from "../lib/review/index.js";
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "truesight-writer-"));
+
+// A directory where the writer puts its temporary file, so the rename step cannot happen
+function blockWrites(filePath) {
+  const blocker = `${filePath}.${process.pid}.tmp`;
+  fs.mkdirSync(blocker, { recursive: true });
+  return () => fs.rmdirSync(blocker);
+}
+
+const read = filePath => JSON.parse(fs.readFileSync(filePath, "utf8"));
+
+describe("file writer", () => {
+  test("writes land in order, with the value as it was when written", async () => {
+    const filePath = path.join(tmp, "ordered", "data.json");
+    const writer = createFileWriter(filePath);
+    const value = { n: 1 };
+    const first = writer.writeJson(value);
+    value.n = 2;
+    const second = writer.writeJson(value);
+    await first;
+    await second;
+    assert.deepEqual(read(filePath), { n: 2 });
+    assert.deepEqual(fs.readdirSync(path.dirname(filePath)), ["data.json"]);
+  });
+
+  test("a failed write rejects its own caller only", async () => {
+    const filePath = path.join(tmp, "failing.json");
+    const writer = createFileWriter(filePath);
+    const unblock = blockWrites(filePath);
+    const failed = writer.writeJson({ n: 1 });
+    await assert.rejects(failed, { code: "EISDIR" });
+    unblock();
+
+    await writer.writeJson({ n: 2 });
+    assert.deepEqual(read(filePath), { n: 2 });
+  });
+
+  test("appends one JSON line at a time", async () => {
+    const filePath = path.join(tmp, "lines", "log.jsonl");
+    const writer = createFileWriter(filePath);
+    await Promise.all([writer.appendJsonLine({ n: 1 }), writer.appendJsonLine({ n: 2 })]);
+    assert.equal(fs.readFileSync(filePath, "utf8"), "{\"n\":1}\n{\"n\":2}\n");
+  });
+});
+
+describe("file-backed stores", () => {
+  test("history keeps saving after a failed write", async () => {
+    const filePath = path.join(tmp, "history.json");
+    const store = await createHistoryStore({ HISTORY_STORE: "file", HISTORY_STORE_PATH: filePath });
+    await store.add({ id: "r1", createdAt: "2026-03-01T10:00:00.000Z", verdict: "original", confidence: 90 });
+
+    const unblock = blockWrites(filePath);
+    await assert.rejects(store.add({ id: "r2", createdAt: "2026-03-02T10:00:00.000Z", verdict: "original", confidence: 80 }));
+    unblock();
+
+    await store.add({ id: "r3", createdAt: "2026-03-03T10:00:00.000Z", verdict: "ai-generated", confidence: 70 });
+    assert.deepEqual(read(filePath).records.map(r => r.id), ["r1", "r2", "r3"]);
+  });
+
+  test("the review log keeps appending after a failed write", async () => {
+    const filePath = path.join(tmp, "reviews.jsonl");
+    const log = await createReviewLog({ REVIEW_STORE: "file", REVIEW_STORE_PATH: filePath });
+
+    // A directory in place of the log makes the append fail
+    fs.mkdirSync(filePath);
+    await assert.rejects(log.append({ id: "e1", analysisId: "r1" }), { code: "EISDIR" });
+    fs.rmdirSync(filePath);
+
+    await log.append({ id: "e2", analysisId: "r1" });
+    assert.deepEqual(fs.readFileSync(filePath, "utf8").trim().split("\n").map(line => JSON.parse(line).id), ["e2"]);
+  });
+});
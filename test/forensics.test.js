@@ -0,0 +1,193 @@
+// test/forensics.test.js - The offline pixel checks, their combined score and the region heatmap
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { testImage } from "./helpers.js";
+import { decodeImage, encodeJpeg, toLuma } from "../lib/image.js";
+import { FORENSICS_VERSION, analyzeForensics, forensicsResult } from "../lib/forensics/index.js";
+import { errorLevelAnalysis } from "../lib/forensics/ela.js";
+import { regionHeatmap } from "../lib/forensics/heatmap.js";
+import { noiseResidualStats } from "../lib/forensics/noise.js";
+import { fft, resamplingPeriodicity } from "../lib/forensics/periodicity.js";
+import { fingerprintQuantization, readQuantizationTables } from "../lib/forensics/quantization.js";
+
+// Same sequence for the same seed, so every image below is reproducible
+function random(seed) {
+  let state = seed >>> 0;
+  return () => (state = (state * 1664525 + 1013904223) >>> 0) / 2 ** 32;
+}
+
+// Gray shading with uniform grain of ±`grain` levels; `patch` ({ x, y, size }) is painted flat
+function grainy({ width = 256, height = 256, seed = 1, grain = 12, patch } = {}) {
+  const next = random(seed);
+  const data = new Uint8Array(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const flat = patch && x >= patch.x && x < patch.x + patch.size && y >= patch.y && y < patch.y + patch.size;
+      const v = flat ? 128 : 100 + 60 * Math.sin(x / 40) * Math.cos(y / 30) + (next() - 0.5) * 2 * grain;
+      const i = (y * width + x) * 4;
+      data[i] = data[i + 1] = data[i + 2] = Math.max(0, Math.min(255, v));
+      data[i + 3] = 255;
+    }
+  }
+  return { width, height, data };
+}
+
+// Twice the size by bilinear interpolation, the way a resize or an upsampling layer would
+function upsampled(image) {
+  const width = image.width * 2;
+  const height = image.height * 2;
+  const data = new Uint8Array(width * height * 4);
+  const at = (x, y, c) => image.data[(y * image.width + x) * 4 + c];
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const sx = Math.min(image.width - 1.001, x / 2);
+      const sy = Math.min(image.height - 1.001, y / 2);
+      const x0 = Math.floor(sx);
+      const y0 = Math.floor(sy);
+      const fx = sx - x0;
+      const fy = sy - y0;
+      for (let c = 0; c < 4; c++) {
+        data[(y * width + x) * 4 + c] = Math.round(
+          at(x0, y0, c) * (1 - fx) * (1 - fy) + at(x0 + 1, y0, c) * fx * (1 - fy) +
+          at(x0, y0 + 1, c) * (1 - fx) * fy + at(x0 + 1, y0 + 1, c) * fx * fy
+        );
+      }
+    }
+  }
+  return { width, height, data };
+}
+
+const signals = image => {
+  const luma = toLuma(image);
+  return {
+    noise: noiseResidualStats(luma, image.width, image.height),
+    periodicity: resamplingPeriodicity(luma, image.width, image.height, false)
+  };
+};
+
+const inside = (box, from, to) => box.x >= from && box.y >= from && box.x + box.width <= to && box.y + box.height <= to;
+
+describe("signals", () => {
+  test("noise: sensor-like grain scores low, a clean render high", () => {
+    const camera = signals(grainy()).noise;
+    const render = signals(grainy({ grain: 0 })).noise;
+    assert.equal(camera.flatBlockFraction, 0);
+    assert.ok(camera.score < 30, `camera ${camera.score}`);
+    assert.equal(render.flatBlockFraction, 1);
+    assert.ok(render.score > 80, `render ${render.score}`);
+  });
+
+  test("periodicity: interpolation leaves spectral peaks that grain does not", () => {
+    assert.equal(signals(grainy()).periodicity.score, 0);
+    const resized = signals(upsampled(grainy({ width: 128, height: 128 }))).periodicity;
+    assert.equal(resized.score, 100);
+    assert.equal(resized.peakFrequency, 0.5, "every other pixel is interpolated");
+  });
+
+  test("the FFT of an impulse is flat", () => {
+    const re = Float64Array.from([1, 0, 0, 0, 0, 0, 0, 0]);
+    const im = new Float64Array(8);
+    fft(re, im);
+    assert.deepEqual([...re], new Array(8).fill(1));
+    assert.deepEqual([...im].map(v => Math.abs(v)), new Array(8).fill(0));
+  });
+
+  test("ELA: a frame that was never compressed recompresses evenly", () => {
+    const ela = errorLevelAnalysis(grainy());
+    assert.equal(ela.quality, 90);
+    assert.equal(ela.score, 0);
+    assert.ok(ela.blockVariation < 0.2);
+  });
+
+  test("quantization: libjpeg tables are recognised with their quality, others are custom", () => {
+    const jpeg = Buffer.from(encodeJpeg(grainy({ width: 64, height: 64 }), 75));
+    const tables = readQuantizationTables(jpeg);
+    assert.deepEqual(tables.map(t => [t.id, t.precision]), [[0, 8], [1, 8]]);
+    const standard = fingerprintQuantization(jpeg);
+    assert.deepEqual([standard.encoder, standard.estimatedQuality, standard.deviation, standard.score], ["ijg-standard", 75, 0, 60]);
+
+    // Nudge one luma coefficient, as camera firmware tables differ from the reference
+    const camera = Buffer.from(jpeg);
+    const dqt = camera.indexOf(Buffer.from([0xff, 0xdb]));
+    camera[dqt + 5 + 10] += 3;
+    const custom = fingerprintQuantization(camera);
+    assert.deepEqual([custom.encoder, custom.score], ["custom", 30]);
+    assert.notEqual(custom.fingerprint, standard.fingerprint);
+
+    assert.equal(fingerprintQuantization(Buffer.from([0xff, 0xd8, 0xff, 0xd9])), null);
+  });
+});
+
+describe("heatmap", () => {
+  test("points at a patch with no grain", () => {
+    const { cols, rows, values, boxes } = regionHeatmap(grainy({ patch: { x: 64, y: 64, size: 64 } }));
+    assert.deepEqual([cols, rows, values.length], [16, 16, 256]);
+    assert.equal(boxes.length, 1);
+    assert.equal(boxes[0].label, "Missing sensor noise");
+    assert.ok(inside(boxes[0], 0.25, 0.5), JSON.stringify(boxes[0]));
+  });
+
+  test("points at a region pasted into a compressed frame", () => {
+    const frame = decodeImage(encodeJpeg(grainy(), 90));
+    const pasted = grainy({ seed: 7, grain: 40 });
+    for (let y = 96; y < 160; y++) {
+      const start = (y * 256 + 96) * 4;
+      frame.data.set(pasted.data.subarray(start, start + 64 * 4), start);
+    }
+    const hotspot = regionHeatmap(frame).boxes.find(box => box.label === "Recompression hotspot" && box.width >= 0.25);
+    assert.ok(hotspot, "a hotspot over the pasted region");
+    assert.ok(inside(hotspot, 0.375, 0.625), JSON.stringify(hotspot));
+  });
+
+  test("follows the frame's aspect ratio", () => {
+    const { cols, rows } = regionHeatmap(grainy({ width: 256, height: 128 }));
+    assert.deepEqual([cols, rows], [16, 8]);
+  });
+});
+
+describe("analysis", () => {
+  test("the same bytes always give the same report", () => {
+    const jpeg = Buffer.from(testImage(3, 128, 96), "base64");
+    assert.deepEqual(analyzeForensics(jpeg), analyzeForensics(Buffer.from(jpeg)));
+  });
+
+  test("combines the signals into a bounded score and a provider-shaped result", () => {
+    const report = analyzeForensics(Buffer.from(encodeJpeg(grainy(), 90)));
+    assert.deepEqual([report.available, report.version, report.format, report.width, report.window.width], [true, FORENSICS_VERSION, "jpeg", 256, 256]);
+    assert.equal(report.verdict.isOriginal, report.score < 50);
+    assert.ok(report.verdict.confidence >= 50 && report.verdict.confidence <= 85);
+    assert.deepEqual(report.findings.map(f => f.category), ["noise", "resampling", "compression", "compression"]);
+    assert.match(report.observations[3], /standard IJG quantization tables at ~Q90/);
+
+    const result = forensicsResult(report);
+    assert.deepEqual(result, {
+      verdict: report.verdict.isOriginal ? "original" : "ai-generated",
+      isOriginal: report.verdict.isOriginal,
+      confidence: report.verdict.confidence,
+      findings: report.findings,
+      summary: report.observations,
+      analysisMethod: "forensics"
+    });
+  });
+
+  test("a clean render scores above a grainy photo", () => {
+    const photo = analyzeForensics(Buffer.from(encodeJpeg(grainy(), 90)));
+    const render = analyzeForensics(Buffer.from(encodeJpeg(grainy({ grain: 0 }), 90)));
+    assert.ok(render.score > photo.score + 15, `render ${render.score}, photo ${photo.score}`);
+    assert.deepEqual([render.findings[0].severity, render.findings[0].message], ["high", "100% of the frame shows almost no sensor noise"]);
+    assert.match(photo.findings[0].message, /^Sensor-like noise residual present/);
+  });
+
+  test("says why it could not run", () => {
+    assert.match(analyzeForensics(Buffer.from(testImage(1, 16, 16), "base64")).reason, /too small/);
+
+    const heic = Buffer.alloc(24);
+    heic.writeUInt32BE(24, 0);
+    heic.write("ftypheicmif1heic", 4, "ascii");
+    assert.deepEqual(analyzeForensics(heic), { available: false, version: FORENSICS_VERSION, format: "heic", reason: "Local forensics does not support heic images" });
+
+    const truncated = analyzeForensics(Buffer.from(testImage(1), "base64").subarray(0, 200));
+    assert.equal(truncated.available, false);
+    assert.match(truncated.reason, /^Could not decode image/);
+  });
+});
@@ -0,0 +1,205 @@
+// test/helpers.js - Images, provider fixtures and cassettes for the test suite
+// Fixtures in test/fixtures are provider response bodies. Cassettes are assembled from
+// them at test time, keyed by the request the provider adapter would send, so a prompt
+// change does not invalidate them. To capture fresh responses from the real APIs, run the
+// server with PROVIDER_CASSETTE=path PROVIDER_CASSETTE_MODE=record and copy the bodies over.
+import fs from "fs";
+import http from "http";
+import os from "os";
+import path from "path";
+import jpeg from "jpeg-js";
+import { getProvider } from "../lib/providers/index.js";
+import { DEFAULT_PROFILE, loadProfiles, promptFor } from "../lib/profiles/index.js";
+import { createCassette, requestKey, saveCassette } from "../lib/replay.js";
+
+const FIXTURES = new URL("./fixtures/", import.meta.url);
+const PROFILES = loadProfiles();
+
+// Provider settings blanked, stores in memory and anonymous rate limits out of the way, so
+// a developer's .env cannot change what the tests see
+export const CLEAN_ENV = {
+  CLAUDE_API_KEY: "",
+  DEEPSEEK_API_KEY: "",
+  CLAUDE_MODEL: "",
+  DEEPSEEK_MODEL: "",
+  OPENAI_BASE_URL: "",
+  OPENAI_API_KEY: "",
+  LOCAL_MODEL_URL: "",
+  ENSEMBLE_WEIGHTS: "",
+  ANALYSIS_MODE: "single",
+  JOB_STORE: "memory",
+  HISTORY_STORE: "memory",
+  REVIEW_STORE: "memory",
+  REVIEW_CONFIDENCE_THRESHOLD: "",
+  RESULT_CACHE: "off",
+  USAGE_STORE: "memory",
+  PRICE_TABLE: "",
+  PROMPT_PROFILE: "",
+  PROMPT_PROFILES_DIR: "",
+  IMAGE_MAX_BYTES: "",
+  IMAGE_MAX_PIXELS: "",
+  PROVIDER_MAX_SIDE: "",
+  PROVIDER_MAX_BYTES: "",
+  REQUIRE_API_KEY: "",
+  ANONYMOUS_SCOPES: "",
+  API_KEY_STORE: "memory",
+  ADMIN_TOKEN: "",
+  CORS_ORIGINS: "",
+  RATE_LIMIT_PER_MINUTE: "6000",
+  RATE_LIMIT_BURST: "1000",
+  PROVIDER_TIMEOUT_MS: "",
+  PROVIDER_RETRIES: "0",
+  PROVIDER_RETRY_BASE_MS: "",
+  PROVIDER_RETRY_MAX_MS: "",
+  CIRCUIT_BREAKER_THRESHOLD: "0",
+  CIRCUIT_BREAKER_COOLDOWN_MS: ""
+};
+
+export function fixture(name) {
+  return fs.readFileSync(new URL(`${name}.json`, FIXTURES), "utf8");
+}
+
+// Deterministic JPEG; different seeds give different bytes and so different cassette keys
+export function testImage(seed, width = 96, height = 72) {
+  const data = new Uint8Array(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 4;
+      const v = 128 + 60 * Math.sin(x / (5 + seed)) + 40 * Math.cos(y / (3 + seed)) + ((x * 7 + y * 13 + seed) % 9);
+      data[i] = Math.max(0, Math.min(255, v));
+      data[i + 1] = Math.max(0, Math.min(255, v * 0.8));
+      data[i + 2] = Math.max(0, Math.min(255, 255 - v));
+      data[i + 3] = 255;
+    }
+  }
+  return Buffer.from(jpeg.encode({ data, width, height }, 90).data).toString("base64");
+}
+
+export function dataUrl(base64Data) {
+  return `data:image/jpeg;base64,${base64Data}`;
+}
+
+// A fixture's reply as the provider would have streamed it: Server-Sent Events carrying the
+// text in small pieces
+export function streamedFixture(providerName, name, pieceLength = 12) {
+  const data = JSON.parse(fixture(name));
+  const provider = getProvider(providerName);
+  const text = provider.extractText(data);
+  const { inputTokens, outputTokens } = provider.extractUsage(data);
+  const pieces = text.match(new RegExp(`[\\s\\S]{1,${pieceLength}}`, "g")) || [];
+  const sse = (event, payload) => `${event ? `event: ${event}\n` : ""}data: ${JSON.stringify(payload)}\n\n`;
+
+  if (providerName === "claude") {
+    return [
+      sse("message_start", { type: "message_start", message: { model: data.model, usage: { input_tokens: inputTokens, output_tokens: 1 } } }),
+      sse("content_block_start", { type: "content_block_start", index: 0, content_block: { type: "text", text: "" } }),
+      ...pieces.map(piece => sse("content_block_delta", { type: "content_block_delta", index: 0, delta: { type: "text_delta", text: piece } })),
+      sse("content_block_stop", { type: "content_block_stop", index: 0 }),
+      sse("message_delta", { type: "message_delta", delta: { stop_reason: "end_turn" }, usage: { output_tokens: outputTokens } }),
+      sse("message_stop", { type: "message_stop" })
+    ].join("");
+  }
+  return [
+    ...pieces.map(piece => sse(null, { model: data.model, choices: [{ index: 0, delta: { content: piece } }] })),
+    sse(null, { model: data.model, choices: [], usage: { prompt_tokens: inputTokens, completion_tokens: outputTokens } }),
+    "data: [DONE]\n\n"
+  ].join("");
+}
+
+// `entries` are { provider, image, fixture, status?, profile?, stream? }; writes a cassette to
+// a temp file and returns its path. `stream` entries answer the streaming request with the
+// fixture as Server-Sent Events.
+export async function writeCassette(entries, env = process.env) {
+  const cassette = createCassette();
+  for (const entry of entries) {
+    const provider = getProvider(entry.provider);
+    const { url, init } = provider.buildRequest({
+      base64Data: entry.image,
+      mediaType: "image/jpeg",
+      prompt: promptFor(PROFILES.get(entry.profile || DEFAULT_PROFILE), provider.name)
+    }, env, { stream: !!entry.stream });
+    cassette.entries[requestKey(url, init)] = {
+      url,
+      status: entry.status || 200,
+      body: entry.stream && !entry.status ? streamedFixture(entry.provider, entry.fixture) : fixture(entry.fixture),
+      recordedAt: "2026-01-01T00:00:00.000Z"
+    };
+  }
+
+  const filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "truesight-test-")), "cassette.json");
+  await saveCassette(filePath, cassette);
+  return filePath;
+}
+
+// Listen on a free port; resolves to { baseUrl, close }
+export async function listen(server) {
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  return {
+    baseUrl: `http://127.0.0.1:${server.address().port}`,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+// A stand-in for a Redis REST API (Upstash, Vercel KV) with the commands RedisJobStore
+// sends; resolves to { baseUrl, token, close }. Expiry times are accepted and ignored.
+export async function fakeRedis(token = "test-redis-token") {
+  const values = new Map();
+  const sets = new Map();
+  const members = key => [...(sets.get(key) || new Map())].sort((a, b) => a[1] - b[1]).map(([member]) => member);
+  const commands = {
+    SET: (key, value) => { values.set(key, value); return "OK"; },
+    GET: key => values.get(key) ?? null,
+    MGET: (...keys) => keys.map(key => values.get(key) ?? null),
+    DEL: (...keys) => keys.filter(key => values.delete(key)).length,
+    ZADD: (key, score, member) => { sets.set(key, (sets.get(key) || new Map()).set(member, Number(score))); return 1; },
+    ZRANGE: key => members(key),
+    ZREM: (key, ...gone) => gone.filter(member => sets.get(key)?.delete(member)).length,
+    ZCARD: key => sets.get(key)?.size || 0
+  };
+
+  const server = await listen(http.createServer((req, res) => {
+    let body = "";
+    req.on("data", chunk => { body += chunk; });
+    req.on("end", () => {
+      const [command, ...args] = JSON.parse(body);
+      const reply = req.headers.authorization !== `Bearer ${token}` ? [401, { error: "Unauthorized" }]
+        : commands[command] ? [200, { result: commands[command](...args) }]
+        : [400, { error: `ERR unknown command '${command}'` }];
+      res.writeHead(reply[0], { "Content-Type": "application/json" });
+      res.end(JSON.stringify(reply[1]));
+    });
+  }));
+  return { ...server, token };
+}
+
+// Call a Vercel handler with just enough of Vercel's request and response objects.
+// A `body` that is an Error is thrown from the body getter, as Vercel does for bad JSON.
+export async function invokeVercel(handler, { method = "POST", body, query = {}, headers = {} } = {}) {
+  const req = { method, headers, query };
+  Object.defineProperty(req, "body", {
+    get: () => {
+      if (body instanceof Error) throw body;
+      return body;
+    }
+  });
+
+  const res = {
+    statusCode: 200,
+    headers: {},
+    body: undefined,
+    setHeader(name, value) { this.headers[name.toLowerCase()] = value; return this; },
+    getHeader(name) { return this.headers[name.toLowerCase()]; },
+    status(code) { this.statusCode = code; return this; },
+    json(payload) { this.body = payload; return this; },
+    end() { return this; }
+  };
+
+  await handler(req, res);
+  return res;
+}
+
+// The servers log every step; on Node 20 that much stdout from a test file can corrupt the
+// runner's reporting channel, and assertion messages say what went wrong anyway
+export function silenceLogs() {
+  for (const method of ["log", "info", "warn", "error"]) console[method] = () => {};
+}
@@ -0,0 +1,156 @@
+// test/history.test.js - History stores, query filters and the /history routes
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import http from "http";
+import os from "os";
+import path from "path";
+import { CLEAN_ENV, dataUrl, listen, silenceLogs, testImage } from "./helpers.js";
+import { createHistoryStore, parseFilters, parsePaging } from "../lib/history/index.js";
+
+const hasSqlite = await import("node:sqlite").then(() => true, () => false);
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "truesight-history-"));
+
+// Three days of analyses, newest last
+const RECORDS = [
+  { id: "r1", createdAt: "2026-03-01T10:00:00.000Z", verdict: "original", confidence: 91, providers: ["claude"], fileName: "Beach_Sunset.jpg", review: null },
+  { id: "r2", createdAt: "2026-03-02T10:00:00.000Z", verdict: "ai-generated", confidence: 84, providers: ["claude", "deepseek"], fileName: "render 100%.png", review: { status: "pending" } },
+  { id: "r3", createdAt: "2026-03-03T10:00:00.000Z", verdict: "ai-generated", confidence: 62, providers: ["claude-local"], fileName: "portrait.webp", review: { status: "confirmed" } }
+];
+
+for (const kind of ["memory", "file", "sqlite"]) {
+  describe(`${kind} history store`, { skip: kind === "sqlite" && !hasSqlite && "node:sqlite needs Node 22.5+" }, () => {
+    let store;
+
+    before(async () => {
+      store = await createHistoryStore({ HISTORY_STORE: kind, HISTORY_STORE_PATH: path.join(tmp, `history-${kind}.${kind === "file" ? "json" : "db"}`) });
+      for (const record of RECORDS) await store.add({ ...record });
+    });
+
+    const ids = async (filters, paging) => (await store.query(filters, paging)).items.map(r => r.id);
+
+    test("lists newest first, a page at a time", async () => {
+      assert.deepEqual(await ids({}), ["r3", "r2", "r1"]);
+      const { items, total } = await store.query({}, { page: 2, pageSize: 2 });
+      assert.deepEqual([items.map(r => r.id), total], [["r1"], 3]);
+    });
+
+    test("filters by verdict, confidence, dates, review and provider", async () => {
+      assert.deepEqual(await ids({ verdict: "ai-generated" }), ["r3", "r2"]);
+      assert.deepEqual(await ids({ minConfidence: 80, maxConfidence: 90 }), ["r2"]);
+      assert.deepEqual(await ids({ from: "2026-03-02T00:00:00.000Z", to: "2026-03-02T23:59:59.999Z" }), ["r2"]);
+      assert.deepEqual(await ids({ review: "pending" }), ["r2"]);
+      assert.deepEqual(await ids({ provider: "claude" }), ["r2", "r1"], "a provider name, not a prefix");
+    });
+
+    test("searches file names literally", async () => {
+      assert.deepEqual(await ids({ q: "sunset" }), ["r1"]);
+      assert.deepEqual(await ids({ q: "_" }), ["r1"]);
+      assert.deepEqual(await ids({ q: "%" }), ["r2"]);
+      assert.deepEqual(await ids({ provider: "claude_local" }), []);
+    });
+
+    test("updates, removes and clears records", async () => {
+      const record = await store.get("r1");
+      assert.equal(await store.update({ ...record, review: { status: "overridden" } }), true);
+      assert.equal((await store.get("r1")).review.status, "overridden");
+      assert.equal(await store.update({ id: "missing" }), false);
+
+      assert.equal(await store.remove("r1"), true);
+      assert.equal(await store.remove("r1"), false);
+      assert.equal(await store.get("r1"), null);
+      assert.equal(await store.clear(), 2);
+      assert.equal((await store.query({})).total, 0);
+    });
+  });
+}
+
+describe("query parameters", () => {
+  test("are validated, and a bare end date covers the whole day", () => {
+    const { filters, errors } = parseFilters({ verdict: "original", minConfidence: "70", to: "2026-03-02", q: "Beach" });
+    assert.deepEqual(errors, []);
+    assert.deepEqual(filters, { verdict: "original", minConfidence: 70, to: "2026-03-02T23:59:59.999Z", q: "beach" });
+
+    assert.equal(parseFilters({ verdict: "fake", maxConfidence: "101", from: "yesterday" }).errors.length, 3);
+  });
+
+  test("paging is clamped to sane bounds", () => {
+    assert.deepEqual(parsePaging({}), { page: 1, pageSize: 20 });
+    assert.deepEqual(parsePaging({ page: "-3", pageSize: "1000" }), { page: 1, pageSize: 100 });
+  });
+});
+
+describe("/history routes", () => {
+  const storePath = path.join(tmp, "routes", "history.json");
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    silenceLogs();
+    // No providers: local forensics answers, so no cassette is needed
+    Object.assign(process.env, CLEAN_ENV, { HISTORY_STORE: "file", HISTORY_STORE_PATH: storePath, ANONYMOUS_SCOPES: "analyze,history" });
+    const { app } = await import("../backend.js");
+    server = await listen(http.createServer(app));
+    baseUrl = server.baseUrl;
+
+    for (const [seed, fileName] of [[1, "first.jpg"], [2, "second.jpg"], [3, "third.jpg"]]) {
+      const res = await fetch(`${baseUrl}/analyze`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ image: dataUrl(testImage(seed)), fileName })
+      });
+      assert.equal(res.status, 200);
+    }
+  });
+
+  after(() => server.close());
+
+  const get = async route => (await fetch(`${baseUrl}${route}`)).json();
+
+  test("pages through the analyses and searches by file name", async () => {
+    const page = await get("/history?pageSize=2");
+    assert.deepEqual([page.total, page.pages, page.items.length], [3, 2, 2]);
+    assert.equal(page.items[0].thumbnail.startsWith("data:image/"), true);
+
+    const found = await get("/history?q=SECOND");
+    assert.deepEqual(found.items.map(r => r.fileName), ["second.jpg"]);
+    assert.equal((await get(`/history/${found.items[0].id}`)).fileName, "second.jpg");
+  });
+
+  test("anonymous callers outside ANONYMOUS_SCOPES are refused with 403", async () => {
+    const res = await fetch(`${baseUrl}/reviews/queue`);
+    assert.equal(res.status, 403);
+    assert.equal((await res.json()).error, "Insufficient scope");
+  });
+
+  test("rejects invalid filters", async () => {
+    const res = await fetch(`${baseUrl}/history?verdict=maybe`);
+    assert.equal(res.status, 400);
+    assert.equal((await res.json()).error, "Invalid filter");
+  });
+
+  test("deletes one record, then the rest", async () => {
+    const [record] = (await get("/history?q=first")).items;
+    assert.equal((await fetch(`${baseUrl}/history/${record.id}`, { method: "DELETE" })).status, 204);
+    assert.equal((await fetch(`${baseUrl}/history/${record.id}`)).status, 404);
+    assert.equal((await fetch(`${baseUrl}/history/${record.id}`, { method: "DELETE" })).status, 404);
+
+    assert.deepEqual(await (await fetch(`${baseUrl}/history`, { method: "DELETE" })).json(), { deleted: 2 });
+    assert.equal((await get("/history")).total, 0);
+  });
+
+  test("answers 500 when the store cannot write, and keeps serving", async () => {
+    // A directory where the store writes its temporary file
+    const blocker = `${storePath}.${process.pid}.tmp`;
+    fs.mkdirSync(blocker);
+    try {
+      const res = await fetch(`${baseUrl}/history`, { method: "DELETE" });
+      assert.equal(res.status, 500);
+      assert.match((await res.json()).message, /EISDIR/);
+    } finally {
+      fs.rmdirSync(blocker);
+    }
+    assert.equal((await fetch(`${baseUrl}/history`)).status, 200);
+    assert.equal((await fetch(`${baseUrl}/history`, { method: "DELETE" })).status, 200, "the next write goes through");
+  });
+});
@@ -0,0 +1,185 @@
+// test/images.test.js - Upload validation, format sniffing and the provider copy
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import sharp from "sharp";
+import { CLEAN_ENV, listen, silenceLogs, testImage } from "./helpers.js";
+import { decodeImage, sniffFormat } from "../lib/image.js";
+import { imageLimits, normalizeImage, validateImage } from "../lib/normalize.js";
+
+const jpegBuffer = Buffer.from(testImage(1), "base64");
+
+function gradient(width, height, channels = 3) {
+  const data = Buffer.alloc(width * height * channels);
+  for (let i = 0; i < width * height; i++) {
+    data[i * channels] = i % 251;
+    data[i * channels + 1] = (i * 7) % 253;
+    data[i * channels + 2] = 128;
+    if (channels === 4) data[i * channels + 3] = i % 2 ? 255 : 0;
+  }
+  return sharp(data, { raw: { width, height, channels } });
+}
+
+// 2x2 24-bit bottom-up BMP: red, green / blue, white
+function tinyBmp() {
+  const buffer = Buffer.alloc(54 + 16);
+  buffer.write("BM", 0, "ascii");
+  buffer.writeUInt32LE(buffer.length, 2);
+  buffer.writeUInt32LE(54, 10);
+  buffer.writeUInt32LE(40, 14);
+  buffer.writeInt32LE(2, 18);
+  buffer.writeInt32LE(2, 22);
+  buffer.writeUInt16LE(1, 26);
+  buffer.writeUInt16LE(24, 28);
+  // Bottom row first, BGR, rows padded to 8 bytes
+  Buffer.from([255, 0, 0, 255, 255, 255, 0, 0]).copy(buffer, 54);
+  Buffer.from([0, 0, 255, 0, 255, 0, 0, 0]).copy(buffer, 62);
+  return buffer;
+}
+
+function ftyp(major, ...compatible) {
+  const box = Buffer.alloc(16 + compatible.length * 4);
+  box.writeUInt32BE(box.length, 0);
+  box.write(`ftyp${major}`, 4, "ascii");
+  compatible.forEach((brand, i) => box.write(brand, 16 + i * 4, "ascii"));
+  return box;
+}
+
+describe("format sniffing", () => {
+  test("recognises the containers we accept and SVG", async () => {
+    assert.equal(sniffFormat(jpegBuffer), "jpeg");
+    assert.equal(sniffFormat(tinyBmp()), "bmp");
+    assert.equal(sniffFormat(await gradient(8, 8).tiff().toBuffer()), "tiff");
+    assert.equal(sniffFormat(await gradient(8, 8).avif().toBuffer()), "avif");
+    assert.equal(sniffFormat(ftyp("heic", "mif1", "heic")), "heic");
+    assert.equal(sniffFormat(ftyp("mif1", "mif1", "avif")), "avif");
+    assert.equal(sniffFormat(ftyp("isom", "mp41")), "mp4");
+    assert.equal(sniffFormat(Buffer.from("<?xml version=\"1.0\"?>\n<svg xmlns=\"http://www.w3.org/2000/svg\"></svg>")), "svg");
+  });
+
+  test("decodes uncompressed BMP", () => {
+    const image = decodeImage(tinyBmp());
+    assert.deepEqual([image.width, image.height], [2, 2]);
+    assert.deepEqual([...image.data], [255, 0, 0, 255, 0, 255, 0, 255, 0, 0, 255, 255, 255, 255, 255, 255]);
+  });
+});
+
+describe("validation", () => {
+  const limits = imageLimits({});
+
+  test("refuses bytes that are not an accepted image", () => {
+    assert.throws(() => validateImage(Buffer.from("hello"), "unknown", null, limits), { status: 415, error: "Unsupported media type" });
+    assert.throws(() => validateImage(Buffer.from("<svg>"), "svg", "image/svg+xml", limits), { status: 415, error: "Unsupported media type" });
+  });
+
+  test("refuses a data URL header that disagrees with the bytes", () => {
+    assert.throws(() => validateImage(jpegBuffer, "jpeg", "image/png", limits), { status: 415, error: "Media type mismatch" });
+    validateImage(jpegBuffer, "jpeg", "image/jpg", limits);
+    validateImage(jpegBuffer, "jpeg", null, limits);
+  });
+
+  test("enforces the byte limit", () => {
+    assert.throws(() => validateImage(jpegBuffer, "jpeg", null, { ...limits, maxBytes: 100 }), { status: 413, error: "Image too large" });
+  });
+});
+
+describe("the provider copy", () => {
+  const limits = imageLimits({ PROVIDER_MAX_SIDE: "256" });
+
+  test("passes small JPEGs through untouched", async () => {
+    const input = await normalizeImage(jpegBuffer, "jpeg", limits);
+    assert.equal(input.provider.base64Data, testImage(1));
+    assert.equal(input.provider.mediaType, "image/jpeg");
+    assert.equal(input.pixels, jpegBuffer);
+    assert.deepEqual([input.provider.converted, input.provider.downscaled], [false, false]);
+  });
+
+  test("downscales large images and keeps the original for forensics", async () => {
+    const png = await gradient(1024, 512).png().toBuffer();
+    const input = await normalizeImage(png, "png", limits);
+    assert.deepEqual([input.width, input.height], [1024, 512]);
+    assert.deepEqual([input.provider.width, input.provider.height, input.provider.mediaType], [256, 128, "image/jpeg"]);
+    assert.equal(input.provider.downscaled, true);
+    assert.equal(input.pixels, png);
+  });
+
+  test("keeps transparency as PNG", async () => {
+    const input = await normalizeImage(await gradient(600, 300, 4).png().toBuffer(), "png", limits);
+    assert.equal(input.provider.mediaType, "image/png");
+  });
+
+  test("converts TIFF, AVIF and BMP for the providers and gives forensics lossless pixels", async () => {
+    for (const [format, buffer] of [
+      ["tiff", await gradient(64, 48).tiff().toBuffer()],
+      ["avif", await gradient(64, 48).avif().toBuffer()],
+      ["bmp", tinyBmp()]
+    ]) {
+      const input = await normalizeImage(buffer, format, limits);
+      assert.equal(input.provider.mediaType, "image/jpeg", format);
+      assert.equal(input.provider.converted, true, format);
+      assert.ok(decodeImage(input.pixels), format);
+    }
+  });
+
+  test("answers 400 for corrupt data and 413 for too many pixels", async () => {
+    await assert.rejects(normalizeImage(jpegBuffer.subarray(0, 20), "jpeg", limits), { status: 400, error: "Invalid image" });
+    await assert.rejects(normalizeImage(ftyp("heic", "mif1", "heic"), "heic", limits), { status: 400, error: "Invalid image" });
+    await assert.rejects(normalizeImage(jpegBuffer, "jpeg", { ...limits, maxPixels: 100 }), { status: 413, error: "Image too large" });
+  });
+});
+
+describe("POST /analyze", () => {
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    silenceLogs();
+    Object.assign(process.env, CLEAN_ENV, { IMAGE_MAX_BYTES: String(256 * 1024) });
+    const { app } = await import("../backend.js");
+    server = await listen(http.createServer(app));
+    baseUrl = server.baseUrl;
+  });
+
+  after(() => server.close());
+
+  const analyze = image => fetch(`${baseUrl}/analyze`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ image })
+  });
+
+  test("accepts TIFF and reports what the providers were shown", async () => {
+    const tiff = await gradient(96, 72).tiff().toBuffer();
+    const res = await analyze(`data:image/tiff;base64,${tiff.toString("base64")}`);
+    assert.equal(res.status, 200);
+    const body = await res.json();
+    assert.equal(body.forensics.available, true);
+    assert.deepEqual(body.input, {
+      format: "tiff",
+      mediaType: "image/tiff",
+      width: 96,
+      height: 72,
+      bytes: tiff.length,
+      provider: { mediaType: "image/jpeg", width: 96, height: 72, bytes: body.input.provider.bytes, converted: true, downscaled: false }
+    });
+  });
+
+  test("rejects mislabelled, unknown and oversized uploads", async () => {
+    const mislabelled = await analyze(`data:image/png;base64,${testImage(1)}`);
+    assert.equal(mislabelled.status, 415);
+    assert.equal((await mislabelled.json()).error, "Media type mismatch");
+
+    assert.equal((await analyze(`data:image/svg+xml;base64,${Buffer.from("<svg xmlns=\"http://www.w3.org/2000/svg\"/>").toString("base64")}`)).status, 415);
+    assert.equal((await analyze(Buffer.from("just some text").toString("base64"))).status, 415);
+
+    const huge = await gradient(400, 400).png({ compressionLevel: 0 }).toBuffer();
+    assert.equal((await analyze(`data:image/png;base64,${huge.toString("base64")}`)).status, 413);
+  });
+
+  test("publishes the limits in the health document", async () => {
+    const health = await (await fetch(`${baseUrl}/`)).json();
+    assert.equal(health.images.maxBytes, 256 * 1024);
+    assert.ok(health.images.formats.includes("heic"));
+    assert.equal(health.images.providerMaxSide, 1568);
+  });
+});
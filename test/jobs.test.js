@@ -0,0 +1,253 @@
+// test/jobs.test.js - Async analysis jobs: the queue, the stores and signed callbacks
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import { CLEAN_ENV, dataUrl, fakeRedis, listen, silenceLogs, testImage, writeCassette } from "./helpers.js";
+import { MemoryJobStore, RedisJobStore } from "../lib/jobs/stores.js";
+import { callbackUrlProblem, createJobQueue, signPayload, verifySignature } from "../lib/jobs/index.js";
+import { deliverWebhook } from "../lib/jobs/webhook.js";
+
+const SECRET = "test-webhook-secret";
+const image = testImage(1);
+
+let server;
+let baseUrl;
+
+before(async () => {
+  silenceLogs();
+  Object.assign(process.env, CLEAN_ENV, { CLAUDE_API_KEY: "test-claude-key", WEBHOOK_SECRET: SECRET });
+  process.env.PROVIDER_CASSETTE = await writeCassette([{ provider: "claude", image, fixture: "claude-ai-generated" }]);
+  const { app } = await import("../backend.js");
+  server = await listen(http.createServer(app));
+  baseUrl = server.baseUrl;
+});
+
+after(() => server.close());
+
+// Resolves once `check()` is truthy
+async function until(check) {
+  for (let i = 0; i < 500; i++) {
+    const value = await check();
+    if (value) return value;
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+  throw new Error("Timed out waiting");
+}
+
+// Work that finishes when the test says so
+function deferred() {
+  let resolve;
+  const promise = new Promise(r => { resolve = r; });
+  return { work: () => promise, finish: resolve };
+}
+
+function queue(options = {}) {
+  return createJobQueue({ store: new MemoryJobStore(), webhookSecret: SECRET, webhookAllowPrivate: true, ...options });
+}
+
+describe("job queue", () => {
+  test("runs a submitted job and records its result", async () => {
+    const jobs = queue();
+    const job = await jobs.submit(async () => ({ verdict: "original" }));
+    assert.equal(job.status, "queued");
+    const done = await until(async () => (await jobs.get(job.id)).status === "succeeded" && jobs.get(job.id));
+    assert.deepEqual(done.result, { verdict: "original" });
+    assert.ok(done.finishedAt);
+  });
+
+  test("runs no more jobs at once than its concurrency", async () => {
+    const jobs = queue({ concurrency: 1 });
+    const first = deferred();
+    const a = await jobs.submit(first.work);
+    const b = await jobs.submit(async () => "second");
+    await until(async () => (await jobs.get(a.id)).status === "running");
+    assert.equal((await jobs.get(b.id)).status, "queued");
+
+    first.finish("first");
+    await until(async () => (await jobs.get(b.id)).status === "succeeded");
+  });
+
+  test("a callback receiver that never answers does not hold up the next job", async () => {
+    const hanging = () => new Promise(() => {});
+    const jobs = queue({ concurrency: 1, fetch: hanging });
+    await jobs.submit(async () => "first", { callbackUrl: "http://receiver.test/hook" });
+    const next = await jobs.submit(async () => "second");
+    await until(async () => (await jobs.get(next.id)).status === "succeeded");
+  });
+
+  test("a job whose outcome the store refuses is marked failed", async () => {
+    const store = new MemoryJobStore();
+    const update = store.update.bind(store);
+    store.update = async (id, patch) => {
+      if (patch.status === "succeeded") throw new Error("disk full");
+      return update(id, patch);
+    };
+    const jobs = createJobQueue({ store });
+    const job = await jobs.submit(async () => "done");
+    const failed = await until(async () => (await jobs.get(job.id)).status === "failed" && jobs.get(job.id));
+    assert.match(failed.error, /disk full/);
+  });
+
+  test("settles a job once it has finished and its callback has been tried", async () => {
+    const callback = deferred();
+    const jobs = queue({ fetch: () => callback.work().then(() => new Response(null, { status: 204 })) });
+    const job = await jobs.submit(async () => "done", { callbackUrl: "http://receiver.test/hook" });
+    let settled = false;
+    jobs.settled(job.id).then(() => { settled = true; });
+
+    await until(async () => (await jobs.get(job.id)).status === "succeeded");
+    assert.equal(settled, false, "still delivering the callback");
+    callback.finish();
+    await until(() => settled);
+    assert.equal((await jobs.get(job.id)).callback.delivered, true);
+    await jobs.settled("unknown");
+  });
+});
+
+describe("job store", () => {
+  test("drops finished jobs after their time to live, never pending ones", async () => {
+    const store = new MemoryJobStore({ ttlMs: 1000 });
+    const old = new Date(Date.now() - 5000).toISOString();
+    await store.create({ id: "done", status: "succeeded", finishedAt: old });
+    await store.create({ id: "waiting", status: "queued" });
+    await store.create({ id: "new", status: "queued" });
+    assert.equal(await store.get("done"), null);
+    assert.ok(await store.get("waiting"));
+  });
+
+  test("keeps at most maxEntries jobs, oldest finished first", async () => {
+    const store = new MemoryJobStore({ maxEntries: 2 });
+    const now = new Date().toISOString();
+    await store.create({ id: "a", status: "failed", finishedAt: now });
+    await store.create({ id: "b", status: "running" });
+    await store.create({ id: "c", status: "succeeded", finishedAt: now });
+    assert.deepEqual((await store.list()).map(job => job.id), ["b", "c"]);
+  });
+
+  describe("redis", () => {
+    let redis;
+    before(async () => { redis = await fakeRedis(); });
+    after(() => redis.close());
+
+    const store = (options = {}) => new RedisJobStore({ url: `${redis.baseUrl}/`, token: redis.token, prefix: `t${Math.random()}:`, ...options });
+    const created = minutes => new Date(Date.now() - minutes * 60000).toISOString();
+
+    test("creates, reads, updates, lists oldest first and removes", async () => {
+      const jobs = store();
+      await jobs.create({ id: "b", status: "queued", createdAt: created(1) });
+      await jobs.create({ id: "a", status: "queued", createdAt: created(2) });
+      await jobs.update("b", { status: "succeeded", result: { verdict: "original" } });
+      assert.deepEqual((await jobs.get("b")).result, { verdict: "original" });
+      assert.equal(await jobs.update("nope", { status: "failed" }), null);
+      assert.deepEqual((await jobs.list()).map(job => job.id), ["a", "b"]);
+      assert.deepEqual((await jobs.list({ status: ["queued"] })).map(job => job.id), ["a"]);
+      assert.equal(await jobs.remove("a"), true);
+      assert.equal(await jobs.remove("a"), false);
+      assert.equal(await jobs.get("a"), null);
+    });
+
+    test("keeps at most maxEntries jobs, oldest finished first", async () => {
+      const jobs = store({ maxEntries: 2 });
+      await jobs.create({ id: "a", status: "failed", createdAt: created(3), finishedAt: created(3) });
+      await jobs.create({ id: "b", status: "running", createdAt: created(2) });
+      await jobs.create({ id: "c", status: "succeeded", createdAt: created(1), finishedAt: created(1) });
+      assert.deepEqual((await jobs.list()).map(job => job.id), ["b", "c"]);
+    });
+
+    test("a refused command is an error naming it", async () => {
+      await assert.rejects(store({ token: "wrong" }).get("a"), /^Error: Redis GET failed: Unauthorized$/);
+    });
+  });
+});
+
+describe("webhooks", () => {
+  test("signatures verify, and fail once the body or timestamp is off", () => {
+    const body = JSON.stringify({ jobId: "1", status: "succeeded" });
+    const header = signPayload(body, SECRET);
+    assert.equal(verifySignature(body, header, SECRET), true);
+    assert.equal(verifySignature(`${body} `, header, SECRET), false);
+    assert.equal(verifySignature(body, header, "other-secret"), false);
+    assert.equal(verifySignature(body, signPayload(body, SECRET, Math.floor(Date.now() / 1000) - 600), SECRET), false);
+  });
+
+  test("retries until the receiver accepts, signing every attempt", async () => {
+    const seen = [];
+    const fetch = async (url, init) => {
+      seen.push(init);
+      return new Response(null, { status: seen.length < 2 ? 503 : 204 });
+    };
+    const outcome = await deliverWebhook("http://receiver.test/hook", { status: "succeeded" }, { secret: SECRET, fetch, delays: [0, 1, 1], allowPrivate: true });
+    assert.deepEqual(outcome, { delivered: true, attempts: 2, status: 204 });
+    assert.equal(seen[1].headers["X-TrueSight-Event"], "job.succeeded");
+    assert.equal(verifySignature(seen[1].body, seen[1].headers["X-TrueSight-Signature"], SECRET), true);
+  });
+
+  test("gives up on receivers that hang or redirect", async () => {
+    const hang = (url, init) => new Promise((resolve, reject) => {
+      const socket = setTimeout(() => {}, 10000);
+      init.signal.addEventListener("abort", () => {
+        clearTimeout(socket);
+        reject(init.signal.reason);
+      });
+    });
+    const timedOut = await deliverWebhook("http://receiver.test/hook", {}, { secret: SECRET, fetch: hang, delays: [0], timeoutMs: 20, allowPrivate: true });
+    assert.deepEqual(timedOut, { delivered: false, attempts: 1, error: "No answer within 20ms" });
+
+    const redirect = async (url, init) => {
+      assert.equal(init.redirect, "manual");
+      return new Response(null, { status: 302, headers: { Location: "http://169.254.169.254/" } });
+    };
+    const redirected = await deliverWebhook("http://receiver.test/hook", {}, { secret: SECRET, fetch: redirect, delays: [0], allowPrivate: true });
+    assert.match(redirected.error, /redirects are not followed/);
+  });
+
+  test("callback URLs must reach public addresses", async () => {
+    assert.match(await callbackUrlProblem("http://127.0.0.1:8080/hook"), /not a public address/);
+    assert.match(await callbackUrlProblem("http://[::ffff:10.0.0.1]/hook"), /not a public address/);
+    assert.match(await callbackUrlProblem("http://169.254.169.254/latest/meta-data"), /not a public address/);
+    assert.match(await callbackUrlProblem("http://localhost/hook"), /not a public address/);
+    assert.match(await callbackUrlProblem("ftp://receiver.test/hook"), /http\(s\)/);
+    assert.equal(await callbackUrlProblem("http://93.184.216.34/hook"), null);
+    assert.equal(await callbackUrlProblem("http://127.0.0.1:8080/hook", { allowPrivate: true }), null);
+
+    let called = false;
+    const outcome = await deliverWebhook("http://127.0.0.1:8080/hook", {}, { secret: SECRET, fetch: async () => { called = true; }, delays: [0] });
+    assert.equal(called, false);
+    assert.match(outcome.error, /not a public address/);
+  });
+});
+
+describe("POST /analyze async", () => {
+  function submit(body) {
+    return fetch(`${baseUrl}/analyze`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ image: dataUrl(image), async: true, ...body })
+    });
+  }
+
+  test("answers 202 and the job can be polled to its verdict", async () => {
+    const res = await submit({});
+    assert.equal(res.status, 202);
+    const { jobId, statusUrl } = await res.json();
+    assert.equal(res.headers.get("location"), `/jobs/${jobId}`);
+
+    const job = await until(async () => {
+      const body = await (await fetch(`${baseUrl}${statusUrl}`)).json();
+      return body.status === "succeeded" && body;
+    });
+    assert.equal(job.result.verdict, "ai-generated");
+    assert.equal(job.hasCallback, false);
+    assert.equal(job.callbackUrl, undefined);
+  });
+
+  test("refuses callback URLs on private addresses", async () => {
+    const res = await submit({ callbackUrl: "http://127.0.0.1:9/hook" });
+    assert.equal(res.status, 400);
+    assert.match((await res.json()).message, /not a public address/);
+  });
+
+  test("answers 404 for unknown jobs", async () => {
+    assert.equal((await fetch(`${baseUrl}/jobs/nope`)).status, 404);
+  });
+});
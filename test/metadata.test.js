@@ -0,0 +1,312 @@
+// test/metadata.test.js - EXIF, XMP, PNG text and C2PA extraction and the provenance report
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import zlib from "zlib";
+import { testImage } from "./helpers.js";
+import { PROVENANCE_VERSION, extractProvenance } from "../lib/metadata/index.js";
+import { decodeCbor, parseC2pa } from "../lib/metadata/c2pa.js";
+import { parseExif } from "../lib/metadata/exif.js";
+import { parseXmp } from "../lib/metadata/xmp.js";
+import { findGeneratorSignatures, matchGenerator, syntheticSourceType } from "../lib/metadata/signatures.js";
+
+const TRAINED = "http://cv.iptc.org/newscodes/digitalsourcetype/trainedAlgorithmicMedia";
+const photo = Buffer.from(testImage(1), "base64");
+
+// Little-endian TIFF with IFD0 and optional Exif and GPS sub-IFDs. Entries are
+// [tag, value]: strings are ASCII, numbers SHORT and arrays of [numerator, denominator]
+// RATIONAL; values over four bytes go to a data area after the IFDs.
+function tiff({ ifd0 = [], exif = [], gps = [] }) {
+  const ifds = [[...ifd0], exif, gps];
+  const size = entries => 2 + entries.length * 12 + 4;
+  if (exif.length) ifds[0].push([0x8769, null]);
+  if (gps.length) ifds[0].push([0x8825, null]);
+
+  const starts = [8, 8 + size(ifds[0]), 8 + size(ifds[0]) + size(exif)];
+  const pointers = { 0x8769: starts[1], 0x8825: starts[2] };
+  const out = Buffer.alloc(starts[2] + size(gps));
+  out.write("II", 0, "latin1");
+  out.writeUInt16LE(42, 2);
+  out.writeUInt32LE(8, 4);
+
+  const data = [];
+  let dataOffset = out.length;
+  ifds.forEach((entries, n) => {
+    if (!entries.length) return;
+    let p = starts[n];
+    out.writeUInt16LE(entries.length, p);
+    p += 2;
+    for (const [tag, value] of entries) {
+      let type;
+      let count;
+      let bytes;
+      if (tag in pointers && value === null) {
+        [type, count, bytes] = [4, 1, Buffer.alloc(4)];
+        bytes.writeUInt32LE(pointers[tag]);
+      } else if (typeof value === "string") {
+        [type, count, bytes] = [2, value.length + 1, Buffer.from(`${value}\0`, "latin1")];
+      } else if (typeof value === "number") {
+        [type, count, bytes] = [3, 1, Buffer.alloc(2)];
+        bytes.writeUInt16LE(value);
+      } else {
+        [type, count, bytes] = [5, value.length, Buffer.alloc(value.length * 8)];
+        value.forEach(([num, den], i) => {
+          bytes.writeUInt32LE(num, i * 8);
+          bytes.writeUInt32LE(den, i * 8 + 4);
+        });
+      }
+      out.writeUInt16LE(tag, p);
+      out.writeUInt16LE(type, p + 2);
+      out.writeUInt32LE(count, p + 4);
+      if (bytes.length <= 4) {
+        bytes.copy(out, p + 8);
+      } else {
+        out.writeUInt32LE(dataOffset, p + 8);
+        data.push(bytes);
+        dataOffset += bytes.length;
+      }
+      p += 12;
+    }
+  });
+  return Buffer.concat([out, ...data]);
+}
+
+// The photo with extra segments ([marker, payload]) right after SOI
+function jpegWith(...segments) {
+  const parts = segments.map(([marker, payload]) => {
+    const header = Buffer.from([0xff, marker, 0, 0]);
+    header.writeUInt16BE(payload.length + 2, 2);
+    return Buffer.concat([header, payload]);
+  });
+  return Buffer.concat([photo.subarray(0, 2), ...parts, photo.subarray(2)]);
+}
+
+const exifSegment = block => [0xe1, Buffer.concat([Buffer.from("Exif\0\0", "latin1"), block])];
+const xmpSegment = packet => [0xe1, Buffer.from(`http://ns.adobe.com/xap/1.0/\0${packet}`, "utf8")];
+
+// PNG signature, IHDR, `chunks` ([type, data]) and IEND; the reader does not check CRCs
+function png(...chunks) {
+  const chunk = (type, data) => {
+    const out = Buffer.alloc(12 + data.length);
+    out.writeUInt32BE(data.length, 0);
+    out.write(type, 4, "latin1");
+    data.copy(out, 8);
+    return out;
+  };
+  const signature = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+  return Buffer.concat([signature, chunk("IHDR", Buffer.alloc(13)), ...chunks.map(([type, data]) => chunk(type, data)), chunk("IEND", Buffer.alloc(0))]);
+}
+
+function webp(...chunks) {
+  const body = Buffer.concat(chunks.map(([type, data]) => {
+    const header = Buffer.alloc(8);
+    header.write(type, 0, "latin1");
+    header.writeUInt32LE(data.length, 4);
+    return Buffer.concat([header, data, Buffer.alloc(data.length % 2)]);
+  }));
+  const header = Buffer.alloc(12);
+  header.write("RIFF", 0, "latin1");
+  header.writeUInt32LE(body.length + 4, 4);
+  header.write("WEBP", 8, "latin1");
+  return Buffer.concat([header, body]);
+}
+
+// Just enough CBOR for C2PA claims: maps, arrays, strings and small integers
+function cbor(value) {
+  const head = (major, n) => (n < 24 ? Buffer.from([major << 5 | n]) : n < 256 ? Buffer.from([major << 5 | 24, n]) : Buffer.from([major << 5 | 25, n >> 8, n & 0xff]));
+  if (typeof value === "number") return head(0, value);
+  if (typeof value === "string") return Buffer.concat([head(3, Buffer.byteLength(value)), Buffer.from(value)]);
+  if (Array.isArray(value)) return Buffer.concat([head(4, value.length), ...value.map(cbor)]);
+  const entries = Object.entries(value);
+  return Buffer.concat([head(5, entries.length), ...entries.flatMap(([k, v]) => [cbor(k), cbor(v)])]);
+}
+
+// JUMBF boxes: a superbox is a 'jumb' holding a labelled 'jumd' description and its children
+function box(type, payload) {
+  const header = Buffer.alloc(8);
+  header.writeUInt32BE(8 + payload.length, 0);
+  header.write(type, 4, "latin1");
+  return Buffer.concat([header, payload]);
+}
+
+function superbox(label, ...children) {
+  const description = Buffer.concat([Buffer.alloc(16), Buffer.from([0x03]), Buffer.from(`${label}\0`)]);
+  return box("jumb", Buffer.concat([box("jumd", description), ...children]));
+}
+
+// A manifest store whose one manifest says Firefly created the picture
+function manifestStore() {
+  return superbox("c2pa",
+    superbox("urn:uuid:0001",
+      superbox("c2pa.assertions",
+        superbox("c2pa.actions", box("cbor", cbor({ actions: [{ action: "c2pa.created", digitalSourceType: TRAINED, softwareAgent: { name: "Adobe Firefly" } }] }))),
+        superbox("c2pa.hash.data", box("cbor", cbor({ alg: "sha256" })))
+      ),
+      superbox("c2pa.claim", box("cbor", cbor({ claim_generator: "Adobe_Firefly/2.0 c2pa-rs/0.28" })))
+    )
+  );
+}
+
+// APP11 segments carrying `jumbf` in `pieces` parts; later parts repeat the 8-byte box header
+function c2paSegments(jumbf, pieces = 1) {
+  const step = Math.ceil(jumbf.length / pieces);
+  return Array.from({ length: pieces }, (_, i) => {
+    const header = Buffer.from("JP\0\0\0\0\0\0", "latin1");
+    header.writeUInt16BE(1, 2);
+    header.writeUInt32BE(i + 1, 4);
+    const repeated = i === 0 ? Buffer.alloc(0) : jumbf.subarray(0, 8);
+    return [0xeb, Buffer.concat([header, repeated, jumbf.subarray(i * step, (i + 1) * step)])];
+  });
+}
+
+describe("EXIF", () => {
+  test("reads camera, capture time, exposure and GPS", () => {
+    const exif = parseExif(tiff({
+      ifd0: [[0x010f, "Canon"], [0x0110, "Canon EOS R5"], [0x0132, "2026:03:01 10:00:00"]],
+      exif: [[0x9003, "2026:03:01 09:59:58"], [0x8827, 400], [0x829a, [[1, 250]]], [0xa434, "RF24-105mm F4 L IS USM"]],
+      gps: [[1, "S"], [2, [[33, 1], [51, 1], [3600, 100]]], [3, "E"], [4, [[151, 1], [12, 1], [0, 1]]]]
+    }));
+    assert.deepEqual(exif, {
+      make: "Canon",
+      model: "Canon EOS R5",
+      dateTime: "2026:03:01 10:00:00",
+      exposureTime: 0.004,
+      iso: 400,
+      dateTimeOriginal: "2026:03:01 09:59:58",
+      lensModel: "RF24-105mm F4 L IS USM",
+      gps: { latitude: -33.86, longitude: 151.2 }
+    });
+  });
+
+  test("ignores blocks that are not TIFF", () => {
+    assert.equal(parseExif(null), null);
+    assert.equal(parseExif(Buffer.from("not a tiff block")), null);
+    assert.equal(parseExif(tiff({})), null);
+  });
+});
+
+describe("XMP", () => {
+  test("reads attribute and element forms and the editing history", () => {
+    const xmp = parseXmp(`<x:xmpmeta><rdf:RDF><rdf:Description xmp:CreatorTool="Adobe Firefly" Iptc4xmpExt:DigitalSourceType="${TRAINED}">
+      <dc:creator><rdf:Seq><rdf:li>Ana &amp; Bo</rdf:li></rdf:Seq></dc:creator>
+      <xmpMM:History><rdf:Seq>
+        <rdf:li stEvt:action="saved" stEvt:softwareAgent="Adobe Photoshop 25.0"/>
+        <rdf:li stEvt:action="saved" stEvt:softwareAgent="Adobe Photoshop 25.0"/>
+        <rdf:li><stEvt:softwareAgent>Adobe Lightroom</stEvt:softwareAgent></rdf:li>
+      </rdf:Seq></xmpMM:History>
+    </rdf:Description></rdf:RDF></x:xmpmeta>`);
+    assert.deepEqual(xmp, {
+      creatorTool: "Adobe Firefly",
+      creator: "Ana & Bo",
+      digitalSourceType: TRAINED,
+      history: ["Adobe Photoshop 25.0", "Adobe Lightroom"]
+    });
+  });
+});
+
+describe("C2PA", () => {
+  test("decodes the CBOR C2PA uses", () => {
+    assert.equal(decodeCbor(Buffer.from([0xf9, 0x3c, 0x00])), 1);
+    assert.equal(decodeCbor(Buffer.from([0x39, 0x01, 0xf3])), -500);
+    assert.equal(decodeCbor(Buffer.from([0x7f, 0x63, 0x61, 0x62, 0x63, 0x62, 0x64, 0x65, 0xff])), "abcde");
+    assert.deepEqual(decodeCbor(Buffer.from([0xbf, 0x61, 0x61, 0x9f, 0xf5, 0xf6, 0xff, 0xff])), { a: [true, null] });
+    assert.equal(decodeCbor(Buffer.from([0xc0, 0x64, 0x32, 0x30, 0x32, 0x36])), "2026", "tags give their value");
+  });
+
+  test("reads the claim generator, assertions and actions of each manifest", () => {
+    assert.deepEqual(parseC2pa(manifestStore()), {
+      manifests: [{
+        label: "urn:uuid:0001",
+        claimGenerator: "Adobe_Firefly/2.0 c2pa-rs/0.28",
+        assertions: ["c2pa.actions", "c2pa.hash.data"],
+        actions: [{ action: "c2pa.created", digitalSourceType: TRAINED, softwareAgent: "Adobe Firefly" }]
+      }],
+      activeManifest: "urn:uuid:0001",
+      signatureVerified: false
+    });
+    assert.equal(parseC2pa(box("free", Buffer.alloc(8))), null);
+  });
+});
+
+describe("generator signatures", () => {
+  test("name the generator behind common strings", () => {
+    assert.equal(matchGenerator("DALL-E 3"), "DALL·E");
+    assert.equal(matchGenerator("ComfyUI"), "Stable Diffusion");
+    assert.equal(matchGenerator("Canon EOS R5"), null);
+    assert.deepEqual(syntheticSourceType(TRAINED), { code: "trainedAlgorithmicMedia", description: "AI-generated" });
+    assert.equal(syntheticSourceType("http://cv.iptc.org/newscodes/digitalsourcetype/digitalCapture"), null);
+  });
+
+  test("are reported once per generator and source", () => {
+    const found = findGeneratorSignatures({ exif: { software: "Midjourney v6", artist: "midjourney" }, xmp: null, texts: {}, c2pa: null, rawXmp: "" });
+    assert.deepEqual(found.map(s => [s.generator, s.source]), [["Midjourney", "exif:software"], ["Midjourney", "exif:artist"]]);
+
+    const twice = findGeneratorSignatures({ exif: null, xmp: { creatorTool: "Firefly", history: ["Adobe Firefly"] }, texts: {}, c2pa: null, rawXmp: "" });
+    assert.deepEqual(twice, [{ generator: "Adobe Firefly", source: "xmp", evidence: "Firefly" }]);
+  });
+});
+
+describe("provenance report", () => {
+  test("a camera photo with GPS", () => {
+    const report = extractProvenance(jpegWith(exifSegment(tiff({
+      ifd0: [[0x010f, "Canon"], [0x0110, "Canon EOS R5"]],
+      exif: [[0x9003, "2026:03:01 09:59:58"]],
+      gps: [[1, "N"], [2, [[48, 1], [51, 1], [0, 1]]], [3, "W"], [4, [[2, 1], [21, 1], [0, 1]]]]
+    }))));
+    assert.deepEqual([report.version, report.format, report.assessment, report.camera, report.capturedAt], [PROVENANCE_VERSION, "jpeg", "camera-metadata", "Canon EOS R5", "2026:03:01 09:59:58"]);
+    assert.deepEqual(report.gps, { latitude: 48.85, longitude: -2.35 });
+    assert.deepEqual(report.notes, ["Camera metadata: Canon EOS R5"]);
+  });
+
+  test("a photo saved from an editor", () => {
+    const report = extractProvenance(jpegWith(exifSegment(tiff({ ifd0: [[0x010f, "SONY"], [0x0110, "ILCE-7M4"], [0x0131, "Adobe Photoshop 25.0 (Macintosh)"]] }))));
+    assert.deepEqual([report.assessment, report.camera, report.editingSoftware], ["edited", "SONY ILCE-7M4", ["Adobe Photoshop 25.0 (Macintosh)"]]);
+    assert.deepEqual(report.notes, ["Processed with Adobe Photoshop 25.0 (Macintosh)", "Camera metadata: SONY ILCE-7M4"]);
+  });
+
+  test("a generator that declares itself in XMP", () => {
+    const report = extractProvenance(jpegWith(xmpSegment(`<rdf:Description Iptc4xmpExt:DigitalSourceType="${TRAINED}" xmp:CreatorTool="Adobe Firefly"/>`)));
+    assert.equal(report.assessment, "generator-signature");
+    assert.deepEqual(report.generatorSignatures.map(s => s.source), ["xmp:DigitalSourceType", "xmp"]);
+    assert.equal(report.notes[0], "Adobe Firefly signature found in xmp:DigitalSourceType");
+  });
+
+  test("Content Credentials split across APP11 segments, in any order", () => {
+    const [first, second] = c2paSegments(manifestStore(), 2);
+    const report = extractProvenance(jpegWith(second, first));
+    assert.equal(report.c2pa.manifests[0].claimGenerator, "Adobe_Firefly/2.0 c2pa-rs/0.28");
+    assert.deepEqual(report.generatorSignatures.map(s => [s.generator, s.source]), [["Adobe Firefly", "c2pa:claim_generator"], ["Adobe Firefly", "c2pa:actions"]]);
+    assert.ok(report.notes.includes("Content Credentials present (1 manifest, signature not verified)"));
+  });
+
+  test("Stable Diffusion settings in PNG text chunks, compressed or not", () => {
+    const workflow = JSON.stringify({ nodes: new Array(400).fill({ type: "KSampler" }) });
+    const zipped = Buffer.concat([Buffer.from("workflow\0\0", "latin1"), zlib.deflateSync(workflow)]);
+    const report = extractProvenance(png(
+      ["tEXt", Buffer.from("parameters\0a lighthouse at dusk\nSteps: 30, Sampler: DPM++ 2M, CFG scale: 7", "latin1")],
+      ["zTXt", zipped]
+    ));
+    assert.equal(report.format, "png");
+    assert.deepEqual(report.generatorSignatures.map(s => s.source), ["png:parameters", "png:comfyui"]);
+    assert.equal(report.pngText.workflow.length, 2001, "long text is cut to 2000 characters and an ellipsis");
+    assert.equal(report.generatorSignatures[0].evidence, "a lighthouse at dusk Steps: 30, Sampler: DPM++ 2M, CFG scale: 7");
+  });
+
+  test("XMP in a PNG iTXt chunk and EXIF in a WebP", () => {
+    const itxt = Buffer.from(`XML:com.adobe.xmp\0\0\0\0\0<rdf:Description tiff:Make="FUJIFILM" tiff:Model="X-T5"/>`, "utf8");
+    const fuji = extractProvenance(png(["iTXt", itxt]));
+    assert.deepEqual([fuji.camera, fuji.assessment], ["FUJIFILM X-T5", "camera-metadata"]);
+
+    const exif = Buffer.concat([Buffer.from("Exif\0\0", "latin1"), tiff({ ifd0: [[0x010e, "Imagined with Ideogram"]] })]);
+    const report = extractProvenance(webp(["VP8 ", Buffer.alloc(10)], ["EXIF", exif]));
+    assert.deepEqual([report.format, report.assessment, report.generatorSignatures[0].source], ["webp", "generator-signature", "exif:imageDescription"]);
+  });
+
+  test("metadata that says nothing, and none at all", () => {
+    const titled = extractProvenance(png(["tEXt", Buffer.from("Title\0Harbour", "latin1")]));
+    assert.deepEqual([titled.assessment, titled.pngText], ["metadata-present", { Title: "Harbour" }]);
+
+    const stripped = extractProvenance(photo);
+    assert.deepEqual([stripped.assessment, stripped.camera, stripped.exif, stripped.c2pa], ["no-metadata", null, null, null]);
+    assert.deepEqual(stripped.notes, ["No embedded metadata (stripped or never written)"]);
+  });
+});
@@ -0,0 +1,181 @@
+// test/observability.test.js - Request ids, structured logs and the Prometheus metrics
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import { CLEAN_ENV, dataUrl, listen, silenceLogs, testImage, writeCassette } from "./helpers.js";
+import { createLogger, requestIdFrom, withRequestContext } from "../lib/logging/index.js";
+import { Histogram, createMetrics } from "../lib/metrics/index.js";
+
+const images = { claude: testImage(1), unauthorized: testImage(4), tiny: testImage(7, 16, 16) };
+
+let server;
+let baseUrl;
+
+before(async () => {
+  silenceLogs();
+  Object.assign(process.env, CLEAN_ENV, { CLAUDE_API_KEY: "test-claude-key", DEEPSEEK_API_KEY: "test-deepseek-key", ANONYMOUS_SCOPES: "analyze,history,usage" });
+  process.env.PROVIDER_CASSETTE = await writeCassette([
+    { provider: "claude", image: images.claude, fixture: "claude-ai-generated" },
+    { provider: "claude", image: images.unauthorized, fixture: "claude-401", status: 401 },
+    { provider: "deepseek", image: images.unauthorized, fixture: "deepseek-original" }
+  ]);
+  const { app } = await import("../backend.js");
+  server = await listen(http.createServer(app));
+  baseUrl = server.baseUrl;
+});
+
+after(() => server.close());
+
+function analyze(body, headers = {}) {
+  return fetch(`${baseUrl}/analyze`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...headers },
+    body: JSON.stringify(body)
+  });
+}
+
+// { "name{labels}": value } from the exposition text
+async function scrape() {
+  const text = await (await fetch(`${baseUrl}/metrics`)).text();
+  return Object.fromEntries(text.split("\n").filter(line => line && !line.startsWith("#")).map(line => {
+    const at = line.lastIndexOf(" ");
+    return [line.slice(0, at), Number(line.slice(at + 1))];
+  }));
+}
+
+describe("request ids", () => {
+  test("every response names its request", async () => {
+    const res = await fetch(`${baseUrl}/`);
+    assert.match(res.headers.get("x-request-id"), /^[0-9a-f-]{36}$/);
+  });
+
+  test("a caller's own id is kept and error bodies carry it", async () => {
+    const res = await analyze({}, { "X-Request-Id": "upload-42" });
+    assert.equal(res.status, 400);
+    assert.equal(res.headers.get("x-request-id"), "upload-42");
+    assert.equal((await res.json()).requestId, "upload-42");
+
+    const notFound = await fetch(`${baseUrl}/nowhere`);
+    assert.equal((await notFound.json()).requestId, notFound.headers.get("x-request-id"));
+  });
+
+  test("ids that are unsafe to echo are replaced", () => {
+    assert.notEqual(requestIdFrom({ "x-request-id": "bad\nid" }), "bad\nid");
+    assert.notEqual(requestIdFrom({ "x-request-id": "x".repeat(129) }), "x".repeat(129));
+  });
+});
+
+describe("GET /metrics", () => {
+  test("counts requests, verdicts, provider calls and fallbacks", async () => {
+    await analyze({ image: dataUrl(images.claude) });
+    await analyze({ image: dataUrl(images.unauthorized) });
+
+    const res = await fetch(`${baseUrl}/metrics`);
+    assert.match(res.headers.get("content-type"), /^text\/plain;.*version=0\.0\.4/);
+    const metrics = await scrape();
+    assert.ok(metrics["truesight_http_requests_total{method=\"POST\",route=\"/analyze\",status=\"200\"}"] >= 2);
+    assert.equal(metrics["truesight_analyses_total{verdict=\"ai-generated\",method=\"claude\"}"], 1);
+    assert.equal(metrics["truesight_analyses_total{verdict=\"original\",method=\"deepseek\"}"], 1);
+    assert.equal(metrics["truesight_provider_calls_total{provider=\"claude\",outcome=\"auth\"}"], 1);
+    assert.equal(metrics["truesight_provider_latency_seconds_count{provider=\"claude\",outcome=\"ok\"}"], 1);
+    assert.equal(metrics["truesight_fallbacks_total{to=\"next-provider\"}"], 1);
+    assert.equal(metrics["truesight_degraded_analyses_total"], 1);
+    assert.equal(metrics["truesight_circuit_open{provider=\"claude\"}"], 0);
+  });
+
+  test("all-provider failures and forensics fallbacks stand out", async () => {
+    const before = await scrape();
+    assert.equal((await analyze({ image: dataUrl(images.tiny) })).status, 502);
+    await analyze({ image: dataUrl(testImage(9)) });
+
+    const metrics = await scrape();
+    assert.equal(metrics["truesight_http_requests_total{method=\"POST\",route=\"/analyze\",status=\"502\"}"], 1);
+    assert.equal(metrics["truesight_fallbacks_total{to=\"forensics\"}"], 1);
+    assert.equal(metrics["truesight_provider_calls_total{provider=\"deepseek\",outcome=\"error\"}"] - (before["truesight_provider_calls_total{provider=\"deepseek\",outcome=\"error\"}"] || 0), 2);
+  });
+
+  test("route patterns keep ids out of the labels", async () => {
+    await fetch(`${baseUrl}/history/some-id`);
+    const metrics = await scrape();
+    assert.equal(metrics["truesight_http_requests_total{method=\"GET\",route=\"/history/:id\",status=\"404\"}"], 1);
+  });
+});
+
+describe("metrics registry", () => {
+  test("histograms are cumulative", () => {
+    const histogram = new Histogram("latency_seconds", "Latency", ["provider"], [0.5, 1]);
+    for (const value of [0.2, 0.7, 3]) histogram.observe({ provider: "claude" }, value);
+    assert.deepEqual(histogram.render().slice(2), [
+      "latency_seconds_bucket{provider=\"claude\",le=\"0.5\"} 1",
+      "latency_seconds_bucket{provider=\"claude\",le=\"1\"} 2",
+      "latency_seconds_bucket{provider=\"claude\",le=\"+Inf\"} 3",
+      "latency_seconds_sum{provider=\"claude\"} 3.9",
+      "latency_seconds_count{provider=\"claude\"} 3"
+    ]);
+  });
+
+  test("cache hits and misses give the hit ratio", () => {
+    const metrics = createMetrics();
+    metrics.cacheLookup(true);
+    metrics.cacheLookup(false);
+    metrics.cacheLookup(false);
+    assert.equal(metrics.cacheLookups.get({ result: "hit" }), 1);
+    assert.match(metrics.render(), /truesight_cache_lookups_total\{result="miss"\} 2/);
+  });
+});
+
+describe("structured logs", () => {
+  test("everything logged while serving a request carries its id", async () => {
+    const lines = [];
+    const quiet = console.log;
+    console.log = line => lines.push(line);
+    try {
+      await analyze({ image: dataUrl(images.claude), force: true }, { "X-Request-Id": "traced-1" });
+    } finally {
+      console.log = quiet;
+    }
+    const entries = lines.map(line => JSON.parse(line)).filter(entry => entry.requestId === "traced-1");
+    assert.ok(entries.some(entry => entry.msg === "📡 Calling provider" && entry.provider === "claude"), "core log lines");
+    assert.ok(entries.some(entry => entry.msg === "request" && entry.status === 200 && entry.route === "/analyze"), "access log line");
+  });
+
+  test("provider calls log a fixed message with the provider, duration and outcome as fields", async () => {
+    const lines = [];
+    const quiet = { log: console.log, error: console.error };
+    console.log = console.error = line => lines.push(line);
+    try {
+      await analyze({ image: dataUrl(images.unauthorized), force: true }, { "X-Request-Id": "traced-2" });
+    } finally {
+      Object.assign(console, quiet);
+    }
+    const entries = lines.map(line => JSON.parse(line)).filter(entry => entry.requestId === "traced-2");
+    const failed = entries.find(entry => entry.msg === "❌ Provider call failed");
+    assert.deepEqual([failed.level, failed.provider, failed.outcome, failed.status, failed.attempt], ["error", "claude", "auth", 401, 1]);
+    assert.equal(typeof failed.latencyMs, "number");
+    const answered = entries.find(entry => entry.msg === "✅ Provider answered");
+    assert.deepEqual([answered.provider, answered.outcome, answered.inputTokens > 0], ["deepseek", "ok", true]);
+    assert.equal(typeof answered.latencyMs, "number");
+  });
+
+  test("JSON lines carry the request id and fields", () => {
+    const lines = [];
+    const log = createLogger({}, { out: line => lines.push(line), err: line => lines.push(line) });
+    withRequestContext({ requestId: "req-1" }, () => log.log("   📡 Connecting to %s...", "Claude"));
+    log.error("Analysis failed", { status: 502 });
+
+    const [first, second] = lines.map(line => JSON.parse(line));
+    assert.equal(first.msg, "📡 Connecting to Claude...");
+    assert.equal(first.level, "info");
+    assert.equal(first.requestId, "req-1");
+    assert.deepEqual([second.level, second.status, second.requestId], ["error", 502, undefined]);
+  });
+
+  test("pretty lines read like the console, and levels filter", () => {
+    const lines = [];
+    const log = createLogger({ LOG_FORMAT: "pretty", LOG_LEVEL: "warn" }, { out: line => lines.push(line), err: line => lines.push(line) });
+    log.info("hidden");
+    log.warn("🔒 Request refused", { path: "/usage" });
+    assert.deepEqual(lines, ["🔒 Request refused path=/usage"]);
+    assert.throws(() => createLogger({ LOG_FORMAT: "xml" }), /Unknown LOG_FORMAT/);
+  });
+});
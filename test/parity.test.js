@@ -0,0 +1,95 @@
+// test/parity.test.js - Express, Vercel and plain http deployments answer the same way
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import { CLEAN_ENV, dataUrl, invokeVercel, listen, silenceLogs, testImage, writeCassette } from "./helpers.js";
+
+const images = {
+  claude: testImage(1),
+  unauthorized: testImage(4),
+  tiny: testImage(7, 16, 16)
+};
+
+// Fields that legitimately differ per deployment or per call; latencies are compared apart
+const PER_DEPLOYMENT = ["deployment", "endpoints", "features", "timestamp"];
+const PER_CALL = ["analysisId", "meta", "requestId"];
+
+function billed(result) {
+  return result.meta?.usage.calls.map(({ latencyMs, ...call }) => call);
+}
+
+let express;
+let plain;
+let vercelHandler;
+
+before(async () => {
+  silenceLogs();
+  Object.assign(process.env, CLEAN_ENV, {
+    CLAUDE_API_KEY: "test-claude-key",
+    DEEPSEEK_API_KEY: "test-deepseek-key"
+  });
+  process.env.PROVIDER_CASSETTE = await writeCassette([
+    { provider: "claude", image: images.claude, fixture: "claude-ai-generated" },
+    { provider: "claude", image: images.unauthorized, fixture: "claude-401", status: 401 },
+    { provider: "deepseek", image: images.unauthorized, fixture: "deepseek-original" }
+  ]);
+
+  const { app } = await import("../backend.js");
+  const { createHandler } = await import("../server.js");
+  const { createCore } = await import("../lib/core/index.js");
+  ({ default: vercelHandler } = await import("../api/analyze.js"));
+
+  express = await listen(http.createServer(app));
+  plain = await listen(http.createServer(createHandler(await createCore())));
+});
+
+after(async () => {
+  await express.close();
+  await plain.close();
+});
+
+function without(object, keys) {
+  return Object.fromEntries(Object.entries(object).filter(([key]) => !keys.includes(key)));
+}
+
+// [status, body] from each deployment
+async function everywhere({ method = "POST", body }) {
+  const call = async (baseUrl, path) => {
+    const res = await fetch(`${baseUrl}${path}`, {
+      method,
+      ...(method === "POST" && { headers: { "Content-Type": "application/json" }, body: JSON.stringify(body) })
+    });
+    return [res.status, await res.json()];
+  };
+  const vercel = await invokeVercel(vercelHandler, { method, body });
+
+  return {
+    express: await call(express.baseUrl, method === "GET" ? "/" : "/analyze"),
+    plain: await call(plain.baseUrl, method === "GET" ? "/" : "/analyze"),
+    vercel: [vercel.statusCode, vercel.body]
+  };
+}
+
+test("health endpoints report the same capability document", async () => {
+  const docs = await everywhere({ method: "GET" });
+  assert.deepEqual(without(docs.vercel[1], PER_DEPLOYMENT), without(docs.express[1], PER_DEPLOYMENT));
+  assert.deepEqual(without(docs.plain[1], PER_DEPLOYMENT), without(docs.express[1], PER_DEPLOYMENT));
+});
+
+for (const [name, image] of Object.entries(images)) {
+  test(`analysis of the "${name}" image matches across deployments`, async () => {
+    const results = await everywhere({ body: { image: dataUrl(image), mode: "single" } });
+    for (const deployment of ["vercel", "plain"]) {
+      assert.equal(results[deployment][0], results.express[0], `${deployment} status`);
+      assert.deepEqual(without(results[deployment][1], PER_CALL), without(results.express[1], PER_CALL), deployment);
+      assert.deepEqual(billed(results[deployment][1]), billed(results.express[1]), `${deployment} usage`);
+    }
+  });
+}
+
+test("a missing image is rejected the same way everywhere", async () => {
+  const results = await everywhere({ body: {} });
+  const answer = ([status, body]) => [status, without(body, PER_CALL)];
+  assert.deepEqual(answer(results.vercel), answer(results.express));
+  assert.deepEqual(answer(results.plain), answer(results.express));
+});
@@ -0,0 +1,63 @@
+// test/profiles.test.js - Prompt profile loading and confidence thresholds
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { applyThresholds, createProfiles, loadProfiles, promptFor } from "../lib/profiles/index.js";
+import { VERDICT_FORMAT } from "../lib/providers/prompts.js";
+
+const profiles = loadProfiles();
+
+function tempProfiles(files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "truesight-profiles-"));
+  for (const [name, content] of Object.entries(files)) fs.writeFileSync(path.join(dir, name), JSON.stringify(content));
+  return dir;
+}
+
+test("ships the strict, balanced and permissive profiles", () => {
+  assert.deepEqual([...profiles.keys()], ["balanced", "permissive", "strict"]);
+  for (const profile of profiles.values()) {
+    assert.ok(promptFor(profile, "claude").includes(VERDICT_FORMAT), `${profile.name} asks for the verdict format`);
+  }
+});
+
+test("providers without their own prompt get the default one", () => {
+  const strict = profiles.get("strict");
+  assert.notEqual(promptFor(strict, "deepseek"), promptFor(strict, "claude"));
+  assert.equal(promptFor(strict, "openai"), promptFor(strict, "claude"));
+});
+
+test("a verdict below the profile's bar becomes inconclusive with its leaning", () => {
+  const balanced = profiles.get("balanced");
+  const result = applyThresholds({ verdict: "original", confidence: 60, isOriginal: true, findings: [], summary: [] }, balanced);
+  assert.equal(result.verdict, "inconclusive");
+  assert.equal(result.leaning, "original");
+  assert.equal(result.isOriginal, true);
+  assert.equal(result.findings[0].source, "policy");
+
+  const kept = applyThresholds({ verdict: "original", confidence: 70, findings: [], summary: [] }, balanced);
+  assert.equal(kept.verdict, "original");
+});
+
+test("the same answer can pass one policy and fail another", () => {
+  const answer = { verdict: "ai-generated", confidence: 70, findings: [], summary: [] };
+  assert.equal(applyThresholds(answer, profiles.get("strict")).verdict, "ai-generated");
+  assert.equal(applyThresholds(answer, profiles.get("permissive")).verdict, "inconclusive");
+});
+
+test("custom profile directories are validated", () => {
+  const dir = tempProfiles({
+    "review.json": { name: "review", version: "2", prompts: { default: ["Judge this image.", "{{verdictFormat}}"] } }
+  });
+  const custom = createProfiles({ PROMPT_PROFILES_DIR: dir, PROMPT_PROFILE: "review" });
+  assert.equal(custom.default.name, "review");
+  assert.ok(custom.default.prompts.default.endsWith(VERDICT_FORMAT));
+  assert.equal(custom.get("strict"), null);
+
+  const broken = tempProfiles({
+    "bad.json": { name: "bad", version: "1", prompts: { default: ["x"] }, thresholds: { inconclusiveBelow: { maybe: 50 } } }
+  });
+  assert.throws(() => loadProfiles(broken), /unknown verdict "maybe"/);
+  assert.throws(() => createProfiles({ PROMPT_PROFILES_DIR: dir, PROMPT_PROFILE: "strict" }), /Unknown PROMPT_PROFILE "strict"/);
+});
@@ -0,0 +1,174 @@
+// test/providers.test.js - The OpenAI-compatible and local (Ollama, llama.cpp) adapters against a stand-in server
+import { after, before, beforeEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import { listen, testImage } from "./helpers.js";
+import { ProviderError, analyzeWithProvider, getProvider } from "../lib/providers/index.js";
+import { failureKind } from "../lib/providers/resilience.js";
+
+const image = { base64Data: testImage(1), mediaType: "image/jpeg" };
+const prompt = "Is this image AI-generated?";
+const verdictText = JSON.stringify({
+  verdict: "ai-generated",
+  confidence: 81,
+  findings: [{ category: "anatomy", severity: "high", description: "Six fingers on the left hand" }]
+});
+
+// Every request is recorded; each is answered with `reply` ({ status, headers?, body })
+let stand;
+let reply;
+let requests;
+
+before(async () => {
+  stand = await listen(http.createServer((req, res) => {
+    let body = "";
+    req.on("data", chunk => { body += chunk; });
+    req.on("end", () => {
+      requests.push({ method: req.method, path: req.url, headers: req.headers, body: JSON.parse(body) });
+      res.writeHead(reply.status, { "Content-Type": "application/json", ...reply.headers });
+      res.end(typeof reply.body === "string" ? reply.body : JSON.stringify(reply.body));
+    });
+  }));
+});
+
+after(() => stand.close());
+
+beforeEach(() => {
+  requests = [];
+});
+
+const call = (name, env, options = {}) => analyzeWithProvider(getProvider(name), image, { env, prompt, ...options });
+
+// Chat Completions reply, as OpenAI, vLLM and llama-server send it
+const chatCompletion = (model, content) => ({
+  model,
+  choices: [{ index: 0, message: { role: "assistant", content }, finish_reason: "stop" }],
+  usage: { prompt_tokens: 900, completion_tokens: 40 }
+});
+
+describe("openai-compatible adapter", () => {
+  test("sends the image inline with the prompt, and the key as a bearer token", async () => {
+    reply = { status: 200, body: chatCompletion("gpt-4o-2024-08-06", verdictText) };
+    const result = await call("openai", { OPENAI_BASE_URL: `${stand.baseUrl}/v1/`, OPENAI_API_KEY: "test-openai-key", OPENAI_MODEL: "gpt-4o" });
+
+    const [request] = requests;
+    assert.deepEqual([request.method, request.path, request.headers.authorization], ["POST", "/v1/chat/completions", "Bearer test-openai-key"]);
+    assert.equal(request.body.model, "gpt-4o");
+    assert.deepEqual(request.body.messages[0].content, [
+      { type: "image_url", image_url: { url: `data:image/jpeg;base64,${image.base64Data}` } },
+      { type: "text", text: prompt }
+    ]);
+    assert.deepEqual([request.body.temperature, request.body.max_tokens, request.body.stream], [0.2, 1024, undefined]);
+
+    assert.deepEqual([result.verdict, result.confidence, result.analysisMethod], ["ai-generated", 81, "openai-api"]);
+    assert.equal(result.findings[0].message, "Six fingers on the left hand");
+    assert.deepEqual(result.usage, { model: "gpt-4o-2024-08-06", inputTokens: 900, outputTokens: 40 });
+  });
+
+  test("a keyless self-hosted server gets no Authorization header and the default model", async () => {
+    reply = { status: 200, body: { choices: [{ message: { content: verdictText } }] } };
+    const env = { OPENAI_BASE_URL: stand.baseUrl };
+    assert.equal(getProvider("openai").isConfigured(env), true);
+    const result = await call("openai", env);
+
+    assert.equal(requests[0].headers.authorization, undefined);
+    assert.equal(requests[0].body.model, "gpt-4o-mini");
+    assert.deepEqual(result.usage, { model: "gpt-4o-mini", inputTokens: 0, outputTokens: 0 }, "the requested model when the reply names none");
+  });
+
+  test("streams Server-Sent Events, with token counts from the last one", async () => {
+    const events = [
+      { model: "gpt-4o", choices: [{ delta: { content: verdictText.slice(0, 30) } }] },
+      { model: "gpt-4o", choices: [{ delta: { content: verdictText.slice(30) } }] },
+      { model: "gpt-4o", choices: [], usage: { prompt_tokens: 900, completion_tokens: 40 } }
+    ];
+    reply = { status: 200, headers: { "Content-Type": "text/event-stream" }, body: events.map(e => `data: ${JSON.stringify(e)}\n\n`).join("") + "data: [DONE]\n\n" };
+    const pieces = [];
+    const result = await call("openai", { OPENAI_BASE_URL: stand.baseUrl }, { onText: text => pieces.push(text) });
+
+    assert.deepEqual(requests[0].body.stream_options, { include_usage: true });
+    assert.equal(pieces.join(""), verdictText);
+    assert.equal(result.verdict, "ai-generated");
+    assert.deepEqual(result.usage, { model: "gpt-4o", inputTokens: 900, outputTokens: 40 });
+  });
+
+  test("HTTP failures become ProviderErrors with the status and Retry-After", async () => {
+    const env = { OPENAI_BASE_URL: stand.baseUrl, OPENAI_API_KEY: "test-openai-key" };
+    const failures = [[429, "rate-limited"], [401, "auth"], [400, "rejected"], [502, "unavailable"]];
+    for (const [status, kind] of failures) {
+      reply = { status, headers: { "Retry-After": "7" }, body: { error: { message: "nope" } } };
+      const err = await call("openai", env).then(() => null, e => e);
+      assert.ok(err instanceof ProviderError, `HTTP ${status}`);
+      assert.deepEqual([err.provider, err.status, err.retryAfter, failureKind(err)], ["openai", status, "7", kind]);
+      assert.match(err.message, new RegExp(`^OpenAI-compatible API error: ${status} - .*nope`));
+    }
+  });
+
+  test("a reply that is not JSON falls back to reading the prose", async () => {
+    reply = { status: 200, body: chatCompletion("gpt-4o", "This looks like an authentic photograph with natural sensor noise.") };
+    const result = await call("openai", { OPENAI_BASE_URL: stand.baseUrl });
+    assert.equal(result.analysisMethod, "openai-api-fallback");
+    assert.ok(result.parseError);
+  });
+});
+
+describe("local adapter", () => {
+  test("Ollama: /api/chat with the image beside the prompt, JSON format and no sampling", async () => {
+    reply = { status: 200, body: { model: "llava:13b", message: { role: "assistant", content: verdictText }, done: true, prompt_eval_count: 600, eval_count: 35 } };
+    const result = await call("local", { LOCAL_MODEL_URL: `${stand.baseUrl}/` });
+
+    const [request] = requests;
+    assert.equal(request.path, "/api/chat");
+    assert.equal(request.headers.authorization, undefined);
+    assert.deepEqual(request.body, {
+      model: "llava",
+      messages: [{ role: "user", content: prompt, images: [image.base64Data] }],
+      format: "json",
+      stream: false,
+      options: { temperature: 0 }
+    });
+
+    assert.deepEqual([result.verdict, result.confidence, result.analysisMethod], ["ai-generated", 81, "local-api"]);
+    assert.deepEqual(result.usage, { model: "llava:13b", inputTokens: 600, outputTokens: 35 });
+  });
+
+  test("Ollama: streams NDJSON, with token counts in the done chunk", async () => {
+    const chunks = [
+      { model: "llava", message: { content: verdictText.slice(0, 20) }, done: false },
+      { model: "llava", message: { content: verdictText.slice(20) }, done: false },
+      { model: "llava", message: { content: "" }, done: true, prompt_eval_count: 600, eval_count: 35 }
+    ];
+    reply = { status: 200, headers: { "Content-Type": "application/x-ndjson" }, body: chunks.map(c => JSON.stringify(c)).join("\n") + "\n" };
+    const pieces = [];
+    const result = await call("local", { LOCAL_MODEL_URL: stand.baseUrl, LOCAL_MODEL_NAME: "llava" }, { onText: text => pieces.push(text) });
+
+    assert.equal(requests[0].body.stream, true);
+    assert.equal(pieces.join(""), verdictText);
+    assert.deepEqual(result.usage, { model: "llava", inputTokens: 600, outputTokens: 35 });
+  });
+
+  test("llama.cpp: the Chat Completions dialect under /v1", async () => {
+    reply = { status: 200, body: chatCompletion("qwen2-vl", verdictText) };
+    const result = await call("local", { LOCAL_MODEL_URL: stand.baseUrl, LOCAL_MODEL_FLAVOR: "llamacpp", LOCAL_MODEL_NAME: "qwen2-vl" });
+
+    const [request] = requests;
+    assert.equal(request.path, "/v1/chat/completions");
+    assert.equal(request.body.model, "qwen2-vl");
+    assert.equal(request.body.temperature, 0);
+    assert.equal(request.body.messages[0].content[0].image_url.url, `data:image/jpeg;base64,${image.base64Data}`);
+    assert.deepEqual([result.verdict, result.usage.inputTokens, result.usage.outputTokens], ["ai-generated", 900, 40]);
+  });
+
+  test("a busy model server and one that is not running are both unavailable", async () => {
+    reply = { status: 503, body: { error: "model is loading" } };
+    const busy = await call("local", { LOCAL_MODEL_URL: stand.baseUrl }).then(() => null, e => e);
+    assert.deepEqual([busy.name, busy.status, failureKind(busy)], ["ProviderError", 503, "unavailable"]);
+    assert.match(busy.message, /^Local model API error: 503 - .*model is loading/);
+
+    // A port nothing listens on once the server that had it is closed
+    const gone = await listen(http.createServer());
+    await gone.close();
+    const down = await call("local", { LOCAL_MODEL_URL: gone.baseUrl }).then(() => null, e => e);
+    assert.equal(failureKind(down), "unavailable");
+  });
+});
@@ -0,0 +1,64 @@
+// test/replay.test.js - Cassette recording and replay
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {
+  ReplayMissError, createCassette, createProviderFetch, loadCassette, recordingFetch, replayFetch, requestKey
+} from "../lib/replay.js";
+
+function fakeFetch(status, body) {
+  const calls = [];
+  const impl = async (url, init) => {
+    calls.push({ url, init });
+    return { ok: status < 300, status, text: async () => body };
+  };
+  return { impl, calls };
+}
+
+const request = { method: "POST", headers: { "x-api-key": "secret-key" }, body: "{\"model\":\"m\"}" };
+
+test("keys requests by method, URL and body", () => {
+  const key = requestKey("https://api.example.com/v1", request);
+  assert.equal(key, requestKey("https://api.example.com/v1", { ...request, headers: {} }));
+  assert.notEqual(key, requestKey("https://api.example.com/v1", { ...request, body: "{}" }));
+  assert.notEqual(key, requestKey("https://api.example.com/v2", request));
+  assert.notEqual(key, requestKey("https://api.example.com/v1", { ...request, method: "PUT" }));
+});
+
+test("replays what was recorded without storing headers", async () => {
+  const cassette = createCassette();
+  const live = fakeFetch(429, "{\"error\":\"slow down\"}");
+
+  const recorded = await recordingFetch(live.impl, cassette)("https://api.example.com/v1", request);
+  assert.equal(recorded.status, 429);
+  assert.equal(recorded.ok, false);
+  assert.doesNotMatch(JSON.stringify(cassette), /secret-key/);
+
+  const replayed = await replayFetch(cassette)("https://api.example.com/v1", request);
+  assert.equal(replayed.status, 429);
+  assert.deepEqual(await replayed.json(), { error: "slow down" });
+  assert.equal(live.calls.length, 1);
+});
+
+test("throws ReplayMissError for unrecorded requests", async () => {
+  await assert.rejects(replayFetch(createCassette())("https://api.example.com/v1", request), ReplayMissError);
+});
+
+test("createProviderFetch records to and replays from PROVIDER_CASSETTE", async () => {
+  const filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "truesight-test-")), "cassette.json");
+  const live = fakeFetch(200, "{\"ok\":true}");
+
+  assert.equal(await createProviderFetch(live.impl, {}), live.impl);
+
+  const record = await createProviderFetch(live.impl, { PROVIDER_CASSETTE: filePath, PROVIDER_CASSETTE_MODE: "record" });
+  await record("https://api.example.com/v1", request);
+  assert.equal(Object.keys((await loadCassette(filePath)).entries).length, 1);
+
+  const replay = await createProviderFetch(live.impl, { PROVIDER_CASSETTE: filePath });
+  assert.deepEqual(await (await replay("https://api.example.com/v1", request)).json(), { ok: true });
+  assert.equal(live.calls.length, 1);
+
+  await assert.rejects(createProviderFetch(live.impl, { PROVIDER_CASSETTE: filePath, PROVIDER_CASSETTE_MODE: "live" }), /Unknown/);
+});
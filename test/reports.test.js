@@ -0,0 +1,121 @@
+// test/reports.test.js - Downloadable PDF, JSON and Markdown reports of past analyses
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import fs from "fs";
+import http from "http";
+import { CLEAN_ENV, dataUrl, listen, silenceLogs, testImage, writeCassette } from "./helpers.js";
+import { buildReport, renderMarkdown, renderPdf } from "../lib/reports/index.js";
+
+const image = testImage(1);
+const { version } = JSON.parse(fs.readFileSync(new URL("../package.json", import.meta.url), "utf8"));
+
+let server;
+let baseUrl;
+let analysisId;
+
+before(async () => {
+  silenceLogs();
+  Object.assign(process.env, CLEAN_ENV, { CLAUDE_API_KEY: "test-claude-key", DEEPSEEK_API_KEY: "test-deepseek-key", ANONYMOUS_SCOPES: "analyze,history" });
+  process.env.PROVIDER_CASSETTE = await writeCassette([
+    { provider: "claude", image, fixture: "claude-ai-generated" },
+    { provider: "deepseek", image, fixture: "deepseek-original" }
+  ]);
+  const { app } = await import("../backend.js");
+  server = await listen(http.createServer(app));
+  baseUrl = server.baseUrl;
+
+  const res = await fetch(`${baseUrl}/analyze`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ image: dataUrl(image), fileName: "harbour (final).jpg", mode: "ensemble" })
+  });
+  analysisId = (await res.json()).analysisId;
+});
+
+after(() => server.close());
+
+describe("GET /reports/:id", () => {
+  test("JSON carries hashes, every provider's verdict and the versions", async () => {
+    const res = await fetch(`${baseUrl}/reports/${analysisId}.json`);
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get("content-disposition"), `attachment; filename="truesight-report-${analysisId}.json"`);
+    const report = await res.json();
+
+    assert.equal(report.analysis.id, analysisId);
+    assert.equal(report.image.sha256, crypto.createHash("sha256").update(Buffer.from(image, "base64")).digest("hex"));
+    assert.match(report.image.thumbnail, /^data:image\/jpeg;base64,/);
+    assert.deepEqual(report.providers.map(p => [p.provider, p.verdict]), [["claude", "ai-generated"], ["deepseek", "original"], ["forensics", report.providers[2].verdict]]);
+    assert.ok(report.providers[0].findings.length > 0);
+    assert.equal(report.versions.version, version);
+    assert.equal(report.versions.profile, "strict@1.0.0");
+    assert.equal(report.generator.version, version);
+    assert.ok(report.provenance.assessment);
+    assert.ok(report.usage.calls.some(c => c.provider === "claude"));
+  });
+
+  test("Markdown lists the same outline", async () => {
+    const res = await fetch(`${baseUrl}/reports/${analysisId}.md`);
+    assert.match(res.headers.get("content-type"), /^text\/markdown/);
+    const text = await res.text();
+    assert.match(text, /^# TrueSight forensic report/);
+    for (const heading of ["Verdict", "Image", "Provenance & metadata", "Provider verdicts", "Local forensics", "Versions & timestamps"]) {
+      assert.ok(text.includes(`## ${heading}\n`), heading);
+    }
+    assert.ok(text.includes("**claude: AI-Generated"));
+    assert.ok(text.includes("- **SHA-256:** "));
+  });
+
+  test("PDF is a well-formed document with the thumbnail", async () => {
+    const res = await fetch(`${baseUrl}/reports/${analysisId}.pdf`);
+    assert.equal(res.headers.get("content-type"), "application/pdf");
+    const pdf = Buffer.from(await res.arrayBuffer());
+    const text = pdf.toString("latin1");
+    assert.ok(text.startsWith("%PDF-1.4"));
+    assert.ok(text.endsWith("%%EOF\n"));
+    assert.ok(text.includes("/Subtype /Image"));
+    assert.ok(text.includes("(File: harbour \\(final\\).jpg) Tj"));
+
+    // Every cross-reference entry points at its object
+    const xref = Number(text.match(/startxref\n(\d+)/)[1]);
+    const offsets = text.slice(xref).match(/^\d{10} 00000 n $/gm).map(line => Number(line.slice(0, 10)));
+    offsets.forEach((offset, i) => assert.ok(text.startsWith(`${i + 1} 0 obj`, offset), `object ${i + 1}`));
+  });
+
+  test("answers 404 for unknown analyses and 400 for unknown formats", async () => {
+    const missing = await fetch(`${baseUrl}/reports/no-such-id.pdf`);
+    assert.equal(missing.status, 404);
+    const docx = await fetch(`${baseUrl}/reports/${analysisId}.docx`);
+    assert.equal(docx.status, 400);
+    assert.equal((await docx.json()).error, "Invalid report format");
+    assert.equal((await fetch(`${baseUrl}/reports/${analysisId}.constructor`)).status, 400, "not a format because objects have it");
+  });
+});
+
+describe("rendering", () => {
+  const record = {
+    id: "r1",
+    createdAt: "2026-01-01T00:00:00.000Z",
+    fileName: "*bold* <b>.jpg",
+    verdict: "inconclusive",
+    leaning: "ai-generated",
+    confidence: 48,
+    analysisMethod: "ensemble",
+    summary: [],
+    findings: [],
+    provenance: { assessment: "no-metadata" },
+    forensicsScore: null
+  };
+
+  test("escapes what the file says about itself in Markdown", () => {
+    const text = renderMarkdown(buildReport(record));
+    assert.ok(text.includes("- **File:** \\*bold\\* \\<b\\>.jpg"));
+    assert.ok(text.includes("Inconclusive (leans AI-Generated), 48% confidence"));
+  });
+
+  test("wraps long lines and drops characters the PDF fonts lack", () => {
+    const pdf = renderPdf(buildReport({ ...record, summary: ["Lorem ipsum 🙂 dolor ".repeat(40)] })).toString("latin1");
+    assert.ok(pdf.match(/ipsum[^)]*\) Tj/g).length > 3);
+    assert.ok(!/[^\x00-\xff]/.test(pdf));
+  });
+});
@@ -0,0 +1,190 @@
+// test/resilience.test.js - Provider timeouts, retries with backoff, circuit breakers and the degraded state
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { CLEAN_ENV, dataUrl, fixture, testImage } from "./helpers.js";
+import { createCore } from "../lib/core/index.js";
+import { CircuitBreaker, parseRetryAfter, resiliencePolicy, retryDelay } from "../lib/providers/resilience.js";
+import { ProviderError } from "../lib/providers/index.js";
+import { RESPONSE_SCHEMA } from "../lib/verdict.js";
+
+const QUIET_LOGGER = { log() {}, error() {} };
+const CLAUDE = { name: "claude", label: "Claude" };
+const image = dataUrl(testImage(1));
+
+// Answers each call with the next of `replies` ({ status, body?, headers? } or "hang"),
+// repeating the last one
+function scriptedFetch(replies) {
+  const fake = async (url, init) => {
+    const reply = replies[Math.min(fake.calls++, replies.length - 1)];
+    if (reply === "hang") {
+      // The timer stands in for the open socket that would keep the process alive
+      return new Promise((resolve, reject) => {
+        const socket = setTimeout(() => {}, 10000);
+        init.signal.addEventListener("abort", () => {
+          clearTimeout(socket);
+          reject(init.signal.reason);
+        });
+      });
+    }
+    return new Response(reply.body ?? "{\"error\":\"busy\"}", { status: reply.status, headers: reply.headers });
+  };
+  fake.calls = 0;
+  return fake;
+}
+
+const answer = { status: 200, body: fixture("claude-ai-generated") };
+
+function core(fetch, env = {}) {
+  return createCore({ env: { ...CLEAN_ENV, CLAUDE_API_KEY: "test-claude-key", PROVIDER_RETRY_BASE_MS: "1", ...env }, fetch, logger: QUIET_LOGGER });
+}
+
+describe("backoff", () => {
+  const policy = resiliencePolicy({ PROVIDER_RETRIES: "3", PROVIDER_RETRY_BASE_MS: "100", PROVIDER_RETRY_MAX_MS: "1000" });
+  const busy = new ProviderError(CLAUDE, 503, "busy");
+
+  test("doubles the wait with every attempt, up to the maximum", () => {
+    assert.deepEqual([0, 1, 2].map(attempt => retryDelay(busy, attempt, policy, () => 0)), [100, 200, 400]);
+    assert.equal(retryDelay(busy, 2, { ...policy, maxDelayMs: 300 }, () => 0.5), 300);
+    assert.equal(retryDelay(busy, 3, policy), null);
+  });
+
+  test("waits at least as long as Retry-After asks", () => {
+    assert.equal(retryDelay(new ProviderError(CLAUDE, 429, "slow down", "0.5"), 0, policy, () => 0), 500);
+    assert.equal(retryDelay(new ProviderError(CLAUDE, 429, "slow down", "30"), 0, policy), null);
+    assert.equal(parseRetryAfter("Wed, 21 Oct 2026 07:28:05 GMT", Date.parse("Wed, 21 Oct 2026 07:28:00 GMT")), 5000);
+    assert.equal(parseRetryAfter("soon"), null);
+  });
+
+  test("does not retry errors that would fail again", () => {
+    assert.equal(retryDelay(new ProviderError(CLAUDE, 401, "bad key"), 0, policy), null);
+    assert.equal(retryDelay(new Error("Unexpected token < in JSON"), 0, policy), null);
+  });
+});
+
+describe("circuit breaker", () => {
+  test("opens after repeated failures, then lets one trial call through", () => {
+    let now = 0;
+    const breaker = new CircuitBreaker("claude", { threshold: 2, cooldownMs: 1000 }, () => now);
+    const down = new ProviderError(CLAUDE, 503, "down");
+
+    breaker.failure(down);
+    assert.equal(breaker.allow(), true);
+    breaker.failure(down);
+    assert.equal(breaker.state, "open");
+    assert.equal(breaker.allow(), false);
+
+    now = 1000;
+    assert.equal(breaker.allow(), true);
+    assert.equal(breaker.state, "half-open");
+    assert.equal(breaker.allow(), false, "only one trial call at a time");
+    breaker.failure(down);
+    assert.equal(breaker.snapshot().retryAt, new Date(2000).toISOString());
+
+    now = 2000;
+    breaker.allow();
+    breaker.success();
+    assert.deepEqual(breaker.snapshot(), { provider: "claude", state: "closed", consecutiveFailures: 0, lastError: down.message });
+  });
+
+  test("errors that are the request's fault do not count", () => {
+    const breaker = new CircuitBreaker("claude", { threshold: 1 });
+    breaker.failure(new ProviderError(CLAUDE, 400, "image too large"));
+    assert.equal(breaker.state, "closed");
+  });
+});
+
+describe("provider calls", () => {
+  test("retries a rate-limited call after Retry-After", async () => {
+    const fetch = scriptedFetch([{ status: 429, headers: { "retry-after": "0" } }, answer]);
+    const service = await core(fetch, { PROVIDER_RETRIES: "2" });
+    const events = [];
+    const result = await service.analyze(image, { onProgress: event => events.push(event) });
+
+    assert.equal(fetch.calls, 2);
+    assert.equal(result.verdict, "ai-generated");
+    assert.equal(result.degraded, null);
+    assert.deepEqual(result.meta.usage.calls.map(c => !!c.failed), [true, false]);
+    const retry = events.find(e => e.type === "provider" && e.status === "retrying");
+    assert.deepEqual([retry.attempt, retry.kind], [2, "rate-limited"]);
+  });
+
+  test("gives up on a provider that does not answer in time", async () => {
+    const fetch = scriptedFetch(["hang"]);
+    const service = await core(fetch, { CLAUDE_TIMEOUT_MS: "20" });
+    const result = await service.analyze(image);
+
+    assert.equal(result.analysisMethod, "forensics");
+    assert.deepEqual(result.degraded.providers.map(p => [p.provider, p.kind]), [["claude", "timeout"]]);
+    assert.match(result.degraded.providers[0].error, /did not answer within 20ms/);
+    assert.equal(result.degraded.fallback, "forensics");
+  });
+
+  test("skips a provider whose breaker is open and reports it on the health document", async () => {
+    const fetch = scriptedFetch([{ status: 503 }]);
+    const service = await core(fetch, { CIRCUIT_BREAKER_THRESHOLD: "2" });
+    assert.equal(service.capabilities().status, "online");
+
+    await service.analyze(image);
+    await service.analyze(image);
+    const skipped = await service.analyze(image);
+    assert.equal(fetch.calls, 2);
+    assert.deepEqual(skipped.degraded.providers.map(p => p.kind), ["circuit-open"]);
+    assert.match(skipped.degraded.providers[0].error, /skipped until/);
+
+    const health = service.capabilities();
+    assert.equal(health.status, "degraded");
+    assert.equal(health.resilience.circuits[0].state, "open");
+    assert.equal(health.resilience.circuits[0].consecutiveFailures, 2);
+    assert.equal(health.resilience.timeoutsMs.claude, 30000);
+  });
+
+  test("a cancelled trial call leaves the breaker ready for the next one", async () => {
+    const fetch = scriptedFetch([{ status: 503 }, "hang", answer]);
+    const service = await core(fetch, { CIRCUIT_BREAKER_THRESHOLD: "1", CIRCUIT_BREAKER_COOLDOWN_MS: "0" });
+    await service.analyze(image);
+
+    const controller = new AbortController();
+    const cancelled = service.analyze(image, { signal: controller.signal });
+    while (fetch.calls < 2) await new Promise(resolve => setImmediate(resolve));
+    const health = service.capabilities();
+    assert.equal(health.resilience.circuits[0].state, "half-open");
+    assert.equal(health.status, "degraded", "a half-open breaker still refuses calls");
+    assert.match(service.metrics.render(), /truesight_circuit_open\{provider="claude"\} 1/);
+    controller.abort();
+    await assert.rejects(cancelled);
+    assert.equal(service.capabilities().resilience.circuits[0].state, "open");
+
+    const result = await service.analyze(image);
+    assert.equal(fetch.calls, 3);
+    assert.equal(result.verdict, "ai-generated");
+    assert.equal(service.capabilities().resilience.circuits[0].state, "closed");
+  });
+});
+
+describe("degraded state", () => {
+  test("with nothing to judge the image, answers without a verdict instead of guessing", async () => {
+    const service = await createCore({ env: CLEAN_ENV, logger: QUIET_LOGGER });
+    const result = await service.analyze(dataUrl(testImage(7, 16, 16)));
+
+    assert.equal(result.verdict, "inconclusive");
+    assert.equal(result.confidence, 0);
+    assert.equal(result.analysisMethod, "none");
+    assert.equal(result.degraded.fallback, null);
+    assert.match(result.degraded.reason, /no verdict/);
+    assert.equal(result.review.status, "pending");
+  });
+
+  test("an ensemble whose providers all failed says it fell back to forensics", async () => {
+    const service = await core(scriptedFetch([{ status: 503 }]), { DEEPSEEK_API_KEY: "test-deepseek-key" });
+    const result = await service.analyze(image, { mode: "ensemble" });
+
+    assert.deepEqual(result.ensemble.votes.map(v => [v.provider, !!v.error]), [["claude", true], ["deepseek", true], ["forensics", false]]);
+    assert.equal(result.degraded.fallback, "forensics");
+    assert.match(result.degraded.reason, /local forensics alone/);
+    assert.deepEqual(result.degraded.providers.map(p => [p.provider, p.kind]), [["claude", "unavailable"], ["deepseek", "unavailable"]]);
+  });
+
+  test("is part of the response schema", () => {
+    assert.deepEqual(RESPONSE_SCHEMA.properties.degraded.required, ["reason", "providers", "fallback"]);
+  });
+});
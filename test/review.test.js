@@ -0,0 +1,162 @@
+// test/review.test.js - Human review queue, overrides, audit trail and label export
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import http from "http";
+import os from "os";
+import path from "path";
+import { CLEAN_ENV, dataUrl, listen, silenceLogs, testImage, writeCassette } from "./helpers.js";
+import { FileReviewLog, initialReview, labelsToCsv } from "../lib/review/index.js";
+
+const images = { sure: testImage(1), split: testImage(2) };
+
+let server;
+let baseUrl;
+let sure;
+let split;
+
+before(async () => {
+  silenceLogs();
+  Object.assign(process.env, CLEAN_ENV, { CLAUDE_API_KEY: "test-claude-key", DEEPSEEK_API_KEY: "test-deepseek-key", ANONYMOUS_SCOPES: "analyze,history,review", ADMIN_TOKEN: "review-admin" });
+  process.env.PROVIDER_CASSETTE = await writeCassette([
+    { provider: "claude", image: images.sure, fixture: "claude-ai-generated" },
+    { provider: "claude", image: images.split, fixture: "claude-ai-generated" },
+    { provider: "deepseek", image: images.split, fixture: "deepseek-original" }
+  ]);
+  const { app } = await import("../backend.js");
+  server = await listen(http.createServer(app));
+  baseUrl = server.baseUrl;
+
+  const analyze = async body => (await fetch(`${baseUrl}/analyze`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body)
+  })).json();
+  sure = await analyze({ image: dataUrl(images.sure), fileName: "sure.jpg" });
+  split = await analyze({ image: dataUrl(images.split), fileName: "split, \"v2\".jpg", mode: "ensemble" });
+});
+
+after(() => server.close());
+
+const review = (id, body, headers = {}) => fetch(`${baseUrl}/history/${id}/review`, {
+  method: "POST",
+  headers: { "Content-Type": "application/json", ...headers },
+  body: JSON.stringify(body)
+});
+
+describe("review policy", () => {
+  test("low-confidence and inconclusive results need sign-off", () => {
+    assert.deepEqual(initialReview({ verdict: "original", confidence: 80 }, { threshold: 80 }), { status: "not-required", required: false });
+    assert.equal(initialReview({ verdict: "original", confidence: 79 }, { threshold: 80 }).why, "Confidence below 80%");
+    assert.equal(initialReview({ verdict: "inconclusive", confidence: 95 }, { threshold: 80 }).why, "Inconclusive result");
+  });
+
+  test("every analysis says whether it needs a reviewer", () => {
+    assert.equal(sure.confidence, 88);
+    assert.equal(sure.review.status, "not-required");
+    assert.equal(split.verdict, "inconclusive");
+    assert.deepEqual(split.review, { status: "pending", required: true, why: "Inconclusive result" });
+  });
+});
+
+describe("review workflow", () => {
+  test("the queue lists only results waiting for a reviewer", async () => {
+    const queue = await (await fetch(`${baseUrl}/reviews/queue`)).json();
+    assert.deepEqual(queue.items.map(r => r.id), [split.analysisId]);
+    assert.equal(queue.total, 1);
+  });
+
+  test("refuses malformed decisions", async () => {
+    const noReason = await review(split.analysisId, { action: "override", verdict: "original" });
+    assert.equal(noReason.status, 400);
+    assert.equal((await noReason.json()).message, "Overrides need a reason");
+
+    const badVerdict = await review(split.analysisId, { action: "override", verdict: "inconclusive", reason: "unsure" });
+    assert.equal(badVerdict.status, 400);
+    assert.equal((await review(split.analysisId, { action: "approve" })).status, 400);
+    assert.equal((await review("no-such-id", { action: "confirm" })).status, 404);
+  });
+
+  test("an override changes the label, leaves the queue and is audited", async () => {
+    const res = await review(split.analysisId, { action: "override", verdict: "original", reason: "Photographer supplied the RAW file", reviewer: "desk-editor" });
+    assert.equal(res.status, 200);
+    const record = await res.json();
+    assert.equal(record.verdict, "inconclusive");
+    assert.equal(record.review.status, "overridden");
+    assert.equal(record.review.verdict, "original");
+    assert.deepEqual([record.review.reviewer, record.review.claimedReviewer], ["anonymous", "desk-editor"], "an anonymous name is not vouched for");
+
+    const queue = await (await fetch(`${baseUrl}/reviews/queue`)).json();
+    assert.equal(queue.total, 0);
+
+    await review(split.analysisId, { action: "confirm", reviewer: "night-editor" });
+    const { items } = await (await fetch(`${baseUrl}/history/${split.analysisId}/reviews`)).json();
+    assert.deepEqual(items.map(e => [e.action, e.previousVerdict, e.verdict, e.reviewer, e.claimedReviewer]), [
+      ["override", "inconclusive", "original", "anonymous", "desk-editor"],
+      ["confirm", "original", "original", "anonymous", "night-editor"]
+    ]);
+    assert.equal(items[0].reason, "Photographer supplied the RAW file");
+  });
+
+  test("confirming a result that did not need review still labels it", async () => {
+    const record = await (await review(sure.analysisId, { action: "confirm" })).json();
+    assert.equal(record.review.status, "confirmed");
+    assert.equal(record.review.reviewer, "anonymous");
+    assert.equal(record.review.decisions, 1);
+
+    const filtered = await (await fetch(`${baseUrl}/history?review=confirmed`)).json();
+    assert.ok(filtered.items.some(r => r.id === sure.analysisId));
+    assert.equal((await fetch(`${baseUrl}/history?review=maybe`)).status, 400);
+  });
+
+  test("exports the human labels as a dataset", async () => {
+    const res = await fetch(`${baseUrl}/reviews/export`);
+    assert.equal(res.headers.get("content-disposition"), "attachment; filename=\"truesight-labels.json\"");
+    const rows = await res.json();
+    // Oldest review first
+    assert.deepEqual(rows.map(r => [r.analysisId, r.label]), [[split.analysisId, "original"], [sure.analysisId, "ai-generated"]]);
+    assert.equal(rows[0].modelVerdict, "inconclusive");
+    assert.equal(rows[0].agreed, false);
+    assert.deepEqual(rows[0].votes.map(v => v.provider).slice(0, 2), ["claude", "deepseek"]);
+    assert.match(rows[0].sha256, /^[0-9a-f]{64}$/);
+
+    const csv = await (await fetch(`${baseUrl}/reviews/export?format=csv`)).text();
+    const lines = csv.trim().split("\n");
+    assert.equal(lines.length, 3);
+    assert.ok(lines[0].startsWith("analysisId,file,label,modelVerdict"));
+    assert.ok(lines[1].includes("\"split, \"\"v2\"\".jpg\""));
+
+    const jsonl = await (await fetch(`${baseUrl}/reviews/export?format=jsonl`)).text();
+    assert.equal(jsonl.trim().split("\n").length, 2);
+    assert.equal((await fetch(`${baseUrl}/reviews/export?format=xlsx`)).status, 400);
+    assert.equal((await fetch(`${baseUrl}/reviews/export?format=toString`)).status, 400);
+  });
+
+  test("a keyed reviewer is recorded under the key's name, whatever the body says", async () => {
+    const { key } = await (await fetch(`${baseUrl}/admin/keys`, {
+      method: "POST",
+      headers: { Authorization: "Bearer review-admin", "Content-Type": "application/json" },
+      body: JSON.stringify({ name: "photo desk", scopes: ["review"] })
+    })).json();
+    const record = await (await review(split.analysisId, { action: "confirm", reviewer: "someone else" }, { "X-API-Key": key })).json();
+    assert.deepEqual([record.review.reviewer, record.review.claimedReviewer], ["photo desk", null]);
+  });
+});
+
+describe("audit log", () => {
+  test("file log appends and reloads", async () => {
+    const filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "truesight-reviews-")), "reviews.jsonl");
+    const log = await new FileReviewLog(filePath).load();
+    await log.append({ id: "e1", analysisId: "a1", action: "confirm" });
+    await log.append({ id: "e2", analysisId: "a2", action: "override" });
+
+    const reloaded = await new FileReviewLog(filePath).load();
+    assert.deepEqual((await reloaded.list({ analysisId: "a2" })).map(e => e.id), ["e2"]);
+    assert.equal(fs.readFileSync(filePath, "utf8").split("\n").filter(Boolean).length, 2);
+  });
+
+  test("CSV leaves empty cells for missing values", () => {
+    const csv = labelsToCsv([{ analysisId: "a1", file: "x.jpg", label: "original", votes: [], reason: null }]);
+    assert.equal(csv.split("\n")[1], "a1,x.jpg,original,,,,,,,,,,,,");
+  });
+});
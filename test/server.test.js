@@ -0,0 +1,79 @@
+// test/server.test.js - Plain Node http adapter in server.js against replayed provider responses
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import { CLEAN_ENV, dataUrl, listen, silenceLogs, testImage, writeCassette } from "./helpers.js";
+
+const images = {
+  claude: testImage(1),
+  prose: testImage(2)
+};
+
+let server;
+
+before(async () => {
+  silenceLogs();
+  Object.assign(process.env, CLEAN_ENV, { CLAUDE_API_KEY: "test-claude-key" });
+  process.env.PROVIDER_CASSETTE = await writeCassette([
+    { provider: "claude", image: images.claude, fixture: "claude-ai-generated" },
+    { provider: "claude", image: images.prose, fixture: "claude-prose" }
+  ]);
+
+  const { createCore } = await import("../lib/core/index.js");
+  const { createHandler, parseSize } = await import("../server.js");
+  assert.equal(parseSize("256kb"), 256 * 1024);
+  server = await listen(http.createServer(createHandler(await createCore(), { maxRequestSize: "256kb" })));
+});
+
+after(() => server.close());
+
+function analyze(body) {
+  return fetch(`${server.baseUrl}/analyze`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: typeof body === "string" ? body : JSON.stringify(body)
+  });
+}
+
+describe("node http server", () => {
+  test("reports the capability document", async () => {
+    const body = await (await fetch(`${server.baseUrl}/`)).json();
+    assert.equal(body.deployment, "node-http");
+    assert.deepEqual(body.providers, ["claude"]);
+  });
+
+  test("serves the response schema", async () => {
+    const body = await (await fetch(`${server.baseUrl}/schema`)).json();
+    assert.match(body.$id, /verdict/);
+  });
+
+  test("returns the recorded Claude verdict", async () => {
+    const res = await analyze({ image: dataUrl(images.claude) });
+    assert.equal(res.status, 200);
+    const body = await res.json();
+    assert.equal(body.verdict, "ai-generated");
+    assert.equal(body.analysisMethod, "claude-api");
+  });
+
+  test("falls back to an inconclusive verdict when the reply is prose", async () => {
+    const body = await (await analyze({ image: dataUrl(images.prose) })).json();
+    assert.equal(body.analysisMethod, "claude-api-fallback");
+  });
+
+  test("rejects malformed JSON with 400", async () => {
+    const res = await analyze("{\"image\":");
+    assert.equal(res.status, 400);
+    assert.equal((await res.json()).error, "Invalid JSON");
+  });
+
+  test("rejects oversized payloads with 413", async () => {
+    const res = await analyze({ image: dataUrl("A".repeat(300 * 1024)) });
+    assert.equal(res.status, 413);
+    assert.equal((await res.json()).error, "Payload too large");
+  });
+
+  test("answers unknown routes with 404", async () => {
+    const res = await fetch(`${server.baseUrl}/history`);
+    assert.equal(res.status, 404);
+  });
+});
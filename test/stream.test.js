@@ -0,0 +1,151 @@
+// test/stream.test.js - Progress over Server-Sent Events and cancelling an analysis
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import { CLEAN_ENV, dataUrl, fixture, listen, silenceLogs, streamedFixture, testImage, writeCassette } from "./helpers.js";
+import { createCore } from "../lib/core/index.js";
+import { getProvider } from "../lib/providers/index.js";
+import { createFindingScanner, readStream } from "../lib/providers/stream.js";
+
+const images = { single: testImage(1), ensemble: testImage(2) };
+const QUIET_LOGGER = { log() {}, error() {} };
+
+let server;
+let baseUrl;
+
+before(async () => {
+  silenceLogs();
+  Object.assign(process.env, CLEAN_ENV, { CLAUDE_API_KEY: "test-claude-key", DEEPSEEK_API_KEY: "test-deepseek-key" });
+  process.env.PROVIDER_CASSETTE = await writeCassette([
+    { provider: "claude", image: images.single, fixture: "claude-ai-generated", stream: true },
+    { provider: "claude", image: images.ensemble, fixture: "claude-ai-generated", stream: true },
+    { provider: "deepseek", image: images.ensemble, fixture: "deepseek-original", stream: true }
+  ]);
+  const { app } = await import("../backend.js");
+  server = await listen(http.createServer(app));
+  baseUrl = server.baseUrl;
+});
+
+after(() => server.close());
+
+function parseEvents(text) {
+  return text.split("\n\n").filter(block => block.startsWith("event:")).map(block => {
+    const [, type] = block.match(/^event: (.+)$/m);
+    const [, data] = block.match(/^data: (.+)$/m);
+    return { type, ...JSON.parse(data) };
+  });
+}
+
+async function stream(body) {
+  const res = await fetch(`${baseUrl}/analyze/stream`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body)
+  });
+  return { res, events: res.headers.get("content-type")?.startsWith("text/event-stream") ? parseEvents(await res.text()) : null };
+}
+
+describe("POST /analyze/stream", () => {
+  test("reports every stage, then the result", async () => {
+    const { res, events } = await stream({ image: dataUrl(images.single), fileName: "street.jpg" });
+    assert.equal(res.status, 200);
+
+    const stages = events.map(e => e.type === "provider" ? `provider:${e.status}` : e.type).filter(t => t !== "token" && t !== "observation");
+    assert.deepEqual(stages, ["received", "validated", "metadata", "forensics", "provider:started", "provider:finished", "aggregated", "result"]);
+    assert.equal(events[0].fileName, "street.jpg");
+    assert.equal(events[1].input.format, "jpeg");
+
+    const result = events.at(-1);
+    assert.equal(result.verdict, "ai-generated");
+    assert.equal(result.confidence, 88);
+    assert.ok(result.analysisId);
+    assert.deepEqual(result.meta.usage.calls.map(c => [c.provider, c.inputTokens, c.outputTokens]), [["claude", 1632, 118]]);
+  });
+
+  test("streams the provider's text and each finding as it completes", async () => {
+    const { events } = await stream({ image: dataUrl(images.single), force: true });
+    const tokens = events.filter(e => e.type === "token");
+    assert.ok(tokens.length > 10);
+    assert.equal(tokens.map(t => t.text).join(""), getProvider("claude").extractText(JSON.parse(fixture("claude-ai-generated"))));
+
+    const observations = events.filter(e => e.type === "observation");
+    assert.deepEqual(observations.map(o => [o.provider, o.finding.category, o.finding.severity]), [["claude", "texture", "high"], ["claude", "lighting", "medium"]]);
+    // The first finding is out before the reply is
+    const firstObservation = events.indexOf(observations[0]);
+    assert.ok(events.slice(firstObservation).some(e => e.type === "token"));
+  });
+
+  test("ensemble runs report each provider", async () => {
+    const { events } = await stream({ image: dataUrl(images.ensemble), mode: "ensemble" });
+    const finished = events.filter(e => e.type === "provider" && e.status === "finished");
+    assert.deepEqual(finished.map(e => [e.provider, e.verdict]).sort(), [["claude", "ai-generated"], ["deepseek", "original"]]);
+    assert.ok(events.some(e => e.type === "observation" && e.provider === "deepseek" && e.finding.category === "noise"));
+    assert.equal(events.find(e => e.type === "aggregated").analysisMethod, "ensemble");
+  });
+
+  test("refuses bad input before the stream opens", async () => {
+    const { res, events } = await stream({});
+    assert.equal(res.status, 400);
+    assert.equal(events, null);
+    assert.equal((await res.json()).error, "No image provided");
+  });
+});
+
+describe("cancelling", () => {
+  test("aborting the signal stops the provider request and saves nothing", async () => {
+    let providerSignal;
+    const hangingFetch = (url, init) => new Promise((resolve, reject) => {
+      providerSignal = init.signal;
+      init.signal.addEventListener("abort", () => reject(Object.assign(new Error("The operation was aborted"), { name: "AbortError" })));
+    });
+    const core = await createCore({ env: { ...CLEAN_ENV, CLAUDE_API_KEY: "test-claude-key" }, fetch: hangingFetch, logger: QUIET_LOGGER });
+
+    const controller = new AbortController();
+    const events = [];
+    const onProgress = event => {
+      events.push(event);
+      if (event.type === "provider" && event.status === "started") setImmediate(() => controller.abort());
+    };
+
+    await assert.rejects(core.analyze(dataUrl(images.single), { onProgress, signal: controller.signal }), { status: 499, error: "Analysis cancelled" });
+    assert.equal(providerSignal.aborted, true);
+    assert.deepEqual(events.filter(e => e.type === "provider").map(e => e.status), ["started", "cancelled"]);
+    assert.ok(!events.some(e => e.type === "aggregated"));
+    assert.equal((await core.history.query({}, { page: 1, pageSize: 10 })).total, 0);
+  });
+});
+
+describe("stream reading", () => {
+  const claude = getProvider("claude");
+
+  test("a reply that arrives whole is handed back for the normal parser", async () => {
+    const body = fixture("claude-ai-generated");
+    const reply = await readStream({ text: async () => body }, claude, () => assert.fail("no text expected"));
+    assert.deepEqual(reply, { streamed: false, raw: body });
+  });
+
+  test("joins pieces split mid-line across chunks", async () => {
+    const sse = streamedFixture("deepseek", "deepseek-original", 5);
+    const chunks = sse.match(/[\s\S]{1,7}/g).map(piece => Buffer.from(piece));
+    const pieces = [];
+    const body = (async function* () { yield* chunks; })();
+    const reply = await readStream({ body }, getProvider("deepseek"), text => pieces.push(text));
+    assert.equal(reply.streamed, true);
+    assert.equal(reply.text, pieces.join(""));
+    assert.equal(reply.model, "deepseek-chat");
+    assert.deepEqual([reply.inputTokens, reply.outputTokens], [1420, 52]);
+  });
+
+  test("stream error events fail the call", async () => {
+    const body = "event: message_start\ndata: {\"type\":\"message_start\",\"message\":{}}\n\nevent: error\ndata: {\"type\":\"error\",\"error\":{\"message\":\"Overloaded\"}}\n\n";
+    await assert.rejects(readStream({ text: async () => body }, claude, () => {}), /Claude stream error: Overloaded/);
+  });
+
+  test("findings are picked out of a half-written reply", () => {
+    const found = [];
+    const scan = createFindingScanner("claude", finding => found.push(finding.message));
+    const reply = "{\"verdict\": \"original\", \"findings\": [{\"description\": \"Brace } in \\\"text\\\"\"}, \"Plain note\", {\"desc";
+    for (let i = 1; i <= reply.length; i++) scan(reply.slice(0, i));
+    assert.deepEqual(found, ["Brace } in \"text\"", "Plain note"]);
+  });
+});
@@ -0,0 +1,152 @@
+// test/vercel-handler.test.js - Serverless handlers in api/ against replayed provider responses
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { CLEAN_ENV, dataUrl, fakeRedis, invokeVercel, silenceLogs, testImage, writeCassette } from "./helpers.js";
+import { RedisJobStore } from "../lib/jobs/stores.js";
+
+const images = {
+  claude: testImage(1),
+  prose: testImage(2),
+  unauthorized: testImage(4),
+  rateLimited: testImage(5),
+  tiny: testImage(7, 16, 16)
+};
+
+let handler;
+let jobsHandler;
+let redis;
+
+before(async () => {
+  silenceLogs();
+  redis = await fakeRedis();
+  Object.assign(process.env, CLEAN_ENV, {
+    CLAUDE_API_KEY: "test-claude-key",
+    DEEPSEEK_API_KEY: "test-deepseek-key",
+    JOB_STORE: "redis",
+    REDIS_REST_URL: redis.baseUrl,
+    REDIS_REST_TOKEN: redis.token
+  });
+  process.env.PROVIDER_CASSETTE = await writeCassette([
+    { provider: "claude", image: images.claude, fixture: "claude-ai-generated" },
+    { provider: "claude", image: images.prose, fixture: "claude-prose" },
+    { provider: "claude", image: images.unauthorized, fixture: "claude-401", status: 401 },
+    { provider: "deepseek", image: images.unauthorized, fixture: "deepseek-original" },
+    { provider: "claude", image: images.rateLimited, fixture: "claude-429", status: 429 },
+    { provider: "deepseek", image: images.rateLimited, fixture: "claude-429", status: 429 }
+  ]);
+
+  ({ default: handler } = await import("../api/analyze.js"));
+  ({ default: jobsHandler } = await import("../api/jobs/[id].js"));
+});
+
+after(() => redis.close());
+
+const invoke = options => invokeVercel(handler, options);
+const poll = id => invokeVercel(jobsHandler, { method: "GET", query: { id } });
+
+describe("vercel handler", () => {
+  test("reports the capability document", async () => {
+    const res = await invoke({ method: "GET" });
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.deployment, "vercel");
+    assert.deepEqual(res.body.providers, ["claude", "deepseek"]);
+    assert.equal(res.body.features.async, true);
+    assert.ok(res.body.endpoints.includes("GET /api/jobs/:id"));
+    assert.equal(res.headers["access-control-allow-origin"], "*");
+  });
+
+  test("returns the recorded Claude verdict", async () => {
+    const res = await invoke({ body: { image: dataUrl(images.claude) } });
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.verdict, "ai-generated");
+    assert.equal(res.body.analysisMethod, "claude-api");
+    assert.equal(res.body.schemaVersion, "2.0");
+  });
+
+  test("falls back to an inconclusive verdict when the reply is prose", async () => {
+    const res = await invoke({ body: { image: dataUrl(images.prose) } });
+    assert.equal(res.body.analysisMethod, "claude-api-fallback");
+    assert.equal(res.body.verdict, "inconclusive");
+  });
+
+  test("moves on to DeepSeek when Claude rejects the key", async () => {
+    const res = await invoke({ body: { image: dataUrl(images.unauthorized) } });
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.analysisMethod, "deepseek-api");
+    assert.equal(res.body.verdict, "original");
+  });
+
+  test("falls back to forensics when every provider is rate limited", async () => {
+    const res = await invoke({ body: { image: dataUrl(images.rateLimited) } });
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.analysisMethod, "forensics");
+    assert.ok(res.body.providerErrors.every(f => /429/.test(f.error)));
+  });
+
+  test("answers 502 when every provider fails and forensics cannot help", async () => {
+    const res = await invoke({ body: { image: dataUrl(images.tiny) } });
+    assert.equal(res.statusCode, 502);
+    assert.equal(res.body.error, "All providers failed");
+  });
+
+  test("keeps forensics in the ensemble when providers are rate limited", async () => {
+    const res = await invoke({ body: { image: dataUrl(images.rateLimited), mode: "ensemble" } });
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.analysisMethod, "ensemble");
+    assert.ok(res.body.ensemble.votes.filter(v => v.provider !== "forensics").every(v => /429/.test(v.error)));
+  });
+
+  test("rejects malformed JSON with 400", async () => {
+    const res = await invoke({ body: new SyntaxError("Unexpected end of JSON input") });
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.error, "Invalid JSON");
+  });
+
+  test("rejects a missing image with 400", async () => {
+    const res = await invoke({ body: {} });
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.error, "No image provided");
+  });
+
+  test("answers 202 for async jobs, which any instance can poll to the verdict", async () => {
+    const res = await invoke({ body: { image: dataUrl(images.claude), async: true } });
+    assert.equal(res.statusCode, 202);
+    const { jobId, statusUrl } = res.body;
+    assert.equal(statusUrl, `/api/jobs/${jobId}`);
+    assert.equal(res.headers.location, statusUrl);
+
+    let job;
+    for (let i = 0; i < 200 && job?.status !== "succeeded"; i++) {
+      await new Promise(resolve => setTimeout(resolve, 10));
+      job = (await poll(jobId)).body;
+    }
+    assert.equal(job.result.verdict, "ai-generated");
+    assert.equal(job.hasCallback, false);
+
+    // The job lives in Redis, not in this instance's memory
+    const stored = await new RedisJobStore({ url: redis.baseUrl, token: redis.token }).get(jobId);
+    assert.equal(stored.status, "succeeded");
+  });
+
+  test("refuses callbacks without a signing secret", async () => {
+    const res = await invoke({ body: { image: dataUrl(images.claude), async: true, callbackUrl: "http://93.184.216.34/hook" } });
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.error, "Callbacks not enabled");
+  });
+
+  test("answers 404 for unknown jobs, and fails jobs the time limit cut off", async () => {
+    assert.equal((await poll("nope")).statusCode, 404);
+
+    const store = new RedisJobStore({ url: redis.baseUrl, token: redis.token });
+    await store.create({ id: "cut-off", status: "running", createdAt: new Date(Date.now() - 10 * 60000).toISOString() });
+    const res = await poll("cut-off");
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.status, "failed");
+    assert.match(res.body.error, /time limit/);
+  });
+
+  test("rejects other methods with 405", async () => {
+    const res = await invoke({ method: "PUT" });
+    assert.equal(res.statusCode, 405);
+  });
+});
@@ -0,0 +1,146 @@
+// test/video.test.js - Animated GIF and video analysis by frame sampling
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { execFileSync } from "child_process";
+import fs from "fs";
+import http from "http";
+import os from "os";
+import path from "path";
+import { CLEAN_ENV, listen, silenceLogs } from "./helpers.js";
+import { aggregateFrames, ffmpegPath, formatTimestamp, temporalConsistency } from "../lib/video/index.js";
+import { sniffFormat } from "../lib/image.js";
+
+const SIZE = 32;
+
+// Consecutive grayscale frames; `pixel(x, y, t)` gives each value
+function burst(count, pixel) {
+  return Array.from({ length: count }, (_, t) => {
+    const data = new Uint8Array(SIZE * SIZE);
+    for (let y = 0; y < SIZE; y++) for (let x = 0; x < SIZE; x++) data[y * SIZE + x] = pixel(x, y, t);
+    return { width: SIZE, height: SIZE, data };
+  });
+}
+
+const grain = (x, y) => ((x * 37 + y * 91) % 7) * 3;
+const isCenter = (x, y) => x >= SIZE / 4 && x < SIZE * 3 / 4 && y >= SIZE / 4 && y < SIZE * 3 / 4;
+
+// A test pattern clip rendered by ffmpeg; `args` go before the output file
+function makeClip(name, duration, ...args) {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "truesight-clip-")), name);
+  execFileSync(ffmpegPath(), ["-v", "error", "-y", "-f", "lavfi", "-i", `testsrc=duration=${duration}:size=96x72:rate=10`, ...args, file]);
+  return fs.readFileSync(file);
+}
+
+describe("temporal checks", () => {
+  test("steady footage scores low", () => {
+    const temporal = temporalConsistency(burst(12, (x, y, t) => 100 + grain(x, y) + t));
+    assert.equal(temporal.available, true);
+    assert.equal(temporal.score, 0);
+    assert.equal(temporal.findings[0].severity, "info");
+  });
+
+  test("brightness that reverses every frame is flicker", () => {
+    const temporal = temporalConsistency(burst(12, (x, y, t) => 100 + grain(x, y) + (t % 2) * 20));
+    assert.ok(temporal.flicker.score >= 80, `flicker ${temporal.flicker.score}`);
+    assert.ok(temporal.findings.some(f => f.category === "lighting" && f.source === "temporal"));
+  });
+
+  test("a center that changes while the background holds still is subject drift", () => {
+    const temporal = temporalConsistency(burst(12, (x, y, t) => 100 + grain(x, y) + (isCenter(x, y) ? ((x + t * 5) % 9) * 6 : 0)));
+    assert.ok(temporal.subjectDrift.score >= 50, `drift ${temporal.subjectDrift.score}`);
+    assert.ok(temporal.findings.some(f => f.category === "face"));
+  });
+
+  test("needs a few frames", () => {
+    assert.equal(temporalConsistency(burst(2, () => 0)).available, false);
+  });
+});
+
+describe("frame verdicts", () => {
+  const clip = { kind: "video", width: 96, height: 72, durationMs: 8000, frameCount: null, fps: 10 };
+  const frame = (index, verdict, confidence) => ({
+    index,
+    timeMs: index * 1000,
+    result: { verdict, confidence, analysisMethod: "claude", findings: [{ category: "face", severity: "high", message: `frame ${index}`, source: "claude" }] }
+  });
+
+  test("agreeing frames carry the clip", () => {
+    const result = aggregateFrames(clip, [0, 1, 2, 3].map(i => frame(i, "original", 80)), null, { format: "mp4" });
+    assert.equal(result.verdict, "original");
+    assert.equal(result.analysisMethod, "frames");
+    assert.equal(result.frames.sampled.length, 4);
+  });
+
+  test("a confidently manipulated stretch flags the whole clip", () => {
+    const frames = [frame(0, "original", 80), frame(1, "original", 80), frame(2, "original", 75),
+      frame(3, "edited-or-composite", 90), frame(4, "edited-or-composite", 85), frame(5, "original", 80)];
+    const result = aggregateFrames(clip, frames, null, { format: "mp4" });
+    assert.equal(result.verdict, "edited-or-composite");
+    assert.equal(result.confidence, 88);
+    assert.deepEqual(result.findings.map(f => f.message), ["At 0:03.0: frame 3", "At 0:04.0: frame 4"]);
+  });
+
+  test("frames that failed are listed with the provider errors", () => {
+    const result = aggregateFrames(clip, [frame(0, "original", 80), { index: 1, timeMs: 1000, error: "boom", failures: [{ provider: "claude", error: "boom" }] }], null, { format: "mp4" });
+    assert.deepEqual(result.providerErrors, [{ provider: "claude", error: "boom", frame: 1 }]);
+    assert.equal(result.frames.sampled[1].verdict, null);
+  });
+
+  test("timestamps read as minutes and seconds", () => {
+    assert.equal(formatTimestamp(2400), "0:02.4");
+    assert.equal(formatTimestamp(83000), "1:23.0");
+  });
+});
+
+describe("POST /analyze with clips", () => {
+  let server;
+  let baseUrl;
+  let mp4;
+  let gif;
+
+  before(async () => {
+    silenceLogs();
+    mp4 = makeClip("clip.mp4", 2, "-pix_fmt", "yuv420p", "-g", "5");
+    gif = makeClip("clip.gif", 1);
+    Object.assign(process.env, CLEAN_ENV, { VIDEO_MAX_FRAMES: "4", VIDEO_MAX_DURATION_S: "3" });
+    const { app } = await import("../backend.js");
+    server = await listen(http.createServer(app));
+    baseUrl = server.baseUrl;
+  });
+
+  after(() => server.close());
+
+  const analyze = image => fetch(`${baseUrl}/analyze`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ image })
+  });
+
+  test("samples an MP4 and reports a frame timeline", async () => {
+    assert.equal(sniffFormat(mp4), "mp4");
+    const res = await analyze(`data:video/mp4;base64,${mp4.toString("base64")}`);
+    assert.equal(res.status, 200);
+    const body = await res.json();
+    assert.equal(body.analysisMethod, "frames");
+    assert.equal(body.input.mediaType, "video/mp4");
+    assert.equal(body.frames.kind, "video");
+    assert.equal(body.frames.durationMs, 2000);
+    assert.deepEqual(body.frames.sampled.map(f => f.timeMs), [0, 500, 1000, 1500]);
+    assert.ok(body.frames.sampled.every(f => f.analysisMethod === "forensics"));
+    assert.equal(body.frames.temporal.available, true);
+  });
+
+  test("treats an animated GIF as a clip", async () => {
+    const body = await (await analyze(`data:image/gif;base64,${gif.toString("base64")}`)).json();
+    assert.equal(body.frames.kind, "animation");
+    assert.equal(body.frames.frameCount, 10);
+    assert.deepEqual(body.frames.sampled.map(f => f.index), [0, 2, 5, 7]);
+  });
+
+  test("refuses videos over the duration limit", async () => {
+    const long = makeClip("long.mp4", 5, "-pix_fmt", "yuv420p");
+    const res = await analyze(long.toString("base64"));
+    assert.equal(res.status, 413);
+    assert.equal((await res.json()).error, "Video too long");
+  });
+});
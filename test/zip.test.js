@@ -0,0 +1,203 @@
+// test/zip.test.js - Reading images out of ZIP archives and the batch endpoint that takes them
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import zlib from "zlib";
+import { CLEAN_ENV, listen, silenceLogs, testImage } from "./helpers.js";
+import { ZipError, readZipImages } from "../lib/zip.js";
+
+const photo = Buffer.from(testImage(1), "base64");
+const other = Buffer.from(testImage(2), "base64");
+
+// 2x2 24-bit BMP
+function tinyBmp() {
+  const buffer = Buffer.alloc(54 + 16);
+  buffer.write("BM", 0, "ascii");
+  buffer.writeUInt32LE(buffer.length, 2);
+  buffer.writeUInt32LE(54, 10);
+  buffer.writeUInt32LE(40, 14);
+  buffer.writeInt32LE(2, 18);
+  buffer.writeInt32LE(2, 22);
+  buffer.writeUInt16LE(1, 26);
+  buffer.writeUInt16LE(24, 28);
+  buffer.fill(200, 54);
+  return buffer;
+}
+
+// Just the ftyp box of a HEIC file: recognised as HEIC, but with no picture to decode
+function heicHeader() {
+  const box = Buffer.alloc(24);
+  box.writeUInt32BE(box.length, 0);
+  box.write("ftypheic", 4, "ascii");
+  box.write("mif1heic", 16, "ascii");
+  return box;
+}
+
+// A ZIP of `entries` ({ name, data, method?, flags?, size? }); `size` overrides the
+// uncompressed size the headers declare. CRCs are left at 0, which the reader ignores.
+function buildZip(entries) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+  for (const { name, data = Buffer.alloc(0), method = 8, flags = 0, size = data.length } of entries) {
+    const nameBytes = Buffer.from(name);
+    const stored = method === 8 ? zlib.deflateRawSync(data) : data;
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(flags, 6);
+    local.writeUInt16LE(method, 8);
+    local.writeUInt32LE(stored.length, 18);
+    local.writeUInt32LE(size, 22);
+    local.writeUInt16LE(nameBytes.length, 26);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(flags, 8);
+    central.writeUInt16LE(method, 10);
+    central.writeUInt32LE(stored.length, 20);
+    central.writeUInt32LE(size, 24);
+    central.writeUInt16LE(nameBytes.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    locals.push(local, nameBytes, stored);
+    centrals.push(central, nameBytes);
+    offset += local.length + nameBytes.length + stored.length;
+  }
+
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, directory, end]);
+}
+
+describe("ZIP reader", () => {
+  test("extracts stored and deflated images and skips everything else", () => {
+    const entries = readZipImages(buildZip([
+      { name: "photos/", method: 0 },
+      { name: "photos/a.jpg", data: photo },
+      { name: "photos/b.JPEG", data: other, method: 0 },
+      { name: "__MACOSX/photos/._a.jpg", data: photo },
+      { name: "notes.txt", data: Buffer.from("hello") }
+    ]));
+    assert.deepEqual(entries.map(e => e.name), ["photos/a.jpg", "photos/b.JPEG"]);
+    assert.ok(entries[0].data.equals(photo));
+    assert.ok(entries[1].data.equals(other));
+  });
+
+  test("reports entries it cannot extract without failing the archive", () => {
+    const entries = readZipImages(buildZip([
+      { name: "locked.jpg", data: photo, flags: 0x1 },
+      { name: "odd.jpg", data: photo, method: 12 },
+      { name: "liar.jpg", data: Buffer.alloc(photo.length + 4096), size: 10 },
+      { name: "fine.jpg", data: photo }
+    ]), { maxEntryBytes: photo.length + 1024 });
+    assert.deepEqual(entries.slice(0, 2).map(e => e.error), ["Encrypted entries are not supported", "Unsupported compression method 12"]);
+    assert.match(entries[2].error, /Could not extract/);
+    assert.equal(entries[2].data, undefined);
+    assert.ok(entries[3].data.equals(photo));
+
+    const declared = readZipImages(buildZip([{ name: "large.jpg", data: photo, size: 30 * 1024 * 1024 }]));
+    assert.match(declared[0].error, /exceeds 20 MB limit/);
+  });
+
+  test("refuses archives that expand past the total budget, whatever the headers claim", () => {
+    const zeros = Buffer.alloc(400 * 1024);
+    const honest = buildZip(["a", "b", "c"].map(name => ({ name: `${name}.jpg`, data: zeros })));
+    const lying = buildZip(["a", "b", "c"].map(name => ({ name: `${name}.jpg`, data: zeros, size: 10 })));
+    assert.ok(honest.length < 10 * 1024, "a small archive");
+    for (const archive of [honest, lying]) {
+      assert.throws(() => readZipImages(archive, { maxTotalBytes: 1024 * 1024 }), /expands to more than 1 MB/);
+    }
+    assert.equal(readZipImages(honest, { maxTotalBytes: 2 * 1024 * 1024 }).length, 3);
+  });
+
+  test("caps the number of images", () => {
+    const archive = buildZip([1, 2, 3].map(n => ({ name: `${n}.jpg`, data: photo })));
+    assert.throws(() => readZipImages(archive, { maxEntries: 2 }), /more than 2 images/);
+  });
+
+  test("rejects data that is not a readable archive", () => {
+    assert.throws(() => readZipImages(Buffer.from("PK")), ZipError);
+    assert.throws(() => readZipImages(Buffer.alloc(100)), /end of central directory not found/);
+
+    const archive = buildZip([{ name: "a.jpg", data: photo }]);
+    const truncated = Buffer.from(archive);
+    truncated.writeUInt16LE(2, truncated.length - 12);
+    assert.throws(() => readZipImages(truncated), /Corrupt ZIP central directory/);
+
+    const badLocal = Buffer.from(archive);
+    badLocal.writeUInt32LE(0, 0);
+    assert.match(readZipImages(badLocal)[0].error, /Corrupt local header/);
+  });
+});
+
+describe("POST /analyze/batch", () => {
+  let server;
+
+  before(async () => {
+    silenceLogs();
+    Object.assign(process.env, CLEAN_ENV, { BATCH_MAX_ARCHIVE_BYTES: String(1024 * 1024) });
+    const { app } = await import("../backend.js");
+    server = await listen(http.createServer(app));
+  });
+
+  after(() => server.close());
+
+  async function batch(body, contentType = "application/zip") {
+    const res = await fetch(`${server.baseUrl}/analyze/batch`, { method: "POST", headers: { "Content-Type": contentType }, body });
+    const text = await res.text();
+    return { status: res.status, events: res.ok ? text.trim().split("\n").map(line => JSON.parse(line)) : JSON.parse(text) };
+  }
+
+  test("analyzes every image in a ZIP body", async () => {
+    const { status, events } = await batch(buildZip([
+      { name: "a.jpg", data: photo },
+      { name: "b.jpg", data: other },
+      { name: "readme.txt", data: Buffer.from("skip me") },
+      { name: "broken.jpg", data: Buffer.from("not really a jpeg") }
+    ]));
+    assert.equal(status, 200);
+    assert.deepEqual(events[0].items.map(i => i.name), ["a.jpg", "b.jpg", "broken.jpg"]);
+    const items = Object.fromEntries(events.filter(e => e.type === "item").map(e => [e.name, e]));
+    assert.equal(items["a.jpg"].status, "done");
+    assert.equal(items["b.jpg"].status, "done");
+    assert.deepEqual([items["broken.jpg"].status, items["broken.jpg"].error], ["error", "Not a recognised image file"]);
+    assert.deepEqual(events.at(-1), { ...events.at(-1), type: "end", total: 3, succeeded: 2, failed: 1 });
+  });
+
+  test("picks up every still format the normalizer accepts", async () => {
+    const { events } = await batch(buildZip([
+      { name: "scan.BMP", data: tinyBmp() },
+      { name: "phone/IMG_0001.heic", data: heicHeader() },
+      { name: "scan.tif", data: Buffer.alloc(0) },
+      { name: "render.avif", data: Buffer.alloc(0) }
+    ]));
+    assert.deepEqual(events[0].items.map(i => i.name), ["scan.BMP", "phone/IMG_0001.heic", "scan.tif", "render.avif"]);
+    const items = Object.fromEntries(events.filter(e => e.type === "item").map(e => [e.name, e]));
+    assert.equal(items["scan.BMP"].status, "done");
+    // Reaches the HEIC decoder instead of being skipped
+    assert.equal(items["phone/IMG_0001.heic"].status, "error");
+    assert.notEqual(items["phone/IMG_0001.heic"].error, "Not a recognised image file");
+  });
+
+  test("retries only the named entries of an archive sent as JSON", async () => {
+    const archive = buildZip([{ name: "a.jpg", data: photo }, { name: "b.jpg", data: other }]).toString("base64");
+    const { events } = await batch(JSON.stringify({ archive: `data:application/zip;base64,${archive}`, archiveEntries: ["b.jpg"] }), "application/json");
+    assert.deepEqual(events[0].items.map(i => i.name), ["b.jpg"]);
+  });
+
+  test("answers 400 for ZIP bombs and malformed archives", async () => {
+    const bomb = buildZip([1, 2, 3].map(n => ({ name: `${n}.jpg`, data: Buffer.alloc(400 * 1024), size: 10 })));
+    const refused = await batch(bomb);
+    assert.equal(refused.status, 400);
+    assert.match(refused.events.message, /expands to more than 1 MB/);
+
+    const garbage = await batch(Buffer.from("definitely not a zip archive"));
+    assert.deepEqual([garbage.status, garbage.events.error], [400, "Invalid batch"]);
+  });
+});